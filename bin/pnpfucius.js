@@ -2,7 +2,12 @@
 // PNPFUCIUS - The PNP Exchange CLI
 // "The wise trader predicts with patience"
 
-import { PnpfuciusAgent } from '../src/predict/agent.js';
-
-const agent = new PnpfuciusAgent();
-await agent.run();
+// With a subcommand (e.g. `pnpfucius db status`) hand off to the command-line tool,
+// otherwise start the interactive REPL
+if (process.argv.length > 2) {
+    await import('../src/cli.js');
+} else {
+    const { PnpfuciusAgent } = await import('../src/predict/agent.js');
+    const agent = new PnpfuciusAgent();
+    await agent.run();
+}
@@ -1,12 +1,46 @@
 import { PublicKey } from '@solana/web3.js';
 import { PNPClient } from 'pnp-sdk';
 import { getConfig, validateConfig } from './config.js';
-import { generatePrivacyMarket, generateMultipleMarkets } from './privacy-markets.js';
+import { generateMultipleMarkets } from './privacy-markets.js';
+import { createSimulatedClient } from './simulator/pnp-simulator.js';
+import { buildTransactionPreview, captureTransaction, describeParams } from './transactions/preview.js';
+import { lintQuestion, assertQuestionLint } from './generation/linter.js';
+import { buildMarketGroup, createGroupMarkets, loadGroupPrices, settleMarketGroup } from './generation/market-groups.js';
+import { createConditionalMarket, marketDependency } from './daemon/conditional-markets.js';
+
+// 'yes' or 'no' from an account's winning_token_id, which may be a string or a decoded enum
+function winningSide(token) {
+    if (typeof token === 'string') {
+        const side = token.toLowerCase();
+        return side === 'yes' || side === 'no' ? side : null;
+    }
+    if (token && typeof token === 'object') {
+        return ['yes', 'no'].find(side => side in token) || null;
+    }
+    return null;
+}
+
+// Ledger amounts are 6-decimal base units. The simulator reports trade results in base
+// units (bigint); the SDK reports them as UI-unit numbers worked out from balance deltas.
+function toBaseUnits(amount) {
+    if (amount === undefined || amount === null) return null;
+    if (typeof amount === 'number') return BigInt(Math.round(amount * 1_000_000));
+    return BigInt(amount);
+}
 
 export class PrivacyOracleAgent {
     constructor(options = {}) {
         this.config = options.config || getConfig();
-        this.client = null;
+        // Any object with the PNPClient surface can be injected (e.g. a simulator)
+        this.client = options.client || null;
+        // Optional Portfolio; when set, every trade, redemption and refund is recorded
+        this.portfolio = options.portfolio || null;
+        // Optional DuplicateGuard; when set, batch generation skips near-duplicate questions
+        this.duplicateGuard = options.duplicateGuard || null;
+        // Optional MarketStore; market groups are recorded in it
+        this.store = options.store || null;
+        // Market end times and question lint are relative to this clock
+        this.clock = options.clock || (() => Date.now());
         this.initialized = false;
         this.verbose = options.verbose || false;
     }
@@ -21,6 +55,18 @@ export class PrivacyOracleAgent {
     async initialize() {
         if (this.initialized) return;
 
+        if (this.client) {
+            this.initialized = true;
+            return;
+        }
+
+        if (this.config.backend === 'simulated') {
+            this.client = createSimulatedClient(this.config.simulator);
+            this.log(`Client initialized with simulated PNP backend (wallet ${this.client.walletAddress})`);
+            this.initialized = true;
+            return;
+        }
+
         const validation = validateConfig(this.config);
         
         if (validation.warnings.length > 0) {
@@ -34,15 +80,7 @@ export class PrivacyOracleAgent {
         this.log(`Connecting to ${this.config.network} via Helius RPC...`);
         
         if (this.config.walletKey) {
-            let privateKey = this.config.walletKey;
-            
-            if (typeof privateKey === 'string') {
-                if (privateKey.startsWith('[')) {
-                    privateKey = Uint8Array.from(JSON.parse(privateKey));
-                }
-            }
-            
-            this.client = new PNPClient(this.config.rpcUrl, privateKey);
+            this.client = new PNPClient(this.config.rpcUrl, this._privateKey());
             this.log('Client initialized with signer');
         } else {
             this.client = new PNPClient(this.config.rpcUrl);
@@ -52,28 +90,58 @@ export class PrivacyOracleAgent {
         this.initialized = true;
     }
 
-    async createMarket(options) {
-        await this.initialize();
+    // WALLET_PRIVATE_KEY as PNPClient takes it: base58, or a JSON byte array
+    _privateKey() {
+        const privateKey = this.config.walletKey;
 
-        if (!this.client.market) {
-            throw new Error('Market module not available. Ensure wallet is configured.');
+        if (typeof privateKey === 'string' && privateKey.startsWith('[')) {
+            return Uint8Array.from(JSON.parse(privateKey));
         }
 
+        return privateKey;
+    }
+
+    async createMarket(options) {
+        await this.initialize();
+
         const question = options.question;
         const durationDays = options.durationDays || this.config.defaultDurationDays;
         const liquidity = options.liquidity || this.config.defaultLiquidity;
+        const lint = this._lintQuestion(question, durationDays, options);
 
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + (durationDays * 24 * 60 * 60));
-
-        this.log(`Creating market: "${question}"`);
-        this.log(`Duration: ${durationDays} days, Liquidity: ${liquidity}`);
-
-        const result = await this.client.market.createMarket({
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + (durationDays * 24 * 60 * 60));
+        const params = {
             question,
             initialLiquidity: liquidity,
             endTime,
             baseMint: this.config.collateralMint
-        });
+        };
+
+        if (options.preview) {
+            return buildTransactionPreview(this.config, {
+                action: 'createMarket',
+                instruction: 'market.createMarket',
+                params: describeParams(params),
+                accounts: [
+                    this._signerAccount(),
+                    { address: this.config.collateralMint.toBase58(), role: 'collateral mint', writable: false },
+                    { address: null, role: 'new market (derived on send)', writable: true }
+                ],
+                ...await this._buildPreviewTransaction(client => client.market.createMarket(params)),
+                collateralRequired: BigInt(liquidity),
+                expectedOutput: { startingYesPrice: 0.5, startingNoPrice: 0.5 },
+                summary: { question, durationDays, liquidity: liquidity.toString(), lint }
+            });
+        }
+
+        if (!this.client.market) {
+            throw new Error('Market module not available. Ensure wallet is configured.');
+        }
+
+        this.log(`Creating market: "${question}"`);
+        this.log(`Duration: ${durationDays} days, Liquidity: ${liquidity}`);
+
+        const result = await this.client.market.createMarket(params);
 
         return {
             success: true,
@@ -81,7 +149,8 @@ export class PrivacyOracleAgent {
             market: result.market?.toBase58?.() || result.market?.toString?.() || result.market,
             question,
             durationDays,
-            liquidity: liquidity.toString()
+            liquidity: liquidity.toString(),
+            lintWarnings: lint.warnings
         };
     }
 
@@ -93,20 +162,40 @@ export class PrivacyOracleAgent {
         const amount = options.amount || this.config.defaultLiquidity;
         const cap = options.cap || amount * 5n;
         const durationDays = options.durationDays || this.config.defaultDurationDays;
+        const lint = this._lintQuestion(question, durationDays, options);
 
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + (durationDays * 24 * 60 * 60));
-
-        this.log(`Creating P2P market: "${question}"`);
-        this.log(`Side: ${side}, Amount: ${amount}, Cap: ${cap}`);
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + (durationDays * 24 * 60 * 60));
 
-        const result = await this.client.createP2PMarketGeneral({
+        const params = {
             question,
             initialAmount: amount,
             side,
             creatorSideCap: cap,
             endTime,
             collateralTokenMint: this.config.collateralMint
-        });
+        };
+
+        if (options.preview) {
+            return buildTransactionPreview(this.config, {
+                action: 'createP2PMarket',
+                instruction: 'createP2PMarketGeneral',
+                params: describeParams(params),
+                accounts: [
+                    this._signerAccount(),
+                    { address: this.config.collateralMint.toBase58(), role: 'collateral mint', writable: false },
+                    { address: null, role: 'new market (derived on send)', writable: true }
+                ],
+                ...await this._buildPreviewTransaction(client => client.createP2PMarketGeneral(params)),
+                collateralRequired: BigInt(amount),
+                expectedOutput: { side, tokens: amount.toString(), creatorSideCap: cap.toString() },
+                summary: { question, side, durationDays, lint }
+            });
+        }
+
+        this.log(`Creating P2P market: "${question}"`);
+        this.log(`Side: ${side}, Amount: ${amount}, Cap: ${cap}`);
+
+        const result = await this.client.createP2PMarketGeneral(params);
 
         return {
             success: true,
@@ -116,26 +205,29 @@ export class PrivacyOracleAgent {
             noTokenMint: result.noTokenMint,
             question,
             side,
-            durationDays
+            durationDays,
+            lintWarnings: lint.warnings
         };
     }
 
     async createPrivacyMarket(options = {}) {
-        const marketIdea = generatePrivacyMarket();
+        const [marketIdea] = generateMultipleMarkets(1);
         
         this.log(`Generated market idea: ${marketIdea.category}`);
         
         return this.createMarket({
             question: options.question || marketIdea.question,
             durationDays: options.durationDays || marketIdea.durationDays,
-            liquidity: options.liquidity || marketIdea.suggestedLiquidity
+            liquidity: options.liquidity || marketIdea.suggestedLiquidity,
+            preview: options.preview,
+            force: options.force
         });
     }
 
     async createBatchMarkets(count = 3) {
         await this.initialize();
 
-        const ideas = generateMultipleMarkets(count);
+        const ideas = generateMultipleMarkets(count, { guard: this.duplicateGuard });
         const results = [];
 
         for (const idea of ideas) {
@@ -148,7 +240,13 @@ export class PrivacyOracleAgent {
                     liquidity: idea.suggestedLiquidity
                 });
                 
-                results.push({ ...result, category: idea.category });
+                results.push({
+                    ...result,
+                    category: idea.category,
+                    categoryKey: idea.categoryKey,
+                    templateId: idea.templateId,
+                    similarity: idea.similarity
+                });
                 
                 await this.sleep(2000);
                 
@@ -189,7 +287,11 @@ export class PrivacyOracleAgent {
             resolved: info.account.resolved,
             resolvable: info.account.resolvable,
             endTime: new Date(Number(info.account.end_time) * 1000),
-            winningToken: info.account.winning_token_id || null
+            // 'yes' or 'no'; the SDK decodes winning_token_id as an enum ({ yes: {} })
+            // and the account reports 'none' until the market resolves
+            winningToken: info.account.resolved ? winningSide(info.account.winning_token_id) : null,
+            // Parent and child conditional markets, when we track this market
+            ...(this.store && { dependency: marketDependency(this.store, marketAddress) })
         };
     }
 
@@ -205,6 +307,24 @@ export class PrivacyOracleAgent {
 
         const { marketAddress, side, amountUsdc } = options;
         const market = new PublicKey(marketAddress);
+        const params = {
+            market,
+            usdcAmount: BigInt(Math.floor(amountUsdc * 1_000_000)),
+            tokenId: side === 'yes' ? 0 : 1
+        };
+
+        if (options.preview) {
+            return buildTransactionPreview(this.config, {
+                action: 'buyTokens',
+                instruction: 'trading.buyTokensUsdc',
+                params: describeParams(params),
+                accounts: await this._marketAccounts(marketAddress, side),
+                ...await this._buildPreviewTransaction(client => client.trading.buyTokensUsdc(params)),
+                collateralRequired: params.usdcAmount,
+                expectedOutput: await this._quoteTrade('buy', params, side),
+                summary: { market: marketAddress, side, amountUsdc }
+            });
+        }
 
         this.log(`Buying ${side.toUpperCase()} tokens for ${amountUsdc} USDC on ${marketAddress}`);
 
@@ -212,10 +332,15 @@ export class PrivacyOracleAgent {
             throw new Error('Trading module not available. Ensure wallet is configured.');
         }
 
-        const result = await this.client.trading.buyTokensUsdc({
-            market,
-            usdcAmount: BigInt(Math.floor(amountUsdc * 1_000_000)),
-            tokenId: side === 'yes' ? 0 : 1
+        const result = await this.client.trading.buyTokensUsdc(params);
+
+        this._recordLedger({
+            market: marketAddress,
+            action: 'buy',
+            side,
+            tokens: toBaseUnits(result.tokensReceived),
+            usdc: params.usdcAmount,
+            signature: result.signature
         });
 
         return {
@@ -233,6 +358,24 @@ export class PrivacyOracleAgent {
 
         const { marketAddress, side, amount } = options;
         const market = new PublicKey(marketAddress);
+        const params = {
+            market,
+            tokenAmount: BigInt(Math.floor(amount * 1_000_000)),
+            tokenId: side === 'yes' ? 0 : 1
+        };
+
+        if (options.preview) {
+            return buildTransactionPreview(this.config, {
+                action: 'sellTokens',
+                instruction: 'trading.sellTokensBase',
+                params: describeParams(params),
+                accounts: await this._marketAccounts(marketAddress, side),
+                ...await this._buildPreviewTransaction(client => client.trading.sellTokensBase(params)),
+                collateralRequired: 0n,
+                expectedOutput: await this._quoteTrade('sell', params, side),
+                summary: { market: marketAddress, side, amount }
+            });
+        }
 
         this.log(`Selling ${amount} ${side.toUpperCase()} tokens on ${marketAddress}`);
 
@@ -240,10 +383,15 @@ export class PrivacyOracleAgent {
             throw new Error('Trading module not available. Ensure wallet is configured.');
         }
 
-        const result = await this.client.trading.sellTokensBase({
-            market,
-            tokenAmount: BigInt(Math.floor(amount * 1_000_000)),
-            tokenId: side === 'yes' ? 0 : 1
+        const result = await this.client.trading.sellTokensBase(params);
+
+        this._recordLedger({
+            market: marketAddress,
+            action: 'sell',
+            side,
+            tokens: params.tokenAmount,
+            usdc: toBaseUnits(result.usdcReceived),
+            signature: result.signature
         });
 
         return {
@@ -259,6 +407,11 @@ export class PrivacyOracleAgent {
     async getMarketPrices(marketAddress) {
         await this.initialize();
 
+        // A group id gives the normalized prices of every outcome in the group
+        if (this.store?.getSeries(marketAddress)?.kind === 'group') {
+            return this.getGroupPrices(marketAddress);
+        }
+
         const market = new PublicKey(marketAddress);
 
         if (this.client.trading?.getPrices) {
@@ -312,13 +465,17 @@ export class PrivacyOracleAgent {
 
         this.log(`Redeeming position on ${marketAddress}`);
 
+        // The SDK only returns a signature, so work out the payout before the tokens burn
+        const payout = await this._winningTokensHeld(market);
         const result = await this.client.redeemPosition(market);
 
+        this._recordLedger({ market: marketAddress, action: 'redeem', usdc: payout, signature: result.signature });
+
         return {
             success: true,
             signature: result.signature,
             market: marketAddress,
-            amountRedeemed: result.amount?.toString() || 'unknown'
+            amountRedeemed: payout?.toString() || 'unknown'
         };
     }
 
@@ -331,21 +488,71 @@ export class PrivacyOracleAgent {
 
         const result = await this.client.claimMarketRefund(market);
 
+        // No amount comes back; the portfolio books a refund as our cost basis returned
+        this._recordLedger({ market: marketAddress, action: 'refund', usdc: null, signature: result.signature });
+
         return {
             success: true,
             signature: result.signature,
             market: marketAddress,
-            amountRefunded: result.amount?.toString() || 'unknown'
+            amountRefunded: 'unknown'
         };
     }
 
+    // ========== PORTFOLIO ==========
+
+    /**
+     * Positions, cost basis, realized/unrealized PnL and category exposure
+     */
+    async getPortfolio() {
+        if (!this.portfolio) {
+            throw new Error('Portfolio tracking not enabled. Pass a portfolio to the agent.');
+        }
+
+        await this.initialize();
+
+        return this.portfolio.getSummary(async (marketAddress) => {
+            const prices = await this.getMarketPrices(marketAddress);
+            return { yesPrice: prices.yesPrice, noPrice: prices.noPrice };
+        });
+    }
+
+    /**
+     * Winning AMM tokens we hold, in base units; each redeems for one unit of collateral.
+     * Null when there's no portfolio to ask or the market doesn't name a winner.
+     */
+    async _winningTokensHeld(market) {
+        if (!this.portfolio) return null;
+
+        try {
+            const { account } = await this.client.fetchMarket(market);
+            const winner = winningSide(account.winning_token_id);
+            const position = this.portfolio.getPositions({ market: market.toBase58() }).find(p => p.side === winner);
+            return position ? BigInt(Math.round(position.tokens * 1_000_000)) : null;
+        } catch (error) {
+            this.log(`Could not work out the payout for ${market.toBase58()}: ${error.message}`, 'warn');
+            return null;
+        }
+    }
+
+    _recordLedger(entry) {
+        if (!this.portfolio) return;
+
+        try {
+            this.portfolio.record(entry);
+        } catch (error) {
+            // The trade already went through; a ledger failure should not mask that
+            this.log(`Failed to record ${entry.action} in portfolio ledger: ${error.message}`, 'error');
+        }
+    }
+
     // ========== URL-AWARE MARKET CREATION ==========
 
     async createMarketFromSource(options) {
         await this.initialize();
 
         const { question, sourceUrl, sourceType, durationDays, liquidity } = options;
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + ((durationDays || 30) * 24 * 60 * 60));
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + ((durationDays || 30) * 24 * 60 * 60));
         const amount = liquidity || this.config.defaultLiquidity;
 
         this.log(`Creating ${sourceType || 'standard'} market: "${question}"`);
@@ -400,6 +607,111 @@ export class PrivacyOracleAgent {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // ========== TRANSACTION PREVIEW HELPERS ==========
+
+    getWalletAddress() {
+        return this.client?.walletAddress ||
+            this.client?.signer?.publicKey?.toBase58?.() ||
+            this.client?.wallet?.publicKey?.toBase58?.() ||
+            null;
+    }
+
+    /**
+     * Lint a question before creation. Errors throw unless options.force is set;
+     * previews never throw so the issues can be shown alongside the transaction.
+     */
+    _lintQuestion(question, durationDays, options = {}) {
+        if (options.preview) {
+            return lintQuestion(question, { durationDays, now: this.clock() });
+        }
+
+        const lint = assertQuestionLint(question, { durationDays, force: options.force, now: this.clock() });
+        lint.warnings.forEach(w => this.log(`Question lint: ${w.message}`, 'warn'));
+        return lint;
+    }
+
+    /**
+     * Build the transaction a write would send, without sending it. `send` runs the
+     * same SDK call as the real write, on a separate client so the capture cannot
+     * swallow a real send made meanwhile on this.client. Nothing is built on the
+     * simulated backend or without a wallet; transactionNote says why.
+     */
+    async _buildPreviewTransaction(send) {
+        if (!(this.client instanceof PNPClient) || !this.client.signer) {
+            const reason = this.config.backend === 'simulated' ? 'simulated backend' : 'read-only mode (no wallet)';
+            return { transaction: null, transactionNote: `No transaction built: ${reason}` };
+        }
+
+        try {
+            const client = new PNPClient(this.config.rpcUrl, this._privateKey());
+            return { transaction: await captureTransaction(client.connection, () => send(client)) };
+        } catch (error) {
+            this.log(`Could not build preview transaction: ${error.message}`);
+            return { transaction: null, transactionNote: `No transaction built: ${error.message}` };
+        }
+    }
+
+    _signerAccount() {
+        return { address: this.getWalletAddress(), role: 'wallet (signer)', writable: true, signer: true };
+    }
+
+    /**
+     * Accounts a trade on an existing market touches
+     */
+    async _marketAccounts(marketAddress, side) {
+        const accounts = [
+            this._signerAccount(),
+            { address: marketAddress, role: 'market', writable: true },
+            { address: this.config.collateralMint.toBase58(), role: 'collateral mint', writable: false }
+        ];
+
+        try {
+            const info = await this.client.fetchMarket(new PublicKey(marketAddress));
+            const mint = side === 'yes' ? info.account.yes_token_mint : info.account.no_token_mint;
+            if (mint) {
+                accounts.push({ address: mint.toString(), role: `${side.toUpperCase()} token mint`, writable: true });
+            }
+        } catch (error) {
+            this.log(`Could not fetch market accounts: ${error.message}`);
+        }
+
+        return accounts;
+    }
+
+    /**
+     * Expected output of a trade. Uses the backend's quote when it has one,
+     * otherwise estimates at the current spot price (no slippage).
+     */
+    async _quoteTrade(direction, params, side) {
+        const quote = direction === 'buy' ? this.client.trading?.quoteBuy : this.client.trading?.quoteSell;
+
+        if (quote) {
+            const result = await quote(params);
+            return {
+                method: 'quote',
+                ...(direction === 'buy'
+                    ? { tokensReceived: result.tokensReceived.toString() }
+                    : { usdcReceived: result.usdcReceived.toString() }),
+                pricesAfter: result.pricesAfter
+            };
+        }
+
+        try {
+            const prices = await this.getMarketPrices(params.market.toBase58());
+            const price = Number(side === 'yes' ? prices.yesPrice : prices.noPrice);
+
+            if (!(price > 0)) {
+                return { method: 'unavailable', note: 'No spot price available' };
+            }
+
+            return direction === 'buy'
+                ? { method: 'spot', price, tokensReceived: Math.floor(Number(params.usdcAmount) / price).toString() }
+                : { method: 'spot', price, usdcReceived: Math.floor(Number(params.tokenAmount) * price).toString() };
+        } catch (error) {
+            return { method: 'unavailable', note: error.message };
+        }
+    }
+
     // ========== PNP ORACLE/SETTLEMENT METHODS ==========
 
     /**
@@ -482,11 +794,27 @@ export class PrivacyOracleAgent {
      * Settle a market using the oracle (set the winning outcome)
      * NOTE: This requires oracle authority
      */
-    async settleMarket(marketAddress, yesWinner) {
+    async settleMarket(marketAddress, yesWinner, options = {}) {
         await this.initialize();
 
         const market = new PublicKey(marketAddress);
 
+        if (options.preview) {
+            return buildTransactionPreview(this.config, {
+                action: 'settleMarket',
+                instruction: 'settleMarket',
+                params: describeParams({ market, yesWinner }),
+                accounts: [
+                    { ...this._signerAccount(), role: 'settler (signer)' },
+                    { address: marketAddress, role: 'market', writable: true }
+                ],
+                ...await this._buildPreviewTransaction(client => client.settleMarket({ market, yesWinner })),
+                collateralRequired: 0n,
+                expectedOutput: { outcome: yesWinner ? 'yes' : 'no' },
+                summary: { market: marketAddress, outcome: yesWinner ? 'yes' : 'no' }
+            });
+        }
+
         this.log(`Settling market ${marketAddress} with outcome: ${yesWinner ? 'YES' : 'NO'}`);
 
         try {
@@ -691,6 +1019,7 @@ export class PrivacyOracleAgent {
             capMultiplier = 5,
             maxPotRatio
         } = options;
+        const lint = this._lintQuestion(question, durationDays, options);
 
         this.log(`Creating simple P2P market: "${question}"`);
         this.log(`Side: ${side}, Amount: ${amountUsdc} USDC, Cap multiplier: ${capMultiplier}x`);
@@ -715,7 +1044,8 @@ export class PrivacyOracleAgent {
                 question,
                 side,
                 amountUsdc,
-                durationDays
+                durationDays,
+                lintWarnings: lint.warnings
             };
         } catch (error) {
             this.log(`Error creating simple P2P market: ${error.message}`, 'error');
@@ -739,7 +1069,7 @@ export class PrivacyOracleAgent {
             maxPotRatio
         } = options;
 
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + (durationDays * 24 * 60 * 60));
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + (durationDays * 24 * 60 * 60));
         const initialAmount = amount || this.config.defaultLiquidity;
         const creatorSideCap = cap || initialAmount * 5n;
 
@@ -788,7 +1118,7 @@ export class PrivacyOracleAgent {
             yesOddsBps  // Starting YES odds in basis points (e.g., 5000 = 50%)
         } = options;
 
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + (durationDays * 24 * 60 * 60));
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + (durationDays * 24 * 60 * 60));
         const initialLiquidity = liquidity || this.config.defaultLiquidity;
 
         this.log(`Creating AMM market with odds: "${question}"`);
@@ -833,7 +1163,7 @@ export class PrivacyOracleAgent {
             yesOddsBps = 5000  // Default 50/50
         } = options;
 
-        const endTime = BigInt(Math.floor(Date.now() / 1000) + (durationDays * 24 * 60 * 60));
+        const endTime = BigInt(Math.floor(this.clock() / 1000) + (durationDays * 24 * 60 * 60));
         const initialLiquidity = liquidity || this.config.defaultLiquidity;
         const settler = new PublicKey(settlerAddress);
 
@@ -864,6 +1194,70 @@ export class PrivacyOracleAgent {
         }
     }
 
+    // ========== MARKET GROUPS ==========
+
+    /**
+     * Create a multi-outcome market as one binary market per outcome.
+     * Options: question (with an {outcome} slot), outcomes, durationDays, liquidity,
+     * oracle ('custom' or 'pnp'), settlerAddress and force.
+     */
+    async createMarketGroup(options) {
+        await this.initialize();
+
+        const store = this._requireStore();
+        const group = buildMarketGroup(options);
+
+        this.log(`Creating market group ${group.groupId} with ${group.members.length} outcomes`);
+
+        const { series, results } = await createGroupMarkets({
+            agent: this,
+            store,
+            group,
+            liquidity: options.liquidity,
+            force: options.force,
+            clock: this.clock
+        });
+
+        return { success: results.every(r => r.success), group: series.id, series, results };
+    }
+
+    async getGroupPrices(groupId) {
+        await this.initialize();
+        return loadGroupPrices({ store: this._requireStore(), agent: this, groupId });
+    }
+
+    /**
+     * Settle a custom-oracle group: the winning outcome YES, every other outcome NO
+     */
+    async settleMarketGroup(groupId, winner) {
+        await this.initialize();
+
+        this.log(`Settling market group ${groupId} with winner: ${winner}`);
+        return settleMarketGroup({ agent: this, store: this._requireStore(), groupId, winner, clock: this.clock });
+    }
+
+    // ========== CONDITIONAL MARKETS ==========
+
+    /**
+     * Create a market that only counts if its parent resolves YES.
+     * Options: parentMarket, question, durationDays, liquidity and force.
+     * If the parent resolves NO or is cancelled, the daemon marks it unresolvable
+     * and the sweeper claims the refund once it ends.
+     */
+    async createConditionalMarket(options) {
+        await this.initialize();
+
+        this.log(`Creating conditional market on ${options.parentMarket}: "${options.question}"`);
+        return createConditionalMarket({ agent: this, store: this._requireStore(), ...options });
+    }
+
+    _requireStore() {
+        if (!this.store) {
+            throw new Error('Market groups and conditional markets need a market database. Set DAEMON_STORAGE_PATH.');
+        }
+        return this.store;
+    }
+
     // ========== V3 MARKET SUPPORT ==========
 
     /**
@@ -884,6 +1278,15 @@ export class PrivacyOracleAgent {
                 amountUsdc
             });
 
+            this._recordLedger({
+                market: marketAddress,
+                action: 'buy',
+                side,
+                tokens: toBaseUnits(result.tokensReceived),
+                usdc: BigInt(Math.floor(amountUsdc * 1_000_000)),
+                signature: result.signature
+            });
+
             return {
                 success: true,
                 signature: result.signature,
@@ -909,10 +1312,13 @@ export class PrivacyOracleAgent {
 
         try {
             const result = await this.client.redeemV3Position(market);
+            // P2P winners split the pot, which the SDK doesn't report, so the payout stays unknown
+            this._recordLedger({ market: marketAddress, action: 'redeem', usdc: null, signature: result.signature });
             return {
                 success: true,
                 signature: result.signature,
-                market: marketAddress
+                market: marketAddress,
+                amountRedeemed: 'unknown'
             };
         } catch (error) {
             this.log(`Error redeeming V3 position: ${error.message}`, 'error');
@@ -930,10 +1336,13 @@ export class PrivacyOracleAgent {
 
         try {
             const result = await this.client.redeemP2PPosition(marketAddress);
+            // P2P winners split the pot, which the SDK doesn't report, so the payout stays unknown
+            this._recordLedger({ market: marketAddress, action: 'redeem', usdc: null, signature: result.signature });
             return {
                 success: true,
                 signature: result.signature,
-                market: marketAddress
+                market: marketAddress,
+                amountRedeemed: 'unknown'
             };
         } catch (error) {
             this.log(`Error redeeming P2P position: ${error.message}`, 'error');
@@ -951,10 +1360,12 @@ export class PrivacyOracleAgent {
 
         try {
             const result = await this.client.claimP2PMarketRefund(marketAddress);
+            this._recordLedger({ market: marketAddress, action: 'refund', usdc: null, signature: result.signature });
             return {
                 success: true,
                 signature: result.signature,
-                market: marketAddress
+                market: marketAddress,
+                amountRefunded: 'unknown'
             };
         } catch (error) {
             this.log(`Error claiming P2P refund: ${error.message}`, 'error');
@@ -4,17 +4,155 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { PrivacyOracleAgent } from './agent.js';
-import { generatePrivacyMarket, generateMultipleMarkets, listCategories, getMarketsByCategory, PRIVACY_CATEGORIES } from './privacy-markets.js';
+import { generatePrivacyMarket, generateMultipleMarkets, listCategories, getMarketsByCategory, getTemplates, getCategory } from './privacy-markets.js';
 import { getConfig, validateConfig } from './config.js';
 import { PrivacyOracleDaemon } from './daemon/index.js';
 import { createMarketStore } from './storage/market-store.js';
+import { LATEST_VERSION } from './storage/migrations.js';
+import { SettlementPipeline } from './daemon/settlement-pipeline.js';
+import { ApprovalQueue, parseDuration } from './daemon/approval-queue.js';
+import { RecurringSeries, CADENCES } from './daemon/recurring-series.js';
+import { createDuplicateGuard } from './generation/dedup.js';
+import { lintQuestion } from './generation/linter.js';
+import { createPackRegistry, loadCategoryPacks, loadPackFile, validatePack } from './generation/packs.js';
+import { AdaptiveWeighting } from './generation/adaptive-weights.js';
+import { buildLadder, createLadderMarkets, getLadderTemplates, loadLadderView } from './generation/ladder.js';
+import { buildMarketGroup } from './generation/market-groups.js';
+import { marketDependency } from './daemon/conditional-markets.js';
+import { DEFAULT_NEWS_SOURCES, createNewsSource, loadNewsSources } from './monitoring/news-sources.js';
+import { clusterEvents } from './monitoring/story-clusters.js';
+import { ENTITY_TYPES } from './monitoring/entities.js';
+import { BUNDLED_CORPUS, DEFAULT_THRESHOLDS, loadCorpus, keywordScorer, aiScorer, evaluateScorer, compareReports } from './monitoring/scorer-eval.js';
+import { loadKeywordSet } from './monitoring/keyword-config.js';
+import { DEFAULT_KEYWORD_SET } from './monitoring/news-scorer.js';
 import { createAggregator, formatNumber, formatDuration } from './analytics/aggregator.js';
+import { createPortfolio } from './portfolio/portfolio.js';
 import { withSpinner, StepProgress, successLine, errorLine, infoLine } from './utils/spinner.js';
 import { listSupportedTokens, checkConfidentialTransferSupport } from './collateral/privacy-tokens.js';
 import { Connection } from '@solana/web3.js';
-import { AIMarketGenerator } from './ai/market-generator.js';
-import { AIScorer } from './ai/scorer.js';
-import { AIResolver } from './ai/resolver.js';
+
+// The AI commands import ./ai/* when they run: those modules need @anthropic-ai/sdk,
+// which the rest of the CLI does not
+
+// Print a dry-run transaction preview returned by the agent
+function printTransactionPreview(preview) {
+    console.log(chalk.cyan(`\nTransaction Preview (${preview.built ? 'built, not sent' : 'not built'}):\n`));
+
+    if (preview.question) infoLine(`Question: ${preview.question}`);
+    infoLine(`Instruction: ${preview.instruction.name}`);
+    infoLine(`Network: ${preview.network} (${preview.backend})`);
+    if (preview.transactionNote) {
+        console.log(chalk.gray(`  ${preview.transactionNote}`));
+    }
+    console.log();
+
+    console.log(chalk.yellow('Accounts'));
+    preview.accounts.forEach(a => {
+        const flags = [a.writable ? 'writable' : 'readonly', a.signer ? 'signer' : null].filter(Boolean).join(', ');
+        const label = a.role ? `${a.role}: ` : '';
+        infoLine(`${label}${a.address || chalk.gray('(derived on send)')} ${chalk.gray(`[${flags}]`)}`);
+    });
+    console.log();
+
+    const simulation = preview.transaction?.simulation;
+    if (simulation) {
+        console.log(chalk.yellow('Simulation'));
+        infoLine(`Compute units: ${simulation.computeUnits ?? 'unknown'}`);
+        if (simulation.error) {
+            console.log(chalk.red(`  Would fail: ${simulation.error}`));
+            simulation.logs.slice(-5).forEach(line => console.log(chalk.gray(`  ${line}`)));
+        }
+        console.log();
+    }
+
+    console.log(chalk.yellow('Costs'));
+    infoLine(`Collateral required: ${preview.collateralRequired} base units`);
+    infoLine(`Estimated fee: ${preview.fees.totalLamports} lamports ` +
+        chalk.gray(`(base ${preview.fees.baseFeeLamports} + priority ${preview.fees.priorityFeeLamports} ` +
+            `at ${preview.fees.computeUnits} CU (${preview.fees.computeUnitsSource}), ${preview.fees.source})`));
+    if (preview.fees.note) {
+        console.log(chalk.gray(`  ${preview.fees.note}`));
+    }
+    console.log();
+
+    if (preview.expectedOutput) {
+        console.log(chalk.yellow('Expected Output'));
+        for (const [key, value] of Object.entries(preview.expectedOutput)) {
+            infoLine(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        }
+    }
+
+    if (preview.lint) {
+        console.log();
+        printLintIssues([...preview.lint.errors, ...preview.lint.warnings]);
+    }
+}
+
+function printLintIssues(issues) {
+    issues.forEach(issue => {
+        const label = issue.severity === 'error' ? chalk.red('Error:') : chalk.yellow('Warning:');
+        console.log(label, `${issue.message} ${chalk.gray(`[${issue.rule}]`)}`);
+    });
+}
+
+function ratioText(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+// A change in percentage points, padded to a column before coloring
+function signedPoints(value, width = 9) {
+    if (value === null) return chalk.gray('n/a'.padEnd(width));
+    const text = `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}`.padEnd(width);
+    return value > 0 ? chalk.green(text) : value < 0 ? chalk.red(text) : chalk.gray(text);
+}
+
+function printScorerReport(name, report) {
+    console.log(chalk.cyan(`\n=== ${name} (${report.total} headlines) ===\n`));
+
+    console.log(chalk.yellow('Relevance'));
+    console.log(chalk.gray('  threshold  precision  recall    f1        tp  fp  fn  tn'));
+    report.thresholds.forEach(t => {
+        console.log(`  ${String(t.threshold).padEnd(9)}  ${ratioText(t.precision).padEnd(9)}  ${ratioText(t.recall).padEnd(8)}  ` +
+            `${ratioText(t.f1).padEnd(8)}  ${[t.tp, t.fp, t.fn, t.tn].map(n => String(n).padEnd(2)).join('  ')}`);
+    });
+
+    const { labels, matrix } = report.categories;
+    console.log(chalk.yellow(`\nCategories (accuracy ${ratioText(report.categories.accuracy)}, rows are labels)`));
+    console.log(chalk.gray(`  ${''.padEnd(12)}${labels.map(l => l.padEnd(12)).join('')}`));
+    for (const [actual, row] of Object.entries(matrix)) {
+        console.log(`  ${actual.padEnd(12)}${labels.map(l => (row[l] === 0 ? chalk.gray('0') : actual === l ? chalk.green(row[l]) : chalk.red(row[l])) + ' '.repeat(12 - String(row[l]).length)).join('')}`);
+    }
+
+    console.log(chalk.yellow('\nUrgency'));
+    infoLine(`Accuracy ${ratioText(report.urgency.accuracy)} (${report.urgency.correct}/${report.urgency.total})`);
+
+    report.errors.forEach(e => errorLine(`${e.title}: ${e.error}`));
+}
+
+function printReportComparison(name, comparison) {
+    console.log(chalk.cyan(`\n=== ${name} ===\n`));
+
+    console.log(chalk.gray('  threshold  precision  recall    f1        (percentage points)'));
+    comparison.thresholds.forEach(t => {
+        console.log(`  ${String(t.threshold).padEnd(9)}  ${signedPoints(t.precision.delta)}  ${signedPoints(t.recall.delta, 8)}  ${signedPoints(t.f1.delta, 8)}`);
+    });
+    infoLine(`Category accuracy ${ratioText(comparison.categoryAccuracy.base)} -> ${ratioText(comparison.categoryAccuracy.candidate)}`);
+    infoLine(`Urgency accuracy ${ratioText(comparison.urgencyAccuracy.base)} -> ${ratioText(comparison.urgencyAccuracy.candidate)}`);
+
+    if (comparison.changed.length > 0) {
+        console.log(chalk.yellow(`\nChanged headlines (relevance at ${comparison.threshold})`));
+        comparison.changed.forEach(c => {
+            const mark = c.fixed === true ? chalk.green('fixed') : c.fixed === false ? chalk.red('broke') : chalk.gray('moved');
+            console.log(`  ${mark} [${c.score.base} -> ${c.score.candidate}] ${c.title}`);
+            if (c.category.base !== c.category.candidate) {
+                console.log(chalk.gray(`        category ${c.category.base} -> ${c.category.candidate} (label ${c.category.expected || 'none'})`));
+            }
+            if (c.urgency.base !== c.urgency.candidate) {
+                console.log(chalk.gray(`        urgency ${c.urgency.base} -> ${c.urgency.candidate} (label ${c.urgency.expected || 'none'})`));
+            }
+        });
+    }
+}
 
 const program = new Command();
 
@@ -31,13 +169,15 @@ program
     .option('-l, --liquidity <amount>', 'Initial liquidity in base units', '1000000')
     .option('--p2p', 'Create as P2P market instead of AMM')
     .option('--side <side>', 'Side for P2P market (yes/no)', 'yes')
+    .option('--preview', 'Build and simulate the transaction and show its accounts, fees and collateral without sending it')
+    .option('--force', 'Create even if the question linter reports errors')
     .option('-v, --verbose', 'Verbose output')
     .action(async (options) => {
         try {
             const config = getConfig();
             const validation = validateConfig(config);
 
-            if (!validation.valid) {
+            if (!validation.valid && !options.preview) {
                 validation.errors.forEach(e => errorLine(e));
                 process.exit(1);
             }
@@ -46,6 +186,26 @@ program
 
             const agent = new PrivacyOracleAgent({ verbose: options.verbose });
 
+            if (options.preview) {
+                const preview = options.p2p
+                    ? await agent.createP2PMarket({
+                        question: options.question || generatePrivacyMarket().question,
+                        durationDays: parseInt(options.days, 10),
+                        amount: BigInt(options.liquidity),
+                        side: options.side,
+                        preview: true
+                    })
+                    : await agent.createPrivacyMarket({
+                        question: options.question,
+                        durationDays: parseInt(options.days, 10),
+                        liquidity: BigInt(options.liquidity),
+                        preview: true
+                    });
+
+                printTransactionPreview(preview);
+                return;
+            }
+
             const steps = new StepProgress([
                 'Generating market question',
                 'Building transaction',
@@ -62,13 +222,15 @@ program
                     question: options.question,
                     durationDays: parseInt(options.days, 10),
                     amount: BigInt(options.liquidity),
-                    side: options.side
+                    side: options.side,
+                    force: options.force
                 });
             } else {
                 result = await agent.createPrivacyMarket({
                     question: options.question,
                     durationDays: parseInt(options.days, 10),
-                    liquidity: BigInt(options.liquidity)
+                    liquidity: BigInt(options.liquidity),
+                    force: options.force
                 });
             }
 
@@ -79,6 +241,7 @@ program
             infoLine(`Market: ${result.market}`);
             infoLine(`Signature: ${result.signature}`);
             infoLine(`Duration: ${result.durationDays} days`);
+            printLintIssues(result.lintWarnings || []);
 
         } catch (error) {
             console.error(chalk.red('\nError:'), error.message);
@@ -89,6 +252,29 @@ program
         }
     });
 
+program
+    .command('lint <question...>')
+    .description('Check a market question for problems before creating it')
+    .option('-d, --days <days>', 'Market duration in days, to compare with the question deadline')
+    .action((words, options) => {
+        const result = lintQuestion(words.join(' '), {
+            durationDays: options.days ? parseInt(options.days, 10) : undefined
+        });
+
+        const issues = [...result.errors, ...result.warnings];
+        if (issues.length === 0) {
+            successLine('No issues found');
+        } else {
+            printLintIssues(issues);
+        }
+
+        if (result.deadline) {
+            infoLine(`Deadline: ${result.deadline.toISOString().slice(0, 10)}`);
+        }
+
+        if (!result.ok) process.exit(1);
+    });
+
 program
     .command('batch')
     .description('Create multiple privacy-themed markets')
@@ -147,40 +333,87 @@ program
         }
     });
 
+// Generate from the enabled packs; a broken pack setup falls back to privacy only
+async function applyCategoryPacks(config) {
+    try {
+        await loadCategoryPacks(config);
+    } catch (error) {
+        errorLine(`Could not load category packs: ${error.message}`);
+    }
+}
+
+// Guard seeded from the market database and, with discover, all PNP markets
+async function loadDuplicateGuard(config, options = {}) {
+    const store = config.daemon.storagePath ? createMarketStore(config.daemon.storagePath) : null;
+    const agent = options.discover ? new PrivacyOracleAgent({ config }) : null;
+
+    try {
+        return await createDuplicateGuard({
+            store,
+            agent,
+            threshold: config.dedup.threshold,
+            includeDiscovered: Boolean(options.discover)
+        });
+    } finally {
+        store?.close();
+    }
+}
+
+function formatSimilarity(similarity, threshold) {
+    if (!similarity || !similarity.match) return chalk.gray('Similarity: 0.00 (no similar questions)');
+
+    const color = similarity.score >= threshold ? chalk.red : similarity.score >= threshold / 2 ? chalk.yellow : chalk.gray;
+    return color(`Similarity: ${similarity.score.toFixed(2)} to "${similarity.match}"`);
+}
+
 program
     .command('generate')
     .description('Generate market ideas without creating them')
     .option('-c, --count <count>', 'Number of ideas to generate', '5')
-    .option('-k, --category <category>', 'Filter by category (regulation, technology, adoption, events)')
-    .action((options) => {
+    .option('-k, --category <category>', 'Filter by category (see the categories command)')
+    .option('--discover', 'Also check similarity against all markets on PNP')
+    .action(async (options) => {
         const count = parseInt(options.count, 10);
+        const config = getConfig();
+        await applyCategoryPacks(config);
+        const guard = await loadDuplicateGuard(config, options);
 
         let ideas;
         if (options.category) {
-            if (!PRIVACY_CATEGORIES[options.category]) {
+            if (!getCategory(options.category)) {
                 errorLine(`Unknown category: ${options.category}`);
-                console.log(chalk.gray('Available: regulation, technology, adoption, events'));
+                console.log(chalk.gray(`Available: ${listCategories().map(c => c.key).join(', ')}`));
                 process.exit(1);
             }
-            ideas = getMarketsByCategory(options.category).slice(0, count);
+            ideas = getMarketsByCategory(options.category).slice(0, count)
+                .map(idea => ({ ...idea, similarity: guard.check(idea.question) }));
         } else {
-            ideas = generateMultipleMarkets(count);
+            // Near-duplicates are regenerated rather than shown
+            ideas = generateMultipleMarkets(count, { guard: config.dedup.enabled ? guard : null });
         }
 
-        console.log(chalk.cyan(`\nGenerated ${ideas.length} privacy market ideas:\n`));
+        console.log(chalk.cyan(`\nGenerated ${ideas.length} market ideas:\n`));
 
         ideas.forEach((idea, i) => {
-            const cat = PRIVACY_CATEGORIES[idea.categoryKey];
+            const cat = getCategory(idea.categoryKey);
             const urgencyColor = cat?.urgency === 'breaking' ? chalk.red :
                                  cat?.urgency === 'timely' ? chalk.yellow : chalk.gray;
             const sentimentIcon = cat?.sentiment === 'bullish' ? '↑' :
                                   cat?.sentiment === 'bearish' ? '↓' : '→';
 
             console.log(chalk.yellow(`${i + 1}.`), idea.question);
-            console.log(chalk.gray(`   Category: ${idea.category}`));
+            console.log(chalk.gray(`   Category: ${idea.category} (${idea.pack} pack)`));
             console.log(chalk.gray(`   Duration: ${idea.durationDays || 30} days | `),
                        urgencyColor(`Urgency: ${cat?.urgency || 'evergreen'}`),
                        chalk.gray(` | Sentiment: ${sentimentIcon} ${cat?.sentiment || 'neutral'}`));
+            if (idea.slots && Object.keys(idea.slots).length > 0) {
+                const slots = Object.entries(idea.slots).map(([name, value]) => `${name}=${value}`).join(', ');
+                console.log(chalk.gray(`   Template: ${idea.templateId} | Slots: ${slots}`));
+            }
+            if (idea.resolutionSource) {
+                console.log(chalk.gray(`   Resolves via: ${idea.resolutionSource}`));
+            }
+            console.log(`   ${formatSimilarity(idea.similarity ?? guard.check(idea.question), guard.threshold)}`);
             console.log();
         });
     });
@@ -188,23 +421,37 @@ program
 program
     .command('categories')
     .description('List available market categories')
-    .action(() => {
+    .option('-t, --templates', 'Show each template with its slots, resolution source and duration')
+    .action(async (options) => {
+        await applyCategoryPacks(getConfig());
         const cats = listCategories();
 
-        console.log(chalk.cyan('\nPrivacy Market Categories:\n'));
+        console.log(chalk.cyan('\nMarket Categories:\n'));
 
         cats.forEach(cat => {
-            const category = PRIVACY_CATEGORIES[cat.key];
+            const category = getCategory(cat.key);
             const percentage = (cat.weight * 100).toFixed(0);
             const urgencyColor = category?.urgency === 'breaking' ? chalk.red :
                                  category?.urgency === 'timely' ? chalk.yellow : chalk.gray;
 
-            console.log(chalk.yellow(cat.name), chalk.gray(`(${percentage}% weight)`));
+            console.log(chalk.yellow(cat.name), chalk.gray(`[${cat.key}, ${cat.pack} pack] (${percentage}% weight)`));
             console.log(chalk.gray(`  Templates: ${cat.templateCount}`),
                        chalk.gray(' | '),
                        urgencyColor(`Urgency: ${category?.urgency || 'evergreen'}`),
                        chalk.gray(' | '),
                        chalk.gray(`Sentiment: ${category?.sentiment || 'neutral'}`));
+            console.log(chalk.gray(`  Slot types: ${cat.slotTypes.join(', ')}`));
+
+            if (options.templates) {
+                getTemplates(cat.key).forEach(template => {
+                    console.log(`  ${chalk.yellow(template.id)} ${template.text}`);
+                    template.slots.forEach(slot => {
+                        const choices = slot.choices === null ? 'computed' : `${slot.choices} values`;
+                        console.log(chalk.gray(`      {${slot.name}} ${slot.type}${slot.args ? ` ${slot.args}` : ''} - ${slot.description} (${choices})`));
+                    });
+                    console.log(chalk.gray(`      Resolves via: ${template.resolutionSource} | Default duration: ${template.defaultDuration} days`));
+                });
+            }
             console.log();
         });
     });
@@ -249,14 +496,35 @@ program
         }
     });
 
+function printDependency(dependency) {
+    if (!dependency) return;
+
+    if (dependency.parent) {
+        const condition = dependency.parent.condition;
+        const color = condition === 'yes' ? chalk.green : condition === 'pending' ? chalk.yellow : chalk.red;
+        console.log(chalk.yellow('Condition:'), `only counts if ${dependency.parent.address} resolves YES`);
+        if (dependency.parent.question) console.log(chalk.gray(`  ${dependency.parent.question}`));
+        console.log(chalk.gray('  Parent:'), color(condition.toUpperCase()));
+        if (dependency.hold) console.log(chalk.gray(`  ${dependency.hold}`));
+    }
+
+    if (dependency.children.length > 0) {
+        console.log(chalk.yellow('Conditionals:'), `${dependency.children.length} market(s) depend on this one`);
+        dependency.children.forEach(c => console.log(chalk.gray(`  ${c.address} [${c.status}] ${c.question}`)));
+    }
+}
+
 program
     .command('info <market>')
     .description('Get detailed info about a specific market')
     .option('-v, --verbose', 'Verbose output')
     .action(async (market, options) => {
         try {
-            const agent = new PrivacyOracleAgent({ verbose: options.verbose });
+            const config = getConfig();
+            const store = config.daemon.storagePath ? createMarketStore(config.daemon.storagePath) : null;
+            const agent = new PrivacyOracleAgent({ config, store, verbose: options.verbose });
             const info = await agent.fetchMarketInfo(market);
+            store?.close();
             
             console.log(chalk.cyan('\nMarket Information:\n'));
             console.log(chalk.yellow('Question:'), info.question);
@@ -268,6 +536,8 @@ program
             if (info.winningToken) {
                 console.log(chalk.yellow('Winner:'), info.winningToken);
             }
+
+            printDependency(info.dependency);
             
         } catch (error) {
             console.error(chalk.red('Error:'), error.message);
@@ -287,6 +557,7 @@ program
         // Network
         console.log(chalk.yellow('Network'));
         infoLine(`Network: ${config.network}`);
+        infoLine(`Backend: ${config.backend === 'simulated' ? chalk.yellow('Simulated (offline)') : 'PNP via RPC'}`);
         infoLine(`RPC: ${config.heliusKey ? 'Helius (configured)' : chalk.red('Public RPC (rate limited)')}`);
         infoLine(`Wallet: ${config.walletKey ? chalk.green('Configured') : chalk.red('Not configured')}`);
         console.log();
@@ -338,8 +609,13 @@ program
     .option('-c, --count <count>', 'Markets per cycle', '1')
     .option('--dry-run', 'Generate markets without creating on-chain')
     .option('--news', 'Enable news monitoring for timely markets')
+    .option('--no-news-markets', 'Use news as context only; never create markets from stories')
     .option('--webhooks', 'Enable webhook server for Helius events')
     .option('--webhook-port <port>', 'Webhook server port', '3000')
+    .option('--redeem-schedule <schedule>', 'How often to claim winnings and refunds (default 15m)')
+    .option('--no-redeem', 'Disable the automatic redemption sweeper')
+    .option('--settle', 'Settle expired markets we are oracle for (low confidence goes to review)')
+    .option('--approve', 'Queue generated markets for human approval instead of creating them')
     .option('-v, --verbose', 'Verbose output')
     .action(async (options) => {
         try {
@@ -359,17 +635,25 @@ program
                     ...config.daemon,
                     schedule: options.schedule,
                     marketsPerRound: parseInt(options.count, 10),
-                    maxIterations: options.iterations ? parseInt(options.iterations, 10) : undefined
+                    maxIterations: options.iterations ? parseInt(options.iterations, 10) : undefined,
+                    redemptionSweeper: options.redeem && config.daemon.redemptionSweeper,
+                    redemptionSchedule: options.redeemSchedule || config.daemon.redemptionSchedule,
+                    approvalMode: options.approve || config.daemon.approvalMode
                 },
                 news: {
                     ...config.news,
-                    enabled: options.news || config.news.enabled
+                    enabled: options.news || config.news.enabled,
+                    markets: options.newsMarkets && config.news.markets
                 },
                 webhook: {
                     ...config.webhook,
                     enabled: options.webhooks || config.webhook.enabled,
                     port: parseInt(options.webhookPort, 10)
                 },
+                settlement: {
+                    ...config.settlement,
+                    enabled: options.settle || config.settlement.enabled
+                },
                 dryRun: options.dryRun,
                 verbose: options.verbose
             };
@@ -379,7 +663,13 @@ program
             infoLine(`Max iterations: ${daemonConfig.daemon.maxIterations || 'Infinite'}`);
             infoLine(`Dry run: ${daemonConfig.dryRun ? 'Yes' : 'No'}`);
             infoLine(`News monitoring: ${daemonConfig.news.enabled ? 'Enabled' : 'Disabled'}`);
+            if (daemonConfig.news.enabled) {
+                infoLine(`News markets: ${daemonConfig.news.markets ? `Stories scoring ${daemonConfig.news.marketMinScore}+ (${daemonConfig.news.marketGenerator} questions)` : 'Disabled'}`);
+            }
             infoLine(`Webhooks: ${daemonConfig.webhook.enabled ? `Enabled (port ${daemonConfig.webhook.port})` : 'Disabled'}`);
+            infoLine(`Redemption sweeper: ${daemonConfig.daemon.redemptionSweeper ? `Every ${daemonConfig.daemon.redemptionSchedule}` : 'Disabled'}`);
+            infoLine(`Approval queue: ${daemonConfig.daemon.approvalMode ? `Enabled (proposals expire after ${daemonConfig.daemon.approvalTtl})` : 'Disabled'}`);
+            infoLine(`Settlement: ${daemonConfig.settlement.enabled ? `Every ${daemonConfig.settlement.schedule} (min confidence ${daemonConfig.settlement.minConfidence})` : 'Disabled'}`);
             console.log();
 
             const daemon = new PrivacyOracleDaemon(daemonConfig);
@@ -399,6 +689,8 @@ program
     .command('stats')
     .description('Show market analytics and statistics')
     .option('--period <period>', 'Time period (24h, 7d, 30d)', '7d')
+    .option('--history <count>', 'Weight updates to show per category', '5')
+    .option('--templates', 'Also show template weights')
     .action(async (options) => {
         try {
             const config = getConfig();
@@ -446,11 +738,15 @@ program
                 console.log(chalk.yellow('Recent Markets'));
                 overview.recentMarkets.slice(0, 5).forEach(m => {
                     const statusColor = m.status === 'active' ? chalk.green :
-                                       m.status === 'resolved' ? chalk.blue : chalk.gray;
+                                       ['settled', 'redeemed'].includes(m.status) ? chalk.blue : chalk.gray;
                     console.log(`  ${statusColor('●')} ${m.question.slice(0, 60)}...`);
                 });
+                console.log();
             }
 
+            await applyCategoryPacks(config);
+            printCategoryWeights(store, config, options);
+
             store.close();
 
         } catch (error) {
@@ -459,202 +755,1495 @@ program
         }
     });
 
-// Interactive mode
+// Current adaptive weights against the static ones, then how they moved over time
+function printCategoryWeights(store, config, options) {
+    const history = store.getWeightHistory({ limit: parseInt(options.history, 10) || 5 });
+    const latestAt = history[0]?.computedAt;
+
+    // Before the daemon has reweighted anything, preview what the policy would pick
+    const latest = latestAt
+        ? history.filter(row => row.computedAt === latestAt)
+        : new AdaptiveWeighting({ store, ...config.adaptive }).compute().arms;
+    const policy = latestAt ? history[0].policy : config.adaptive.policy;
+    const when = latestAt ? `updated ${new Date(latestAt).toLocaleString()}` : 'preview, not yet applied';
+
+    console.log(chalk.yellow(`Category Weights (${policy}, ${when})`));
+
+    const describe = (row, staticWeight) => {
+        const reward = row.meanReward === null ? 'no data' : `reward ${row.meanReward.toFixed(2)}`;
+        const change = staticWeight === undefined ? '' : `${(staticWeight * 100).toFixed(0)}% → `;
+        return `${change}${chalk.cyan(`${(row.weight * 100).toFixed(1)}%`)} ${chalk.gray(`(${row.samples} markets, ${reward})`)}`;
+    };
+
+    latest.filter(row => row.kind === 'category').forEach(row => {
+        console.log(`  ${row.arm}: ${describe(row, getCategory(row.arm)?.weight)}`);
+    });
+
+    if (options.templates) {
+        latest.filter(row => row.kind === 'template')
+            .sort((a, b) => b.weight - a.weight)
+            .forEach(row => console.log(`  ${row.arm}: ${describe(row)}`));
+    }
+
+    const snapshots = [...new Set(history.map(row => row.computedAt))];
+    if (snapshots.length > 1) {
+        console.log(chalk.yellow(`\nWeight History (last ${snapshots.length} updates, oldest first)`));
+        const arms = [...new Set(history.filter(row => row.kind === 'category').map(row => row.arm))];
+        arms.forEach(arm => {
+            const trail = history
+                .filter(row => row.kind === 'category' && row.arm === arm)
+                .reverse()
+                .map(row => `${(row.weight * 100).toFixed(0)}%`)
+                .join(' → ');
+            console.log(`  ${arm}: ${trail}`);
+        });
+    }
+    console.log();
+}
+
+// Portfolio command
 program
-    .command('interactive')
-    .alias('i')
-    .description('Interactive market creation wizard')
-    .action(async () => {
+    .command('portfolio')
+    .description('Show positions, cost basis and PnL across all traded markets')
+    .option('--closed', 'Include closed positions')
+    .option('--json', 'Output raw JSON')
+    .action(async (options) => {
         try {
             const config = getConfig();
-            const validation = validateConfig(config);
+            const portfolio = createPortfolio(config.daemon.storagePath || ':memory:');
+            const agent = new PrivacyOracleAgent({ portfolio });
 
-            console.log(chalk.cyan('\n=== Privacy Oracle Interactive Mode ===\n'));
+            const summary = await withSpinner(
+                'Valuing positions',
+                () => agent.getPortfolio(),
+                { successText: 'Portfolio loaded' }
+            );
 
-            if (!validation.valid) {
-                validation.errors.forEach(e => errorLine(e));
-                console.log(chalk.yellow('\nNote: Wallet not configured. Running in preview mode.\n'));
+            if (options.json) {
+                console.log(JSON.stringify(summary, null, 2));
+                portfolio.store.close();
+                return;
             }
 
-            // Category selection
-            const categories = listCategories();
-            const { category } = await inquirer.prompt([{
-                type: 'list',
-                name: 'category',
-                message: 'Select market category:',
-                choices: [
-                    { name: 'Random (AI picks)', value: 'random' },
-                    ...categories.map(c => ({
-                        name: `${c.name} (${c.templateCount} templates)`,
-                        value: c.key
-                    }))
-                ]
-            }]);
+            const pnl = (value) => (value >= 0 ? chalk.green(`+${value.toFixed(2)}`) : chalk.red(value.toFixed(2)));
+            const positions = options.closed ? summary.positions : summary.positions.filter(p => p.open);
 
-            // Generate question
-            let market;
-            if (category === 'random') {
-                market = generatePrivacyMarket();
+            console.log(chalk.cyan('\n=== Portfolio ===\n'));
+
+            if (positions.length === 0) {
+                console.log(chalk.gray('No positions recorded yet.\n'));
             } else {
-                const categoryMarkets = getMarketsByCategory(category);
-                market = categoryMarkets[Math.floor(Math.random() * categoryMarkets.length)];
+                console.log(chalk.yellow('Positions'));
+                positions.forEach(p => {
+                    const price = p.price !== null ? p.price.toFixed(3) : 'n/a';
+                    const status = p.open ? chalk.green('●') : chalk.gray('○');
+                    console.log(`  ${status} ${p.market} ${p.side.toUpperCase()}`);
+                    console.log(chalk.gray(`      ${p.tokens.toFixed(2)} tokens @ ${p.averageCost.toFixed(3)} avg, price ${price}`) +
+                        `  unrealized ${pnl(p.unrealizedPnl)}  realized ${p.payoutUnknown ? chalk.gray('payout unknown') : pnl(p.realizedPnl)}`);
+                });
+                console.log();
             }
 
-            console.log(chalk.cyan('\nGenerated question:'));
-            console.log(chalk.white(`  "${market.question}"\n`));
-
-            // Customize?
-            const { customize } = await inquirer.prompt([{
-                type: 'confirm',
-                name: 'customize',
-                message: 'Customize this question?',
-                default: false
-            }]);
+            console.log(chalk.yellow('Totals'));
+            infoLine(`Open positions: ${summary.totals.openPositions}`);
+            infoLine(`Cost basis: ${summary.totals.costBasis.toFixed(2)} USDC`);
+            infoLine(`Market value: ${summary.totals.marketValue.toFixed(2)} USDC`);
+            console.log(`  Unrealized PnL: ${pnl(summary.totals.unrealizedPnl)}`);
+            console.log(`  Realized PnL: ${pnl(summary.totals.realizedPnl)}`);
+            console.log();
 
-            let finalQuestion = market.question;
-            if (customize) {
-                const { customQuestion } = await inquirer.prompt([{
-                    type: 'input',
-                    name: 'customQuestion',
-                    message: 'Enter custom question:',
-                    default: market.question
-                }]);
-                finalQuestion = customQuestion;
+            const categories = Object.entries(summary.exposureByCategory);
+            if (categories.length > 0) {
+                console.log(chalk.yellow('Exposure by Category'));
+                categories.forEach(([category, exposure]) => {
+                    const share = summary.totals.totalExposure > 0 ? (exposure / summary.totals.totalExposure) * 100 : 0;
+                    const bar = '█'.repeat(Math.ceil(share / 5));
+                    console.log(`  ${category}: ${exposure.toFixed(2)} USDC (${share.toFixed(0)}%) ${chalk.cyan(bar)}`);
+                });
             }
 
-            // Duration
-            const { duration } = await inquirer.prompt([{
-                type: 'list',
-                name: 'duration',
-                message: 'Market duration:',
-                choices: [
-                    { name: '14 days', value: 14 },
-                    { name: '30 days (recommended)', value: 30 },
-                    { name: '60 days', value: 60 },
-                    { name: '90 days', value: 90 },
-                    { name: 'Custom', value: 'custom' }
-                ],
-                default: 1
-            }]);
-
-            let finalDuration = duration;
-            if (duration === 'custom') {
-                const { customDuration } = await inquirer.prompt([{
-                    type: 'number',
-                    name: 'customDuration',
-                    message: 'Enter duration in days:',
-                    default: 30
-                }]);
-                finalDuration = customDuration;
-            }
+            portfolio.store.close();
 
-            // Liquidity
-            const { liquidity } = await inquirer.prompt([{
-                type: 'list',
-                name: 'liquidity',
-                message: 'Initial liquidity:',
-                choices: [
-                    { name: '500,000 (0.5 USDC)', value: '500000' },
-                    { name: '1,000,000 (1 USDC) - recommended', value: '1000000' },
-                    { name: '5,000,000 (5 USDC)', value: '5000000' },
-                    { name: 'Custom', value: 'custom' }
-                ],
-                default: 1
-            }]);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
 
-            let finalLiquidity = liquidity;
-            if (liquidity === 'custom') {
-                const { customLiquidity } = await inquirer.prompt([{
-                    type: 'input',
-                    name: 'customLiquidity',
-                    message: 'Enter liquidity in base units:',
-                    default: '1000000'
-                }]);
-                finalLiquidity = customLiquidity;
-            }
+// Database maintenance commands
+const db = program
+    .command('db')
+    .description('Inspect and migrate the market database schema');
+
+function openDatabase(options) {
+    const path = options.path || getConfig().daemon.storagePath;
+    if (!path) {
+        errorLine('No database configured. Set DAEMON_STORAGE_PATH or pass --path.');
+        process.exit(1);
+    }
+    return { path, store: createMarketStore(path, { migrate: false }) };
+}
+
+db
+    .command('status')
+    .description('Show the schema version and pending migrations')
+    .option('-p, --path <path>', 'Database file (defaults to DAEMON_STORAGE_PATH)')
+    .action((options) => {
+        try {
+            const { path, store } = openDatabase(options);
+            const status = store.getSchemaStatus();
+            store.close();
 
-            // Market type
-            const { marketType } = await inquirer.prompt([{
-                type: 'list',
-                name: 'marketType',
-                message: 'Market type:',
-                choices: [
-                    { name: 'AMM (Automated Market Maker) - recommended', value: 'amm' },
-                    { name: 'P2P (Peer-to-Peer)', value: 'p2p' }
-                ],
-                default: 0
-            }]);
+            console.log(chalk.cyan('\n=== Database Schema ===\n'));
+            infoLine(`Database: ${path}`);
+            infoLine(`Version: ${status.currentVersion} of ${status.latestVersion}`);
+            console.log();
 
-            // Summary
-            console.log(chalk.cyan('\n=== Market Summary ===\n'));
-            infoLine(`Question: ${finalQuestion}`);
-            infoLine(`Duration: ${finalDuration} days`);
-            infoLine(`Liquidity: ${finalLiquidity}`);
-            infoLine(`Type: ${marketType.toUpperCase()}`);
+            status.migrations.forEach(m => {
+                const mark = m.applied ? chalk.green('✓') : chalk.yellow('○');
+                console.log(`  ${mark} ${String(m.version).padStart(3)}  ${m.name}`);
+            });
             console.log();
 
-            if (!validation.valid) {
-                console.log(chalk.yellow('Cannot create market: wallet not configured'));
-                console.log(chalk.gray('Set WALLET_PRIVATE_KEY or PRIVATE_KEY in .env'));
-                return;
+            if (status.currentVersion > status.latestVersion) {
+                errorLine('Database was created by a newer version of pnpfucius');
+            } else if (status.upToDate) {
+                successLine('Schema is up to date');
+            } else {
+                console.log(chalk.yellow(`${status.latestVersion - status.currentVersion} pending migration(s). Run: pnpfucius db migrate`));
             }
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
 
-            // Confirm
-            const { confirm } = await inquirer.prompt([{
-                type: 'confirm',
-                name: 'confirm',
-                message: 'Create this market on Solana?',
-                default: true
-            }]);
+db
+    .command('migrate')
+    .description('Apply pending schema migrations')
+    .option('-p, --path <path>', 'Database file (defaults to DAEMON_STORAGE_PATH)')
+    .option('--to <version>', `Target version (default: ${LATEST_VERSION})`)
+    .action((options) => {
+        try {
+            const { path, store } = openDatabase(options);
+            const target = options.to ? parseInt(options.to, 10) : undefined;
+            const applied = store.migrate({ target });
+            const version = store.getSchemaStatus().currentVersion;
+            store.close();
 
-            if (!confirm) {
-                console.log(chalk.yellow('Market creation cancelled.'));
+            if (applied.length === 0) {
+                successLine(`${path} is already at version ${version}`);
                 return;
             }
 
-            // Create market
-            const agent = new PrivacyOracleAgent({ verbose: true });
-
-            const result = await withSpinner(
-                'Creating market on Solana',
-                async () => {
-                    if (marketType === 'p2p') {
-                        return agent.createP2PMarket({
-                            question: finalQuestion,
-                            durationDays: finalDuration,
-                            amount: BigInt(finalLiquidity),
-                            side: 'yes'
-                        });
-                    }
-                    return agent.createPrivacyMarket({
-                        question: finalQuestion,
-                        durationDays: finalDuration,
-                        liquidity: BigInt(finalLiquidity)
-                    });
-                },
-                { successText: 'Market created!' }
-            );
-
-            console.log();
-            successLine('Market created successfully!');
-            infoLine(`Address: ${result.market}`);
-            infoLine(`Signature: ${result.signature}`);
-
+            applied.forEach(m => successLine(`Applied ${m.version}: ${m.name}`));
+            infoLine(`${path} is now at version ${version}`);
         } catch (error) {
-            if (error.name === 'ExitPromptError') {
-                console.log(chalk.yellow('\nCancelled.'));
-                return;
-            }
             console.error(chalk.red('Error:'), error.message);
             process.exit(1);
         }
     });
 
-// Tokens command
-program
-    .command('tokens')
-    .description('List supported collateral tokens')
-    .option('--check <mint>', 'Check if a mint supports confidential transfers')
+// Settlement review commands
+const settlement = program
+    .command('settlement')
+    .description('Review and approve automated settlement decisions');
+
+async function openSettlementPipeline() {
+    const config = getConfig();
+    if (!config.daemon.storagePath) {
+        errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+        process.exit(1);
+    }
+
+    const store = createMarketStore(config.daemon.storagePath);
+    const agent = new PrivacyOracleAgent({ config });
+    return { store, pipeline: new SettlementPipeline({ agent, store }) };
+}
+
+settlement
+    .command('queue')
+    .description('List markets waiting on a human settlement decision')
+    .action(async () => {
+        try {
+            const { store } = await openSettlementPipeline();
+            const queue = store.getSettlementReviewQueue();
+            store.close();
+
+            console.log(chalk.cyan('\n=== Settlement Review Queue ===\n'));
+
+            if (queue.length === 0) {
+                console.log(chalk.gray('Nothing waiting for review.\n'));
+                return;
+            }
+
+            queue.forEach(item => {
+                const suggested = item.outcome ? item.outcome.toUpperCase() : 'none';
+                console.log(`${chalk.yellow(`#${item.id}`)} ${item.market}`);
+                console.log(chalk.gray(`  Suggested: ${suggested} | Confidence: ${(item.confidence ?? 0).toFixed(2)} | Source: ${item.source}`));
+                console.log(chalk.gray(`  ${item.reasoning}`));
+                console.log();
+            });
+
+            console.log(chalk.gray('Approve with: pnpfucius settlement approve <id> <yes|no>'));
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+settlement
+    .command('approve <id> <outcome>')
+    .description('Settle a queued market with the given outcome (yes or no)')
+    .action(async (id, outcome) => {
+        try {
+            if (!['yes', 'no'].includes(outcome)) {
+                errorLine('Outcome must be yes or no');
+                process.exit(1);
+            }
+
+            const { store, pipeline } = await openSettlementPipeline();
+            const result = await withSpinner(
+                'Settling market',
+                () => pipeline.approve(parseInt(id, 10), outcome, process.env.USER || 'cli'),
+                { successText: 'Done' }
+            );
+            store.close();
+
+            if (result.decision === 'settled') {
+                successLine(`Settled ${result.market} as ${outcome.toUpperCase()}`);
+                infoLine(`Signature: ${result.signature}`);
+            } else {
+                errorLine(result.reasoning);
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+settlement
+    .command('dismiss <id>')
+    .description('Remove a market from the review queue without settling it')
+    .action(async (id) => {
+        try {
+            const { store, pipeline } = await openSettlementPipeline();
+            const item = pipeline.dismiss(parseInt(id, 10), process.env.USER || 'cli');
+            store.close();
+
+            successLine(`Dismissed review #${item.id} for ${item.market}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+settlement
+    .command('log [market]')
+    .description('Show persisted settlement decisions and their reasoning')
+    .option('-n, --limit <limit>', 'Maximum decisions to show', '20')
+    .action(async (market, options) => {
+        try {
+            const { store } = await openSettlementPipeline();
+            const decisions = store.getSettlementDecisions({ market, limit: parseInt(options.limit, 10) });
+            store.close();
+
+            console.log(chalk.cyan('\n=== Settlement Decisions ===\n'));
+
+            decisions.forEach(d => {
+                const when = new Date(d.timestamp).toLocaleString();
+                const outcome = d.outcome ? ` ${d.outcome.toUpperCase()}` : '';
+                console.log(`${chalk.yellow(d.decision.toUpperCase())}${outcome} ${d.market} ${chalk.gray(when)}`);
+                if (d.reasoning) console.log(chalk.gray(`  ${d.reasoning}`));
+            });
+
+            if (decisions.length === 0) {
+                console.log(chalk.gray('No decisions recorded.'));
+            }
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Approval queue for daemon-generated markets
+const queue = program
+    .command('queue')
+    .description('Review markets the daemon generated in approval mode');
+
+async function openApprovalQueue() {
+    const config = getConfig();
+    if (!config.daemon.storagePath) {
+        errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+        process.exit(1);
+    }
+
+    const store = createMarketStore(config.daemon.storagePath);
+    const agent = new PrivacyOracleAgent({ config });
+    return { store, approvals: new ApprovalQueue({ store, agent, ttl: config.daemon.approvalTtl }) };
+}
+
+queue
+    .command('list')
+    .description('List proposed markets')
+    .option('-s, --status <status>', 'pending, created, rejected, expired, failed or all', 'pending')
+    .action(async (options) => {
+        try {
+            const { store, approvals } = await openApprovalQueue();
+            const proposals = approvals.list(options.status);
+            store.close();
+
+            console.log(chalk.cyan('\n=== Approval Queue ===\n'));
+
+            if (proposals.length === 0) {
+                console.log(chalk.gray('Nothing in the queue.\n'));
+                return;
+            }
+
+            proposals.forEach(p => {
+                const expires = p.expiresAt ? new Date(p.expiresAt).toLocaleString() : 'never';
+                console.log(`${chalk.yellow(`#${p.id}`)} ${p.question}`);
+                console.log(chalk.gray(`  ${p.category || 'Uncategorized'} | ${p.durationDays} days | Status: ${p.status} | Expires: ${expires}`));
+                if (p.marketAddress) console.log(chalk.gray(`  Market: ${p.marketAddress}`));
+                if (p.error) console.log(chalk.red(`  Error: ${p.error}`));
+                if (p.reviewNote) console.log(chalk.gray(`  Note: ${p.reviewNote}`));
+                console.log();
+            });
+
+            console.log(chalk.gray('Approve with: pnpfucius queue approve <id>'));
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+queue
+    .command('approve <id>')
+    .description('Create a proposed market on-chain')
+    .option('--force', 'Create even if the question linter reports errors')
+    .action(async (id, options) => {
+        try {
+            const { store, approvals } = await openApprovalQueue();
+            const result = await withSpinner(
+                'Creating market',
+                () => approvals.approve(parseInt(id, 10), process.env.USER || 'cli', { force: options.force }),
+                { successText: 'Done' }
+            );
+            store.close();
+
+            if (result.status === 'created') {
+                successLine(`Created market ${result.marketAddress}`);
+                infoLine(`Signature: ${result.signature}`);
+                if (result.error) errorLine(result.error);
+            } else {
+                errorLine(result.error);
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+queue
+    .command('reject <id>')
+    .description('Reject a proposed market')
+    .option('--note <note>', 'Reason for rejecting')
+    .action(async (id, options) => {
+        try {
+            const { store, approvals } = await openApprovalQueue();
+            const proposal = approvals.reject(parseInt(id, 10), process.env.USER || 'cli', options.note);
+            store.close();
+
+            successLine(`Rejected #${proposal.id}: ${proposal.question}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+queue
+    .command('edit <id>')
+    .description('Edit a proposed market before approving it')
+    .option('-q, --question <question>', 'New question text')
+    .option('-d, --days <days>', 'New duration in days')
+    .option('-l, --liquidity <amount>', 'New initial liquidity in base units')
+    .option('--force', 'Accept question lint errors now and when the proposal is approved')
+    .action(async (id, options) => {
+        try {
+            const { store, approvals } = await openApprovalQueue();
+            const proposal = approvals.edit(parseInt(id, 10), {
+                question: options.question,
+                durationDays: options.days,
+                liquidity: options.liquidity,
+                force: options.force
+            }, process.env.USER || 'cli');
+            store.close();
+
+            successLine(`Updated #${proposal.id}: ${proposal.question}`);
+            infoLine(`Duration: ${proposal.durationDays} days | Liquidity: ${proposal.liquidity}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Recurring market series
+const series = program
+    .command('series')
+    .description('Define and review recurring market series');
+
+function openRecurringSeries() {
+    const config = getConfig();
+    if (!config.daemon.storagePath) {
+        errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+        process.exit(1);
+    }
+
+    const store = createMarketStore(config.daemon.storagePath);
+    return { store, recurring: new RecurringSeries({ store }) };
+}
+
+series
+    .command('create <id>')
+    .description('Define a series; the daemon creates each instance as the previous one nears expiry')
+    .requiredOption('-q, --question <template>', 'Question with a {date} slot, e.g. "Will SOL close above $200 by {date}?"')
+    .option('-c, --cadence <cadence>', `How often a new instance starts (${Object.keys(CADENCES).join(', ')})`, 'monthly')
+    .option('-l, --liquidity <amount>', 'Initial liquidity per instance in base units')
+    .option('--lead <duration>', 'How long before the deadline to create the next instance', '3d')
+    .option('--source <source>', 'Where each instance resolves from')
+    .option('--force', 'Define it even if the question fails lint')
+    .action(async (id, options) => {
+        try {
+            const { store, recurring } = openRecurringSeries();
+            const created = recurring.define({
+                id,
+                template: options.question,
+                cadence: options.cadence,
+                liquidity: options.liquidity ?? null,
+                leadTime: options.lead,
+                resolutionSource: options.source ?? null
+            }, { force: options.force });
+            const next = recurring.nextPeriod(created);
+            store.close();
+
+            successLine(`Defined ${created.id} (${created.metadata.cadence})`);
+            infoLine(`First instance: ${next.question}`);
+            infoLine('The daemon creates it on its next rollover run.');
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+series
+    .command('list')
+    .description('List recurring series with their latest and next instance')
+    .action(async () => {
+        try {
+            const { store, recurring } = openRecurringSeries();
+            const all = recurring.list();
+            store.close();
+
+            console.log(chalk.cyan('\n=== Recurring Series ===\n'));
+            if (all.length === 0) {
+                console.log(chalk.gray('No series yet. Define one with: pnpfucius series create <id> -q "... by {date}?"\n'));
+                return;
+            }
+
+            all.forEach(s => {
+                const state = s.status === 'active' ? chalk.green('active') : chalk.yellow(s.status);
+                console.log(`${chalk.yellow(s.id)} [${state}] ${s.title}`);
+                console.log(chalk.gray(`  ${s.metadata.cadence} | ${s.marketCount} instance(s) | Liquidity: ${s.metadata.liquidity ?? 'default'} | Lead: ${s.metadata.leadTime}`));
+                if (s.latest) console.log(chalk.gray(`  Latest: ${s.latest.question} (${s.latest.status})`));
+                if (s.next) console.log(chalk.gray(`  Due: ${s.next.question}`));
+                console.log();
+            });
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+series
+    .command('pause <id>')
+    .description('Stop creating new instances of a series')
+    .action(async (id) => {
+        try {
+            const { store, recurring } = openRecurringSeries();
+            recurring.pause(id);
+            store.close();
+            successLine(`Paused ${id}. Open instances run to their deadline.`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+series
+    .command('resume <id>')
+    .description('Start creating instances of a paused series again')
+    .action(async (id) => {
+        try {
+            const { store, recurring } = openRecurringSeries();
+            recurring.resume(id);
+            store.close();
+            successLine(`Resumed ${id}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+series
+    .command('history <id>')
+    .description('Show every instance of a series and how it resolved')
+    .action(async (id) => {
+        try {
+            const { store, recurring } = openRecurringSeries();
+            const { series: definition, instances } = recurring.history(id);
+            store.close();
+
+            console.log(chalk.cyan(`\n${definition.id}: ${definition.title}\n`));
+            if (instances.length === 0) {
+                console.log(chalk.gray('No instances yet.\n'));
+                return;
+            }
+
+            instances.forEach(i => {
+                const outcome = i.outcome
+                    ? (String(i.outcome).toLowerCase() === 'yes' ? chalk.green('YES') : chalk.red(String(i.outcome).toUpperCase()))
+                    : chalk.gray(i.status);
+                console.log(`  #${i.instance} ${i.period.padEnd(20)} ${outcome}  ${chalk.gray(i.address)}`);
+            });
+
+            const resolved = instances.filter(i => i.outcome);
+            const yes = resolved.filter(i => String(i.outcome).toLowerCase() === 'yes').length;
+            console.log(chalk.gray(`\n  Resolved ${resolved.length} of ${instances.length}; YES ${yes}, NO ${resolved.length - yes}\n`));
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Ladder markets: one numeric template at several thresholds and dates
+const ladder = program
+    .command('ladder')
+    .description('Create and view ladders of linked threshold markets');
+
+function parseList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+}
+
+function percent(p) {
+    return `${(p * 100).toFixed(1)}%`.padStart(6);
+}
+
+ladder
+    .command('templates')
+    .description('List templates with an {amount} slot that can be laddered')
+    .action(async () => {
+        await applyCategoryPacks(getConfig());
+
+        console.log(chalk.cyan('\n=== Ladder Templates ===\n'));
+        getLadderTemplates().forEach(t => {
+            const amount = t.slots.find(s => s.type === 'amount');
+            console.log(`${chalk.yellow(t.id)} ${t.text}`);
+            console.log(chalk.gray(`  Range: ${amount.args} | Default duration: ${t.defaultDuration} days`));
+        });
+        console.log();
+    });
+
+ladder
+    .command('create <templateId>')
+    .description('Create one market per threshold and date from a numeric template')
+    .option('-t, --thresholds <list>', 'Comma-separated thresholds in the slot unit, e.g. 10,25,50')
+    .option('-s, --steps <count>', 'Thresholds to pick from the slot range when none are given', '4')
+    .option('-d, --days <list>', 'Comma-separated market durations in days, one set of rungs each')
+    .option('--set <slot=value...>', 'Pin other slots, e.g. --set protocol=RAILGUN')
+    .option('-l, --liquidity <amount>', 'Initial liquidity per rung in base units')
+    .option('--dry-run', 'Show the rungs without creating anything')
+    .option('--force', 'Create rungs even if their questions fail lint')
+    .action(async (templateId, options) => {
+        try {
+            const config = getConfig();
+            await applyCategoryPacks(config);
+
+            const values = Object.fromEntries((options.set || []).map(pair => {
+                const [slot, ...rest] = pair.split('=');
+                return [slot, rest.join('=')];
+            }));
+
+            const plan = buildLadder(templateId, {
+                thresholds: parseList(options.thresholds),
+                durations: parseList(options.days),
+                steps: parseInt(options.steps, 10),
+                values
+            });
+
+            console.log(chalk.cyan(`\nLadder ${plan.seriesId}: ${plan.title}\n`));
+            plan.members.forEach(m => {
+                const lint = lintQuestion(m.question, { durationDays: m.durationDays });
+                const marker = lint.ok ? chalk.green('✓') : chalk.red('✗');
+                console.log(`  ${marker} ${m.question}`, chalk.gray(`(${m.durationDays} days)`));
+            });
+            if (plan.outOfRange.length > 0) {
+                console.log(chalk.yellow(`\n  Outside the template range ${plan.range.currency}${plan.range.min}-${plan.range.max}${plan.range.unit}: ${plan.outOfRange.join(', ')}`));
+            }
+            console.log();
+
+            if (options.dryRun) return;
+
+            if (!config.daemon.storagePath) {
+                errorLine('No database configured. Set DAEMON_STORAGE_PATH to track the ladder.');
+                process.exit(1);
+            }
+
+            const store = createMarketStore(config.daemon.storagePath);
+            const agent = new PrivacyOracleAgent({ config });
+            const { results } = await withSpinner(
+                `Creating ${plan.members.length} markets`,
+                () => createLadderMarkets({
+                    agent,
+                    store,
+                    ladder: plan,
+                    liquidity: options.liquidity ? BigInt(options.liquidity) : undefined,
+                    force: options.force,
+                    clock: agent.clock
+                }),
+                { successText: 'Done' }
+            );
+            store.close();
+
+            results.forEach(r => {
+                if (r.success) successLine(`${r.threshold}: ${r.market}`);
+                else errorLine(`${r.threshold}: ${r.error}`);
+            });
+            infoLine(`View with: pnpfucius ladder view ${plan.seriesId}`);
+
+            if (results.some(r => !r.success)) process.exit(1);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+ladder
+    .command('list')
+    .description('List ladders in the market database')
+    .action(async () => {
+        try {
+            const config = getConfig();
+            if (!config.daemon.storagePath) {
+                errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+                process.exit(1);
+            }
+
+            const store = createMarketStore(config.daemon.storagePath);
+            const series = store.getAllSeries({ kind: 'ladder' });
+            store.close();
+
+            console.log(chalk.cyan('\n=== Ladders ===\n'));
+            if (series.length === 0) {
+                console.log(chalk.gray('No ladders yet. Create one with: pnpfucius ladder create <templateId>\n'));
+                return;
+            }
+
+            series.forEach(s => {
+                console.log(`${chalk.yellow(s.id)} ${s.title}`);
+                console.log(chalk.gray(`  ${s.marketCount} markets | Template ${s.templateId} | Created ${new Date(s.createdAt).toLocaleString()}`));
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+ladder
+    .command('view <seriesId>')
+    .description('Show ladder prices and the distribution they imply')
+    .action(async (seriesId) => {
+        try {
+            const config = getConfig();
+            if (!config.daemon.storagePath) {
+                errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+                process.exit(1);
+            }
+
+            const store = createMarketStore(config.daemon.storagePath);
+            const agent = new PrivacyOracleAgent({ config });
+            const view = await withSpinner('Fetching prices', () => loadLadderView({ store, agent, seriesId }), { successText: 'Prices loaded' });
+            store.close();
+
+            console.log(chalk.cyan(`\n${view.series.title}\n`));
+            view.rungs.forEach(r => {
+                const price = r.yesPrice === null ? chalk.gray('  no price') : chalk.green(`YES ${percent(r.yesPrice)}`);
+                console.log(`  ${price}  ${r.question}`, chalk.gray(`[${r.status}]`));
+            });
+
+            view.distribution.byDeadline.forEach(d => {
+                console.log(chalk.yellow(`\nImplied distribution by ${d.deadline.toISOString().slice(0, 10)}`));
+                d.buckets.forEach(b => {
+                    console.log(`  ${b.label.padEnd(22)} ${percent(b.probability)} ${chalk.cyan('█'.repeat(Math.round(b.probability * 40)))}`);
+                });
+                if (d.adjusted) console.log(chalk.gray('  Prices were not monotonic and have been clipped.'));
+            });
+
+            view.distribution.byThreshold.forEach(d => {
+                console.log(chalk.yellow(`\nWhen ${d.threshold} is reached`));
+                d.buckets.forEach(b => {
+                    console.log(`  ${b.label.padEnd(26)} ${percent(b.probability)} ${chalk.cyan('█'.repeat(Math.round(b.probability * 40)))}`);
+                });
+                if (d.adjusted) console.log(chalk.gray('  Prices were not monotonic and have been clipped.'));
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Market groups: one binary market per outcome of a multi-outcome question
+const group = program
+    .command('group')
+    .description('Create, price and settle multi-outcome market groups');
+
+function openMarketDatabase(config) {
+    if (!config.daemon.storagePath) {
+        errorLine('No database configured. Set DAEMON_STORAGE_PATH.');
+        process.exit(1);
+    }
+    return createMarketStore(config.daemon.storagePath);
+}
+
+group
+    .command('create')
+    .description('Create one market per outcome from a question with an {outcome} slot')
+    .requiredOption('-q, --question <text>', 'Question with an {outcome} slot, e.g. "Will {outcome} win ... by March 2027?"')
+    .requiredOption('-o, --outcomes <list>', 'Comma-separated outcomes')
+    .option('-d, --days <days>', 'Market duration in days', '30')
+    .option('-l, --liquidity <amount>', 'Initial liquidity per outcome in base units')
+    .option('--oracle <oracle>', 'custom (we settle the group) or pnp', 'custom')
+    .option('--settler <address>', 'Settler for a custom-oracle group (default: our wallet)')
+    .option('--dry-run', 'Show the outcome markets without creating anything')
+    .option('--force', 'Create markets even if their questions fail lint')
+    .action(async (options) => {
+        try {
+            const config = getConfig();
+            const plan = buildMarketGroup({
+                question: options.question,
+                outcomes: parseList(options.outcomes),
+                durationDays: parseInt(options.days, 10),
+                oracle: options.oracle,
+                settlerAddress: options.settler
+            });
+
+            console.log(chalk.cyan(`\nGroup ${plan.groupId} (${plan.oracle} oracle)\n`));
+            plan.members.forEach(m => {
+                const lint = lintQuestion(m.question, { durationDays: plan.durationDays });
+                const marker = lint.ok ? chalk.green('✓') : chalk.red('✗');
+                console.log(`  ${marker} ${m.question}`);
+            });
+            console.log();
+
+            if (options.dryRun) return;
+
+            const store = openMarketDatabase(config);
+            const agent = new PrivacyOracleAgent({ config, store });
+            const result = await withSpinner(
+                `Creating ${plan.members.length} markets`,
+                () => agent.createMarketGroup({
+                    question: options.question,
+                    outcomes: plan.members.map(m => m.outcome),
+                    durationDays: plan.durationDays,
+                    oracle: plan.oracle,
+                    settlerAddress: options.settler,
+                    groupId: plan.groupId,
+                    liquidity: options.liquidity ? BigInt(options.liquidity) : undefined,
+                    force: options.force
+                }),
+                { successText: 'Done' }
+            );
+            store.close();
+
+            result.results.forEach(r => {
+                if (r.success) successLine(`${r.outcome}: ${r.market}`);
+                else errorLine(`${r.outcome}: ${r.error}`);
+            });
+            infoLine(`Prices with: pnpfucius group prices ${result.group}`);
+
+            if (!result.success) process.exit(1);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+group
+    .command('list')
+    .description('List market groups in the market database')
+    .action(async () => {
+        try {
+            const store = openMarketDatabase(getConfig());
+            const groups = store.getAllSeries({ kind: 'group' });
+            store.close();
+
+            console.log(chalk.cyan('\n=== Market Groups ===\n'));
+            if (groups.length === 0) {
+                console.log(chalk.gray('No groups yet. Create one with: pnpfucius group create -q "..." -o a,b,c\n'));
+                return;
+            }
+
+            groups.forEach(g => {
+                const winner = g.metadata.winner ? ` | Winner: ${g.metadata.winner}` : '';
+                console.log(`${chalk.yellow(g.id)} ${g.title} [${g.status}]`);
+                console.log(chalk.gray(`  ${g.metadata.outcomes.join(', ')} | ${g.metadata.oracle} oracle${winner}`));
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+group
+    .command('prices <groupId>')
+    .description('Show each outcome\'s YES price and the normalized group odds')
+    .action(async (groupId) => {
+        try {
+            const config = getConfig();
+            const store = openMarketDatabase(config);
+            const agent = new PrivacyOracleAgent({ config, store });
+            const prices = await withSpinner('Fetching prices', () => agent.getMarketPrices(groupId), { successText: 'Prices loaded' });
+            store.close();
+
+            console.log(chalk.cyan(`\n${prices.title}\n`));
+            prices.outcomes.forEach(o => {
+                const odds = o.probability === null ? chalk.gray('  no price') : `${percent(o.probability)} ${chalk.cyan('█'.repeat(Math.round(o.probability * 40)))}`;
+                const raw = o.yesPrice === null ? '' : chalk.gray(` (YES ${o.yesPrice.toFixed(3)})`);
+                console.log(`  ${o.outcome.padEnd(20)} ${odds}${raw}`);
+            });
+            console.log(chalk.gray(`\n  Raw YES prices sum to ${prices.total.toFixed(3)} (overround ${percent(prices.overround).trim()})`));
+            if (!prices.complete) console.log(chalk.gray('  Outcomes without a price are left out of the odds.'));
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+group
+    .command('settle <groupId> <winner>')
+    .description('Settle a custom-oracle group: the winner YES, every other outcome NO')
+    .action(async (groupId, winner) => {
+        try {
+            const config = getConfig();
+            const store = openMarketDatabase(config);
+            const agent = new PrivacyOracleAgent({ config, store });
+            const result = await withSpinner(`Settling ${groupId}`, () => agent.settleMarketGroup(groupId, winner), { successText: 'Done' });
+            store.close();
+
+            result.results.forEach(r => {
+                if (r.skipped) infoLine(`${r.market}: already settled`);
+                else if (r.success) successLine(`${r.market}: ${r.outcome.toUpperCase()}`);
+                else errorLine(`${r.market}: ${r.error}`);
+            });
+
+            if (!result.complete) {
+                errorLine('Some markets did not settle. Run the command again to retry them.');
+                process.exit(1);
+            }
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Conditional markets: if-then questions linked to a parent market
+const conditional = program
+    .command('conditional')
+    .description('Create and list markets that only count if a parent market resolves YES');
+
+conditional
+    .command('create')
+    .description('Create a conditional market under a parent market in the database')
+    .requiredOption('-p, --parent <market>', 'Parent market address')
+    .requiredOption('-q, --question <text>', 'Question, e.g. "If ..., will ... by December 2027?"')
+    .option('-d, --days <days>', 'Duration in days; must not end before the parent', '30')
+    .option('-l, --liquidity <amount>', 'Initial liquidity in base units')
+    .option('--force', 'Create even if the question linter reports errors')
+    .action(async (options) => {
+        try {
+            const config = getConfig();
+            const store = openMarketDatabase(config);
+            const agent = new PrivacyOracleAgent({ config, store });
+            const result = await withSpinner(
+                'Creating conditional market',
+                () => agent.createConditionalMarket({
+                    parentMarket: options.parent,
+                    question: options.question,
+                    durationDays: parseInt(options.days, 10),
+                    liquidity: options.liquidity ? BigInt(options.liquidity) : undefined,
+                    force: options.force
+                }),
+                { successText: 'Conditional market created' }
+            );
+            store.close();
+
+            successLine(`Question: ${result.question}`);
+            infoLine(`Market: ${result.market}`);
+            infoLine(`Depends on: ${result.parentMarket}`);
+            infoLine('If the parent resolves NO, the daemon voids this market and the sweeper refunds it.');
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+conditional
+    .command('list')
+    .description('List conditional markets and where their parents stand')
+    .action(async () => {
+        try {
+            const store = openMarketDatabase(getConfig());
+            const markets = store.getConditionalMarkets().map(m => ({ market: m, dependency: marketDependency(store, m.address) }));
+            store.close();
+
+            console.log(chalk.cyan('\n=== Conditional Markets ===\n'));
+            if (markets.length === 0) {
+                console.log(chalk.gray('No conditional markets yet. Create one with: pnpfucius conditional create -p <parent> -q "..."\n'));
+                return;
+            }
+
+            markets.forEach(({ market, dependency }) => {
+                console.log(`${chalk.yellow(market.address)} ${market.question} [${market.status}]`);
+                console.log(chalk.gray(`  Parent ${dependency.parent.address}: ${dependency.parent.condition.toUpperCase()}`));
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Stored news events from the daemon's news monitor
+const news = program
+    .command('news')
+    .description('Browse news events the daemon has scored');
+
+news
+    .command('list')
+    .description('List stored news events, newest first')
+    .option('-s, --since <duration>', 'Only events published in the last duration, e.g. 24h or 7d')
+    .option('-c, --category <category>', 'Only events suggesting this category')
+    .option('--source <name>', 'Only events from this source')
+    .option('-e, --entity <name>', 'Only events naming this entity, e.g. OFAC or "Tornado Cash"')
+    .option('--entity-type <type>', `Only events naming an entity of this type (${ENTITY_TYPES.join(', ')})`)
+    .option('--min-score <score>', 'Minimum relevance score')
+    .option('-n, --limit <limit>', 'Maximum events to show', '20')
+    .action(async (options) => {
+        try {
+            if (options.entityType && !ENTITY_TYPES.includes(options.entityType)) {
+                throw new Error(`Unknown entity type "${options.entityType}". Use one of: ${ENTITY_TYPES.join(', ')}`);
+            }
+
+            const store = openMarketDatabase(getConfig());
+            const events = store.getNewsEvents({
+                since: options.since ? Date.now() - parseDuration(options.since) : undefined,
+                category: options.category,
+                source: options.source,
+                entity: options.entity,
+                entityType: options.entityType,
+                minScore: options.minScore !== undefined ? parseFloat(options.minScore) : undefined,
+                limit: parseInt(options.limit, 10)
+            });
+            store.close();
+
+            console.log(chalk.cyan('\n=== News Events ===\n'));
+            if (events.length === 0) {
+                console.log(chalk.gray('No stored news events match. Run the daemon with --news to collect them.\n'));
+                return;
+            }
+
+            events.forEach(e => {
+                const scoreColor = e.relevanceScore >= 70 ? chalk.green : e.relevanceScore >= 50 ? chalk.yellow : chalk.gray;
+                console.log(scoreColor(`[${e.relevanceScore}]`), e.title);
+                console.log(chalk.gray(`     ${e.source} | ${new Date(e.publishedAt).toLocaleString()} | ${e.suggestedCategory} | ${e.urgency}`));
+                if (e.entities.length > 0) {
+                    console.log(chalk.gray(`     Entities: ${e.entities.map(n => `${n.name} (${n.type})`).join(', ')}`));
+                }
+                if (e.markets.length > 0) {
+                    console.log(chalk.cyan(`     Markets: ${e.markets.join(', ')}`));
+                }
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+news
+    .command('stories')
+    .description('List stored news events clustered into stories covered across sources')
+    .option('-s, --since <duration>', 'Only events published in the last duration', '7d')
+    .option('-c, --category <category>', 'Only events suggesting this category')
+    .option('--min-score <score>', 'Minimum combined story score')
+    .option('-n, --limit <limit>', 'Maximum stories to show', '20')
+    .action(async (options) => {
+        try {
+            const store = openMarketDatabase(getConfig());
+            const events = store.getNewsEvents({
+                since: Date.now() - parseDuration(options.since),
+                category: options.category
+            });
+            store.close();
+
+            const minScore = options.minScore !== undefined ? parseFloat(options.minScore) : 0;
+            const stories = clusterEvents(events)
+                .filter(s => s.relevanceScore >= minScore)
+                .slice(0, parseInt(options.limit, 10));
+
+            console.log(chalk.cyan('\n=== News Stories ===\n'));
+            if (stories.length === 0) {
+                console.log(chalk.gray('No stored news stories match. Run the daemon with --news to collect them.\n'));
+                return;
+            }
+
+            stories.forEach(s => {
+                const scoreColor = s.relevanceScore >= 70 ? chalk.green : s.relevanceScore >= 50 ? chalk.yellow : chalk.gray;
+                console.log(scoreColor(`[${s.relevanceScore}]`), s.title);
+                console.log(chalk.gray(`     ${s.size} headline(s) from ${s.sources.join(', ')} | ${new Date(s.updatedAt).toLocaleString()} | ${s.suggestedCategory} | ${s.urgency}`));
+                if (s.markets.length > 0) {
+                    console.log(chalk.cyan(`     Markets: ${s.markets.join(', ')}`));
+                }
+            });
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+news
+    .command('sources')
+    .description('List the news sources the monitor reads (NEWS_SOURCES_FILE or the built-in feeds)')
+    .option('--check', 'Fetch each source and report how many items it returns')
+    .action(async (options) => {
+        try {
+            const { sourcesFile } = getConfig().news;
+            const sources = sourcesFile ? await loadNewsSources(sourcesFile) : DEFAULT_NEWS_SOURCES.map(createNewsSource);
+
+            console.log(chalk.cyan(`\n=== News Sources (${sourcesFile || 'built-in'}) ===\n`));
+
+            for (const source of sources) {
+                const { name, type, location, weight } = source.describe();
+                console.log(chalk.bold(name), chalk.gray(`[${type}] weight ${weight}`));
+                console.log(chalk.gray(`     ${location}`));
+
+                if (options.check) {
+                    try {
+                        const items = await source.fetchItems();
+                        successLine(`${items.length} items`);
+                    } catch (error) {
+                        errorLine(error.message);
+                    }
+                }
+            }
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+news
+    .command('keywords')
+    .description('Validate the news keyword file (NEWS_KEYWORDS_FILE) or print the built-in keywords')
+    .option('-f, --file <file>', 'Keyword file to check instead of NEWS_KEYWORDS_FILE')
+    .option('--export', 'Print the built-in keyword set as JSON, a starting point for a keyword file')
+    .action(async (options) => {
+        try {
+            if (options.export) {
+                console.log(JSON.stringify({ ...DEFAULT_KEYWORD_SET, sources: {} }, null, 2));
+                return;
+            }
+
+            const file = options.file || getConfig().news.keywordsFile;
+            if (!file) {
+                throw new Error('No keyword file: set NEWS_KEYWORDS_FILE or pass --file (see --export for the format)');
+            }
+
+            const set = await loadKeywordSet(file);
+            console.log(chalk.cyan(`\n=== News Keywords (${file}) ===\n`));
+            successLine('Valid keyword set');
+            infoLine(`Privacy keywords: ${Object.keys(set.privacy).length}`);
+            infoLine(`Negative keywords: ${Object.keys(set.negative).length}`);
+            infoLine(`Category keywords: ${Object.entries(set.categories).map(([c, list]) => `${c} ${list.length}`).join(', ')}`);
+            infoLine(`Urgency keywords: ${Object.entries(set.urgency).map(([u, list]) => `${u} ${list.length}`).join(', ')}`);
+            if (Object.keys(set.sources).length > 0) {
+                infoLine(`Source keywords: ${Object.keys(set.sources).join(', ')}`);
+            }
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Scorer evaluation against labeled headlines
+const evaluate = program
+    .command('eval')
+    .description('Evaluate scoring against labeled data');
+
+evaluate
+    .command('scorer')
+    .description('Score a labeled headline corpus and report precision/recall, category and urgency accuracy')
+    .option('--corpus <file>', 'Labeled corpus (JSON or JSON Lines)', BUNDLED_CORPUS)
+    .option('-k, --keywords <file>', 'Keyword set to evaluate instead of the built-in one')
+    .option('--compare <file>', 'Keyword set to diff against the evaluated one')
+    .option('--ai', 'Also score the corpus with Claude and diff it against the keywords')
+    .option('-t, --thresholds <list>', 'Comma-separated score thresholds', DEFAULT_THRESHOLDS.join(','))
+    .option('--json', 'Output raw JSON')
+    .action(async (options) => {
+        try {
+            const corpus = await loadCorpus(options.corpus);
+            const thresholds = options.thresholds.split(',').map(t => parseFloat(t));
+            if (thresholds.some(t => Number.isNaN(t))) {
+                throw new Error(`Invalid thresholds "${options.thresholds}"`);
+            }
+
+            const baseName = options.keywords ? `Keywords ${options.keywords}` : 'Built-in keywords';
+            const base = await evaluateScorer(corpus, keywordScorer(options.keywords ? await loadKeywordSet(options.keywords) : undefined), { thresholds });
+            const candidates = [];
+
+            if (options.compare) {
+                const report = await evaluateScorer(corpus, keywordScorer(await loadKeywordSet(options.compare)), { thresholds });
+                candidates.push({ name: `Keywords ${options.compare}`, report });
+            }
+
+            if (options.ai) {
+                const config = getConfig();
+                if (!config.anthropicApiKey) {
+                    throw new Error('ANTHROPIC_API_KEY is required for --ai');
+                }
+                const { AIScorer } = await import('./ai/scorer.js');
+                const scorer = new AIScorer(config.anthropicApiKey);
+                const report = await withSpinner(
+                    `Scoring ${corpus.length} headlines with Claude`,
+                    () => evaluateScorer(corpus, aiScorer(scorer), { thresholds }),
+                    { successText: 'Scoring complete' }
+                );
+                candidates.push({ name: 'AI scorer', report });
+            }
+
+            const comparisons = candidates.map(c => ({ name: `${baseName} vs ${c.name}`, ...compareReports(base, c.report, { threshold: thresholds[0] }) }));
+
+            if (options.json) {
+                console.log(JSON.stringify({
+                    reports: [{ name: baseName, ...base }, ...candidates.map(c => ({ name: c.name, ...c.report }))],
+                    comparisons
+                }, null, 2));
+                return;
+            }
+
+            printScorerReport(baseName, base);
+            candidates.forEach(c => printScorerReport(c.name, c.report));
+            comparisons.forEach(c => printReportComparison(c.name, c));
+            console.log();
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Category packs
+const packs = program
+    .command('packs')
+    .description('Manage category packs used for market generation');
+
+packs
+    .command('list')
+    .description('List available packs and whether they are enabled')
+    .action(async () => {
+        try {
+            const config = getConfig();
+            const registry = await createPackRegistry(config).load();
+
+            console.log(chalk.cyan('\n=== Category Packs ===\n'));
+
+            registry.list().forEach(pack => {
+                const state = !pack.valid ? chalk.red('invalid') : pack.enabled ? chalk.green('enabled') : chalk.gray('disabled');
+                console.log(`${chalk.yellow(pack.name)} [${state}] ${pack.description}`);
+                console.log(chalk.gray(`  Source: ${pack.file || pack.source} | Categories: ${pack.categories.join(', ') || 'none'}`));
+                pack.errors.forEach(e => console.log(chalk.red(`  ${e}`)));
+                console.log();
+            });
+
+            console.log(chalk.gray(`Packs directory: ${config.packs.dir}`));
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+packs
+    .command('enable <name>')
+    .description('Use a pack for generation')
+    .action(async (name) => {
+        try {
+            const registry = await createPackRegistry(getConfig()).load();
+            await registry.enable(name);
+            successLine(`Enabled ${name}. Active packs: ${registry.enabled.join(', ')}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+packs
+    .command('disable <name>')
+    .description('Stop using a pack for generation')
+    .action(async (name) => {
+        try {
+            const registry = await createPackRegistry(getConfig()).load();
+            await registry.disable(name);
+            successLine(`Disabled ${name}. Active packs: ${registry.enabled.join(', ')}`);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+packs
+    .command('validate [file]')
+    .description('Check a pack file, or every pack when no file is given')
+    .action(async (file) => {
+        try {
+            let results;
+            if (file) {
+                const pack = await loadPackFile(file);
+                results = [{ name: pack?.name || file, errors: validatePack(pack) }];
+            } else {
+                const registry = await createPackRegistry(getConfig()).load();
+                results = registry.list();
+            }
+
+            results.forEach(result => {
+                if (result.errors.length === 0) {
+                    successLine(`${result.name} is valid`);
+                } else {
+                    errorLine(`${result.name} has ${result.errors.length} problem(s)`);
+                    result.errors.forEach(e => console.log(chalk.red(`  ${e}`)));
+                }
+            });
+
+            if (results.some(r => r.errors.length > 0)) process.exit(1);
+        } catch (error) {
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Interactive mode
+program
+    .command('interactive')
+    .alias('i')
+    .description('Interactive market creation wizard')
+    .action(async () => {
+        try {
+            const config = getConfig();
+            const validation = validateConfig(config);
+            await applyCategoryPacks(config);
+
+            console.log(chalk.cyan('\n=== Privacy Oracle Interactive Mode ===\n'));
+
+            if (!validation.valid) {
+                validation.errors.forEach(e => errorLine(e));
+                console.log(chalk.yellow('\nNote: Wallet not configured. Running in preview mode.\n'));
+            }
+
+            // Category selection
+            const categories = listCategories();
+            const { category } = await inquirer.prompt([{
+                type: 'list',
+                name: 'category',
+                message: 'Select market category:',
+                choices: [
+                    { name: 'Random (AI picks)', value: 'random' },
+                    ...categories.map(c => ({
+                        name: `${c.name} (${c.pack} pack, ${c.templateCount} templates)`,
+                        value: c.key
+                    }))
+                ]
+            }]);
+
+            // Generate question
+            let market;
+            if (category === 'random') {
+                market = generatePrivacyMarket();
+            } else {
+                const categoryMarkets = getMarketsByCategory(category);
+                market = categoryMarkets[Math.floor(Math.random() * categoryMarkets.length)];
+            }
+
+            console.log(chalk.cyan('\nGenerated question:'));
+            console.log(chalk.white(`  "${market.question}"\n`));
+
+            // Customize?
+            const { customize } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'customize',
+                message: 'Customize this question?',
+                default: false
+            }]);
+
+            let finalQuestion = market.question;
+            if (customize) {
+                const { customQuestion } = await inquirer.prompt([{
+                    type: 'input',
+                    name: 'customQuestion',
+                    message: 'Enter custom question:',
+                    default: market.question
+                }]);
+                finalQuestion = customQuestion;
+            }
+
+            // Duration
+            const { duration } = await inquirer.prompt([{
+                type: 'list',
+                name: 'duration',
+                message: 'Market duration:',
+                choices: [
+                    { name: '14 days', value: 14 },
+                    { name: '30 days (recommended)', value: 30 },
+                    { name: '60 days', value: 60 },
+                    { name: '90 days', value: 90 },
+                    { name: 'Custom', value: 'custom' }
+                ],
+                default: 1
+            }]);
+
+            let finalDuration = duration;
+            if (duration === 'custom') {
+                const { customDuration } = await inquirer.prompt([{
+                    type: 'number',
+                    name: 'customDuration',
+                    message: 'Enter duration in days:',
+                    default: 30
+                }]);
+                finalDuration = customDuration;
+            }
+
+            // Liquidity
+            const { liquidity } = await inquirer.prompt([{
+                type: 'list',
+                name: 'liquidity',
+                message: 'Initial liquidity:',
+                choices: [
+                    { name: '500,000 (0.5 USDC)', value: '500000' },
+                    { name: '1,000,000 (1 USDC) - recommended', value: '1000000' },
+                    { name: '5,000,000 (5 USDC)', value: '5000000' },
+                    { name: 'Custom', value: 'custom' }
+                ],
+                default: 1
+            }]);
+
+            let finalLiquidity = liquidity;
+            if (liquidity === 'custom') {
+                const { customLiquidity } = await inquirer.prompt([{
+                    type: 'input',
+                    name: 'customLiquidity',
+                    message: 'Enter liquidity in base units:',
+                    default: '1000000'
+                }]);
+                finalLiquidity = customLiquidity;
+            }
+
+            // Market type
+            const { marketType } = await inquirer.prompt([{
+                type: 'list',
+                name: 'marketType',
+                message: 'Market type:',
+                choices: [
+                    { name: 'AMM (Automated Market Maker) - recommended', value: 'amm' },
+                    { name: 'P2P (Peer-to-Peer)', value: 'p2p' }
+                ],
+                default: 0
+            }]);
+
+            // Summary
+            console.log(chalk.cyan('\n=== Market Summary ===\n'));
+            infoLine(`Question: ${finalQuestion}`);
+            infoLine(`Duration: ${finalDuration} days`);
+            infoLine(`Liquidity: ${finalLiquidity}`);
+            infoLine(`Type: ${marketType.toUpperCase()}`);
+            console.log();
+
+            if (!validation.valid) {
+                console.log(chalk.yellow('Cannot create market: wallet not configured'));
+                console.log(chalk.gray('Set WALLET_PRIVATE_KEY or PRIVATE_KEY in .env'));
+                return;
+            }
+
+            // Confirm
+            const { confirm } = await inquirer.prompt([{
+                type: 'confirm',
+                name: 'confirm',
+                message: 'Create this market on Solana?',
+                default: true
+            }]);
+
+            if (!confirm) {
+                console.log(chalk.yellow('Market creation cancelled.'));
+                return;
+            }
+
+            // Create market
+            const agent = new PrivacyOracleAgent({ verbose: true });
+
+            const result = await withSpinner(
+                'Creating market on Solana',
+                async () => {
+                    if (marketType === 'p2p') {
+                        return agent.createP2PMarket({
+                            question: finalQuestion,
+                            durationDays: finalDuration,
+                            amount: BigInt(finalLiquidity),
+                            side: 'yes'
+                        });
+                    }
+                    return agent.createPrivacyMarket({
+                        question: finalQuestion,
+                        durationDays: finalDuration,
+                        liquidity: BigInt(finalLiquidity)
+                    });
+                },
+                { successText: 'Market created!' }
+            );
+
+            console.log();
+            successLine('Market created successfully!');
+            infoLine(`Address: ${result.market}`);
+            infoLine(`Signature: ${result.signature}`);
+
+        } catch (error) {
+            if (error.name === 'ExitPromptError') {
+                console.log(chalk.yellow('\nCancelled.'));
+                return;
+            }
+            console.error(chalk.red('Error:'), error.message);
+            process.exit(1);
+        }
+    });
+
+// Tokens command
+program
+    .command('tokens')
+    .description('List supported collateral tokens')
+    .option('--check <mint>', 'Check if a mint supports confidential transfers')
     .action(async (options) => {
         try {
             const config = getConfig();
@@ -709,6 +2298,7 @@ program
     .option('-c, --count <count>', 'Number of markets to generate', '3')
     .option('-t, --topic <topic>', 'Specific topic to generate markets about')
     .option('--create', 'Actually create the markets on-chain')
+    .option('--discover', 'Also check similarity against all markets on PNP')
     .option('-v, --verbose', 'Verbose output')
     .action(async (options) => {
         try {
@@ -723,6 +2313,7 @@ program
             const count = parseInt(options.count, 10);
             console.log(chalk.cyan(`\nGenerating ${count} AI-powered market ideas...\n`));
 
+            const { AIMarketGenerator } = await import('./ai/market-generator.js');
             const generator = new AIMarketGenerator(config.anthropicApiKey);
 
             let results;
@@ -747,15 +2338,22 @@ program
                 );
             }
 
+            const guard = await loadDuplicateGuard(config, options);
+
             console.log();
             results.forEach((result, i) => {
                 if (result.success) {
                     const m = result.market;
+                    // Check against earlier ideas in this batch too
+                    result.similarity = guard.check(m.question);
+                    guard.add(m.question);
+
                     console.log(chalk.yellow(`${i + 1}.`), m.question);
                     console.log(chalk.gray(`   Category: ${m.categoryName || m.category}`));
                     console.log(chalk.gray(`   Duration: ${m.suggestedDurationDays} days | Liquidity: ${m.suggestedLiquidityUSDC} USDC`));
                     console.log(chalk.gray(`   Urgency: ${m.urgency}`));
                     console.log(chalk.dim(`   Reasoning: ${m.reasoning}`));
+                    console.log(`   ${formatSimilarity(result.similarity, guard.threshold)}`);
                     console.log();
                 } else {
                     errorLine(`Failed: ${result.error}`);
@@ -770,17 +2368,26 @@ program
                     return;
                 }
 
+                // Duplicates are dropped before anything goes on-chain
+                const creatable = results.filter(r => r.success && !(config.dedup.enabled && r.similarity.duplicate));
+                const skipped = results.filter(r => r.success).length - creatable.length;
+                if (skipped > 0) {
+                    console.log(chalk.yellow(`\nSkipping ${skipped} market(s) too similar to existing questions`));
+                }
+
+                if (creatable.length === 0) return;
+
                 const { confirm } = await inquirer.prompt([{
                     type: 'confirm',
                     name: 'confirm',
-                    message: `Create ${results.filter(r => r.success).length} markets on Solana?`,
+                    message: `Create ${creatable.length} markets on Solana?`,
                     default: false
                 }]);
 
                 if (confirm) {
                     const agent = new PrivacyOracleAgent({ verbose: options.verbose });
 
-                    for (const result of results.filter(r => r.success)) {
+                    for (const result of creatable) {
                         const m = result.market;
                         try {
                             const created = await withSpinner(
@@ -822,6 +2429,7 @@ program
                 process.exit(1);
             }
 
+            const { AIScorer } = await import('./ai/scorer.js');
             const scorer = new AIScorer(config.anthropicApiKey);
             const minScore = parseInt(options.minScore, 10);
 
@@ -874,6 +2482,7 @@ program
                 process.exit(1);
             }
 
+            const { AIResolver } = await import('./ai/resolver.js');
             const resolver = new AIResolver(config.anthropicApiKey);
             const minConfidence = parseFloat(options.minConfidence);
 
@@ -58,17 +58,83 @@ export function getConfig() {
         defaultDurationDays: parseInt(process.env.DEFAULT_DURATION_DAYS || '30', 10),
         proxyBaseUrl: process.env.PNP_PROXY_URL || 'https://api.pnp.exchange',
 
+        // PNP backend: 'rpc' talks to Solana, 'simulated' runs an in-process exchange
+        backend: process.env.PNP_BACKEND || 'rpc',
+        simulator: {
+            statePath: process.env.SIMULATOR_STATE_PATH || null,
+            seed: process.env.SIMULATOR_SEED || 'pnpfucius'
+        },
+
         // Daemon settings
         daemon: {
             schedule: process.env.DAEMON_SCHEDULE || '1h',
             marketsPerRound: parseInt(process.env.DAEMON_MARKETS_PER_ROUND || '1', 10),
-            storagePath: process.env.DAEMON_STORAGE_PATH || null
+            storagePath: process.env.DAEMON_STORAGE_PATH || null,
+            redemptionSweeper: process.env.DAEMON_REDEMPTION_SWEEPER !== 'false',
+            redemptionSchedule: process.env.DAEMON_REDEMPTION_SCHEDULE || '15m',
+            // Queue generated markets for human approval instead of creating them directly
+            approvalMode: process.env.DAEMON_APPROVAL_MODE === 'true',
+            approvalTtl: process.env.DAEMON_APPROVAL_TTL || '48h'
         },
 
         // News monitoring
         news: {
             enabled: process.env.NEWS_ENABLED === 'true',
-            checkInterval: parseInt(process.env.NEWS_CHECK_INTERVAL || '300000', 10)
+            checkInterval: parseInt(process.env.NEWS_CHECK_INTERVAL || '300000', 10),
+            // JSON file of news source specs; the built-in RSS feeds when unset
+            sourcesFile: process.env.NEWS_SOURCES_FILE || null,
+            // JSON keyword set for relevance scoring, reloaded when edited; built-in keywords when unset
+            keywordsFile: process.env.NEWS_KEYWORDS_FILE || null,
+            // Consecutive fetch failures before a source is disabled
+            maxFailures: parseInt(process.env.NEWS_MAX_FAILURES || '10', 10),
+            // Create markets from high-urgency stories scoring at least marketMinScore
+            markets: process.env.NEWS_MARKETS !== 'false',
+            marketMinScore: parseInt(process.env.NEWS_MARKET_MIN_SCORE || '60', 10),
+            // 'template' (generateMarketFromNews) or 'ai' (needs ANTHROPIC_API_KEY)
+            marketGenerator: process.env.NEWS_MARKET_GENERATOR || 'template'
+        },
+
+        // Automated settlement of markets where we are the oracle
+        settlement: {
+            enabled: process.env.SETTLEMENT_ENABLED === 'true',
+            schedule: process.env.SETTLEMENT_SCHEDULE || '1h',
+            minConfidence: parseFloat(process.env.SETTLEMENT_MIN_CONFIDENCE || '0.9'),
+            useAI: process.env.SETTLEMENT_USE_AI !== 'false'
+        },
+
+        // Recurring market series; the next instance is created when the current one nears expiry
+        series: {
+            enabled: process.env.SERIES_ENABLED !== 'false',
+            schedule: process.env.SERIES_SCHEDULE || '1h'
+        },
+
+        // Void conditional markets whose parent resolved NO or was cancelled
+        conditionals: {
+            enabled: process.env.CONDITIONALS_ENABLED !== 'false',
+            schedule: process.env.CONDITIONALS_SCHEDULE || '1h'
+        },
+
+        // Similarity guard against creating near-duplicate questions
+        dedup: {
+            enabled: process.env.DEDUP_ENABLED !== 'false',
+            threshold: parseFloat(process.env.DEDUP_THRESHOLD || '0.8'),
+            // Also compare against every market on PNP, not just our own
+            includeDiscovered: process.env.DEDUP_INCLUDE_DISCOVERED === 'true'
+        },
+
+        // Reweight categories and templates from market volume, traders and resolutions
+        adaptive: {
+            enabled: process.env.ADAPTIVE_WEIGHTS_ENABLED === 'true',
+            // thompson, epsilon-greedy or static
+            policy: process.env.ADAPTIVE_POLICY || 'thompson',
+            epsilon: parseFloat(process.env.ADAPTIVE_EPSILON || '0.1'),
+            // Scored markets needed before weights move away from the static ones
+            minSamples: parseInt(process.env.ADAPTIVE_MIN_SAMPLES || '10', 10)
+        },
+
+        // Category packs: JSON/YAML files adding categories beyond the built-in privacy set
+        packs: {
+            dir: process.env.PACKS_DIR || './packs'
         },
 
         // Webhook server
@@ -91,7 +157,7 @@ export function validateConfig(config) {
     const errors = [];
     const warnings = [];
 
-    if (!config.walletKey) {
+    if (!config.walletKey && config.backend !== 'simulated') {
         errors.push('WALLET_PRIVATE_KEY or PRIVATE_KEY is required for creating markets');
     }
 
@@ -99,6 +165,10 @@ export function validateConfig(config) {
         warnings.push('HELIUS_API_KEY not set - using public RPC (rate limited)');
     }
 
+    if (config.backend && !['rpc', 'simulated'].includes(config.backend)) {
+        errors.push(`Unknown PNP_BACKEND "${config.backend}" - use rpc or simulated`);
+    }
+
     if (config.webhook.enabled && !config.webhook.authToken) {
         warnings.push('WEBHOOK_AUTH_TOKEN not set - webhook endpoints are unprotected');
     }
@@ -0,0 +1,210 @@
+// Human-in-the-loop approval queue for daemon-generated markets
+// Ideas wait in pending_approval until someone approves, edits or rejects them
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { assertQuestionLint } from '../generation/linter.js';
+
+const DEFAULT_TTL_MS = 48 * 60 * 60 * 1000;
+
+// Stand-in market address that links news events to a proposal until it is created
+export function proposalLink(id) {
+    return `proposal:${id}`;
+}
+
+// Accept milliseconds or interval strings like "30m", "48h", "7d"
+export function parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value).match(/^(\d+)(s|m|h|d)$/i);
+    if (!match) {
+        const ms = parseInt(value, 10);
+        if (isNaN(ms)) throw new Error(`Invalid duration: ${value}`);
+        return ms;
+    }
+
+    const multipliers = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1], 10) * multipliers[match[2].toLowerCase()];
+}
+
+export class ApprovalQueue {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.agent = options.agent || null;
+        this.ttlMs = parseDuration(options.ttl ?? DEFAULT_TTL_MS);
+        this.clock = options.clock || (() => Date.now());
+    }
+
+    // Queue a generated idea (as returned by generatePrivacyMarket)
+    propose(idea, source = 'daemon') {
+        const now = this.clock();
+
+        const proposal = this.store.addPendingApproval({
+            question: idea.question,
+            category: idea.category,
+            categoryKey: idea.categoryKey,
+            durationDays: idea.durationDays,
+            liquidity: idea.suggestedLiquidity ?? idea.liquidity,
+            source,
+            metadata: idea.metadata,
+            createdAt: now,
+            expiresAt: this.ttlMs > 0 ? now + this.ttlMs : null
+        });
+
+        agentEvents.emitTyped(AgentEvents.APPROVAL_QUEUED, { proposal });
+        return proposal;
+    }
+
+    list(status = 'pending') {
+        this.expireStale();
+        return this.store.getPendingApprovals(status === 'all' ? {} : { status });
+    }
+
+    get(id) {
+        const proposal = this.store.getPendingApproval(id);
+        if (!proposal) {
+            throw new Error(`No proposal with id ${id}`);
+        }
+        return proposal;
+    }
+
+    expireStale() {
+        return this.store.expirePendingApprovals(this.clock());
+    }
+
+    // Change the question, duration or liquidity of a pending or failed proposal.
+    // changes.force accepts question lint errors, here and when the proposal is approved.
+    edit(id, changes, reviewer = null) {
+        const proposal = this._pending(id, ['pending', 'failed']);
+        const updates = {};
+
+        if (changes.question !== undefined) {
+            const question = String(changes.question).trim();
+            if (!question) throw new Error('Question cannot be empty');
+            updates.question = question;
+        }
+        if (changes.durationDays !== undefined) {
+            const days = parseInt(changes.durationDays, 10);
+            if (!(days > 0)) throw new Error('Duration must be a positive number of days');
+            updates.durationDays = days;
+        }
+        if (changes.liquidity !== undefined) {
+            updates.liquidity = BigInt(changes.liquidity);
+        }
+        if (changes.force) {
+            updates.force = true;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            throw new Error('Nothing to edit');
+        }
+
+        // Catch problems now rather than when the approval tries to create the market
+        assertQuestionLint(updates.question ?? proposal.question, {
+            durationDays: updates.durationDays ?? proposal.durationDays,
+            now: this.clock(),
+            force: changes.force || proposal.force
+        });
+
+        if (reviewer) updates.reviewedBy = reviewer;
+
+        return this.store.updatePendingApproval(proposal.id, updates);
+    }
+
+    reject(id, reviewer = null, note = null) {
+        const proposal = this._pending(id);
+
+        const rejected = this.store.updatePendingApproval(proposal.id, {
+            status: 'rejected',
+            reviewedBy: reviewer,
+            reviewedAt: this.clock(),
+            reviewNote: note
+        });
+
+        agentEvents.emitTyped(AgentEvents.APPROVAL_REJECTED, { proposal: rejected });
+        return rejected;
+    }
+
+    // Create the market on-chain and record it in the market store.
+    // options.force accepts question lint errors, as a force edit does.
+    async approve(id, reviewer = null, options = {}) {
+        if (!this.agent) {
+            throw new Error('Approval queue has no agent to create markets with');
+        }
+
+        // Failed creations can be retried
+        const proposal = this._pending(id, ['pending', 'failed']);
+        this.store.updatePendingApproval(proposal.id, {
+            status: 'approved',
+            reviewedBy: reviewer,
+            reviewedAt: this.clock()
+        });
+
+        let result;
+        try {
+            result = await this.agent.createMarket({
+                question: proposal.question,
+                durationDays: proposal.durationDays,
+                liquidity: proposal.liquidity ? BigInt(proposal.liquidity) : undefined,
+                force: options.force || proposal.force
+            });
+        } catch (error) {
+            const failed = this.store.updatePendingApproval(proposal.id, {
+                status: 'failed',
+                error: error.message
+            });
+
+            agentEvents.emitTyped(AgentEvents.MARKET_FAILED, { question: proposal.question, error: error.message, approvalId: proposal.id });
+            return failed;
+        }
+
+        // The market exists from here on, so the proposal must never be retried
+        let created = this.store.updatePendingApproval(proposal.id, {
+            status: 'created',
+            marketAddress: result.market,
+            signature: result.signature
+        });
+
+        try {
+            this.store.saveMarket({
+                address: result.market,
+                question: proposal.question,
+                category: proposal.category,
+                categoryKey: proposal.categoryKey,
+                creationTime: this.clock(),
+                creationSignature: result.signature,
+                initialLiquidity: proposal.liquidity,
+                durationDays: proposal.durationDays,
+                status: 'active',
+                statusReason: `approved by ${reviewer || 'unknown'} (proposal #${proposal.id})`,
+                metadata: { ...proposal.metadata, approvalId: proposal.id, approvedBy: reviewer }
+            });
+
+            // Link markets drafted from news back to the events behind them
+            this.store.relinkNewsMarket(proposalLink(proposal.id), result.market);
+            for (const eventId of proposal.metadata?.news?.events || []) {
+                this.store.linkNewsMarket(eventId, result.market);
+            }
+        } catch (error) {
+            created = this.store.updatePendingApproval(proposal.id, {
+                error: `Market ${result.market} was created but not recorded: ${error.message}`
+            });
+        }
+
+        agentEvents.emitTyped(AgentEvents.MARKET_CREATED, { ...result, question: proposal.question, approvalId: proposal.id });
+        return created;
+    }
+
+    _pending(id, allowed = ['pending']) {
+        this.expireStale();
+
+        const proposal = this.get(id);
+        if (!allowed.includes(proposal.status)) {
+            throw new Error(`Proposal ${id} is ${proposal.status}, not pending`);
+        }
+        return proposal;
+    }
+}
+
+export function createApprovalQueue(options) {
+    return new ApprovalQueue(options);
+}
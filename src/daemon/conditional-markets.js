@@ -0,0 +1,204 @@
+// Conditional (if-then) markets
+// A conditional market only counts if its parent market resolves YES. It is linked
+// to the parent in the MarketStore and created with our wallet as settler, so the
+// settlement pipeline can hold it until the parent is known. If the parent resolves
+// NO or is cancelled, the conditional is voided: its custom oracle marks it
+// unresolvable, so once it ends the redemption sweeper refunds every holder instead
+// of paying one side. Conditionals we are not the settler for are reported and left alone.
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { assertQuestionLint } from '../generation/linter.js';
+import { MarketStatus, canTransition } from '../storage/market-lifecycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lifecycle states a conditional can still be voided from
+const UNSETTLED = ['active', 'expired', 'resolvable'];
+
+/**
+ * Where a parent market stands: 'missing', 'pending', 'yes', 'no' or 'cancelled'
+ */
+export function parentCondition(parent) {
+    if (!parent) return 'missing';
+    if (parent.status === MarketStatus.CANCELLED) return 'cancelled';
+
+    if (parent.status === MarketStatus.SETTLED || parent.status === MarketStatus.REDEEMED) {
+        const outcome = String(parent.outcome || '').toLowerCase();
+        if (outcome === 'yes' || outcome === 'no') return outcome;
+    }
+
+    return 'pending';
+}
+
+// Why a conditional market can't be settled yet, or null when it can
+export function conditionalHold(store, market) {
+    if (!market.parentMarket) return null;
+
+    const condition = parentCondition(store.getMarket(market.parentMarket));
+    if (condition === 'yes') return null;
+    if (condition === 'pending') return `Waiting on parent market ${market.parentMarket}`;
+    if (condition === 'missing') return `Parent market ${market.parentMarket} is not in the market database`;
+    return `Parent market ${market.parentMarket} resolved ${condition.toUpperCase()}; this market is voided`;
+}
+
+/**
+ * A market's place in the dependency graph: its parent and the parent's condition
+ * if it is a conditional, and any conditionals that depend on it
+ */
+export function marketDependency(store, address) {
+    const market = store.getMarket(address);
+    const parent = market?.parentMarket ? store.getMarket(market.parentMarket) : null;
+
+    return {
+        parent: market?.parentMarket
+            ? {
+                address: market.parentMarket,
+                question: parent?.question ?? null,
+                condition: parentCondition(parent)
+            }
+            : null,
+        hold: market ? conditionalHold(store, market) : null,
+        children: store.getChildMarkets(address).map(child => ({
+            address: child.address,
+            question: child.question,
+            status: child.status
+        }))
+    };
+}
+
+/**
+ * Create a conditional market under a parent we track. Options: parentMarket,
+ * question (usually "If ..., will ...?"), durationDays, liquidity and force.
+ * The conditional must end no earlier than its parent.
+ */
+export async function createConditionalMarket({ agent, store, parentMarket, question, durationDays = 30, liquidity, force = false, clock = () => Date.now() }) {
+    const parent = store.getMarket(parentMarket);
+    const condition = parentCondition(parent);
+
+    if (condition === 'missing') {
+        throw new Error(`Parent market ${parentMarket} is not in the market database`);
+    }
+    if (condition !== 'pending') {
+        throw new Error(`Parent market ${parentMarket} already resolved ${condition.toUpperCase()}`);
+    }
+    if (parent.parentMarket) {
+        throw new Error('Conditional markets can\'t be nested; pick a parent that is not itself conditional');
+    }
+
+    const now = clock();
+    const endTime = now + durationDays * DAY_MS;
+    if (parent.endTime && endTime < parent.endTime) {
+        throw new Error(`A conditional market must end no earlier than its parent (${new Date(parent.endTime).toISOString().slice(0, 10)})`);
+    }
+
+    assertQuestionLint(question, { durationDays, force, now });
+
+    const settlerAddress = agent.getWalletAddress();
+    if (!settlerAddress) {
+        throw new Error('Conditional markets need a configured wallet to settle them');
+    }
+
+    const result = await agent.createMarketWithCustomOracle({ question, durationDays, liquidity, settlerAddress });
+
+    const market = store.saveMarket({
+        address: result.market,
+        question,
+        category: 'Conditional',
+        creationTime: now,
+        creationSignature: result.signature,
+        initialLiquidity: result.liquidity ?? liquidity,
+        durationDays,
+        endTime,
+        status: 'active',
+        parentMarket,
+        metadata: {
+            conditional: { parent: parentMarket, parentQuestion: parent.question },
+            settler: settlerAddress
+        }
+    });
+
+    return { ...result, parentMarket, record: market };
+}
+
+export class ConditionalMarkets {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.agent = options.agent || null;
+        this.dryRun = options.dryRun || false;
+        this.log = options.log || (() => {});
+        this.clock = options.clock || (() => Date.now());
+    }
+
+    // Void every unsettled conditional whose parent resolved NO or was cancelled
+    async run() {
+        const summary = { checked: 0, voided: 0, refused: 0, failed: 0, results: [] };
+
+        for (const market of this.store.getConditionalMarkets()) {
+            if (!UNSETTLED.includes(market.status)) continue;
+            summary.checked++;
+
+            const condition = parentCondition(this.store.getMarket(market.parentMarket));
+            if (condition !== 'no' && condition !== 'cancelled') continue;
+
+            const result = await this.voidMarket(market, condition);
+            summary.results.push(result);
+            if (result.success) summary.voided++;
+            else if (result.refused) summary.refused++;
+            else if (!result.dryRun) summary.failed++;
+        }
+
+        return summary;
+    }
+
+    // Mark a conditional unresolvable through its custom oracle; only its settler can do that.
+    // The market is cancelled in the store, and the sweeper claims the refund once it ends.
+    async voidMarket(market, condition) {
+        const reason = `parent ${market.parentMarket} ${condition === 'no' ? 'resolved NO' : 'was cancelled'}`;
+
+        const wallet = this.agent?.getWalletAddress();
+        if (!wallet || market.metadata?.settler !== wallet) {
+            const error = `${market.address} is settled by ${market.metadata?.settler || 'an unknown oracle'}, not our wallet; void it there`;
+            this.log(`Can't void conditional ${market.address}: ${error}`, 'error');
+            return { market: market.address, success: false, refused: true, reason, error };
+        }
+
+        if (this.dryRun) {
+            this.log(`[DRY RUN] Would void ${market.address} by marking it unresolvable: ${reason}`);
+            return { market: market.address, dryRun: true, reason };
+        }
+
+        try {
+            const result = await this.agent.setMarketResolvable(market.address, false);
+
+            this.store.saveSettlementDecision({
+                market: market.address,
+                decision: 'voided',
+                source: 'conditional',
+                reasoning: `Voided: ${reason}`,
+                signature: result.signature,
+                timestamp: this.clock()
+            });
+
+            if (canTransition(market.status, MarketStatus.CANCELLED)) {
+                this.store.updateMarket(market.address, {
+                    status: MarketStatus.CANCELLED,
+                    statusReason: `voided: ${reason}`,
+                    signature: result.signature,
+                    resolutionTime: this.clock()
+                });
+            }
+
+            agentEvents.emitTyped(AgentEvents.CONDITIONAL_VOIDED, { address: market.address, parent: market.parentMarket, reason });
+            this.log(`Voided conditional ${market.address}: ${reason}`);
+
+            return { market: market.address, success: true, reason, signature: result.signature };
+        } catch (error) {
+            this.log(`Could not void conditional ${market.address}: ${error.message}`, 'error');
+            return { market: market.address, success: false, reason, error: error.message };
+        }
+    }
+}
+
+export function createConditionalMarkets(options = {}) {
+    return new ConditionalMarkets(options);
+}
@@ -6,21 +6,63 @@ import { Scheduler } from './scheduler.js';
 import { setupGracefulShutdown, HealthMonitor } from './lifecycle.js';
 import { agentEvents, AgentEvents } from '../events/emitter.js';
 import { MarketStore } from '../storage/market-store.js';
+import { Portfolio } from '../portfolio/portfolio.js';
+import { RedemptionSweeper } from './redemption-sweeper.js';
+import { SettlementPipeline } from './settlement-pipeline.js';
+import { ApprovalQueue } from './approval-queue.js';
+import { RecurringSeries } from './recurring-series.js';
+import { ConditionalMarkets } from './conditional-markets.js';
+import { createDuplicateGuard } from '../generation/dedup.js';
+import { generateMultipleMarkets } from '../privacy-markets.js';
+import { loadCategoryPacks } from '../generation/packs.js';
+import { AdaptiveWeighting } from '../generation/adaptive-weights.js';
 import { NewsMonitor } from '../monitoring/news-monitor.js';
+import { loadNewsSources } from '../monitoring/news-sources.js';
+import { KeywordConfigWatcher } from '../monitoring/keyword-config.js';
+import { NewsMarketPipeline } from './news-markets.js';
 import { WebhookServer } from '../helius/webhooks.js';
 import { getConfig } from '../config.js';
 
 export class PrivacyOracleDaemon {
     constructor(config = {}) {
+        // Daemon settings may be passed flat or nested under `daemon` (as getConfig() does)
+        const daemon = config.daemon || {};
+
         this.config = {
-            schedule: config.schedule || '1h',
-            maxIterations: config.maxIterations || null,
-            marketsPerRound: config.marketsPerRound || 1,
+            schedule: config.schedule || daemon.schedule || '1h',
+            maxIterations: config.maxIterations || daemon.maxIterations || null,
+            marketsPerRound: config.marketsPerRound || daemon.marketsPerRound || 1,
             dryRun: config.dryRun || false,
-            enableNewsMonitoring: config.enableNewsMonitoring || false,
+            enableNewsMonitoring: config.enableNewsMonitoring ?? config.news?.enabled ?? false,
+            newsCheckInterval: config.newsCheckInterval || config.news?.checkInterval || 300000,
+            newsSourcesFile: config.newsSourcesFile || config.news?.sourcesFile || null,
+            newsKeywordsFile: config.newsKeywordsFile || config.news?.keywordsFile || null,
+            newsMaxFailures: config.newsMaxFailures || config.news?.maxFailures || 10,
+            enableNewsMarkets: config.enableNewsMarkets ?? config.news?.markets ?? true,
+            newsMarketMinScore: config.newsMarketMinScore ?? config.news?.marketMinScore ?? 60,
+            newsMarketGenerator: config.newsMarketGenerator || config.news?.marketGenerator || 'template',
             enableWebhooks: config.enableWebhooks || false,
             webhookPort: config.webhookPort || 3000,
-            storagePath: config.storagePath || null,
+            storagePath: config.storagePath || daemon.storagePath || null,
+            enableRedemptionSweeper: config.enableRedemptionSweeper ?? daemon.redemptionSweeper ?? true,
+            redemptionSchedule: config.redemptionSchedule || daemon.redemptionSchedule || '15m',
+            approvalMode: config.approvalMode ?? daemon.approvalMode ?? false,
+            approvalTtl: config.approvalTtl || daemon.approvalTtl || '48h',
+            enableDedup: config.enableDedup ?? config.dedup?.enabled ?? true,
+            dedupThreshold: config.dedupThreshold ?? config.dedup?.threshold ?? 0.8,
+            dedupIncludeDiscovered: config.dedupIncludeDiscovered ?? config.dedup?.includeDiscovered ?? false,
+            packsDir: config.packsDir ?? config.packs?.dir ?? null,
+            enableAdaptiveWeights: config.enableAdaptiveWeights ?? config.adaptive?.enabled ?? false,
+            adaptivePolicy: config.adaptivePolicy || config.adaptive?.policy || 'thompson',
+            adaptiveEpsilon: config.adaptiveEpsilon ?? config.adaptive?.epsilon ?? 0.1,
+            adaptiveMinSamples: config.adaptiveMinSamples ?? config.adaptive?.minSamples ?? 10,
+            enableSettlement: config.enableSettlement ?? config.settlement?.enabled ?? false,
+            settlementSchedule: config.settlementSchedule || config.settlement?.schedule || '1h',
+            settlementMinConfidence: config.settlementMinConfidence ?? config.settlement?.minConfidence ?? 0.9,
+            enableSeries: config.enableSeries ?? config.series?.enabled ?? true,
+            seriesSchedule: config.seriesSchedule || config.series?.schedule || '1h',
+            enableConditionals: config.enableConditionals ?? config.conditionals?.enabled ?? true,
+            conditionalsSchedule: config.conditionalsSchedule || config.conditionals?.schedule || '1h',
             verbose: config.verbose || false,
             ...config
         };
@@ -28,7 +70,16 @@ export class PrivacyOracleDaemon {
         this.agent = null;
         this.scheduler = new Scheduler();
         this.store = null;
+        this.portfolio = null;
+        this.sweeper = null;
+        this.settlement = null;
+        this.conditionals = null;
+        this.recurringSeries = null;
+        this.approvalQueue = null;
+        this.adaptiveWeights = null;
         this.newsMonitor = null;
+        this.newsMarkets = null;
+        this.keywordWatcher = null;
         this.webhookServer = null;
         this.healthMonitor = null;
         this.lifecycle = null;
@@ -63,10 +114,50 @@ export class PrivacyOracleDaemon {
         this.log('Agent initialized');
 
         // 2. Initialize storage
-        this.store = new MarketStore({ storagePath: this.config.storagePath });
+        this.store = new MarketStore(this.config.storagePath);
         await this.store.initialize();
         this.log('Storage initialized');
 
+        // Record the daemon's trades and claims in the portfolio ledger
+        this.portfolio = new Portfolio(this.store);
+        this.agent.portfolio = this.portfolio;
+        this.agent.store = this.store;
+
+        this.approvalQueue = new ApprovalQueue({
+            store: this.store,
+            agent: this.agent,
+            ttl: this.config.approvalTtl
+        });
+
+        // Generate from the enabled category packs; without them, privacy only
+        try {
+            const registry = await loadCategoryPacks({ dir: this.config.packsDir });
+            this.log(`Category packs enabled: ${registry.enabled.join(', ')}`);
+        } catch (error) {
+            this.log(`Could not load category packs, using privacy only: ${error.message}`, 'error');
+        }
+
+        // Learn category and template weights from how our markets performed
+        if (this.config.enableAdaptiveWeights) {
+            this.adaptiveWeights = new AdaptiveWeighting({
+                store: this.store,
+                policy: this.config.adaptivePolicy,
+                epsilon: this.config.adaptiveEpsilon,
+                minSamples: this.config.adaptiveMinSamples
+            });
+        }
+
+        // Keep generated questions from repeating ones we already have
+        if (this.config.enableDedup) {
+            this.agent.duplicateGuard = await createDuplicateGuard({
+                store: this.store,
+                agent: this.agent,
+                threshold: this.config.dedupThreshold,
+                includeDiscovered: this.config.dedupIncludeDiscovered
+            });
+            this.log(`Duplicate guard loaded with ${this.agent.duplicateGuard.size} questions`);
+        }
+
         // 3. Restore state if available
         await this.restoreState();
 
@@ -79,15 +170,48 @@ export class PrivacyOracleDaemon {
             maxMemoryMB: 512,
             onUnhealthy: (health) => {
                 this.log(`Health check failed: ${health.issues.join(', ')}`, 'error');
+            },
+            onDegraded: (health) => {
+                this.log(`Degraded: ${health.warnings.join(', ')}`);
+            },
+            checks: {
+                news: () => [
+                    ...(this.newsMonitor?.getHealthWarnings() || []),
+                    ...(this.keywordWatcher?.lastError ? [`News keywords not reloaded: ${this.keywordWatcher.lastError}`] : [])
+                ]
             }
         });
         this.healthMonitor.start();
 
         // 6. Optionally start news monitoring
         if (this.config.enableNewsMonitoring) {
-            this.newsMonitor = new NewsMonitor();
+            const sources = this.config.newsSourcesFile ? await loadNewsSources(this.config.newsSourcesFile) : undefined;
+            const keywords = this.config.newsKeywordsFile ? await this.startKeywordWatcher() : undefined;
+            this.newsMonitor = new NewsMonitor({
+                store: this.store,
+                sources,
+                keywords,
+                checkInterval: this.config.newsCheckInterval,
+                maxFailures: this.config.newsMaxFailures,
+                log: (message) => this.log(message, 'error')
+            });
             await this.newsMonitor.start();
-            this.log('News monitoring started');
+            this.log(`News monitoring started with ${this.newsMonitor.getStatus().eventsCount} recent events`);
+
+            // Generate markets from high-urgency stories before falling back to templates
+            if (this.config.enableNewsMarkets) {
+                this.newsMarkets = new NewsMarketPipeline({
+                    newsMonitor: this.newsMonitor,
+                    agent: this.agent,
+                    store: this.store,
+                    guard: this.agent.duplicateGuard,
+                    generator: await this.createNewsGenerator(),
+                    approvalQueue: this.config.approvalMode ? this.approvalQueue : null,
+                    minScore: this.config.newsMarketMinScore,
+                    dryRun: this.config.dryRun,
+                    log: (message, level) => this.log(message, level)
+                });
+            }
         }
 
         // 7. Optionally start webhook server
@@ -100,6 +224,11 @@ export class PrivacyOracleDaemon {
             // Register handlers
             this.webhookServer.on('getStats', () => this.store.getStats());
             this.webhookServer.on('getMarkets', (opts) => this.store.getAllMarkets(opts));
+            this.webhookServer.on('getMarketHistory', (address) => this.store.getMarketHistory(address));
+            this.webhookServer.on('queueList', (status) => this.approvalQueue.list(status));
+            this.webhookServer.on('queueApprove', (id, reviewer, options) => this.approvalQueue.approve(id, reviewer, options));
+            this.webhookServer.on('queueReject', (id, reviewer, note) => this.approvalQueue.reject(id, reviewer, note));
+            this.webhookServer.on('queueEdit', (id, changes, reviewer) => this.approvalQueue.edit(id, changes, reviewer));
 
             await this.webhookServer.start();
             this.log(`Webhook server started on port ${this.config.webhookPort}`);
@@ -113,6 +242,74 @@ export class PrivacyOracleDaemon {
             runImmediately: true
         });
 
+        // 9. Schedule redemption sweeper so winnings and refunds are never left unclaimed
+        if (this.config.enableRedemptionSweeper) {
+            this.sweeper = new RedemptionSweeper({
+                agent: this.agent,
+                store: this.store,
+                portfolio: this.portfolio,
+                dryRun: this.config.dryRun,
+                log: (message, level) => this.log(message, level)
+            });
+
+            this.scheduler.addTask({
+                name: 'redemption-sweep',
+                schedule: this.config.redemptionSchedule,
+                task: () => this.executeSweep()
+            });
+        }
+
+        // 10. Schedule settlement of expired markets we are the oracle for
+        if (this.config.enableSettlement) {
+            this.settlement = new SettlementPipeline({
+                agent: this.agent,
+                store: this.store,
+                resolver: await this.createResolver(agentConfig),
+                minConfidence: this.config.settlementMinConfidence,
+                dryRun: this.config.dryRun,
+                log: (message, level) => this.log(message, level)
+            });
+
+            this.scheduler.addTask({
+                name: 'settlement',
+                schedule: this.config.settlementSchedule,
+                task: () => this.executeSettlement()
+            });
+        }
+
+        // 11. Void conditional markets whose parent resolved NO by settling them NO
+        if (this.config.enableConditionals) {
+            this.conditionals = new ConditionalMarkets({
+                agent: this.agent,
+                store: this.store,
+                dryRun: this.config.dryRun,
+                log: (message, level) => this.log(message, level)
+            });
+
+            this.scheduler.addTask({
+                name: 'conditional-markets',
+                schedule: this.config.conditionalsSchedule,
+                task: () => this.executeConditionals()
+            });
+        }
+
+        // 12. Schedule rollover of recurring series to their next instance
+        if (this.config.enableSeries) {
+            this.recurringSeries = new RecurringSeries({
+                agent: this.agent,
+                store: this.store,
+                dryRun: this.config.dryRun,
+                log: (message, level) => this.log(message, level)
+            });
+
+            this.scheduler.addTask({
+                name: 'series-rollover',
+                schedule: this.config.seriesSchedule,
+                task: () => this.executeRollover(),
+                runImmediately: true
+            });
+        }
+
         this.scheduler.start();
         this.isRunning = true;
 
@@ -147,19 +344,29 @@ export class PrivacyOracleDaemon {
             // Get news context if available
             let newsContext = null;
             if (this.newsMonitor) {
-                newsContext = this.newsMonitor.getRecentEvents(5);
+                // One entry per story, however many sources covered it
+                newsContext = this.newsMonitor.getStories(5);
                 if (newsContext.length > 0) {
-                    this.log(`Found ${newsContext.length} relevant news events`);
+                    this.log(`Found ${newsContext.length} relevant news stories`);
                 }
             }
 
+            if (this.adaptiveWeights) {
+                await this.updateWeights();
+            }
+
             // Generate and create markets
             const results = [];
 
+            // Markets from news stories first; templates fill the rest of the round
+            if (this.newsMarkets) {
+                results.push(...await this.executeNewsMarkets());
+            }
+            const templateCount = Math.max(0, this.config.marketsPerRound - results.filter(r => r.success).length);
+
             if (this.config.dryRun) {
                 // Dry run - just generate ideas
-                const { generateMultipleMarkets } = await import('../privacy-markets.js');
-                const ideas = generateMultipleMarkets(this.config.marketsPerRound);
+                const ideas = generateMultipleMarkets(templateCount, { guard: this.agent.duplicateGuard });
 
                 for (const idea of ideas) {
                     this.log(`[DRY RUN] Would create: ${idea.question}`);
@@ -170,9 +377,31 @@ export class PrivacyOracleDaemon {
                         category: idea.category
                     });
                 }
+            } else if (this.config.approvalMode) {
+                // Approval mode - queue ideas; they are created once a human approves them
+                const expired = this.approvalQueue.expireStale();
+                if (expired > 0) {
+                    this.log(`Expired ${expired} stale proposal(s)`);
+                }
+
+                for (const idea of generateMultipleMarkets(templateCount, { guard: this.agent.duplicateGuard })) {
+                    const proposal = this.approvalQueue.propose({
+                        ...idea,
+                        metadata: { newsContext, iteration: this.iterationCount, similarity: idea.similarity, templateId: idea.templateId }
+                    });
+
+                    this.log(`Queued for approval (#${proposal.id}): ${idea.question}`);
+                    results.push({
+                        success: true,
+                        queued: true,
+                        approvalId: proposal.id,
+                        question: idea.question,
+                        category: idea.category
+                    });
+                }
             } else {
                 // Actually create markets
-                const batchResults = await this.agent.createBatchMarkets(this.config.marketsPerRound);
+                const batchResults = await this.agent.createBatchMarkets(templateCount);
 
                 for (const result of batchResults) {
                     if (result.success) {
@@ -187,7 +416,7 @@ export class PrivacyOracleDaemon {
                             initialLiquidity: result.liquidity,
                             durationDays: result.durationDays,
                             status: 'active',
-                            metadata: { newsContext, iteration: this.iterationCount }
+                            metadata: { newsContext, iteration: this.iterationCount, templateId: result.templateId }
                         });
 
                         agentEvents.emitTyped(AgentEvents.MARKET_CREATED, result);
@@ -226,6 +455,142 @@ export class PrivacyOracleDaemon {
         }
     }
 
+    // Refresh volume and traders, then reweight; a failure leaves the previous weights
+    async updateWeights() {
+        try {
+            const refreshed = await this.adaptiveWeights.refreshMetrics(this.agent);
+            const snapshot = this.adaptiveWeights.update();
+            const summary = Object.entries(snapshot.categories)
+                .map(([key, weight]) => `${key} ${(weight * 100).toFixed(0)}%`)
+                .join(', ');
+            this.log(`Refreshed ${refreshed} market(s); ${snapshot.policy} weights: ${summary}`);
+        } catch (error) {
+            this.log(`Weight update failed: ${error.message}`, 'error');
+        }
+    }
+
+    async executeSweep() {
+        try {
+            const summary = await this.sweeper.sweep();
+
+            if (summary.checked > 0) {
+                this.log(`Sweep complete: ${summary.redeemed} redeemed, ${summary.refunded} refunded, ${summary.failed} failed`);
+            }
+
+            return summary;
+        } catch (error) {
+            this.log(`Redemption sweep failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async executeNewsMarkets() {
+        try {
+            const summary = await this.newsMarkets.run(this.config.marketsPerRound);
+
+            if (summary.checked > 0) {
+                const published = summary.results.filter(r => r.success).length;
+                this.log(`News markets: ${published} from ${summary.checked} stories, ${summary.skipped} skipped`);
+            }
+
+            return summary.results;
+        } catch (error) {
+            this.log(`News market generation failed: ${error.message}`, 'error');
+            return [];
+        }
+    }
+
+    // AI question writer for news markets when configured; templates otherwise.
+    // The AI modules are only loaded when used, so the daemon runs without @anthropic-ai/sdk.
+    async createNewsGenerator() {
+        if (this.config.newsMarketGenerator !== 'ai') return null;
+
+        try {
+            const { AIMarketGenerator } = await import('../ai/market-generator.js');
+            return new AIMarketGenerator();
+        } catch (error) {
+            this.log(`AI news generator unavailable, using templates: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // Load the keyword file and apply later edits to the news monitor; an invalid edit
+    // is logged and shows in health warnings while the previous keywords stay in use
+    async startKeywordWatcher() {
+        this.keywordWatcher = new KeywordConfigWatcher({
+            file: this.config.newsKeywordsFile,
+            onChange: (keywords) => {
+                this.newsMonitor?.setKeywords(keywords);
+                this.log(`Reloaded news keywords from ${this.config.newsKeywordsFile}`);
+            },
+            onError: (error) => {
+                this.log(`Keeping previous news keywords: ${error.message}`, 'error');
+            }
+        });
+
+        return this.keywordWatcher.start();
+    }
+
+    async createResolver(agentConfig) {
+        if (agentConfig.settlement?.useAI === false || !agentConfig.anthropicApiKey) {
+            this.log('Settlement will use the PNP oracle only');
+            return null;
+        }
+
+        try {
+            const { AIResolver } = await import('../ai/resolver.js');
+            return new AIResolver(agentConfig.anthropicApiKey);
+        } catch (error) {
+            this.log(`AI resolver unavailable, settlement will use the PNP oracle only: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async executeSettlement() {
+        try {
+            const summary = await this.settlement.run();
+
+            if (summary.checked > 0) {
+                this.log(`Settlement complete: ${summary.settled} settled, ${summary.review} sent to review, ${summary.failed} failed`);
+            }
+
+            return summary;
+        } catch (error) {
+            this.log(`Settlement run failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async executeConditionals() {
+        try {
+            const summary = await this.conditionals.run();
+
+            if (summary.voided > 0 || summary.refused > 0 || summary.failed > 0) {
+                this.log(`Conditional markets: ${summary.voided} voided, ${summary.refused} not ours to void, ${summary.failed} failed`);
+            }
+
+            return summary;
+        } catch (error) {
+            this.log(`Conditional market check failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async executeRollover() {
+        try {
+            const summary = await this.recurringSeries.run();
+
+            if (summary.created > 0 || summary.failed > 0) {
+                this.log(`Series rollover: ${summary.created} created, ${summary.failed} failed`);
+            }
+
+            return summary;
+        } catch (error) {
+            this.log(`Series rollover failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
     async stop() {
         if (!this.isRunning) return;
 
@@ -238,6 +603,7 @@ export class PrivacyOracleDaemon {
         if (this.newsMonitor) {
             await this.newsMonitor.stop();
         }
+        this.keywordWatcher?.stop();
 
         // Stop webhook server
         if (this.webhookServer) {
@@ -311,7 +677,8 @@ export class PrivacyOracleDaemon {
             uptime: this.startTime ? Date.now() - this.startTime : 0,
             config: this.config,
             scheduler: this.scheduler.getAllTasks(),
-            health: this.healthMonitor?.getHealth() || null
+            health: this.healthMonitor?.getHealth() || null,
+            news: this.newsMonitor?.getStatus() || null
         };
     }
 }
@@ -94,11 +94,15 @@ export function setupGracefulShutdown(daemon, options = {}) {
 }
 
 // Health check helper for long-running processes
+// Extra checks are functions returning a list of warnings; any warning marks the
+// process degraded without making it unhealthy.
 export class HealthMonitor {
     constructor(options = {}) {
         this.checkInterval = options.checkInterval || 60000;
         this.maxMemoryMB = options.maxMemoryMB || 512;
         this.onUnhealthy = options.onUnhealthy || null;
+        this.onDegraded = options.onDegraded || null;
+        this.checks = options.checks || {};
         this.timer = null;
         this.startTime = Date.now();
         this.lastCheck = null;
@@ -123,6 +127,8 @@ export class HealthMonitor {
 
         if (!health.healthy && this.onUnhealthy) {
             this.onUnhealthy(health);
+        } else if (health.degraded && this.onDegraded) {
+            this.onDegraded(health);
         }
 
         return health;
@@ -136,8 +142,11 @@ export class HealthMonitor {
         const uptime = Date.now() - this.startTime;
         const memoryOk = heapUsedMB < this.maxMemoryMB;
 
+        const warnings = Object.values(this.checks).flatMap(check => check() || []);
+
         return {
             healthy: memoryOk,
+            degraded: warnings.length > 0,
             uptime,
             uptimeHuman: this.formatUptime(uptime),
             memory: {
@@ -146,7 +155,8 @@ export class HealthMonitor {
                 maxMB: this.maxMemoryMB
             },
             lastCheck: this.lastCheck,
-            issues: memoryOk ? [] : ['Memory usage exceeded threshold']
+            issues: memoryOk ? [] : ['Memory usage exceeded threshold'],
+            warnings
         };
     }
 
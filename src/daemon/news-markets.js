@@ -0,0 +1,183 @@
+// News-driven market generation for the daemon
+// Turns high-urgency, high-scoring news stories into market questions, with the
+// template generator (generateMarketFromNews) or the AI generator. Questions are
+// linted and deduplicated, run for a duration set by the story's urgency, and each
+// market is linked back to every news event in the story that triggered it.
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { proposalLink } from './approval-queue.js';
+import { lintQuestion } from '../generation/linter.js';
+import { generateMarketFromNews, URGENCY_DURATION_DAYS } from '../monitoring/news-scorer.js';
+import { getCategory } from '../privacy-markets.js';
+
+export const DEFAULT_NEWS_MARKET_MIN_SCORE = 60;
+
+export class NewsMarketPipeline {
+    constructor(options = {}) {
+        this.newsMonitor = options.newsMonitor;
+        this.agent = options.agent || null;
+        this.store = options.store || null;
+        // DuplicateGuard, AIMarketGenerator and ApprovalQueue are all optional
+        this.guard = options.guard || null;
+        this.generator = options.generator || null;
+        this.approvalQueue = options.approvalQueue || null;
+        this.minScore = options.minScore ?? DEFAULT_NEWS_MARKET_MIN_SCORE;
+        this.dryRun = options.dryRun || false;
+        this.log = options.log || (() => {});
+        this.clock = options.clock || (() => Date.now());
+        // Stories already drafted this run, so a rejected one isn't retried every cycle
+        this.attempted = new Set();
+    }
+
+    // High-urgency stories at or above minScore with no market yet
+    candidates() {
+        return this.newsMonitor.getHighUrgencyEvents(this.newsMonitor.maxEvents)
+            .filter(story => story.relevanceScore >= this.minScore)
+            .filter(story => story.markets.length === 0 && !this.attempted.has(story.id))
+            .sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
+    /**
+     * Draft a market for a story: { question, category, categoryKey, durationDays, lintWarnings, news }.
+     * Throws when the question fails lint or duplicates one we already have.
+     */
+    async draft(story) {
+        const durationDays = URGENCY_DURATION_DAYS[story.urgency] || URGENCY_DURATION_DAYS.evergreen;
+        let question;
+        let category;
+
+        if (this.generator) {
+            const market = await this.generator.generateFromNews({
+                title: story.title,
+                summary: story.snippet,
+                source: story.sources.join(', '),
+                link: story.link
+            });
+            question = market.question;
+            category = market.category || story.suggestedCategory;
+        } else {
+            ({ question, category } = generateMarketFromNews(story));
+        }
+
+        const lint = lintQuestion(question, { durationDays, now: this.clock() });
+        if (!lint.ok) {
+            throw new Error(`"${question}" failed lint: ${lint.errors.map(e => e.message).join('; ')}`);
+        }
+
+        const check = this.guard?.check(question);
+        if (check?.duplicate) {
+            throw new Error(`"${question}" duplicates "${check.match}"`);
+        }
+
+        return {
+            question,
+            category,
+            // Both generators answer with a category key; stats and adaptive weights group by it
+            categoryKey: getCategory(category) ? category : null,
+            durationDays,
+            lintWarnings: lint.warnings,
+            news: {
+                storyId: story.id,
+                events: story.events,
+                sources: story.sources,
+                title: story.title,
+                link: story.link,
+                urgency: story.urgency,
+                relevanceScore: story.relevanceScore
+            }
+        };
+    }
+
+    /**
+     * Draft and publish markets for up to limit stories. Resolves to
+     * { checked, skipped, results } where results are shaped like the daemon's cycle results.
+     */
+    async run(limit = 1) {
+        const summary = { checked: 0, skipped: 0, results: [] };
+
+        for (const story of this.candidates()) {
+            if (summary.results.filter(r => r.success).length >= limit) break;
+
+            summary.checked++;
+            this.attempted.add(story.id);
+
+            let draft;
+            try {
+                draft = await this.draft(story);
+            } catch (error) {
+                summary.skipped++;
+                this.log(`Skipped news story "${story.title}": ${error.message}`);
+                continue;
+            }
+
+            summary.results.push(await this.publish(draft));
+        }
+
+        return summary;
+    }
+
+    // Create, queue or (in a dry run) log a drafted market
+    async publish(draft) {
+        const { question, category, categoryKey, durationDays, news } = draft;
+
+        if (this.dryRun) {
+            this.guard?.add(question);
+            this.log(`[DRY RUN] Would create from news: ${question}`);
+            return { success: true, dryRun: true, question, category, newsStory: news.storyId };
+        }
+
+        if (this.approvalQueue) {
+            const proposal = this.approvalQueue.propose({ question, category, categoryKey, durationDays, metadata: { news } }, 'news');
+            // Keeps the story from being proposed again, across restarts too
+            for (const eventId of news.events) {
+                this.newsMonitor.recordMarket(eventId, proposalLink(proposal.id));
+            }
+            this.guard?.add(question);
+            this.log(`Queued for approval (#${proposal.id}) from news: ${question}`);
+            return { success: true, queued: true, approvalId: proposal.id, question, category, newsStory: news.storyId };
+        }
+
+        let result;
+        try {
+            result = await this.agent.createMarket({ question, durationDays });
+        } catch (error) {
+            agentEvents.emitTyped(AgentEvents.MARKET_FAILED, { question, error: error.message, newsStory: news.storyId });
+            this.log(`Failed to create market from news: ${error.message}`, 'error');
+            return { success: false, question, error: error.message, newsStory: news.storyId };
+        }
+
+        this.guard?.add(question);
+        agentEvents.emitTyped(AgentEvents.MARKET_CREATED, { ...result, category, newsStory: news.storyId });
+        this.log(`Created market from news: ${result.market}`);
+
+        // The market exists now; a bookkeeping failure is reported but doesn't fail the result
+        try {
+            for (const eventId of news.events) {
+                this.newsMonitor.recordMarket(eventId, result.market);
+            }
+
+            this.store.saveMarket({
+                address: result.market,
+                question,
+                category,
+                categoryKey,
+                creationTime: this.clock(),
+                creationSignature: result.signature,
+                initialLiquidity: result.liquidity,
+                durationDays,
+                status: 'active',
+                metadata: { news }
+            });
+        } catch (error) {
+            const message = `Market ${result.market} was created but not recorded: ${error.message}`;
+            this.log(message, 'error');
+            return { ...result, category, newsStory: news.storyId, recordError: message };
+        }
+
+        return { ...result, category, newsStory: news.storyId };
+    }
+}
+
+export function createNewsMarketPipeline(options = {}) {
+    return new NewsMarketPipeline(options);
+}
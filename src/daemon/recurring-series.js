@@ -0,0 +1,304 @@
+// Recurring market series: one question template re-created every period
+// A series is a template with a {date} slot, a cadence and a liquidity. When the
+// current instance nears its deadline the daemon creates the next one; instances
+// share the series id in the MarketStore so their outcomes can be read back in order.
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { parseTemplate } from '../generation/templates.js';
+import { assertQuestionLint } from '../generation/linter.js';
+import { parseDuration } from './approval-queue.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+                'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Each cadence maps a time to the last moment of the period containing it, and
+// labels that moment the way the question linter reads deadlines
+export const CADENCES = {
+    weekly: {
+        // Weeks end on Sunday
+        periodEnd(time) {
+            const d = new Date(time);
+            const toSunday = (7 - d.getUTCDay()) % 7;
+            return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + toSunday + 1) - 1;
+        },
+        label: end => `${MONTHS[end.getUTCMonth()]} ${end.getUTCDate()}, ${end.getUTCFullYear()}`
+    },
+    monthly: {
+        periodEnd(time) {
+            const d = new Date(time);
+            return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1) - 1;
+        },
+        label: end => `${MONTHS[end.getUTCMonth()]} ${end.getUTCFullYear()}`
+    },
+    quarterly: {
+        periodEnd(time) {
+            const d = new Date(time);
+            return Date.UTC(d.getUTCFullYear(), (Math.floor(d.getUTCMonth() / 3) + 1) * 3, 1) - 1;
+        },
+        label: end => `Q${Math.floor(end.getUTCMonth() / 3) + 1} ${end.getUTCFullYear()}`
+    }
+};
+
+const DEFAULT_LEAD_TIME = '3d';
+
+// Parse a series question template; only {date} slots, which become the period deadline
+function parseSeriesTemplate(text) {
+    const { parts, slots } = parseTemplate(String(text || ''));
+
+    if (!slots.some(s => s.type === 'date')) {
+        throw new Error('Series template needs a {date} slot for each period\'s deadline');
+    }
+    const other = slots.find(s => s.type !== 'date');
+    if (other) {
+        throw new Error(`Series templates only take {date}; write {${other.type}} out so every instance asks the same thing`);
+    }
+
+    return parts;
+}
+
+export function seriesQuestion(template, cadence, periodEnd) {
+    const label = CADENCES[cadence].label(new Date(periodEnd));
+    return parseSeriesTemplate(template).map(part => typeof part === 'string' ? part : label).join('');
+}
+
+export class RecurringSeries {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.agent = options.agent || null;
+        this.dryRun = options.dryRun || false;
+        this.log = options.log || (() => {});
+        this.clock = options.clock || (() => Date.now());
+        // Instances created on-chain whose market record could not be saved, by series id
+        this.unrecorded = new Map();
+    }
+
+    /**
+     * Define a series. Options: id (slug), template (with {date}), cadence (weekly,
+     * monthly or quarterly), liquidity (base units), leadTime (how long before the
+     * current deadline the next instance is created) and resolutionSource.
+     */
+    define(definition, options = {}) {
+        const { id, template, cadence, liquidity = null, leadTime = DEFAULT_LEAD_TIME, resolutionSource = null } = definition;
+
+        if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+            throw new Error('Series id must be lowercase letters, digits and dashes');
+        }
+        if (this.store.getSeries(id)) {
+            throw new Error(`Series ${id} already exists`);
+        }
+        if (!CADENCES[cadence]) {
+            throw new Error(`Unknown cadence: ${cadence} (use ${Object.keys(CADENCES).join(', ')})`);
+        }
+        if (liquidity !== null && !/^\d+$/.test(String(liquidity))) {
+            throw new Error('Liquidity must be a whole number of base units');
+        }
+        parseDuration(leadTime);
+
+        // Check the question the first instance would ask
+        const now = this.clock();
+        assertQuestionLint(seriesQuestion(template, cadence, CADENCES[cadence].periodEnd(now)), { now, force: options.force });
+
+        return this.store.saveSeries({
+            id,
+            kind: 'recurring',
+            title: template,
+            createdAt: now,
+            metadata: {
+                template,
+                cadence,
+                liquidity: liquidity === null ? null : String(liquidity),
+                leadTime,
+                resolutionSource
+            }
+        });
+    }
+
+    get(id) {
+        const series = this.store.getSeries(id);
+        if (!series) {
+            throw new Error(`No series with id ${id}`);
+        }
+        if (series.kind !== 'recurring') {
+            throw new Error(`Series ${id} is a ${series.kind}, not a recurring series`);
+        }
+        return series;
+    }
+
+    list(status = null) {
+        return this.store.getAllSeries({ kind: 'recurring', status }).map(series => ({
+            ...series,
+            latest: this.instances(series.id).at(-1) || null,
+            next: series.status === 'active' ? this.nextPeriod(series) : null
+        }));
+    }
+
+    pause(id) {
+        this.get(id);
+        return this.store.updateSeries(id, { status: 'paused' });
+    }
+
+    resume(id) {
+        this.get(id);
+        return this.store.updateSeries(id, { status: 'active' });
+    }
+
+    // Instances oldest first
+    instances(id) {
+        return this.store.getSeriesMarkets(id)
+            .filter(m => m.metadata?.recurring)
+            .sort((a, b) => a.metadata.recurring.periodEnd - b.metadata.recurring.periodEnd);
+    }
+
+    // Each instance with its period and outcome, oldest first
+    history(id) {
+        const series = this.get(id);
+
+        return {
+            series,
+            instances: this.instances(id).map(m => ({
+                instance: m.metadata.recurring.instance,
+                period: m.metadata.recurring.label,
+                periodEnd: m.metadata.recurring.periodEnd,
+                address: m.address,
+                question: m.question,
+                status: m.status,
+                outcome: m.outcome
+            }))
+        };
+    }
+
+    /**
+     * The period the next instance should cover, or null while the latest instance
+     * is further than the lead time from its deadline. A period that would end
+     * within the lead time is skipped in favour of the one after it.
+     */
+    nextPeriod(series, now = this.clock()) {
+        const { cadence, leadTime } = series.metadata;
+        const leadMs = parseDuration(leadTime);
+        const latest = this.instances(series.id).at(-1);
+
+        if (latest && latest.metadata.recurring.periodEnd - now > leadMs) {
+            return null;
+        }
+
+        const periodEnd = CADENCES[cadence].periodEnd;
+        let end = periodEnd(Math.max(latest ? latest.metadata.recurring.periodEnd + 1 : now, now));
+        if (end - now < leadMs) {
+            end = periodEnd(end + 1);
+        }
+
+        return {
+            instance: (latest?.metadata.recurring.instance ?? 0) + 1,
+            periodEnd: end,
+            label: CADENCES[cadence].label(new Date(end)),
+            question: seriesQuestion(series.metadata.template, cadence, end)
+        };
+    }
+
+    // Create the next instance of every active series that is due
+    async run() {
+        const summary = { checked: 0, created: 0, failed: 0, results: [] };
+        const now = this.clock();
+
+        for (const series of this.store.getAllSeries({ kind: 'recurring', status: 'active' })) {
+            summary.checked++;
+
+            // An instance created on-chain but never recorded is recorded now, not created again
+            const unrecorded = this.unrecorded.get(series.id) || series.metadata.unrecorded;
+            if (unrecorded) {
+                summary.results.push(this._record(series, unrecorded));
+                continue;
+            }
+
+            const next = this.nextPeriod(series, now);
+            if (!next) continue;
+
+            if (this.dryRun) {
+                this.log(`[DRY RUN] Would roll ${series.id} over to: ${next.question}`);
+                summary.results.push({ series: series.id, dryRun: true, question: next.question });
+                continue;
+            }
+
+            const durationDays = Math.ceil((next.periodEnd - now) / DAY_MS);
+
+            let result;
+            try {
+                result = await this.agent.createMarket({
+                    question: next.question,
+                    durationDays,
+                    liquidity: series.metadata.liquidity ? BigInt(series.metadata.liquidity) : undefined
+                });
+            } catch (error) {
+                summary.failed++;
+                summary.results.push({ series: series.id, success: false, question: next.question, error: error.message });
+                this.log(`Could not roll ${series.id} over: ${error.message}`, 'error');
+                continue;
+            }
+
+            summary.created++;
+            agentEvents.emitTyped(AgentEvents.SERIES_ROLLOVER, { series: series.id, instance: next.instance, market: result.market });
+            this.log(`Rolled ${series.id} over to ${result.market}: ${next.question}`);
+
+            summary.results.push(this._record(series, {
+                ...next,
+                market: result.market,
+                signature: result.signature,
+                liquidity: result.liquidity ?? series.metadata.liquidity,
+                durationDays,
+                createdAt: now
+            }));
+        }
+
+        return summary;
+    }
+
+    // Save a created instance in the market store. On failure the instance is kept
+    // (in memory and, if the store allows, on the series) so the next run retries this
+    // instead of creating the market again.
+    _record(series, instance) {
+        const result = { series: series.id, success: true, market: instance.market, question: instance.question };
+
+        try {
+            this.store.saveMarket({
+                address: instance.market,
+                question: instance.question,
+                category: 'Recurring',
+                creationTime: instance.createdAt,
+                creationSignature: instance.signature,
+                initialLiquidity: instance.liquidity,
+                durationDays: instance.durationDays,
+                endTime: instance.periodEnd,
+                status: 'active',
+                statusReason: `series ${series.id} instance ${instance.instance}`,
+                seriesId: series.id,
+                metadata: {
+                    recurring: { instance: instance.instance, periodEnd: instance.periodEnd, label: instance.label },
+                    resolutionSource: series.metadata.resolutionSource
+                }
+            });
+        } catch (error) {
+            const message = `Market ${instance.market} was created but not recorded: ${error.message}`;
+            this.log(message, 'error');
+            this.unrecorded.set(series.id, instance);
+            try {
+                this.store.updateSeries(series.id, { metadata: { ...series.metadata, unrecorded: instance } });
+            } catch {
+                // Kept in memory only; the store is failing anyway
+            }
+            return { ...result, recordError: message };
+        }
+
+        if (this.unrecorded.delete(series.id) || series.metadata.unrecorded) {
+            const { unrecorded, ...metadata } = series.metadata;
+            this.store.updateSeries(series.id, { metadata });
+        }
+
+        return result;
+    }
+}
+
+export function createRecurringSeries(options = {}) {
+    return new RecurringSeries(options);
+}
@@ -0,0 +1,192 @@
+// Redemption sweeper for the daemon
+// Finds positions in resolved or refundable markets and claims winnings or refunds
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { MarketStatus, canTransition } from '../storage/market-lifecycle.js';
+
+// Outcomes that mean there is nothing left to do for a market
+const FINAL_STATUSES = ['redeemed', 'refunded', 'skipped'];
+
+// Errors that mean we simply held nothing to claim
+const NOTHING_TO_CLAIM = /no winning tokens|nothing to (redeem|refund)|no position|already (redeemed|refunded|claimed)/i;
+
+export class RedemptionSweeper {
+    constructor(options = {}) {
+        this.agent = options.agent;
+        this.store = options.store;
+        this.portfolio = options.portfolio || null;
+        this.dryRun = options.dryRun || false;
+        this.log = options.log || (() => {});
+        this.clock = options.clock || (() => Date.now());
+    }
+
+    // Markets worth checking: ones we created plus ones we hold a position in
+    getCandidates() {
+        const addresses = new Set();
+
+        for (const market of this.store.getAllMarkets()) {
+            addresses.add(market.address);
+        }
+
+        if (this.portfolio) {
+            for (const position of this.portfolio.getPositions()) {
+                if (position.open) addresses.add(position.market);
+            }
+        }
+
+        return [...addresses].filter(address => {
+            const last = this.store.getLatestRedemption(address);
+            return !last || !FINAL_STATUSES.includes(last.status);
+        });
+    }
+
+    async sweep() {
+        const results = [];
+        let v3Addresses = null;
+
+        for (const address of this.getCandidates()) {
+            let info;
+            try {
+                info = await this.agent.fetchMarketInfo(address);
+            } catch (error) {
+                this.log(`Sweeper could not fetch ${address}: ${error.message}`, 'error');
+                continue;
+            }
+
+            const action = this.classify(info);
+            if (!action) continue;
+
+            if (v3Addresses === null) {
+                v3Addresses = await this._fetchV3Addresses();
+            }
+
+            const marketType = v3Addresses.has(address) ? 'v3' : 'v2';
+            results.push(await this._claim(address, action, marketType, info));
+        }
+
+        return {
+            checked: results.length,
+            redeemed: results.filter(r => r.status === 'redeemed').length,
+            refunded: results.filter(r => r.status === 'refunded').length,
+            failed: results.filter(r => r.status === 'failed').length,
+            results
+        };
+    }
+
+    // 'redeem' for resolved markets, 'refund' for expired ones that never became resolvable
+    classify(info) {
+        if (info.resolved) return 'redeem';
+
+        const expired = info.endTime && info.endTime.getTime() < this.clock();
+        if (expired && info.resolvable === false) return 'refund';
+
+        return null;
+    }
+
+    async _claim(address, action, marketType, info) {
+        const method = this._methodFor(action, marketType);
+
+        if (this.dryRun) {
+            this.log(`[DRY RUN] Would call ${method} on ${address}`);
+            return { market: address, action, method, status: 'dry-run' };
+        }
+
+        let record;
+        try {
+            const result = await this.agent[method](address);
+            const amount = result.amountRedeemed || result.amountRefunded || null;
+
+            record = {
+                market: address,
+                action,
+                method,
+                status: action === 'redeem' ? 'redeemed' : 'refunded',
+                amount: amount === 'unknown' ? null : amount,
+                signature: result.signature
+            };
+        } catch (error) {
+            const nothing = NOTHING_TO_CLAIM.test(error.message);
+            record = {
+                market: address,
+                action,
+                method,
+                status: nothing ? 'skipped' : 'failed',
+                error: error.message
+            };
+        }
+
+        this.store.saveRedemption(record);
+
+        // The claim is recorded either way; a status update failing must not end the sweep
+        try {
+            this._updateMarketStatus(address, action, record, info);
+        } catch (error) {
+            this.log(`Could not update the status of ${address}: ${error.message}`, 'error');
+        }
+
+        if (record.status === 'redeemed' || record.status === 'refunded') {
+            const event = action === 'redeem' ? AgentEvents.MARKET_REDEEMED : AgentEvents.MARKET_REFUNDED;
+            agentEvents.emitTyped(event, record);
+            this.log(`${record.status === 'redeemed' ? 'Redeemed' : 'Refunded'} ${address} via ${method}`);
+        } else if (record.status === 'failed') {
+            this.log(`Failed to ${action} ${address}: ${record.error}`, 'error');
+        }
+
+        return record;
+    }
+
+    _methodFor(action, marketType) {
+        if (action === 'refund') {
+            return marketType === 'v2' ? 'claimRefund' : 'claimP2PRefund';
+        }
+
+        return marketType === 'v3' ? 'redeemV3Position' : 'redeemPosition';
+    }
+
+    // Keep our own market records in step with what the chain says
+    _updateMarketStatus(address, action, record, info) {
+        let market = this.store.getMarket(address);
+        if (!market) return;
+
+        if (action === 'refund') {
+            if (canTransition(market.status, MarketStatus.CANCELLED)) {
+                this.store.updateMarket(address, {
+                    status: MarketStatus.CANCELLED,
+                    statusReason: 'expired without becoming resolvable',
+                    resolutionTime: this.clock()
+                });
+            }
+            return;
+        }
+
+        if (canTransition(market.status, MarketStatus.SETTLED)) {
+            market = this.store.updateMarket(address, {
+                status: MarketStatus.SETTLED,
+                statusReason: 'resolved on-chain',
+                outcome: info.winningToken,
+                resolutionTime: this.clock()
+            });
+            agentEvents.emitTyped(AgentEvents.MARKET_RESOLVED, { address, outcome: info.winningToken });
+        }
+
+        if (record.status === 'redeemed' && canTransition(market.status, MarketStatus.REDEEMED)) {
+            this.store.transitionMarket(address, MarketStatus.REDEEMED, {
+                reason: `redeemed via ${record.method}`,
+                signature: record.signature
+            });
+        }
+    }
+
+    async _fetchV3Addresses() {
+        try {
+            const result = await this.agent.fetchV3MarketAddresses();
+            return new Set((result.addresses || []).map(a => a.toString()));
+        } catch {
+            return new Set();
+        }
+    }
+}
+
+export function createRedemptionSweeper(options) {
+    return new RedemptionSweeper(options);
+}
@@ -0,0 +1,292 @@
+// Settlement pipeline for markets where we are the oracle
+// Gathers verdicts from the PNP oracle and the AI resolver, settles confident ones
+// and sends the rest to a human review queue
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { MarketStatus, canTransition } from '../storage/market-lifecycle.js';
+import { conditionalHold } from './conditional-markets.js';
+
+// Lifecycle states that can still be settled
+const UNSETTLED = ['active', 'expired', 'resolvable'];
+
+export class SettlementPipeline {
+    constructor(options = {}) {
+        this.agent = options.agent;
+        this.store = options.store;
+        this.resolver = options.resolver || null;
+        this.useOracle = options.useOracle !== false;
+        this.minConfidence = options.minConfidence ?? 0.9;
+        // The PNP oracle returns an answer but no confidence score
+        this.oracleConfidence = options.oracleConfidence ?? 0.95;
+        this.dryRun = options.dryRun || false;
+        this.log = options.log || (() => {});
+        this.clock = options.clock || (() => Date.now());
+    }
+
+    // Expired markets we track that are unsettled and not already waiting on a human
+    getCandidates() {
+        const now = this.clock();
+        const pending = new Set(this.store.getSettlementReviewQueue().map(d => d.market));
+
+        return this.store.getAllMarkets()
+            .filter(m => UNSETTLED.includes(m.status))
+            .filter(m => m.endTime && m.endTime <= now)
+            .filter(m => !pending.has(m.address));
+    }
+
+    async run() {
+        const wallet = this.agent.getWalletAddress();
+        const markets = [];
+        const held = [];
+
+        for (const market of this.getCandidates()) {
+            let info;
+            try {
+                info = await this.agent.fetchMarketInfo(market.address);
+            } catch (error) {
+                this.log(`Settlement could not fetch ${market.address}: ${error.message}`, 'error');
+                continue;
+            }
+
+            if (info.resolved) {
+                this._markSettled(market, info.winningToken, 'settled on-chain');
+                continue;
+            }
+
+            // Market accounts don't name their oracle, so go by the settler we recorded at creation
+            if (!wallet || market.metadata?.settler !== wallet) continue;
+
+            if (market.status === MarketStatus.ACTIVE) {
+                this.store.transitionMarket(market.address, MarketStatus.EXPIRED, { reason: 'end time passed' });
+            }
+
+            // Conditional markets only settle once their parent has resolved YES
+            const hold = conditionalHold(this.store, market);
+            if (hold) {
+                held.push(await this._apply(market, { decision: 'wait', reasoning: hold }));
+                continue;
+            }
+
+            markets.push(market);
+        }
+
+        const aiVerdicts = await this._aiVerdicts(markets);
+        const decisions = [];
+
+        for (const market of markets) {
+            const verdicts = [];
+
+            const oracle = await this._oracleVerdict(market);
+            if (oracle) verdicts.push(oracle);
+            if (aiVerdicts.has(market.address)) verdicts.push(aiVerdicts.get(market.address));
+
+            const decision = this.decide(market, verdicts);
+            if (decision) decisions.push(await this._apply(market, decision));
+        }
+
+        return {
+            checked: markets.length,
+            settled: decisions.filter(d => d.decision === 'settled').length,
+            review: decisions.filter(d => d.decision === 'review').length,
+            failed: decisions.filter(d => d.decision === 'failed').length,
+            held: held.length,
+            decisions: [...held, ...decisions]
+        };
+    }
+
+    /**
+     * Combine verdicts into a decision. Agreeing verdicts above the threshold
+     * settle; disagreement or low confidence goes to review; nothing yet means wait.
+     */
+    decide(market, verdicts) {
+        const usable = verdicts.filter(v => v.outcome === 'yes' || v.outcome === 'no');
+
+        if (usable.length === 0) {
+            return {
+                decision: 'wait',
+                reasoning: verdicts.map(v => `${v.source}: ${v.reasoning}`).join(' | ') || 'No verdict available yet'
+            };
+        }
+
+        const outcomes = new Set(usable.map(v => v.outcome));
+        const reasoning = usable.map(v => `${v.source} (${v.confidence.toFixed(2)}): ${v.reasoning}`).join(' | ');
+        const source = usable.map(v => v.source).join('+');
+
+        if (outcomes.size > 1) {
+            return {
+                decision: 'review',
+                outcome: null,
+                confidence: Math.max(...usable.map(v => v.confidence)),
+                source,
+                reasoning: `Verdicts disagree. ${reasoning}`
+            };
+        }
+
+        const confidence = Math.max(...usable.map(v => v.confidence));
+
+        return {
+            decision: confidence >= this.minConfidence ? 'settle' : 'review',
+            outcome: usable[0].outcome,
+            confidence,
+            source,
+            reasoning
+        };
+    }
+
+    async _apply(market, decision) {
+        const base = { market: market.address, ...decision };
+
+        if (decision.decision === 'wait') {
+            // Only persist a wait when it is news, so each run doesn't add a row
+            const last = this.store.getSettlementDecisions({ market: market.address, limit: 1 })[0];
+            if (!last || last.decision !== 'wait' || last.reasoning !== decision.reasoning) {
+                this.store.saveSettlementDecision(base);
+            }
+            return base;
+        }
+
+        if (decision.decision === 'review') {
+            const saved = this.store.saveSettlementDecision(base);
+            this.log(`Queued ${market.address} for review: ${decision.reasoning}`);
+            agentEvents.emitTyped(AgentEvents.SETTLEMENT_REVIEW, saved);
+            return saved;
+        }
+
+        if (this.dryRun) {
+            this.log(`[DRY RUN] Would settle ${market.address} as ${decision.outcome.toUpperCase()}`);
+            return { ...base, decision: 'dry-run' };
+        }
+
+        return this.settle(market, decision.outcome, {
+            confidence: decision.confidence,
+            source: decision.source,
+            reasoning: decision.reasoning
+        });
+    }
+
+    // Settle on-chain and record the decision; used for automatic and human settlements
+    async settle(market, outcome, details = {}) {
+        const record = typeof market === 'string' ? this.store.getMarket(market) : market;
+        const address = record?.address || market;
+
+        try {
+            const result = await this.agent.settleMarket(address, outcome === 'yes');
+
+            const saved = this.store.saveSettlementDecision({
+                market: address,
+                decision: 'settled',
+                outcome,
+                signature: result.signature,
+                ...details
+            });
+
+            if (record) this._markSettled(record, outcome, details.reasoning, result.signature);
+            this.log(`Settled ${address} as ${outcome.toUpperCase()}`);
+
+            return saved;
+        } catch (error) {
+            this.log(`Failed to settle ${address}: ${error.message}`, 'error');
+            return this.store.saveSettlementDecision({
+                market: address,
+                decision: 'failed',
+                outcome,
+                ...details,
+                reasoning: `${details.reasoning || ''} Settlement failed: ${error.message}`.trim()
+            });
+        }
+    }
+
+    // Human approval of a review item
+    async approve(reviewId, outcome, reviewer = 'human') {
+        const item = this._pendingReview(reviewId);
+        const result = await this.settle(item.market, outcome, {
+            confidence: 1,
+            source: 'human',
+            reviewedBy: reviewer,
+            reasoning: `Approved by ${reviewer} after review #${item.id}`
+        });
+
+        if (result.decision === 'settled') {
+            this.store.closeSettlementReview(item.id, 'approved', reviewer);
+        }
+
+        return result;
+    }
+
+    dismiss(reviewId, reviewer = 'human') {
+        const item = this._pendingReview(reviewId);
+        return this.store.closeSettlementReview(item.id, 'dismissed', reviewer);
+    }
+
+    _pendingReview(reviewId) {
+        const item = this.store.getSettlementDecision(reviewId);
+        if (!item || item.decision !== 'review' || item.reviewStatus !== 'pending') {
+            throw new Error(`No pending review with id ${reviewId}`);
+        }
+        return item;
+    }
+
+    _markSettled(market, outcome, reason, signature = null) {
+        if (!canTransition(market.status, MarketStatus.SETTLED)) return;
+
+        this.store.updateMarket(market.address, {
+            status: MarketStatus.SETTLED,
+            statusReason: reason,
+            signature,
+            outcome,
+            resolutionTime: this.clock()
+        });
+        agentEvents.emitTyped(AgentEvents.MARKET_RESOLVED, { address: market.address, outcome });
+    }
+
+    async _oracleVerdict(market) {
+        if (!this.useOracle) return null;
+
+        try {
+            const { data } = await this.agent.getSettlementData(market.address);
+            // answer stays empty until the oracle has one; a resolved market also names its winner
+            const answer = String((data?.resolved && data.winning_token_id) || data?.answer || '').trim().toLowerCase();
+            if (answer !== 'yes' && answer !== 'no') {
+                return { source: 'oracle', outcome: null, confidence: 0, reasoning: data?.reasoning || 'No oracle answer yet' };
+            }
+
+            return {
+                source: 'oracle',
+                outcome: answer,
+                confidence: this.oracleConfidence,
+                reasoning: data.reasoning || 'PNP oracle answer'
+            };
+        } catch (error) {
+            this.log(`Oracle lookup failed for ${market.address}: ${error.message}`);
+            return null;
+        }
+    }
+
+    async _aiVerdicts(markets) {
+        const verdicts = new Map();
+        if (!this.resolver || markets.length === 0) return verdicts;
+
+        try {
+            // Ask for everything the resolver can answer; the threshold is applied in decide()
+            const resolvable = await this.resolver.findResolvableMarkets(markets, { minConfidence: 0 });
+
+            for (const r of resolvable) {
+                verdicts.set(r.market.address, {
+                    source: 'ai',
+                    // The model doesn't always answer in lowercase ('YES', 'No')
+                    outcome: String(r.outcome || '').trim().toLowerCase(),
+                    confidence: r.confidence,
+                    reasoning: r.reasoning
+                });
+            }
+        } catch (error) {
+            this.log(`AI resolution failed: ${error.message}`, 'error');
+        }
+
+        return verdicts;
+    }
+}
+
+export function createSettlementPipeline(options) {
+    return new SettlementPipeline(options);
+}
@@ -20,6 +20,19 @@ export const AgentEvents = {
     MARKET_FAILED: 'market:failed',
     MARKET_RESOLVED: 'market:resolved',
     MARKET_UPDATED: 'market:updated',
+    MARKET_REDEEMED: 'market:redeemed',
+    MARKET_REFUNDED: 'market:refunded',
+    SETTLEMENT_REVIEW: 'settlement:review',
+
+    // Approval queue events
+    APPROVAL_QUEUED: 'approval:queued',
+    APPROVAL_REJECTED: 'approval:rejected',
+
+    // Recurring series events
+    SERIES_ROLLOVER: 'series:rollover',
+
+    // Conditional market events
+    CONDITIONAL_VOIDED: 'conditional:voided',
 
     // Transaction events
     TX_SENT: 'tx:sent',
@@ -29,6 +42,8 @@ export const AgentEvents = {
     // News events
     NEWS_EVENT: 'news:event',
     NEWS_CHECK_COMPLETE: 'news:check:complete',
+    NEWS_SOURCE_DISABLED: 'news:source:disabled',
+    NEWS_KEYWORDS_UPDATED: 'news:keywords:updated',
 
     // Webhook events
     WEBHOOK_RECEIVED: 'webhook:received',
@@ -41,7 +56,8 @@ export const AgentEvents = {
     STATE_RESTORED: 'state:restored',
 
     // Analytics events
-    STATS_UPDATED: 'stats:updated'
+    STATS_UPDATED: 'stats:updated',
+    WEIGHTS_UPDATED: 'weights:updated'
 };
 
 class AgentEventEmitter extends EventEmitter {
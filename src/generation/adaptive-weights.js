@@ -0,0 +1,297 @@
+// Adaptive category and template weights learned from market performance
+// Every category, and every template within one, is an arm of a multi-armed bandit.
+// A market's reward combines its volume, trader count and whether it resolved; the
+// policy turns rewards into selection weights that replace the static ones.
+
+import { getCategories, getTemplates, setSelectionWeights } from '../privacy-markets.js';
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+
+export const POLICIES = ['thompson', 'epsilon-greedy', 'static'];
+
+// Share of the reward each signal carries; missing signals are left out
+export const DEFAULT_REWARD_WEIGHTS = { volume: 0.4, traders: 0.3, resolution: 0.3 };
+
+const RESOLVED = ['settled', 'redeemed'];
+
+// Markets whose volume and traders can still change
+const REFRESHABLE = ['active', 'expired', 'resolvable', 'settled'];
+
+function traderCount(market) {
+    const meta = market.metadata || {};
+    const count = meta.traders ?? meta.traderCount ?? meta.uniqueTraders;
+    return count === undefined || count === null ? null : Number(count);
+}
+
+function volumeOf(market) {
+    return market.volume === undefined || market.volume === null ? null : Number(market.volume);
+}
+
+function logShare(value, max) {
+    return max > 0 ? Math.log1p(value) / Math.log1p(max) : 0;
+}
+
+/**
+ * Reward in [0, 1] for one market, or null when nothing is known about how it did.
+ * Volume and traders are log-scaled against the best market in scale; resolution is
+ * 1 for settled markets and 0 for cancelled ones.
+ */
+export function scoreMarket(market, scale, weights = DEFAULT_REWARD_WEIGHTS) {
+    const parts = [];
+
+    const volume = volumeOf(market);
+    if (volume !== null) {
+        parts.push([weights.volume, logShare(volume, scale.maxVolume)]);
+    }
+
+    const traders = traderCount(market);
+    if (traders !== null) {
+        parts.push([weights.traders, logShare(traders, scale.maxTraders)]);
+    }
+
+    if (RESOLVED.includes(market.status)) {
+        parts.push([weights.resolution, 1]);
+    } else if (market.status === 'cancelled') {
+        parts.push([weights.resolution, 0]);
+    }
+
+    const total = parts.reduce((sum, [weight]) => sum + weight, 0);
+    if (parts.length === 0 || total === 0) return null;
+
+    return parts.reduce((sum, [weight, value]) => sum + weight * value, 0) / total;
+}
+
+// Reward totals per category key and per template id
+export function collectArmStats(markets, rewardWeights = DEFAULT_REWARD_WEIGHTS) {
+    const scale = {
+        maxVolume: Math.max(0, ...markets.map(m => volumeOf(m) ?? 0)),
+        maxTraders: Math.max(0, ...markets.map(m => traderCount(m) ?? 0))
+    };
+
+    const categories = {};
+    const templates = {};
+    const add = (table, key, reward) => {
+        table[key] ??= { samples: 0, rewardSum: 0 };
+        table[key].samples++;
+        table[key].rewardSum += reward;
+    };
+
+    for (const market of markets) {
+        const reward = scoreMarket(market, scale, rewardWeights);
+        if (reward === null) continue;
+
+        if (market.categoryKey) add(categories, market.categoryKey, reward);
+        if (market.metadata?.templateId) add(templates, market.metadata.templateId, reward);
+    }
+
+    return { categories, templates };
+}
+
+// Standard normal via Box-Muller
+function sampleNormal(random) {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Marsaglia-Tsang; shape >= 1 always holds here since the Beta prior is (1, 1)
+function sampleGamma(shape, random) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal(random);
+            v = 1 + c * x;
+        } while (v <= 0);
+
+        v = v * v * v;
+        const u = random();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+function sampleBeta(a, b, random) {
+    const x = sampleGamma(a, random);
+    return x / (x + sampleGamma(b, random));
+}
+
+function normalize(weights) {
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    return Object.fromEntries(Object.entries(weights).map(([k, w]) => [k, total > 0 ? w / total : 0]));
+}
+
+/**
+ * Selection weights for a set of arms, each { arm, prior, samples, rewardSum }.
+ * - static: the prior weights.
+ * - epsilon-greedy: epsilon of the weight follows the prior (explore), the rest
+ *   goes to the arm with the best mean reward (exploit).
+ * - thompson: the chance each arm wins a draw from its Beta posterior, which is
+ *   what picking by Thompson sampling on every generation would do.
+ * Until the arms have minSamples scored markets between them, the prior is used.
+ */
+export function policyWeights(arms, options = {}) {
+    const { policy = 'thompson', epsilon = 0.1, minSamples = 10, draws = 1000, random = Math.random } = options;
+    const prior = normalize(Object.fromEntries(arms.map(a => [a.arm, a.prior])));
+    const totalSamples = arms.reduce((sum, a) => sum + a.samples, 0);
+
+    if (policy === 'static' || totalSamples < minSamples) {
+        return prior;
+    }
+
+    if (policy === 'epsilon-greedy') {
+        const played = arms.filter(a => a.samples > 0);
+        const best = Math.max(...played.map(a => a.rewardSum / a.samples));
+        const leaders = played.filter(a => a.rewardSum / a.samples === best).map(a => a.arm);
+
+        return Object.fromEntries(arms.map(a => [
+            a.arm,
+            epsilon * prior[a.arm] + (leaders.includes(a.arm) ? (1 - epsilon) / leaders.length : 0)
+        ]));
+    }
+
+    if (policy === 'thompson') {
+        const wins = Object.fromEntries(arms.map(a => [a.arm, 0]));
+
+        for (let i = 0; i < draws; i++) {
+            let winner = null;
+            let best = -1;
+            for (const a of arms) {
+                const sample = sampleBeta(1 + a.rewardSum, 1 + a.samples - a.rewardSum, random);
+                if (sample > best) {
+                    best = sample;
+                    winner = a.arm;
+                }
+            }
+            wins[winner]++;
+        }
+
+        return normalize(wins);
+    }
+
+    throw new Error(`Unknown weighting policy: ${policy} (use ${POLICIES.join(', ')})`);
+}
+
+export class AdaptiveWeighting {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.policy = options.policy || 'thompson';
+        this.epsilon = options.epsilon ?? 0.1;
+        this.minSamples = options.minSamples ?? 10;
+        this.draws = options.draws ?? 1000;
+        this.rewardWeights = { ...DEFAULT_REWARD_WEIGHTS, ...options.rewardWeights };
+        this.random = options.random || Math.random;
+        this.clock = options.clock || Date.now;
+
+        if (!POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown weighting policy: ${this.policy} (use ${POLICIES.join(', ')})`);
+        }
+    }
+
+    _policyOptions() {
+        return {
+            policy: this.policy,
+            epsilon: this.epsilon,
+            minSamples: this.minSamples,
+            draws: this.draws,
+            random: this.random
+        };
+    }
+
+    // Weights for the active categories and their templates, without applying them
+    compute() {
+        const stats = collectArmStats(this.store.getAllMarkets(), this.rewardWeights);
+        const arm = (table, key, prior) => ({
+            arm: key,
+            prior,
+            samples: table[key]?.samples ?? 0,
+            rewardSum: table[key]?.rewardSum ?? 0
+        });
+
+        const categoryArms = Object.entries(getCategories()).map(([key, c]) => arm(stats.categories, key, c.weight));
+        const categoryWeights = policyWeights(categoryArms, this._policyOptions());
+
+        const templateArms = [];
+        const templateWeights = {};
+        const byCategory = {};
+        for (const template of getTemplates()) {
+            (byCategory[template.categoryKey] ??= []).push(template);
+        }
+
+        for (const templates of Object.values(byCategory)) {
+            const arms = templates.map(t => arm(stats.templates, t.id, 1 / templates.length));
+            Object.assign(templateWeights, policyWeights(arms, this._policyOptions()));
+            templateArms.push(...arms);
+        }
+
+        const describe = (kind, arms, weights) => arms.map(a => ({
+            kind,
+            arm: a.arm,
+            weight: weights[a.arm],
+            prior: a.prior,
+            samples: a.samples,
+            meanReward: a.samples > 0 ? a.rewardSum / a.samples : null
+        }));
+
+        return {
+            policy: this.policy,
+            computedAt: this.clock(),
+            categories: categoryWeights,
+            templates: templateWeights,
+            arms: [
+                ...describe('category', categoryArms, categoryWeights),
+                ...describe('template', templateArms, templateWeights)
+            ]
+        };
+    }
+
+    // Compute, apply to generation and record in the weight history
+    update() {
+        const snapshot = this.compute();
+
+        setSelectionWeights({ categories: snapshot.categories, templates: snapshot.templates });
+        this.store.saveWeightSnapshot(snapshot);
+        agentEvents.emitTyped(AgentEvents.WEIGHTS_UPDATED, {
+            policy: snapshot.policy,
+            categories: snapshot.categories
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Pull the latest volume and trader count for our markets from PNP. Best-effort:
+     * markets whose metadata can't be fetched keep what the store already has.
+     */
+    async refreshMetrics(agent) {
+        let updated = 0;
+
+        for (const market of this.store.getAllMarkets()) {
+            if (!REFRESHABLE.includes(market.status)) continue;
+
+            let meta;
+            try {
+                ({ metadata: meta } = await agent.getMarketMetadata(market.address));
+            } catch {
+                continue;
+            }
+
+            const traders = meta?.traders ?? meta?.traderCount ?? meta?.uniqueTraders;
+            if (meta?.volume === undefined && traders === undefined) continue;
+
+            this.store.updateMarket(market.address, {
+                ...(meta.volume !== undefined && { volume: String(meta.volume) }),
+                ...(traders !== undefined && { metadata: { ...market.metadata, traders: Number(traders) } })
+            });
+            updated++;
+        }
+
+        return updated;
+    }
+}
+
+export function createAdaptiveWeighting(options = {}) {
+    return new AdaptiveWeighting(options);
+}
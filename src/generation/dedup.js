@@ -0,0 +1,173 @@
+// Question deduplication for market generation
+// Scores new questions against existing ones by normalized text, template identity and token overlap
+
+import { getTemplates } from '../privacy-markets.js';
+import { templatePattern } from './templates.js';
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+// Words that carry no meaning for comparing market questions
+const STOPWORDS = new Set([
+    'will', 'the', 'a', 'an', 'by', 'of', 'in', 'on', 'to', 'for', 'be', 'any', 'and', 'or',
+    'end', 'its', 'at', 'than', 'before', 'after', 'over', 'exceed', 'reach', 'see'
+]);
+
+// Slots that only set the deadline; two questions differing only here ask the same thing
+const DEADLINE_SLOTS = ['date'];
+
+export function normalizeQuestion(question) {
+    return String(question)
+        .toLowerCase()
+        .replace(/[$€£]/g, '')
+        .replace(/[^a-z0-9\s.]/g, ' ')
+        .replace(/\.(?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+export function tokenize(question) {
+    return new Set(normalizeQuestion(question).split(' ').filter(t => t && !STOPWORDS.has(t)));
+}
+
+// Find the template a question was generated from, with its slot values.
+// Checks the active categories, so templates from enabled packs match too.
+export function matchTemplate(question) {
+    const text = String(question).trim();
+
+    for (const template of getTemplates()) {
+        const match = text.match(templatePattern(template.compiled));
+        if (match) {
+            const slots = {};
+            template.compiled.slots.forEach((slot, i) => {
+                slots[slot.name] = match[i + 1].toLowerCase();
+            });
+            return { templateId: template.id, slots };
+        }
+    }
+
+    return null;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+function templateSimilarity(a, b) {
+    if (!a || !b || a.templateId !== b.templateId) return 0;
+
+    const slots = Object.keys(a.slots).filter(s => !DEADLINE_SLOTS.includes(s.replace(/\d+$/, '')));
+    if (slots.length === 0) return 0.9;
+
+    const same = slots.filter(s => a.slots[s] === b.slots[s]).length;
+    return same === slots.length ? 0.9 : 0.5 + 0.3 * (same / slots.length);
+}
+
+/**
+ * Similarity between two questions in [0, 1]. Identical normalized text scores 1;
+ * otherwise the higher of token overlap and template identity.
+ */
+export function questionSimilarity(a, b) {
+    if (normalizeQuestion(a) === normalizeQuestion(b)) return 1;
+
+    return Math.max(
+        jaccard(tokenize(a), tokenize(b)),
+        templateSimilarity(matchTemplate(a), matchTemplate(b))
+    );
+}
+
+export class DuplicateGuard {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+        this.entries = [];
+
+        for (const question of options.questions || []) {
+            this.add(question);
+        }
+    }
+
+    add(question, source = 'generated') {
+        if (!question) return;
+
+        this.entries.push({
+            question,
+            source,
+            normalized: normalizeQuestion(question),
+            tokens: tokenize(question),
+            template: matchTemplate(question)
+        });
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Closest known question and its score; score 0 when nothing is tracked
+    check(question) {
+        const normalized = normalizeQuestion(question);
+        const tokens = tokenize(question);
+        const template = matchTemplate(question);
+
+        let best = { score: 0, match: null, source: null };
+
+        for (const entry of this.entries) {
+            const score = entry.normalized === normalized
+                ? 1
+                : Math.max(jaccard(tokens, entry.tokens), templateSimilarity(template, entry.template));
+
+            if (score > best.score) {
+                best = { score, match: entry.question, source: entry.source };
+            }
+            if (score === 1) break;
+        }
+
+        return { ...best, duplicate: best.score >= this.threshold };
+    }
+
+    isDuplicate(question) {
+        return this.check(question).duplicate;
+    }
+}
+
+// Pull question text out of discoverMarkets results, whatever shape the client returns
+function discoveredQuestions(markets) {
+    const list = Array.isArray(markets) ? markets : Object.values(markets || {});
+    return list
+        .map(m => m?.account?.question || m?.question)
+        .filter(Boolean);
+}
+
+/**
+ * Build a guard seeded with the questions in a MarketStore (markets and pending
+ * approvals) and, when includeDiscovered is set, every market on PNP via the agent.
+ */
+export async function createDuplicateGuard(options = {}) {
+    const guard = new DuplicateGuard({ threshold: options.threshold });
+
+    if (options.store) {
+        for (const market of options.store.getAllMarkets()) {
+            guard.add(market.question, 'store');
+        }
+        for (const proposal of options.store.getPendingApprovals({ status: 'pending' })) {
+            guard.add(proposal.question, 'approval-queue');
+        }
+    }
+
+    if (options.includeDiscovered && options.agent) {
+        try {
+            const { markets } = await options.agent.discoverMarkets();
+            for (const question of discoveredQuestions(markets)) {
+                guard.add(question, 'pnp');
+            }
+        } catch {
+            // Discovery is best-effort; the local store still guards
+        }
+    }
+
+    return guard;
+}
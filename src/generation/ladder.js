@@ -0,0 +1,281 @@
+// Ladder markets: one numeric template at several thresholds and/or dates
+// Each rung is its own binary market; rungs share a series id in the MarketStore.
+// YES on a rung means the value reached its threshold by its deadline, so the YES
+// prices across a ladder imply a distribution over where the value ends up.
+
+import { randomBytes } from 'crypto';
+import { getTemplates, getCategory } from '../privacy-markets.js';
+import { fillTemplate } from './templates.js';
+
+export const DEFAULT_LADDER_STEPS = 4;
+
+export function createSeriesId(kind) {
+    return `${kind}-${randomBytes(4).toString('hex')}`;
+}
+
+// Templates with an {amount} slot, which are the ones a ladder can be built from
+export function getLadderTemplates() {
+    return getTemplates().filter(t => t.compiled.slots.some(s => s.type === 'amount'));
+}
+
+// Spread `steps` picks evenly over a sorted list, keeping both ends
+function spread(values, steps) {
+    if (steps >= values.length) return values;
+    if (steps <= 1) return [values[Math.floor(values.length / 2)]];
+
+    const picks = new Set();
+    for (let i = 0; i < steps; i++) {
+        picks.add(values[Math.round(i * (values.length - 1) / (steps - 1))]);
+    }
+    return [...picks];
+}
+
+/**
+ * Build the rungs of a ladder from a template id. The first {amount} slot is the
+ * threshold; every other slot except {date} is filled once and shared by all rungs
+ * (pin them with options.values). Options:
+ *   thresholds  numbers in the slot's unit (default: `steps` values spread over its range)
+ *   durations   market durations in days, one set of rungs per deadline
+ *   steps       how many thresholds to pick when none are given
+ */
+export function buildLadder(templateId, options = {}) {
+    const template = getTemplates().find(t => t.id === templateId);
+    if (!template) {
+        throw new Error(`Unknown template: ${templateId}`);
+    }
+
+    const compiled = template.compiled;
+    const slot = compiled.slots.find(s => s.type === 'amount');
+    if (!slot) {
+        throw new Error(`Template ${templateId} has no {amount} slot to build a ladder from`);
+    }
+
+    const { currency, min, max, unit } = slot.options;
+    const label = value => `${currency}${value}${unit}`;
+
+    let thresholds;
+    if (options.thresholds?.length) {
+        thresholds = [...new Set(options.thresholds.map(Number))].sort((a, b) => a - b);
+        if (thresholds.some(t => !(t > 0))) {
+            throw new Error('Ladder thresholds must be positive numbers');
+        }
+    } else {
+        const range = slot.definition.values(slot.options).map(v => Number(v.slice(currency.length, v.length - unit.length)));
+        thresholds = spread(range, options.steps ?? DEFAULT_LADDER_STEPS);
+    }
+
+    const durations = options.durations?.length ? options.durations.map(Number) : [template.defaultDuration];
+    if (durations.some(d => !(d > 0))) {
+        throw new Error('Ladder durations must be positive numbers of days');
+    }
+
+    const now = options.now ?? Date.now();
+
+    // Fill the shared slots once, then reuse them on every rung
+    const shared = { ...fillTemplate(compiled, { now }).slots, ...options.values };
+    delete shared[slot.name];
+    for (const s of compiled.slots.filter(s => s.type === 'date')) delete shared[s.name];
+
+    const members = [];
+    const seen = new Set();
+
+    for (const durationDays of [...durations].sort((a, b) => a - b)) {
+        for (const threshold of thresholds) {
+            const filled = fillTemplate(compiled, {
+                now,
+                durationDays,
+                values: { ...shared, [slot.name]: label(threshold) }
+            });
+
+            // Durations that land in the same month give the same question
+            if (seen.has(filled.question)) continue;
+            seen.add(filled.question);
+
+            members.push({
+                question: filled.question,
+                threshold: label(threshold),
+                thresholdValue: threshold,
+                deadline: filled.deadline,
+                durationDays: filled.durationDays,
+                slots: filled.slots
+            });
+        }
+    }
+
+    const title = compiled.parts.map(part => {
+        if (typeof part === 'string') return part;
+        return part === slot || part.type === 'date' ? `{${part.type}}` : shared[part.name];
+    }).join('');
+
+    return {
+        seriesId: options.seriesId ?? createSeriesId('ladder'),
+        kind: 'ladder',
+        templateId,
+        title,
+        categoryKey: template.categoryKey,
+        category: getCategory(template.categoryKey)?.name ?? null,
+        resolutionSource: template.resolutionSource,
+        range: { min, max, currency, unit },
+        outOfRange: thresholds.filter(t => t < min || t > max).map(label),
+        members
+    };
+}
+
+/**
+ * Create every rung through the agent and record the series and its markets in
+ * the store. A rung that fails doesn't stop the rest; its error is in the results.
+ */
+export async function createLadderMarkets({ agent, store, ladder, liquidity, force = false, clock = () => Date.now() }) {
+    const series = store.saveSeries({
+        id: ladder.seriesId,
+        kind: 'ladder',
+        title: ladder.title,
+        createdAt: clock(),
+        templateId: ladder.templateId,
+        categoryKey: ladder.categoryKey,
+        metadata: { resolutionSource: ladder.resolutionSource, rungs: ladder.members.length }
+    });
+
+    const results = [];
+
+    for (const member of ladder.members) {
+        try {
+            const result = await agent.createMarket({
+                question: member.question,
+                durationDays: member.durationDays,
+                liquidity,
+                force
+            });
+
+            store.saveMarket({
+                address: result.market,
+                question: member.question,
+                category: ladder.category,
+                categoryKey: ladder.categoryKey,
+                creationTime: clock(),
+                creationSignature: result.signature,
+                initialLiquidity: result.liquidity ?? liquidity,
+                durationDays: member.durationDays,
+                status: 'active',
+                seriesId: ladder.seriesId,
+                metadata: {
+                    templateId: ladder.templateId,
+                    ladder: {
+                        threshold: member.threshold,
+                        thresholdValue: member.thresholdValue,
+                        deadline: member.deadline.getTime()
+                    }
+                }
+            });
+
+            results.push({ ...result, threshold: member.threshold });
+        } catch (error) {
+            results.push({ success: false, question: member.question, threshold: member.threshold, error: error.message });
+        }
+    }
+
+    return { series, results };
+}
+
+// Cumulative probabilities must not rise with the threshold; clip any that do
+function monotone(points, key) {
+    let previous = 1;
+    let adjusted = false;
+
+    const clipped = points.map(point => {
+        const p = Math.min(Math.max(point[key], 0), previous);
+        if (p !== point[key]) adjusted = true;
+        previous = p;
+        return { ...point, [key]: p };
+    });
+
+    return { clipped, adjusted };
+}
+
+/**
+ * Distribution implied by ladder YES prices. Each point is
+ * { threshold, thresholdValue, deadline, yesPrice } where yesPrice is P(value >= threshold
+ * by deadline). Returns one threshold distribution per deadline and, for thresholds
+ * quoted at several deadlines, a distribution over when they are reached.
+ * Prices that break monotonicity are clipped and the result is flagged adjusted.
+ */
+export function impliedDistribution(points) {
+    const priced = points.filter(p => Number.isFinite(p.yesPrice));
+    const group = (items, keyOf) => {
+        const groups = new Map();
+        for (const item of items) {
+            const key = keyOf(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        }
+        return [...groups.entries()].sort((a, b) => a[0] - b[0]);
+    };
+
+    const byDeadline = group(priced, p => new Date(p.deadline).getTime()).map(([deadline, rungs]) => {
+        const sorted = rungs.sort((a, b) => a.thresholdValue - b.thresholdValue);
+        const { clipped, adjusted } = monotone(sorted, 'yesPrice');
+
+        const buckets = [{ label: `< ${clipped[0].threshold}`, probability: 1 - clipped[0].yesPrice }];
+        clipped.forEach((rung, i) => {
+            const next = clipped[i + 1];
+            buckets.push({
+                label: next ? `${rung.threshold} – ${next.threshold}` : `≥ ${rung.threshold}`,
+                probability: rung.yesPrice - (next ? next.yesPrice : 0)
+            });
+        });
+
+        return { deadline: new Date(deadline), buckets, adjusted };
+    });
+
+    const byThreshold = group(priced, p => p.thresholdValue)
+        .filter(([, rungs]) => rungs.length > 1)
+        .map(([, rungs]) => {
+            // Reaching a threshold by a later date is at least as likely as by an earlier one
+            const sorted = rungs.sort((a, b) => new Date(b.deadline) - new Date(a.deadline));
+            const { clipped, adjusted } = monotone(sorted, 'yesPrice');
+            const ordered = clipped.reverse();
+
+            const buckets = ordered.map((rung, i) => ({
+                label: `by ${new Date(rung.deadline).toISOString().slice(0, 10)}`,
+                probability: rung.yesPrice - (i > 0 ? ordered[i - 1].yesPrice : 0)
+            }));
+            buckets.push({ label: 'not by the last deadline', probability: 1 - ordered[ordered.length - 1].yesPrice });
+
+            return { threshold: ordered[0].threshold, buckets, adjusted };
+        });
+
+    return { byDeadline, byThreshold };
+}
+
+// A ladder's markets with their current YES prices and the distribution they imply
+export async function loadLadderView({ store, agent, seriesId }) {
+    const series = store.getSeries(seriesId);
+    if (!series) {
+        throw new Error(`No series with id ${seriesId}`);
+    }
+
+    const rungs = [];
+    for (const market of store.getSeriesMarkets(seriesId)) {
+        const ladder = market.metadata?.ladder || {};
+        let yesPrice = null;
+        try {
+            const prices = await agent.getMarketPrices(market.address);
+            yesPrice = Number(prices.yesPrice);
+        } catch {
+            // Shown without a price and left out of the distribution
+        }
+
+        rungs.push({
+            address: market.address,
+            question: market.question,
+            status: market.status,
+            threshold: ladder.threshold,
+            thresholdValue: ladder.thresholdValue,
+            deadline: ladder.deadline ?? market.endTime,
+            yesPrice: Number.isFinite(yesPrice) ? yesPrice : null
+        });
+    }
+
+    const distribution = impliedDistribution(rungs.filter(r => r.yesPrice !== null));
+    return { series, rungs, distribution };
+}
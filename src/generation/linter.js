@@ -0,0 +1,130 @@
+// Question quality linter for market creation
+// Flags questions that cannot be resolved cleanly; errors block creation unless forced
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+                'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = MONTHS.join('|');
+
+// Words that leave resolution up to interpretation
+export const SUBJECTIVE_TERMS = [
+    'significant', 'significantly', 'mainstream', 'major', 'widely', 'widespread',
+    'popular', 'successful', 'substantial', 'meaningful', 'notable', 'massive',
+    'huge', 'soon', 'many', 'mass adoption'
+];
+
+// Deadlines relative to creation; they cannot be in the past
+const RELATIVE_DEADLINE = /\b(today|tomorrow|this (week|month|quarter|year)|next (week|month|quarter|year)|end of (the )?(week|month|quarter|year)|(with)?in \d+ (days?|weeks?|months?|years?))\b/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function issue(rule, severity, message) {
+    return { rule, severity, message };
+}
+
+// Every absolute date mentioned, as the last moment it covers, in order of appearance
+export function extractDeadlines(question) {
+    const text = String(question).toLowerCase();
+    const found = [];
+
+    const patterns = [
+        [/\b(\d{4})-(\d{2})-(\d{2})\b/g, m => Date.UTC(+m[1], +m[2] - 1, +m[3] + 1) - 1],
+        [new RegExp(`\\b(${MONTH_PATTERN}) (\\d{1,2})(?:st|nd|rd|th)?,? (\\d{4})\\b`, 'g'),
+            m => Date.UTC(+m[3], MONTHS.indexOf(m[1]), +m[2] + 1) - 1],
+        [new RegExp(`\\b(${MONTH_PATTERN}) (\\d{4})\\b`, 'g'), m => Date.UTC(+m[2], MONTHS.indexOf(m[1]) + 1, 1) - 1],
+        [/\bq([1-4]) (\d{4})\b/g, m => Date.UTC(+m[2], +m[1] * 3, 1) - 1],
+        [/\b(20\d{2})\b/g, m => Date.UTC(+m[1] + 1, 0, 1) - 1]
+    ];
+
+    // Earlier patterns are more specific; don't count their years again
+    const claimed = [];
+    for (const [regex, toTime] of patterns) {
+        for (const match of text.matchAll(regex)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+            claimed.push([start, end]);
+            found.push({ index: start, text: match[0], time: toTime(match) });
+        }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Lint a market question. Returns { ok, errors, warnings, deadline } where each
+ * issue is { rule, severity, message }. ok is false when there are errors.
+ * Pass durationDays to check the question deadline against the market end.
+ */
+export function lintQuestion(question, options = {}) {
+    const now = options.now ?? Date.now();
+    const issues = [];
+    const text = String(question ?? '').trim();
+
+    if (!text) {
+        issues.push(issue('empty', 'error', 'Question is empty'));
+        return summarize(text, issues, null);
+    }
+
+    const placeholders = text.match(/\{\w*\}/g);
+    if (placeholders) {
+        issues.push(issue('placeholder', 'error', `Unfilled placeholder ${[...new Set(placeholders)].join(', ')}`));
+    }
+
+    // Conditional questions lead with their condition: "If ..., will ...?"
+    if (!/^(if\b[^,]+,\s*)?will\b/i.test(text)) {
+        issues.push(issue('framing', 'warning', 'Question should be framed as "Will ...?" so YES and NO are unambiguous'));
+    } else if (!text.endsWith('?')) {
+        issues.push(issue('framing', 'warning', 'Question should end with "?"'));
+    }
+
+    const lower = text.toLowerCase();
+    const subjective = SUBJECTIVE_TERMS.filter(term => new RegExp(`\\b${term}\\b`).test(lower));
+    if (subjective.length > 0) {
+        issues.push(issue('subjective', 'warning', `Subjective wording (${subjective.join(', ')}) needs a measurable threshold`));
+    }
+
+    const dates = extractDeadlines(text);
+    const deadline = dates.length > 0 ? dates[dates.length - 1].time : null;
+
+    if (deadline === null && !RELATIVE_DEADLINE.test(lower)) {
+        issues.push(issue('deadline', 'error', 'No deadline; add one such as "by March 2027"'));
+    }
+
+    // The last date is the deadline; earlier ones are usually references ("its 2024 high")
+    if (deadline !== null && deadline < now) {
+        issues.push(issue('past-date', 'error', `Deadline "${dates[dates.length - 1].text}" is already in the past`));
+    }
+
+    if (deadline !== null && deadline >= now && options.durationDays) {
+        const marketEnd = now + options.durationDays * DAY_MS;
+        if (deadline > marketEnd + DAY_MS) {
+            issues.push(issue('deadline-after-end', 'warning',
+                `Market ends ${Math.ceil((deadline - marketEnd) / DAY_MS)} days before the question's deadline`));
+        }
+    }
+
+    return summarize(text, issues, deadline);
+}
+
+function summarize(question, issues, deadline) {
+    const errors = issues.filter(i => i.severity === 'error');
+    return {
+        question,
+        ok: errors.length === 0,
+        errors,
+        warnings: issues.filter(i => i.severity === 'warning'),
+        deadline: deadline === null ? null : new Date(deadline)
+    };
+}
+
+// Throw on lint errors unless force is set; returns the lint result otherwise
+export function assertQuestionLint(question, options = {}) {
+    const result = lintQuestion(question, options);
+
+    if (!result.ok && !options.force) {
+        throw new Error(`Question failed lint: ${result.errors.map(e => e.message).join('; ')}. Use force to create it anyway.`);
+    }
+
+    return result;
+}
@@ -0,0 +1,269 @@
+// Multi-outcome markets as groups of binary markets
+// A group asks one question with several mutually exclusive outcomes and creates one
+// binary market per outcome ("Will {outcome} ...?"). The markets share a series id in
+// the MarketStore. Their YES prices, normalized to sum to 1, are the group's odds, and
+// with a custom oracle settling one winner settles every other outcome NO.
+
+import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { assertQuestionLint } from './linter.js';
+import { createSeriesId } from './ladder.js';
+import { canTransition, MarketStatus, normalizeStatus, STATUS_GROUPS } from '../storage/market-lifecycle.js';
+
+export const GROUP_ORACLES = ['custom', 'pnp'];
+
+const OUTCOME_SLOT = '{outcome}';
+const MAX_OUTCOMES = 20;
+
+/**
+ * Plan a group from a question with an {outcome} slot and a list of outcomes.
+ * Options: question, outcomes, durationDays, oracle ('custom' settles through our
+ * wallet or settlerAddress, 'pnp' leaves each market to the PNP oracle), settlerAddress.
+ */
+export function buildMarketGroup(options = {}) {
+    const { question, durationDays = 30, oracle = 'custom', settlerAddress = null } = options;
+
+    if (typeof question !== 'string' || !question.includes(OUTCOME_SLOT)) {
+        throw new Error(`Group question needs an ${OUTCOME_SLOT} slot, e.g. "Will ${OUTCOME_SLOT} win ... by March 2027?"`);
+    }
+    if (!GROUP_ORACLES.includes(oracle)) {
+        throw new Error(`Unknown group oracle: ${oracle} (use ${GROUP_ORACLES.join(' or ')})`);
+    }
+    if (!(durationDays > 0)) {
+        throw new Error('Group duration must be a positive number of days');
+    }
+
+    const outcomes = (options.outcomes || []).map(o => String(o).trim()).filter(Boolean);
+    if (outcomes.length < 2) {
+        throw new Error('A group needs at least two outcomes');
+    }
+    if (outcomes.length > MAX_OUTCOMES) {
+        throw new Error(`A group can have at most ${MAX_OUTCOMES} outcomes`);
+    }
+    const seen = new Set();
+    for (const outcome of outcomes) {
+        const key = outcome.toLowerCase();
+        if (seen.has(key)) throw new Error(`Duplicate outcome: ${outcome}`);
+        seen.add(key);
+    }
+
+    return {
+        groupId: options.groupId ?? createSeriesId('group'),
+        kind: 'group',
+        title: question,
+        oracle,
+        settlerAddress,
+        durationDays,
+        members: outcomes.map((outcome, index) => ({
+            outcome,
+            index,
+            question: question.replaceAll(OUTCOME_SLOT, outcome)
+        }))
+    };
+}
+
+/**
+ * Create one market per outcome and record the group and its markets in the store.
+ * Every question is linted before anything is created. Custom-oracle markets start
+ * at 1/n odds so the group opens with prices that already sum to 1. An outcome
+ * whose market fails doesn't stop the rest; its error is in the results.
+ */
+export async function createGroupMarkets({ agent, store, group, liquidity, force = false, clock = () => Date.now() }) {
+    for (const member of group.members) {
+        assertQuestionLint(member.question, { durationDays: group.durationDays, force, now: clock() });
+    }
+
+    const settlerAddress = group.oracle === 'custom'
+        ? group.settlerAddress || agent.getWalletAddress()
+        : null;
+    if (group.oracle === 'custom' && !settlerAddress) {
+        throw new Error('Custom-oracle groups need a settler address or a configured wallet');
+    }
+
+    const series = store.saveSeries({
+        id: group.groupId,
+        kind: 'group',
+        title: group.title,
+        createdAt: clock(),
+        metadata: {
+            oracle: group.oracle,
+            settlerAddress,
+            outcomes: group.members.map(m => m.outcome),
+            durationDays: group.durationDays
+        }
+    });
+
+    const yesOddsBps = Math.round(10000 / group.members.length);
+    const results = [];
+
+    for (const member of group.members) {
+        try {
+            const result = group.oracle === 'custom'
+                ? await agent.createMarketWithCustomOracle({
+                    question: member.question,
+                    durationDays: group.durationDays,
+                    liquidity,
+                    settlerAddress,
+                    yesOddsBps
+                })
+                : await agent.createMarket({
+                    question: member.question,
+                    durationDays: group.durationDays,
+                    liquidity,
+                    force
+                });
+
+            store.saveMarket({
+                address: result.market,
+                question: member.question,
+                category: 'Group',
+                creationTime: clock(),
+                creationSignature: result.signature,
+                initialLiquidity: result.liquidity ?? liquidity,
+                durationDays: group.durationDays,
+                status: 'active',
+                seriesId: group.groupId,
+                metadata: {
+                    group: { outcome: member.outcome, index: member.index, oracle: group.oracle },
+                    ...(settlerAddress && { settler: settlerAddress })
+                }
+            });
+
+            results.push({ ...result, outcome: member.outcome });
+        } catch (error) {
+            results.push({ success: false, question: member.question, outcome: member.outcome, error: error.message });
+        }
+    }
+
+    return { series, results };
+}
+
+// A group from the store with its markets in outcome order
+export function getMarketGroup(store, groupId) {
+    const series = store.getSeries(groupId);
+    if (!series) {
+        throw new Error(`No group with id ${groupId}`);
+    }
+    if (series.kind !== 'group') {
+        throw new Error(`Series ${groupId} is a ${series.kind}, not a market group`);
+    }
+
+    const markets = store.getSeriesMarkets(groupId)
+        .filter(m => m.metadata?.group)
+        .sort((a, b) => a.metadata.group.index - b.metadata.group.index);
+
+    return { series, markets };
+}
+
+/**
+ * Normalize outcome YES prices into group probabilities. Each point is
+ * { outcome, yesPrice }; points without a price are kept with a null probability.
+ * overround is how far the raw prices sum above (or below) 1.
+ */
+export function normalizeGroupPrices(points) {
+    const priced = points.filter(p => Number.isFinite(p.yesPrice) && p.yesPrice >= 0);
+    const total = priced.reduce((sum, p) => sum + p.yesPrice, 0);
+
+    return {
+        outcomes: points.map(p => ({
+            ...p,
+            probability: priced.includes(p) && total > 0 ? p.yesPrice / total : null
+        })),
+        total,
+        overround: total - 1,
+        complete: priced.length === points.length
+    };
+}
+
+// A group's outcomes with their YES prices and normalized probabilities
+export async function loadGroupPrices({ store, agent, groupId }) {
+    const { series, markets } = getMarketGroup(store, groupId);
+
+    const points = [];
+    for (const market of markets) {
+        let yesPrice = null;
+        try {
+            const prices = await agent.getMarketPrices(market.address);
+            yesPrice = Number(prices.yesPrice);
+        } catch {
+            // Shown without a price and left out of the normalization
+        }
+
+        points.push({
+            outcome: market.metadata.group.outcome,
+            market: market.address,
+            status: market.status,
+            yesPrice: Number.isFinite(yesPrice) ? yesPrice : null
+        });
+    }
+
+    return { group: groupId, title: series.title, status: series.status, ...normalizeGroupPrices(points) };
+}
+
+/**
+ * Settle a custom-oracle group: the winner's market YES and every other outcome NO,
+ * each through agent.settleMarket. Markets already settled or redeemed are skipped, so running
+ * it again after a partial failure finishes the job. The group is marked settled
+ * once every market is.
+ */
+export async function settleMarketGroup({ agent, store, groupId, winner, clock = () => Date.now() }) {
+    const { series, markets } = getMarketGroup(store, groupId);
+    const { oracle, settlerAddress } = series.metadata;
+
+    if (oracle !== 'custom') {
+        throw new Error(`Group ${groupId} uses the PNP oracle; its markets settle one by one`);
+    }
+
+    const wallet = agent.getWalletAddress();
+    if (settlerAddress && wallet !== settlerAddress) {
+        throw new Error(`Only the group's settler (${settlerAddress}) can settle it`);
+    }
+
+    const winning = markets.find(m => m.metadata.group.outcome.toLowerCase() === String(winner).trim().toLowerCase());
+    if (!winning) {
+        throw new Error(`Unknown outcome "${winner}" (group outcomes: ${markets.map(m => m.metadata.group.outcome).join(', ')})`);
+    }
+    if (series.metadata.winner && series.metadata.winner !== winning.metadata.group.outcome) {
+        throw new Error(`Group ${groupId} was already settled with winner ${series.metadata.winner}`);
+    }
+
+    store.updateSeries(groupId, { metadata: { ...series.metadata, winner: winning.metadata.group.outcome } });
+
+    // Winner first, so a failure part-way never leaves every outcome settled NO
+    const ordered = [winning, ...markets.filter(m => m !== winning)];
+    const results = [];
+
+    for (const market of ordered) {
+        const outcome = market === winning ? 'yes' : 'no';
+
+        if (STATUS_GROUPS.resolved.includes(normalizeStatus(market.status))) {
+            results.push({ market: market.address, outcome: market.outcome, skipped: true });
+            continue;
+        }
+
+        try {
+            const result = await agent.settleMarket(market.address, outcome === 'yes');
+
+            if (canTransition(market.status, MarketStatus.SETTLED)) {
+                store.updateMarket(market.address, {
+                    status: MarketStatus.SETTLED,
+                    statusReason: `group ${groupId} settled: ${winning.metadata.group.outcome}`,
+                    signature: result.signature,
+                    outcome,
+                    resolutionTime: clock()
+                });
+                agentEvents.emitTyped(AgentEvents.MARKET_RESOLVED, { address: market.address, outcome });
+            }
+
+            results.push({ market: market.address, outcome, success: true, signature: result.signature });
+        } catch (error) {
+            results.push({ market: market.address, outcome, success: false, error: error.message });
+        }
+    }
+
+    const complete = results.every(r => r.success || r.skipped);
+    if (complete) {
+        store.updateSeries(groupId, { status: 'settled' });
+    }
+
+    return { group: groupId, winner: winning.metadata.group.outcome, complete, results };
+}
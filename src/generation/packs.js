@@ -0,0 +1,295 @@
+// Category packs: sets of market categories loaded from JSON or YAML files
+// The privacy categories are the built-in pack; more ship in ./packs and users add
+// their own to the configured packs directory. Enabled packs are listed in
+// <dir>/enabled.json and their categories are merged for generation.
+
+import { readFile, readdir, writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PRIVACY_CATEGORIES, setCategories } from '../privacy-markets.js';
+import { createSlotTypes, validateTemplate } from './templates.js';
+
+export const BUNDLED_PACKS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'packs');
+
+export const DEFAULT_ENABLED_PACKS = ['privacy'];
+
+export const URGENCY_LEVELS = ['breaking', 'timely', 'evergreen'];
+
+const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const STATE_FILE = 'enabled.json';
+
+export const PRIVACY_PACK = {
+    name: 'privacy',
+    description: 'Privacy regulation, technology, adoption and events',
+    weight: 1,
+    categories: PRIVACY_CATEGORIES
+};
+
+// Problems that would stop a pack from loading; empty when it is usable
+export function validatePack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return ['Pack must be an object'];
+    }
+
+    if (typeof pack.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(pack.name)) {
+        errors.push('Pack needs a lowercase name using letters, digits and dashes');
+    }
+
+    if (pack.weight !== undefined && !(pack.weight > 0)) {
+        errors.push('Pack weight must be positive');
+    }
+
+    let slotTypes;
+    try {
+        slotTypes = createSlotTypes(pack.slotValues);
+    } catch (error) {
+        errors.push(error.message);
+        return errors;
+    }
+
+    const categories = Object.entries(pack.categories || {});
+    if (categories.length === 0) {
+        errors.push('Pack needs at least one category');
+    }
+
+    for (const [key, category] of categories) {
+        const where = `Category "${key}"`;
+
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+            errors.push(`${where}: key must be lowercase letters, digits and dashes`);
+        }
+        if (!category?.name) {
+            errors.push(`${where}: needs a name`);
+        }
+        if (!(category?.weight > 0)) {
+            errors.push(`${where}: weight must be positive`);
+        }
+        if (!URGENCY_LEVELS.includes(category?.urgency)) {
+            errors.push(`${where}: urgency must be one of ${URGENCY_LEVELS.join(', ')}`);
+        }
+        if (category?.sentiment !== undefined && !SENTIMENTS.includes(category.sentiment)) {
+            errors.push(`${where}: sentiment must be one of ${SENTIMENTS.join(', ')}`);
+        }
+        if (category?.keywords !== undefined &&
+            (!Array.isArray(category.keywords) || category.keywords.some(k => typeof k !== 'string' || !k.trim()))) {
+            errors.push(`${where}: keywords must be a list of strings`);
+        }
+        if (!Array.isArray(category?.templates) || category.templates.length === 0) {
+            errors.push(`${where}: needs at least one template`);
+            continue;
+        }
+
+        category.templates.forEach((template, index) => {
+            for (const message of validateTemplate(template, slotTypes)) {
+                errors.push(`${where} template ${index}: ${message}`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Parse a pack file; YAML needs the optional "yaml" package
+export async function loadPackFile(file) {
+    const text = await readFile(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+
+    try {
+        if (ext === '.json') {
+            return JSON.parse(text);
+        }
+
+        let yaml;
+        try {
+            yaml = await import('yaml');
+        } catch {
+            throw new Error('YAML packs need the "yaml" package (npm install yaml)');
+        }
+        return yaml.parse(text);
+    } catch (error) {
+        throw new Error(`Could not read pack ${file}: ${error.message}`);
+    }
+}
+
+async function packFiles(dir) {
+    if (!dir || !existsSync(dir)) return [];
+
+    const names = await readdir(dir);
+    return names
+        .filter(name => name !== STATE_FILE && PACK_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+export class PackRegistry {
+    constructor(options = {}) {
+        this.dir = options.dir ?? null;
+        this.bundledDir = options.bundledDir ?? BUNDLED_PACKS_DIR;
+        this.packs = new Map();
+        this.enabled = [...DEFAULT_ENABLED_PACKS];
+    }
+
+    /**
+     * Read the built-in, bundled and user packs plus the enabled list. A user pack
+     * with the same name as a bundled one replaces it. Invalid packs are kept with
+     * their errors so `packs list` can show them, but cannot be enabled.
+     */
+    async load() {
+        this.packs.clear();
+        this._add(PRIVACY_PACK, 'built-in');
+
+        for (const [dir, source] of [[this.bundledDir, 'bundled'], [this.dir, 'user']]) {
+            for (const file of await packFiles(dir)) {
+                let pack;
+                try {
+                    pack = await loadPackFile(file);
+                } catch (error) {
+                    const name = path.basename(file, path.extname(file));
+                    this.packs.set(name, { name, source, file, pack: null, errors: [error.message] });
+                    continue;
+                }
+                this._add(pack, source, file);
+            }
+        }
+
+        const statePath = this._statePath();
+        if (statePath && existsSync(statePath)) {
+            const state = JSON.parse(await readFile(statePath, 'utf8'));
+            if (Array.isArray(state.enabled) && state.enabled.length > 0) {
+                this.enabled = state.enabled;
+            }
+        }
+
+        return this;
+    }
+
+    _add(pack, source, file = null) {
+        const name = typeof pack?.name === 'string' ? pack.name : path.basename(file, path.extname(file));
+        this.packs.set(name, { name, source, file, pack, errors: validatePack(pack) });
+    }
+
+    _statePath() {
+        return this.dir ? path.join(this.dir, STATE_FILE) : null;
+    }
+
+    list() {
+        return [...this.packs.values()].map(entry => ({
+            name: entry.name,
+            description: entry.pack?.description || '',
+            source: entry.source,
+            file: entry.file,
+            enabled: this.enabled.includes(entry.name),
+            valid: entry.errors.length === 0,
+            errors: entry.errors,
+            categories: entry.pack?.categories ? Object.keys(entry.pack.categories) : []
+        }));
+    }
+
+    get(name) {
+        const entry = this.packs.get(name);
+        if (!entry) {
+            throw new Error(`Unknown pack: ${name}`);
+        }
+        return entry;
+    }
+
+    async enable(name) {
+        const entry = this.get(name);
+        if (entry.errors.length > 0) {
+            throw new Error(`Pack ${name} is invalid: ${entry.errors.join('; ')}`);
+        }
+        if (!this.enabled.includes(name)) {
+            await this._save([...this.enabled, name]);
+        }
+        return this.list().find(p => p.name === name);
+    }
+
+    async disable(name) {
+        this.get(name);
+        const remaining = this.enabled.filter(n => n !== name);
+        if (remaining.length === 0) {
+            throw new Error('At least one pack must stay enabled');
+        }
+        if (remaining.length !== this.enabled.length) {
+            await this._save(remaining);
+        }
+        return this.list().find(p => p.name === name);
+    }
+
+    async _save(enabled) {
+        const statePath = this._statePath();
+        if (!statePath) {
+            throw new Error('No packs directory configured (set PACKS_DIR)');
+        }
+
+        await mkdir(this.dir, { recursive: true });
+        await writeFile(statePath, JSON.stringify({ enabled }, null, 2) + '\n');
+        this.enabled = enabled;
+    }
+
+    // Enabled packs that loaded cleanly; unknown or invalid names are skipped
+    enabledPacks() {
+        return this.enabled
+            .map(name => this.packs.get(name))
+            .filter(entry => entry && entry.errors.length === 0)
+            .map(entry => entry.pack);
+    }
+
+    /**
+     * Merge the categories of the enabled packs. Each pack's share of generation is
+     * its weight (default 1) over the total; within a pack, categories split that
+     * share by their own weights. Keys that clash across packs get a "pack." prefix.
+     */
+    buildCategories() {
+        const packs = this.enabledPacks();
+        if (packs.length === 0) {
+            throw new Error('No valid packs are enabled');
+        }
+
+        const totalPackWeight = packs.reduce((sum, pack) => sum + (pack.weight ?? 1), 0);
+        const merged = {};
+
+        for (const pack of packs) {
+            const entries = Object.entries(pack.categories);
+            const categoryTotal = entries.reduce((sum, [, category]) => sum + category.weight, 0);
+            const share = (pack.weight ?? 1) / totalPackWeight;
+
+            for (const [key, category] of entries) {
+                const mergedKey = merged[key] ? `${pack.name}.${key}` : key;
+                merged[mergedKey] = {
+                    ...category,
+                    keywords: category.keywords || [],
+                    weight: share * category.weight / categoryTotal,
+                    pack: pack.name,
+                    slotValues: pack.slotValues
+                };
+            }
+        }
+
+        return merged;
+    }
+
+    // Make the enabled packs' categories the ones generation draws from
+    apply() {
+        const categories = this.buildCategories();
+        setCategories(categories);
+        return categories;
+    }
+}
+
+export function createPackRegistry(config = {}) {
+    return new PackRegistry({ dir: config.packs?.dir ?? config.dir });
+}
+
+// Load the registry for a config and apply its enabled packs in one step
+export async function loadCategoryPacks(config = {}) {
+    const registry = await createPackRegistry(config).load();
+    registry.apply();
+    return registry;
+}
@@ -0,0 +1,229 @@
+// Typed template language for market questions
+// Slots look like {type} or {type:args}; each type draws from a curated value list:
+//   {country} {company} {protocol}   named entities
+//   {amount:$1-50B}                  a round number in [1, 50] with optional currency and unit
+//   {date}                           month-year deadline derived from the market duration
+// Category packs can add their own named-entity types as value lists (createSlotTypes).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+                'July', 'August', 'September', 'October', 'November', 'December'];
+
+export const SLOT_VALUES = {
+    country: ['USA', 'EU', 'UK', 'Japan', 'South Korea', 'Australia', 'Canada', 'Brazil', 'India', 'Switzerland'],
+    company: ['Meta', 'Google', 'Apple', 'Microsoft', 'Amazon', 'ByteDance', 'OpenAI', 'Coinbase'],
+    protocol: ['RAILGUN', 'Light Protocol', 'Aztec', 'Penumbra', 'Secret Network']
+};
+
+// Round numbers an amount slot may take, before range filtering
+const NICE_AMOUNTS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const AMOUNT_ARGS = /^([$€£]?)(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)([A-Za-z%]*)$/;
+
+function getRandomElement(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+}
+
+export const SLOT_TYPES = {
+    country: {
+        description: 'Country or bloc',
+        values: () => SLOT_VALUES.country
+    },
+    company: {
+        description: 'Large tech or crypto company',
+        values: () => SLOT_VALUES.company
+    },
+    protocol: {
+        description: 'Privacy protocol',
+        values: () => SLOT_VALUES.protocol
+    },
+    amount: {
+        description: 'Round amount in a range',
+        parse(args) {
+            const match = String(args || '').match(AMOUNT_ARGS);
+            if (!match) {
+                throw new Error(`amount needs a range like "$1-50B", got "${args || ''}"`);
+            }
+
+            const [, currency, min, max, unit] = match;
+            if (+min > +max) {
+                throw new Error(`amount range ${min}-${max} is reversed`);
+            }
+            return { currency, min: +min, max: +max, unit };
+        },
+        values: ({ currency, min, max, unit }) =>
+            NICE_AMOUNTS.filter(n => n >= min && n <= max).map(n => `${currency}${n}${unit}`)
+    },
+    date: {
+        description: 'Deadline at the end of the month the market closes in',
+        // Computed from the market duration rather than drawn from a list
+        computed: true
+    }
+};
+
+// Slot types extended with named value lists, e.g. a pack's { dex: ['Jupiter', 'Orca'] }
+export function createSlotTypes(slotValues = {}) {
+    const types = { ...SLOT_TYPES };
+
+    for (const [type, values] of Object.entries(slotValues || {})) {
+        if (!/^\w+$/.test(type) || SLOT_TYPES[type]?.parse || SLOT_TYPES[type]?.computed) {
+            throw new Error(`Slot type "${type}" cannot be defined by a value list`);
+        }
+        if (!Array.isArray(values)) {
+            throw new Error(`Values for slot type "${type}" must be a list`);
+        }
+        types[type] = { description: SLOT_TYPES[type]?.description || `One of ${values.length} ${type} values`, values: () => values };
+    }
+
+    return types;
+}
+
+// Split template text into literal parts and typed slots
+export function parseTemplate(text, slotTypes = SLOT_TYPES) {
+    const parts = [];
+    const slots = [];
+    const counts = {};
+    const regex = /\{(\w+)(?::([^}]*))?\}/g;
+    let last = 0;
+
+    for (const match of text.matchAll(regex)) {
+        parts.push(text.slice(last, match.index));
+
+        const [, type, args] = match;
+        const definition = slotTypes[type];
+        if (!definition) {
+            throw new Error(`Unknown slot type "${type}"`);
+        }
+
+        counts[type] = (counts[type] || 0) + 1;
+        const slot = {
+            name: counts[type] === 1 ? type : `${type}${counts[type]}`,
+            type,
+            args: args ?? null,
+            options: definition.parse ? definition.parse(args) : null,
+            definition
+        };
+
+        slots.push(slot);
+        parts.push(slot);
+        last = match.index + match[0].length;
+    }
+
+    parts.push(text.slice(last));
+
+    const stray = parts.filter(p => typeof p === 'string').join('');
+    if (/[{}]/.test(stray)) {
+        throw new Error(`Unbalanced braces in template "${text}"`);
+    }
+
+    return { parts, slots };
+}
+
+// Problems that would stop a template from producing a question; empty when it is usable
+export function validateTemplate(template, slotTypes = SLOT_TYPES) {
+    const errors = [];
+
+    if (!template || typeof template.text !== 'string' || !template.text.trim()) {
+        return ['Template needs text'];
+    }
+
+    let parsed;
+    try {
+        parsed = parseTemplate(template.text, slotTypes);
+    } catch (error) {
+        return [error.message];
+    }
+
+    for (const slot of parsed.slots) {
+        const { definition } = slot;
+        if (!definition.computed && definition.values(slot.options).length === 0) {
+            errors.push(`Slot {${slot.type}${slot.args ? `:${slot.args}` : ''}} has no values to fill it with`);
+        }
+    }
+
+    if (!parsed.slots.some(s => s.type === 'date')) {
+        errors.push('Template needs a {date} slot so the question has a deadline');
+    }
+
+    if (!template.resolutionSource) {
+        errors.push('Template needs a resolutionSource');
+    }
+
+    if (!(template.defaultDuration > 0)) {
+        errors.push('Template needs a positive defaultDuration in days');
+    }
+
+    return errors;
+}
+
+export function compileTemplate(template, slotTypes = SLOT_TYPES) {
+    const errors = validateTemplate(template, slotTypes);
+    if (errors.length > 0) {
+        throw new Error(`Invalid template "${template?.text}": ${errors.join('; ')}`);
+    }
+
+    return { ...template, ...parseTemplate(template.text, slotTypes) };
+}
+
+const patternCache = new WeakMap();
+
+// Regex whose groups capture the slot values of a filled-in question
+export function templatePattern(compiled) {
+    if (!patternCache.has(compiled)) {
+        const source = compiled.parts
+            .map(part => typeof part === 'string' ? part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '(.+?)')
+            .join('');
+        patternCache.set(compiled, new RegExp(`^${source}$`, 'i'));
+    }
+    return patternCache.get(compiled);
+}
+
+// End of the month that contains now + durationDays; the market closes then
+function monthEndDeadline(now, durationDays) {
+    const target = new Date(now + durationDays * DAY_MS);
+    return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 1) - 1);
+}
+
+/**
+ * Fill a compiled template. The deadline is derived from the template's default
+ * duration (or options.durationDays) and the returned durationDays runs to it.
+ * options.values pins slots by name instead of drawing them.
+ */
+export function fillTemplate(compiled, options = {}) {
+    const now = options.now ?? Date.now();
+    const deadline = monthEndDeadline(now, options.durationDays ?? compiled.defaultDuration);
+    const values = {};
+
+    const question = compiled.parts.map(part => {
+        if (typeof part === 'string') return part;
+
+        const value = part.type === 'date'
+            ? `${MONTHS[deadline.getUTCMonth()]} ${deadline.getUTCFullYear()}`
+            : options.values?.[part.name] ?? getRandomElement(part.definition.values(part.options));
+
+        values[part.name] = value;
+        return value;
+    }).join('');
+
+    return {
+        question,
+        slots: values,
+        deadline,
+        durationDays: Math.ceil((deadline.getTime() - now) / DAY_MS)
+    };
+}
+
+// Slot metadata for display: type, constraints and how many values it can take
+export function describeSlots(compiled) {
+    return compiled.slots.map(slot => {
+        const { definition } = slot;
+        return {
+            name: slot.name,
+            type: slot.type,
+            args: slot.args,
+            description: definition.description,
+            choices: definition.computed ? null : definition.values(slot.options).length
+        };
+    });
+}
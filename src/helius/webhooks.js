@@ -19,8 +19,8 @@ export class WebhookServer {
     setupMiddleware() {
         this.app.use(express.json({ limit: '10mb' }));
 
-        // Auth middleware for webhook endpoints
-        this.app.use('/webhook', (req, res, next) => {
+        // Auth middleware for webhook endpoints and the approval queue
+        const requireAuth = (req, res, next) => {
             if (this.authToken) {
                 const auth = req.headers['authorization'];
                 if (auth !== this.authToken) {
@@ -28,7 +28,9 @@ export class WebhookServer {
                 }
             }
             next();
-        });
+        };
+        this.app.use('/webhook', requireAuth);
+        this.app.use('/api/queue', requireAuth);
 
         // Request logging
         this.app.use((req, res, next) => {
@@ -116,6 +118,39 @@ export class WebhookServer {
             }
         });
 
+        // Market lifecycle audit trail
+        this.app.get('/api/markets/:address/history', async (req, res) => {
+            try {
+                const handler = this.eventHandlers.get('getMarketHistory');
+                if (handler) {
+                    const history = await handler(req.params.address);
+                    res.json(history);
+                } else {
+                    res.json([]);
+                }
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Approval queue for daemon-generated markets
+        this.app.get('/api/queue', async (req, res) => {
+            await this.handleQueueRequest(res, 'queueList', req.query.status || 'pending');
+        });
+
+        this.app.post('/api/queue/:id/approve', async (req, res) => {
+            await this.handleQueueRequest(res, 'queueApprove', req.params.id, req.body?.reviewer || 'api', { force: req.body?.force === true });
+        });
+
+        this.app.post('/api/queue/:id/reject', async (req, res) => {
+            await this.handleQueueRequest(res, 'queueReject', req.params.id, req.body?.reviewer || 'api', req.body?.note || null);
+        });
+
+        this.app.patch('/api/queue/:id', async (req, res) => {
+            const { question, durationDays, liquidity, force, reviewer } = req.body || {};
+            await this.handleQueueRequest(res, 'queueEdit', req.params.id, { question, durationDays, liquidity, force: force === true }, reviewer || 'api');
+        });
+
         // 404 handler
         this.app.use((req, res) => {
             res.status(404).json({ error: 'Not found' });
@@ -177,6 +212,21 @@ export class WebhookServer {
         }
     }
 
+    // Queue handlers throw for unknown ids (404) and invalid actions (400)
+    async handleQueueRequest(res, name, ...args) {
+        const handler = this.eventHandlers.get(name);
+        if (!handler) {
+            return res.status(503).json({ error: 'Approval queue not configured' });
+        }
+
+        try {
+            res.json(await handler(...args));
+        } catch (error) {
+            const status = /^No proposal/.test(error.message) ? 404 : 400;
+            res.status(status).json({ error: error.message });
+        }
+    }
+
     // Register custom event handlers
     on(eventType, handler) {
         this.eventHandlers.set(eventType, handler);
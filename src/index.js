@@ -10,8 +10,62 @@ export {
     generateMultipleMarkets,
     getMarketsByCategory,
     listCategories,
+    getTemplates,
+    getCategories,
+    setCategories,
+    resetCategories,
+    setSelectionWeights,
+    clearSelectionWeights,
     PRIVACY_CATEGORIES
 } from './privacy-markets.js';
+export {
+    parseTemplate,
+    validateTemplate,
+    compileTemplate,
+    fillTemplate,
+    createSlotTypes,
+    SLOT_TYPES,
+    SLOT_VALUES
+} from './generation/templates.js';
+export {
+    DuplicateGuard,
+    createDuplicateGuard,
+    questionSimilarity,
+    normalizeQuestion,
+    matchTemplate
+} from './generation/dedup.js';
+export { lintQuestion, assertQuestionLint, SUBJECTIVE_TERMS } from './generation/linter.js';
+export {
+    AdaptiveWeighting,
+    createAdaptiveWeighting,
+    policyWeights,
+    scoreMarket
+} from './generation/adaptive-weights.js';
+export {
+    buildLadder,
+    createLadderMarkets,
+    getLadderTemplates,
+    impliedDistribution,
+    loadLadderView
+} from './generation/ladder.js';
+export {
+    buildMarketGroup,
+    createGroupMarkets,
+    loadGroupPrices,
+    normalizeGroupPrices,
+    settleMarketGroup
+} from './generation/market-groups.js';
+export {
+    PackRegistry,
+    createPackRegistry,
+    loadCategoryPacks,
+    loadPackFile,
+    validatePack
+} from './generation/packs.js';
+
+// Offline simulated exchange
+export { SimulatedPNPClient, createSimulatedClient } from './simulator/pnp-simulator.js';
+export { buildTransactionPreview, captureTransaction, estimateFees } from './transactions/preview.js';
 
 // Helius integration
 export { HeliusClient, createHeliusClient } from './helius/client.js';
@@ -22,16 +76,56 @@ export { WebhookServer, createWebhookServer } from './helius/webhooks.js';
 export { PrivacyOracleDaemon, createDaemon } from './daemon/index.js';
 export { Scheduler, createScheduler } from './daemon/scheduler.js';
 export { setupGracefulShutdown, HealthMonitor } from './daemon/lifecycle.js';
+export { RedemptionSweeper, createRedemptionSweeper } from './daemon/redemption-sweeper.js';
+export { RecurringSeries, createRecurringSeries, CADENCES } from './daemon/recurring-series.js';
+export {
+    ConditionalMarkets,
+    createConditionalMarkets,
+    createConditionalMarket,
+    conditionalHold,
+    marketDependency,
+    parentCondition
+} from './daemon/conditional-markets.js';
+export { SettlementPipeline, createSettlementPipeline } from './daemon/settlement-pipeline.js';
+export { ApprovalQueue, createApprovalQueue, parseDuration } from './daemon/approval-queue.js';
+export { NewsMarketPipeline, createNewsMarketPipeline, DEFAULT_NEWS_MARKET_MIN_SCORE } from './daemon/news-markets.js';
 
 // Storage
 export { MarketStore, createMarketStore } from './storage/market-store.js';
+export { MarketStatus, TRANSITIONS as MARKET_TRANSITIONS, canTransition } from './storage/market-lifecycle.js';
+
+// Portfolio tracking
+export { Portfolio, createPortfolio, computePositions } from './portfolio/portfolio.js';
 
 // Events
 export { agentEvents, AgentEvents } from './events/emitter.js';
 
 // Monitoring
-export { NewsMonitor, createNewsMonitor, DEFAULT_NEWS_SOURCES } from './monitoring/news-monitor.js';
-export { scoreRelevance, generateMarketFromNews, PRIVACY_KEYWORDS } from './monitoring/news-scorer.js';
+export { NewsMonitor, createNewsMonitor } from './monitoring/news-monitor.js';
+export {
+    NewsSource,
+    RssSource,
+    JsonFeedSource,
+    HttpJsonSource,
+    DirectorySource,
+    MockNewsSource,
+    SOURCE_TYPES,
+    DEFAULT_NEWS_SOURCES,
+    createNewsSource,
+    loadNewsSources
+} from './monitoring/news-sources.js';
+export { clusterEvents, storySimilarity, headlineEntities, headlineTokens } from './monitoring/story-clusters.js';
+export { EntityRecognizer, recognizeEntities, findEntity, entityLabel, ENTITY_DICTIONARY, ENTITY_TYPES } from './monitoring/entities.js';
+export { scoreRelevance, generateMarketFromNews, PRIVACY_KEYWORDS, CATEGORY_KEYWORDS, URGENCY_KEYWORDS, DEFAULT_KEYWORD_SET, compileKeywordSet, URGENCY_DURATION_DAYS } from './monitoring/news-scorer.js';
+export {
+    evaluateScorer,
+    compareReports,
+    keywordScorer,
+    aiScorer,
+    loadCorpus,
+    BUNDLED_CORPUS
+} from './monitoring/scorer-eval.js';
+export { KeywordConfigWatcher, loadKeywordSet, parseKeywordSet, validateKeywordSet } from './monitoring/keyword-config.js';
 
 // Analytics
 export { DashboardAggregator, createAggregator, formatNumber, formatDuration } from './analytics/aggregator.js';
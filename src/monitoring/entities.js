@@ -0,0 +1,183 @@
+// Entity recognition for news headlines
+// Curated dictionaries of regulators, countries, companies, protocols and tokens,
+// matched by name or alias. Aliases written in capitals (OFAC, EU, ZEC) only match
+// in capitals, as do entries marked caseSensitive, whose names are common words.
+// Each entry: { name, aliases, label, caseSensitive, sanctions, symbol }. label is
+// how a question refers to the entity ("the SEC"); sanctions marks regulators that
+// keep a sanctions list.
+
+export const ENTITY_TYPES = ['regulator', 'country', 'company', 'protocol', 'token'];
+
+export const ENTITY_DICTIONARY = {
+    regulator: [
+        { name: 'OFAC', aliases: ['Office of Foreign Assets Control'], sanctions: true },
+        { name: 'OFSI', aliases: ['Office of Financial Sanctions Implementation'], sanctions: true },
+        { name: 'SEC', label: 'the SEC', aliases: ['Securities and Exchange Commission'] },
+        { name: 'CFTC', label: 'the CFTC', aliases: ['Commodity Futures Trading Commission'] },
+        { name: 'DOJ', label: 'the DOJ', aliases: ['Department of Justice', 'Justice Department'] },
+        { name: 'US Treasury', label: 'the US Treasury', aliases: ['Treasury Department', 'U.S. Treasury', 'Treasury'], sanctions: true },
+        { name: 'FinCEN', aliases: ['Financial Crimes Enforcement Network'] },
+        { name: 'FTC', label: 'the FTC', aliases: ['Federal Trade Commission'] },
+        { name: 'FCA', label: 'the FCA', aliases: ['Financial Conduct Authority'] },
+        { name: 'ESMA', aliases: ['European Securities and Markets Authority'] },
+        { name: 'EDPB', label: 'the EDPB', aliases: ['European Data Protection Board'] },
+        { name: 'European Commission', label: 'the European Commission', aliases: ['EU Commission'] },
+        { name: 'UK ICO', label: 'the UK ICO', aliases: ['Information Commissioner\'s Office'] },
+        { name: 'CNIL', aliases: [] },
+        { name: 'MAS', aliases: ['Monetary Authority of Singapore'] },
+        { name: 'FATF', aliases: ['Financial Action Task Force'] }
+    ],
+    country: [
+        { name: 'United States', label: 'the United States', aliases: ['US', 'U.S.', 'USA', 'America'] },
+        { name: 'European Union', label: 'the European Union', aliases: ['EU'] },
+        { name: 'United Kingdom', label: 'the United Kingdom', aliases: ['UK', 'U.K.', 'Britain'] },
+        { name: 'China', aliases: [] },
+        { name: 'Russia', aliases: [] },
+        { name: 'Japan', aliases: [] },
+        { name: 'South Korea', aliases: ['Korea'] },
+        { name: 'North Korea', aliases: ['DPRK'] },
+        { name: 'Singapore', aliases: [] },
+        { name: 'Switzerland', aliases: [] },
+        { name: 'Germany', aliases: [] },
+        { name: 'France', aliases: [] },
+        { name: 'Netherlands', label: 'the Netherlands', aliases: ['Dutch'] },
+        { name: 'India', aliases: [] },
+        { name: 'Canada', aliases: [] },
+        { name: 'Australia', aliases: [] },
+        { name: 'Brazil', aliases: [] },
+        { name: 'Iran', aliases: [] }
+    ],
+    company: [
+        { name: 'Apple', aliases: [], caseSensitive: true },
+        { name: 'Google', aliases: ['Alphabet'] },
+        { name: 'Meta', aliases: ['Facebook'], caseSensitive: true },
+        { name: 'Microsoft', aliases: [] },
+        { name: 'Amazon', aliases: [], caseSensitive: true },
+        { name: 'Signal', aliases: ['Signal Foundation'], caseSensitive: true },
+        { name: 'Telegram', aliases: [] },
+        { name: 'WhatsApp', aliases: [] },
+        { name: 'Proton', aliases: ['ProtonMail', 'Proton Mail'] },
+        { name: 'TikTok', aliases: [] },
+        { name: 'Clearview AI', aliases: ['Clearview'] },
+        { name: 'Palantir', aliases: [] },
+        { name: 'Chainalysis', aliases: [] },
+        { name: 'Coinbase', aliases: [] },
+        { name: 'Binance', aliases: [] },
+        { name: 'Kraken', aliases: [], caseSensitive: true },
+        { name: 'Circle', aliases: [], caseSensitive: true },
+        { name: 'Tether', aliases: [] }
+    ],
+    protocol: [
+        { name: 'Tornado Cash', aliases: ['TornadoCash'] },
+        { name: 'Railgun', aliases: ['RAILGUN'] },
+        { name: 'Aztec', aliases: ['Aztec Network'] },
+        { name: 'Light Protocol', aliases: [] },
+        { name: 'Elusiv', aliases: [] },
+        { name: 'Secret Network', aliases: [] },
+        { name: 'Penumbra', aliases: [] },
+        { name: 'Namada', aliases: [] },
+        { name: 'Aleo', aliases: [] },
+        { name: 'Mina', aliases: ['Mina Protocol'], caseSensitive: true },
+        { name: 'zkSync', aliases: ['ZKsync'] },
+        { name: 'Starknet', aliases: ['StarkNet'] },
+        { name: 'Samourai Wallet', aliases: ['Samourai'] },
+        { name: 'Wasabi Wallet', aliases: ['Wasabi'], caseSensitive: true },
+        { name: 'Nym', aliases: [], caseSensitive: true },
+        { name: 'Arcium', aliases: [] }
+    ],
+    token: [
+        { name: 'Bitcoin', symbol: 'BTC', aliases: ['BTC'] },
+        { name: 'Ethereum', symbol: 'ETH', aliases: ['ETH', 'Ether'] },
+        { name: 'Solana', symbol: 'SOL', aliases: ['SOL'] },
+        { name: 'Zcash', symbol: 'ZEC', aliases: ['ZEC'] },
+        { name: 'Monero', symbol: 'XMR', aliases: ['XMR'] },
+        { name: 'USDC', symbol: 'USDC', aliases: ['USD Coin'] },
+        { name: 'USDT', symbol: 'USDT', aliases: ['Tether USD'] }
+    ]
+};
+
+export function entityId(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class EntityRecognizer {
+    constructor(dictionary = ENTITY_DICTIONARY) {
+        this.patterns = [];
+        this.entities = new Map();
+
+        for (const [type, entries] of Object.entries(dictionary)) {
+            for (const entry of entries) {
+                const entity = { id: entityId(entry.name), name: entry.name, type };
+                if (entry.label) entity.label = entry.label;
+                if (entry.symbol) entity.symbol = entry.symbol;
+                if (entry.sanctions) entity.sanctions = true;
+                this.entities.set(entity.id, entity);
+
+                for (const alias of [entry.name, ...(entry.aliases || [])]) {
+                    const caseSensitive = entry.caseSensitive || alias === alias.toUpperCase();
+                    this.patterns.push({
+                        alias,
+                        entity,
+                        regex: new RegExp(`(?<![\\w])${escapeRegExp(alias)}(?![\\w])`, caseSensitive ? 'g' : 'gi')
+                    });
+                }
+            }
+        }
+
+        // Longer aliases first, so "North Korea" is not read as "Korea"
+        this.patterns.sort((a, b) => b.alias.length - a.alias.length);
+    }
+
+    // The dictionary entity with this id, or null
+    get(id) {
+        const entity = this.entities.get(id);
+        return entity ? { ...entity } : null;
+    }
+
+    /**
+     * Entities named in text, in order of first mention:
+     * [{ id, name, type, label?, symbol?, sanctions? }]
+     */
+    recognize(text) {
+        const source = String(text || '');
+        const claimed = [];
+        const found = new Map();
+
+        for (const { entity, regex } of this.patterns) {
+            for (const match of source.matchAll(regex)) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+                claimed.push([start, end]);
+                if (!found.has(entity.id) || start < found.get(entity.id).index) {
+                    found.set(entity.id, { entity, index: start });
+                }
+            }
+        }
+
+        return [...found.values()]
+            .sort((a, b) => a.index - b.index)
+            .map(({ entity }) => ({ ...entity }));
+    }
+}
+
+const defaultRecognizer = new EntityRecognizer();
+
+export function recognizeEntities(text) {
+    return defaultRecognizer.recognize(text);
+}
+
+// Full dictionary entry for a stored { id, name, type } entity, or null
+export function findEntity(id) {
+    return defaultRecognizer.get(id);
+}
+
+// How a question names an entity, e.g. "the SEC" or "Tornado Cash"
+export function entityLabel(entity) {
+    return entity.label || entity.name;
+}
@@ -0,0 +1,232 @@
+// Keyword configuration for news relevance scoring
+// Loads the keyword set scoreRelevance uses from a JSON file, validates it, and
+// watches the file so a running NewsMonitor picks up edits without a restart.
+// File shape (every part optional; parts left out keep the built-in lists):
+//   privacy:    { keyword: weight } or { keyword: { weight, synonyms, phrase, regex } }
+//   negative:   same shape; matches subtract their weight from the score
+//   categories: { regulation|technology|adoption|events: [keyword or { keyword, synonyms, phrase, regex }] }
+//   urgency:    { breaking|timely: [...] }, same entries as categories
+//   sources:    { sourceName: [keyword] }, replacing that source's own keywords
+
+import { readFile } from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { DEFAULT_KEYWORD_SET } from './news-scorer.js';
+
+export const KEYWORD_CATEGORIES = ['regulation', 'technology', 'adoption', 'events'];
+
+const KEYWORD_URGENCIES = ['breaking', 'timely'];
+
+const TOP_LEVEL_KEYS = ['privacy', 'negative', 'categories', 'urgency', 'sources'];
+
+const MATCH_KEYS = ['keyword', 'weight', 'synonyms', 'phrase', 'regex'];
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+// Problems with the matching options of one entry
+function matchErrors(where, spec) {
+    const errors = [];
+
+    for (const key of Object.keys(spec)) {
+        if (!MATCH_KEYS.includes(key)) errors.push(`${where} has unknown option "${key}"`);
+    }
+    if (spec.synonyms !== undefined && !isStringArray(spec.synonyms)) {
+        errors.push(`${where}.synonyms must be an array of strings`);
+    }
+    if (spec.phrase !== undefined && typeof spec.phrase !== 'boolean') {
+        errors.push(`${where}.phrase must be true or false`);
+    }
+    if (spec.regex !== undefined) {
+        try {
+            new RegExp(spec.regex, 'i');
+        } catch (error) {
+            errors.push(`${where}.regex is invalid: ${error.message}`);
+        }
+    }
+
+    return errors;
+}
+
+function weightedErrors(part, keywords) {
+    if (!isObject(keywords)) return [`${part} must be an object of keyword weights`];
+
+    return Object.entries(keywords).flatMap(([keyword, spec]) => {
+        const where = `${part}.${keyword}`;
+        if (typeof spec === 'number') {
+            return Number.isFinite(spec) ? [] : [`${where} must be a finite number`];
+        }
+        if (!isObject(spec)) return [`${where} must be a number or an object`];
+        if (typeof spec.weight !== 'number' || !Number.isFinite(spec.weight)) {
+            return [`${where}.weight must be a number`, ...matchErrors(where, spec)];
+        }
+        return matchErrors(where, spec);
+    });
+}
+
+function listErrors(where, list) {
+    if (!Array.isArray(list)) return [`${where} must be an array`];
+
+    return list.flatMap((entry, i) => {
+        if (typeof entry === 'string') return entry ? [] : [`${where}[${i}] is empty`];
+        if (!isObject(entry)) return [`${where}[${i}] must be a keyword or an object`];
+        if (typeof entry.keyword !== 'string' && typeof entry.regex !== 'string') {
+            return [`${where}[${i}] needs a keyword or regex`];
+        }
+        return matchErrors(`${where}[${i}]`, entry);
+    });
+}
+
+// Problems with a keyword set; empty when it is usable
+export function validateKeywordSet(set) {
+    if (!isObject(set)) {
+        return ['Keyword set must be an object'];
+    }
+
+    const errors = Object.keys(set)
+        .filter(key => !TOP_LEVEL_KEYS.includes(key))
+        .map(key => `Unknown section "${key}" (expected ${TOP_LEVEL_KEYS.join(', ')})`);
+
+    if (set.privacy !== undefined) errors.push(...weightedErrors('privacy', set.privacy));
+    if (set.negative !== undefined) errors.push(...weightedErrors('negative', set.negative));
+
+    for (const [part, allowed] of [['categories', KEYWORD_CATEGORIES], ['urgency', KEYWORD_URGENCIES]]) {
+        if (set[part] === undefined) continue;
+        if (!isObject(set[part])) {
+            errors.push(`${part} must be an object`);
+            continue;
+        }
+        for (const [name, list] of Object.entries(set[part])) {
+            if (!allowed.includes(name)) {
+                errors.push(`${part}.${name} is not one of ${allowed.join(', ')}`);
+            } else {
+                errors.push(...listErrors(`${part}.${name}`, list));
+            }
+        }
+    }
+
+    if (set.sources !== undefined) {
+        if (!isObject(set.sources)) {
+            errors.push('sources must be an object of source keyword lists');
+        } else {
+            for (const [name, keywords] of Object.entries(set.sources)) {
+                if (!isStringArray(keywords)) errors.push(`sources.${name} must be an array of strings`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Fill the parts a validated set leaves out with the built-in lists
+export function resolveKeywordSet(set = {}) {
+    return {
+        privacy: set.privacy || DEFAULT_KEYWORD_SET.privacy,
+        negative: set.negative || DEFAULT_KEYWORD_SET.negative,
+        categories: set.categories || DEFAULT_KEYWORD_SET.categories,
+        urgency: set.urgency || DEFAULT_KEYWORD_SET.urgency,
+        sources: set.sources || {}
+    };
+}
+
+// Parse and validate keyword set JSON; throws one error listing every problem
+export function parseKeywordSet(text, file = 'keyword set') {
+    let set;
+    try {
+        set = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid keyword set ${file}: ${error.message}`);
+    }
+
+    const errors = validateKeywordSet(set);
+    if (errors.length > 0) {
+        throw new Error(`Invalid keyword set ${file}: ${errors.join('; ')}`);
+    }
+
+    return resolveKeywordSet(set);
+}
+
+export async function loadKeywordSet(file) {
+    return parseKeywordSet(await readFile(file, 'utf8'), file);
+}
+
+/**
+ * Watches a keyword file and reloads it on change. start() loads the file and throws
+ * when it is invalid; later edits call onChange with the new set, or onError with the
+ * validation error while the previous set stays in use.
+ */
+export class KeywordConfigWatcher {
+    constructor(options = {}) {
+        if (!options.file) {
+            throw new Error('KeywordConfigWatcher needs a file');
+        }
+
+        this.file = path.resolve(options.file);
+        this.onChange = options.onChange || (() => {});
+        this.onError = options.onError || (() => {});
+        // Editors write a file in several steps; wait for them to settle
+        this.debounce = options.debounce ?? 250;
+        this.watch = options.watch || watch;
+        this.keywordSet = null;
+        this.lastText = null;
+        this.lastError = null;
+        this.lastLoaded = null;
+        this.watcher = null;
+        this.timer = null;
+    }
+
+    async start() {
+        const text = await readFile(this.file, 'utf8');
+        this.keywordSet = parseKeywordSet(text, this.file);
+        this.lastText = text;
+        this.lastLoaded = Date.now();
+
+        // Watch the directory: editors often replace the file rather than write to it
+        const name = path.basename(this.file);
+        this.watcher = this.watch(path.dirname(this.file), (eventType, changed) => {
+            if (!changed || changed.toString() === name) this.schedule();
+        });
+
+        return this.keywordSet;
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.reload(), this.debounce);
+    }
+
+    // Reload now; resolves to the new set, or null when unchanged or invalid
+    async reload() {
+        let text;
+        try {
+            text = await readFile(this.file, 'utf8');
+            if (text === this.lastText) return null;
+
+            this.keywordSet = parseKeywordSet(text, this.file);
+        } catch (error) {
+            this.lastText = text ?? null;
+            this.lastError = error.message;
+            this.onError(error);
+            return null;
+        }
+
+        this.lastText = text;
+        this.lastError = null;
+        this.lastLoaded = Date.now();
+        this.onChange(this.keywordSet);
+
+        return this.keywordSet;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.watcher?.close();
+        this.watcher = null;
+    }
+}
@@ -1,48 +1,52 @@
-// RSS feed parsing for privacy-related news monitoring
-// Provides context for timely market generation
+// Privacy-related news monitoring
+// Polls news source adapters (see news-sources.js) and scores their items.
+// Provides context for timely market generation. With a MarketStore, scored events
+// and the ids of every item seen are persisted, so a restart neither re-ingests old
+// headlines nor forgets the news it has scored.
+// Each source has its own fetch state: conditional GET validators, the last success,
+// and consecutive failures, which back the source off exponentially and disable it
+// after maxFailures in a row.
+// Headlines covering the same story are clustered (story-clusters.js); stories, not
+// single headlines, are what market generation should count.
+// Scoring uses a keyword set (keyword-config.js) that setKeywords swaps while running;
+// items are scored with the set in use when they arrive.
 
-import Parser from 'rss-parser';
 import { agentEvents, AgentEvents } from '../events/emitter.js';
-import { scoreRelevance, PRIVACY_KEYWORDS } from './news-scorer.js';
-
-// Default privacy news sources
-const DEFAULT_SOURCES = [
-    {
-        name: 'EFF',
-        url: 'https://www.eff.org/rss/updates.xml',
-        keywords: ['privacy', 'encryption', 'surveillance', 'data protection', 'FISA'],
-        weight: 1.0
-    },
-    {
-        name: 'Decrypt',
-        url: 'https://decrypt.co/feed',
-        keywords: ['privacy', 'zk', 'zero-knowledge', 'tornado', 'zcash', 'monero', 'mixer'],
-        weight: 0.9
-    },
-    {
-        name: 'CoinDesk',
-        url: 'https://www.coindesk.com/arc/outboundfeeds/rss/',
-        keywords: ['privacy', 'regulation', 'sanctions', 'compliance', 'OFAC'],
-        weight: 0.7
-    },
-    {
-        name: 'The Block',
-        url: 'https://www.theblock.co/rss.xml',
-        keywords: ['privacy', 'zk-rollup', 'confidential', 'anonymous'],
-        weight: 0.8
-    }
-];
+import { recognizeEntities } from './entities.js';
+import { scoreRelevance, DEFAULT_KEYWORD_SET } from './news-scorer.js';
+import { createNewsSource, DEFAULT_NEWS_SOURCES, MockNewsSource } from './news-sources.js';
+import { clusterEvents } from './story-clusters.js';
+
+export { DEFAULT_NEWS_SOURCES, MockNewsSource };
+
+// Seen ids kept in memory; older ones are dropped (and stay in the store)
+const MAX_SEEN_IDS = 10000;
+
+const DEFAULT_MAX_BACKOFF = 6 * 60 * 60 * 1000;
+
+function initialSourceState() {
+    return {
+        etag: null,
+        lastModified: null,
+        lastAttempt: null,
+        lastSuccess: null,
+        lastNotModified: null,
+        lastItemCount: 0,
+        lastError: null,
+        consecutiveFailures: 0,
+        nextAttemptAt: null,
+        disabled: false
+    };
+}
 
 export class NewsMonitor {
     constructor(config = {}) {
-        this.sources = config.sources || DEFAULT_SOURCES;
-        this.parser = new Parser({
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'PrivacyOracleAgent/1.0'
-            }
-        });
+        // Adapters, or specs for createNewsSource
+        this.sources = (config.sources || DEFAULT_NEWS_SOURCES).map(createNewsSource);
         this.checkInterval = config.checkInterval || 300000; // 5 minutes
+        // Optional MarketStore for news events and dedupe state
+        this.store = config.store || null;
+        this.minScore = config.minScore ?? 30;
         this.recentEvents = [];
         this.maxEvents = config.maxEvents || 100;
         this.seenIds = new Set();
@@ -50,12 +54,33 @@ export class NewsMonitor {
         this.isRunning = false;
         this.lastCheck = null;
         this.errorCount = 0;
+        // Consecutive failures before a source is disabled, and the longest backoff
+        this.maxFailures = config.maxFailures || 10;
+        this.maxBackoff = config.maxBackoff || DEFAULT_MAX_BACKOFF;
+        this.sourceState = new Map();
+        this.clock = config.clock || (() => Date.now());
+        this.log = config.log || ((message) => console.error(message));
+        // Story clustering: time window (ms) and similarity threshold
+        this.storyOptions = { window: config.storyWindow, threshold: config.storyThreshold };
+        this.keywords = config.keywords || DEFAULT_KEYWORD_SET;
+    }
+
+    // Score new items with another keyword set; its sources lists replace source keywords
+    setKeywords(keywordSet) {
+        this.keywords = keywordSet;
+        agentEvents.emitTyped(AgentEvents.NEWS_KEYWORDS_UPDATED, {
+            privacy: Object.keys(keywordSet.privacy || {}).length,
+            negative: Object.keys(keywordSet.negative || {}).length,
+            sources: Object.keys(keywordSet.sources || {})
+        });
+        return this;
     }
 
     async start() {
         if (this.isRunning) return this;
 
         this.isRunning = true;
+        this.restore();
 
         // Initial check
         await this.checkFeeds();
@@ -77,47 +102,83 @@ export class NewsMonitor {
         return this;
     }
 
+    // Rebuild seen ids and recent events from the store
+    restore() {
+        if (!this.store) return this;
+
+        this.seenIds = new Set(this.store.getSeenNewsIds(MAX_SEEN_IDS / 2));
+        this.recentEvents = this.store.getNewsEvents({ minScore: this.minScore, limit: this.maxEvents });
+
+        return this;
+    }
+
     async checkFeeds() {
         if (!this.isRunning) return;
 
-        this.lastCheck = Date.now();
+        const now = this.clock();
+        this.lastCheck = now;
         const newEvents = [];
+        let sourcesChecked = 0;
 
         for (const source of this.sources) {
+            const state = this.getSourceState(source.name);
+            if (state.disabled || (state.nextAttemptAt && state.nextAttemptAt > now)) continue;
+
+            sourcesChecked++;
+            state.lastAttempt = now;
+
+            let result;
             try {
-                const feed = await this.parser.parseURL(source.url);
+                result = typeof source.poll === 'function'
+                    ? await source.poll({ etag: state.etag, lastModified: state.lastModified })
+                    : { items: await source.fetchItems(), notModified: false };
+            } catch (error) {
+                this.recordFailure(source, state, error, now);
+                continue;
+            }
 
-                for (const item of feed.items || []) {
-                    const id = item.guid || item.link || item.title;
+            state.etag = result.etag ?? state.etag;
+            state.lastModified = result.lastModified ?? state.lastModified;
+            state.lastSuccess = now;
+            state.lastError = null;
+            state.consecutiveFailures = 0;
+            state.nextAttemptAt = null;
 
-                    if (this.seenIds.has(id)) continue;
+            if (result.notModified) {
+                state.lastNotModified = now;
+                continue;
+            }
+            state.lastItemCount = result.items.length;
 
-                    const event = this.processItem(item, source);
+            for (const item of result.items) {
+                const id = item.id || item.link || item.title;
 
-                    // Only keep events with relevance score >= 30
-                    if (event.relevanceScore >= 30) {
-                        this.addEvent(event);
-                        newEvents.push(event);
+                if (!id || this.seenIds.has(id)) continue;
 
-                        agentEvents.emitTyped(AgentEvents.NEWS_EVENT, event);
-                    }
+                const event = this.processItem({ ...item, id }, source);
 
-                    this.seenIds.add(id);
+                // Only keep events at or above the relevance threshold
+                if (event.relevanceScore >= this.minScore) {
+                    this.addEvent(event);
+                    this.store?.saveNewsEvent(event);
+                    newEvents.push(event);
 
-                    // Limit seen IDs to prevent memory growth
-                    if (this.seenIds.size > 10000) {
-                        const idsArray = Array.from(this.seenIds);
-                        this.seenIds = new Set(idsArray.slice(-5000));
-                    }
+                    agentEvents.emitTyped(AgentEvents.NEWS_EVENT, event);
+                }
+
+                this.seenIds.add(id);
+                this.store?.markNewsSeen(id, source.name);
+
+                // Limit seen IDs to prevent memory growth
+                if (this.seenIds.size > MAX_SEEN_IDS) {
+                    const idsArray = Array.from(this.seenIds);
+                    this.seenIds = new Set(idsArray.slice(-MAX_SEEN_IDS / 2));
                 }
-            } catch (error) {
-                this.errorCount++;
-                console.error(`Failed to fetch ${source.name}:`, error.message);
             }
         }
 
         agentEvents.emitTyped(AgentEvents.NEWS_CHECK_COMPLETE, {
-            sourcesChecked: this.sources.length,
+            sourcesChecked,
             newEventsFound: newEvents.length,
             totalEvents: this.recentEvents.length,
             errorCount: this.errorCount
@@ -126,28 +187,86 @@ export class NewsMonitor {
         return newEvents;
     }
 
+    getSourceState(name) {
+        if (!this.sourceState.has(name)) {
+            this.sourceState.set(name, initialSourceState());
+        }
+        return this.sourceState.get(name);
+    }
+
+    // Back the source off exponentially, and disable it after maxFailures in a row
+    recordFailure(source, state, error, now) {
+        this.errorCount++;
+        state.consecutiveFailures++;
+        state.lastError = error.message;
+
+        if (state.consecutiveFailures >= this.maxFailures) {
+            state.disabled = true;
+            state.nextAttemptAt = null;
+            this.log(`News source ${source.name} disabled after ${state.consecutiveFailures} consecutive failures: ${error.message}`);
+            agentEvents.emitTyped(AgentEvents.NEWS_SOURCE_DISABLED, { source: source.name, failures: state.consecutiveFailures, error: error.message });
+            return;
+        }
+
+        const backoff = Math.min(this.checkInterval * 2 ** (state.consecutiveFailures - 1), this.maxBackoff);
+        state.nextAttemptAt = now + backoff;
+        this.log(`Failed to fetch ${source.name} (${state.consecutiveFailures} in a row, next try in ${Math.round(backoff / 1000)}s): ${error.message}`);
+    }
+
+    // Re-enable a disabled source and clear its failures
+    enableSource(name) {
+        const state = this.getSourceState(name);
+        Object.assign(state, { disabled: false, consecutiveFailures: 0, nextAttemptAt: null, lastError: null });
+        return this;
+    }
+
+    /**
+     * Fetch state per source. status is 'ok', 'pending' (never fetched),
+     * 'degraded' (failing and backing off) or 'disabled'.
+     */
+    getSourceHealth() {
+        return this.sources.map(source => {
+            const state = this.getSourceState(source.name);
+            const status = state.disabled ? 'disabled'
+                : state.consecutiveFailures > 0 ? 'degraded'
+                    : state.lastSuccess ? 'ok' : 'pending';
+
+            return { name: source.name, status, ...state };
+        });
+    }
+
+    // One warning per degraded or disabled source, for the daemon's health report
+    getHealthWarnings() {
+        return this.getSourceHealth()
+            .filter(s => s.status === 'degraded' || s.status === 'disabled')
+            .map(s => `News source ${s.name} ${s.status} after ${s.consecutiveFailures} consecutive failures: ${s.lastError}`);
+    }
+
+    // Score a normalized source item ({ id, title, link, publishedAt, content })
     processItem(item, source) {
         const title = item.title || '';
-        const content = item.contentSnippet || item.content || '';
+        const content = item.content || '';
         const text = `${title} ${content}`.toLowerCase();
 
         const { score, matchedKeywords, suggestedCategory, urgency } = scoreRelevance(
             text,
-            source.keywords,
-            source.weight
+            this.keywords.sources?.[source.name] ?? source.keywords,
+            source.weight,
+            this.keywords
         );
 
         return {
-            id: item.guid || item.link || `${source.name}-${Date.now()}`,
+            id: item.id || item.link || `${source.name}-${this.clock()}`,
             title: title,
             link: item.link || '',
             source: source.name,
-            publishedAt: item.pubDate ? new Date(item.pubDate).getTime() : Date.now(),
+            publishedAt: item.publishedAt ?? this.clock(),
             relevanceScore: score,
             matchedKeywords,
             suggestedCategory,
             urgency,
-            snippet: content.slice(0, 200)
+            snippet: content.slice(0, 200),
+            entities: recognizeEntities(`${title} ${content}`)
         };
     }
 
@@ -169,9 +288,65 @@ export class NewsMonitor {
             .slice(0, limit);
     }
 
-    getHighUrgencyEvents(limit = 5) {
+    /**
+     * Stored events, newest first. Filters: since, until, category, source,
+     * urgency, minScore, entity (id or name), entityType and limit. Without a
+     * store, searches recent events.
+     */
+    queryEvents(filters = {}) {
+        if (this.store) {
+            return this.store.getNewsEvents(filters);
+        }
+
+        const urgencies = filters.urgency ? [].concat(filters.urgency) : null;
+        const entity = filters.entity?.toLowerCase();
         return this.recentEvents
-            .filter(e => e.urgency === 'breaking' || e.urgency === 'timely')
+            .filter(e => !filters.since || e.publishedAt >= filters.since)
+            .filter(e => !filters.until || e.publishedAt < filters.until)
+            .filter(e => !filters.category || e.suggestedCategory === filters.category)
+            .filter(e => !filters.source || e.source === filters.source)
+            .filter(e => !urgencies || urgencies.includes(e.urgency))
+            .filter(e => filters.minScore === undefined || e.relevanceScore >= filters.minScore)
+            .filter(e => !entity || (e.entities || []).some(n => n.id === entity || n.name.toLowerCase() === entity))
+            .filter(e => !filters.entityType || (e.entities || []).some(n => n.type === filters.entityType))
+            .slice(0, filters.limit || this.recentEvents.length);
+    }
+
+    // Record a market generated from a news event
+    recordMarket(eventId, marketAddress) {
+        const event = this.recentEvents.find(e => e.id === eventId);
+        if (event) {
+            event.markets = [...new Set([...(event.markets || []), marketAddress])];
+        }
+        this.store?.linkNewsMarket(eventId, marketAddress);
+        return this;
+    }
+
+    // Recent events clustered into stories, most recently updated first
+    getStories(limit = 10) {
+        return clusterEvents(this.recentEvents, this.storyOptions).slice(0, limit);
+    }
+
+    /**
+     * Stories from stored events. Filters: since, until and category select events;
+     * source, urgency, minScore and limit apply to the stories.
+     */
+    queryStories(filters = {}) {
+        const events = this.queryEvents({ since: filters.since, until: filters.until, category: filters.category });
+        const urgencies = filters.urgency ? [].concat(filters.urgency) : null;
+
+        const stories = clusterEvents(events, this.storyOptions)
+            .filter(s => !filters.source || s.sources.includes(filters.source))
+            .filter(s => !urgencies || urgencies.includes(s.urgency))
+            .filter(s => filters.minScore === undefined || s.relevanceScore >= filters.minScore);
+
+        return stories.slice(0, filters.limit || stories.length);
+    }
+
+    // Breaking or timely stories; several sources covering one story count once
+    getHighUrgencyEvents(limit = 5) {
+        return clusterEvents(this.recentEvents, this.storyOptions)
+            .filter(s => s.urgency === 'breaking' || s.urgency === 'timely')
             .slice(0, limit);
     }
 
@@ -180,83 +355,43 @@ export class NewsMonitor {
             isRunning: this.isRunning,
             sourcesCount: this.sources.length,
             eventsCount: this.recentEvents.length,
+            storiesCount: clusterEvents(this.recentEvents, this.storyOptions).length,
             lastCheck: this.lastCheck,
             errorCount: this.errorCount,
-            seenIdsCount: this.seenIds.size
+            seenIdsCount: this.seenIds.size,
+            keywordsCount: Object.keys(this.keywords.privacy || {}).length,
+            sources: this.getSourceHealth()
         };
     }
 
-    // Add a custom news source
+    // Add a news source: an adapter, or a spec such as { type: 'json-feed', name, url }
     addSource(source) {
-        if (!source.name || !source.url) {
-            throw new Error('Source requires name and url');
-        }
+        const adapter = typeof source?.fetchItems === 'function'
+            ? createNewsSource(source)
+            : createNewsSource({ keywords: [], weight: 0.5, ...source });
 
-        this.sources.push({
-            keywords: PRIVACY_KEYWORDS,
-            weight: 0.5,
-            ...source
-        });
+        if (this.sources.some(s => s.name === adapter.name)) {
+            throw new Error(`News source ${adapter.name} already exists`);
+        }
 
+        this.sources.push(adapter);
         return this;
     }
 
-    // Remove a news source
+    // Remove a news source by name
     removeSource(name) {
         this.sources = this.sources.filter(s => s.name !== name);
+        this.sourceState.delete(name);
         return this;
     }
+
+    listSources() {
+        return this.sources.map(s => (typeof s.describe === 'function'
+            ? s.describe()
+            : { name: s.name, type: s.type || 'custom', location: s.location ?? null, weight: s.weight ?? 1.0 }));
+    }
 }
 
 export function createNewsMonitor(config) {
     return new NewsMonitor(config);
 }
-
-// Mock news source for testing
-export class MockNewsSource {
-    constructor() {
-        this.events = [
-            {
-                title: 'EU Proposes New Digital Privacy Framework with Strict Encryption Rules',
-                relevanceScore: 85,
-                suggestedCategory: 'regulation',
-                urgency: 'timely'
-            },
-            {
-                title: 'Major ZK Protocol Reaches $1B TVL Milestone',
-                relevanceScore: 90,
-                suggestedCategory: 'technology',
-                urgency: 'breaking'
-            },
-            {
-                title: 'Signal Reports Record User Growth Amid Privacy Concerns',
-                relevanceScore: 75,
-                suggestedCategory: 'adoption',
-                urgency: 'timely'
-            },
-            {
-                title: 'Data Breach Affects 50M Users at Major Tech Company',
-                relevanceScore: 80,
-                suggestedCategory: 'events',
-                urgency: 'breaking'
-            },
-            {
-                title: 'Tornado Cash Developer Case Reaches New Development',
-                relevanceScore: 95,
-                suggestedCategory: 'regulation',
-                urgency: 'breaking'
-            }
-        ];
-    }
-
-    async getEvents(limit = 5) {
-        return this.events.slice(0, limit).map(e => ({
-            ...e,
-            id: `mock-${Math.random().toString(36).slice(2)}`,
-            link: 'https://example.com',
-            source: 'mock',
-            publishedAt: Date.now(),
-            matchedKeywords: ['privacy']
-        }));
-    }
-}
@@ -1,6 +1,8 @@
 // Relevance scoring algorithm for privacy news
 // Determines how relevant a news item is for market generation
 
+import { entityLabel, findEntity, recognizeEntities } from './entities.js';
+
 // Core privacy-related keywords with weights
 export const PRIVACY_KEYWORDS = {
     // High relevance - direct privacy tech
@@ -66,7 +68,7 @@ export const PRIVACY_KEYWORDS = {
 };
 
 // Category mappings
-const CATEGORY_KEYWORDS = {
+export const CATEGORY_KEYWORDS = {
     regulation: ['law', 'regulation', 'gdpr', 'sanctions', 'ofac', 'compliance', 'legislation', 'ban', 'restrict'],
     technology: ['zk', 'protocol', 'launch', 'release', 'upgrade', 'mainnet', 'testnet', 'tvl', 'smart contract'],
     adoption: ['users', 'growth', 'adoption', 'enterprise', 'mainstream', 'wallet', 'integration'],
@@ -74,19 +76,83 @@ const CATEGORY_KEYWORDS = {
 };
 
 // Urgency indicators
-const URGENCY_KEYWORDS = {
+export const URGENCY_KEYWORDS = {
     breaking: ['breaking', 'just in', 'urgent', 'alert', 'confirmed', 'arrested', 'breached'],
     timely: ['announces', 'launches', 'releases', 'proposes', 'reaches', 'exceeds', 'surpasses']
 };
 
-export function scoreRelevance(text, sourceKeywords = [], sourceWeight = 1.0) {
+// The keyword lists scoreRelevance uses unless given another set (see keyword-config.js)
+export const DEFAULT_KEYWORD_SET = {
+    privacy: PRIVACY_KEYWORDS,
+    negative: {},
+    categories: CATEGORY_KEYWORDS,
+    urgency: URGENCY_KEYWORDS
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A plain keyword (or synonym) matches anywhere in the lowercased text; phrase: true
+// matches whole words only; regex replaces the keyword with a case-insensitive pattern
+function createMatcher(keyword, spec = {}) {
+    if (spec.regex) {
+        const regex = new RegExp(spec.regex, 'i');
+        return text => regex.test(text);
+    }
+
+    const terms = [keyword, ...(spec.synonyms || [])].map(term => term.toLowerCase());
+    if (spec.phrase) {
+        const patterns = terms.map(term => new RegExp(`(?<![a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`));
+        return text => patterns.some(pattern => pattern.test(text));
+    }
+
+    return text => terms.some(term => text.includes(term));
+}
+
+// Weighted keywords: { keyword: weight } or { keyword: { weight, synonyms, phrase, regex } }
+function compileWeighted(keywords = {}) {
+    return Object.entries(keywords).map(([keyword, spec]) => {
+        const entry = typeof spec === 'number' ? { weight: spec } : spec;
+        return { keyword, weight: entry.weight, matches: createMatcher(keyword, entry) };
+    });
+}
+
+// Keyword lists: strings or { keyword, synonyms, phrase, regex }
+function compileList(list = []) {
+    return list.map(entry => (typeof entry === 'string'
+        ? { keyword: entry, matches: createMatcher(entry) }
+        : { keyword: entry.keyword || entry.regex, matches: createMatcher(entry.keyword || '', entry) }));
+}
+
+const compiledSets = new WeakMap();
+
+/**
+ * Matchers for a keyword set, compiled once per set object:
+ * { privacy, negative, categories, urgency } with { keyword, weight?, matches(text) } entries
+ */
+export function compileKeywordSet(keywordSet) {
+    if (!compiledSets.has(keywordSet)) {
+        compiledSets.set(keywordSet, {
+            privacy: compileWeighted(keywordSet.privacy),
+            negative: compileWeighted(keywordSet.negative),
+            categories: Object.fromEntries(Object.entries(keywordSet.categories || {}).map(([c, list]) => [c, compileList(list)])),
+            urgency: Object.fromEntries(Object.entries(keywordSet.urgency || {}).map(([u, list]) => [u, compileList(list)]))
+        });
+    }
+    return compiledSets.get(keywordSet);
+}
+
+export function scoreRelevance(text, sourceKeywords = [], sourceWeight = 1.0, keywordSet = DEFAULT_KEYWORD_SET) {
     const lowerText = text.toLowerCase();
+    const compiled = compileKeywordSet(keywordSet);
     let score = 0;
     const matchedKeywords = [];
+    const negativeKeywords = [];
 
     // Score based on privacy keywords
-    for (const [keyword, weight] of Object.entries(PRIVACY_KEYWORDS)) {
-        if (lowerText.includes(keyword)) {
+    for (const { keyword, weight, matches } of compiled.privacy) {
+        if (matches(lowerText)) {
             score += weight * 10;
             matchedKeywords.push(keyword);
         }
@@ -102,27 +168,36 @@ export function scoreRelevance(text, sourceKeywords = [], sourceWeight = 1.0) {
         }
     }
 
+    // Negative keywords ("private equity") take their weight back off
+    for (const { keyword, weight, matches } of compiled.negative) {
+        if (matches(lowerText)) {
+            score -= weight * 10;
+            negativeKeywords.push(keyword);
+        }
+    }
+
     // Apply source weight
     score = Math.round(score * sourceWeight);
 
-    // Cap at 100
-    score = Math.min(score, 100);
+    // Keep within 0-100
+    score = Math.max(0, Math.min(score, 100));
 
     // Determine suggested category
-    const suggestedCategory = determineCategory(lowerText);
+    const suggestedCategory = determineCategory(lowerText, compiled.categories);
 
     // Determine urgency
-    const urgency = determineUrgency(lowerText);
+    const urgency = determineUrgency(lowerText, compiled.urgency);
 
     return {
         score,
         matchedKeywords,
+        negativeKeywords,
         suggestedCategory,
         urgency
     };
 }
 
-function determineCategory(text) {
+function determineCategory(text, categoryMatchers) {
     const scores = {
         regulation: 0,
         technology: 0,
@@ -130,9 +205,9 @@ function determineCategory(text) {
         events: 0
     };
 
-    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-        for (const keyword of keywords) {
-            if (text.includes(keyword)) {
+    for (const [category, matchers] of Object.entries(categoryMatchers)) {
+        for (const { matches } of matchers) {
+            if (matches(text)) {
                 scores[category] += 1;
             }
         }
@@ -152,15 +227,15 @@ function determineCategory(text) {
     return bestCategory;
 }
 
-function determineUrgency(text) {
-    for (const keyword of URGENCY_KEYWORDS.breaking) {
-        if (text.includes(keyword)) {
+function determineUrgency(text, urgencyMatchers) {
+    for (const { matches } of urgencyMatchers.breaking || []) {
+        if (matches(text)) {
             return 'breaking';
         }
     }
 
-    for (const keyword of URGENCY_KEYWORDS.timely) {
-        if (text.includes(keyword)) {
+    for (const { matches } of urgencyMatchers.timely || []) {
+        if (matches(text)) {
             return 'timely';
         }
     }
@@ -168,69 +243,119 @@ function determineUrgency(text) {
     return 'evergreen';
 }
 
+// Market duration in days for news of each urgency
+export const URGENCY_DURATION_DAYS = {
+    breaking: 14,
+    timely: 30,
+    evergreen: 90
+};
+
+const SUBJECT_TYPES = ['protocol', 'company', 'token'];
+
+const LIFTED_WORDS = /\b(lift(s|ed)?|delist(s|ed)?|remov(e|es|ed)|overturn(s|ed)?|drop(s|ped)?)\b/;
+const PROPOSED_WORDS = /\b(propos(e|es|ed|al)|consider(s|ed|ing)?|weigh(s|ed|ing)?|threaten(s|ed)?|mull(s|ed|ing)?|plan(s|ned)?|could|may|might|eyes)\b/;
+const BREACH_WORDS = /\b(breach(es|ed)?|leak(s|ed)?|exposed)\b/;
+const HACK_WORDS = /\b(hack(s|ed)?|exploit(s|ed)?|drain(s|ed)?|stolen)\b/;
+const UPGRADE_WORDS = /\b(upgrades?|mainnet|hard fork|testnet)\b/;
+
 // Generate a market question from a news event
-export function generateMarketFromNews(newsEvent) {
+// Questions name the entities the recognizer finds ("Will OFAC delist Tornado Cash
+// by ..."); with none, they fall back to quoting the headline.
+export function generateMarketFromNews(newsEvent, options = {}) {
     const { title, suggestedCategory, urgency } = newsEvent;
-
-    // Extract key entities from title
-    const entities = extractEntities(title);
+    const now = options.now ?? Date.now();
 
     // Generate appropriate duration based on urgency
-    const durationDays = urgency === 'breaking' ? 14 :
-                         urgency === 'timely' ? 30 : 90;
+    const durationDays = URGENCY_DURATION_DAYS[urgency] || URGENCY_DURATION_DAYS.evergreen;
 
-    // Generate question based on category
-    let question;
-
-    switch (suggestedCategory) {
-        case 'regulation':
-            question = `Will regulatory action be taken regarding "${entities.topic || 'this development'}" within ${durationDays} days?`;
-            break;
-        case 'technology':
-            question = `Will the technology mentioned in "${entities.topic || 'this news'}" see significant adoption by ${formatFutureDate(durationDays)}?`;
-            break;
-        case 'adoption':
-            question = `Will user adoption metrics exceed expectations for "${entities.topic || 'this platform'}" by ${formatFutureDate(durationDays)}?`;
-            break;
-        case 'events':
-            question = `Will there be follow-up developments on "${entities.topic || 'this event'}" within ${durationDays} days?`;
-            break;
-        default:
-            question = `Will "${entities.topic || 'this development'}" have significant impact by ${formatFutureDate(durationDays)}?`;
-    }
+    // Stored entities keep only id, name and type; labels and flags come from the dictionary
+    const entities = (newsEvent.entities?.length ? newsEvent.entities : recognizeEntities(title))
+        .map(entity => findEntity(entity.id) || entity);
+    const question = entityQuestion(title, suggestedCategory, entities, formatDeadline(durationDays, now))
+        || headlineQuestion(title, suggestedCategory, durationDays, now);
 
     return {
         question,
         category: suggestedCategory,
         durationDays,
         urgency,
+        entities,
         sourceEvent: newsEvent
     };
 }
 
-function extractEntities(title) {
-    // Simple entity extraction - could be enhanced with NLP
-    const words = title.split(' ');
+function entityQuestion(title, category, entities, deadline) {
+    const text = title.toLowerCase();
+    const first = types => entities.find(e => types.includes(e.type));
 
-    // Look for capitalized words as potential entities
-    const entities = words.filter(w =>
-        w.length > 2 &&
-        w[0] === w[0].toUpperCase() &&
-        !['The', 'And', 'For', 'New', 'With'].includes(w)
-    );
+    const regulator = first(['regulator']);
+    const country = first(['country']);
+    const subject = first(SUBJECT_TYPES);
 
-    return {
-        topic: title.slice(0, 50),
-        entities
-    };
+    if (regulator && subject) {
+        if (regulator.sanctions && /sanction/.test(text)) {
+            // Only a sanction still being weighed can be added; one already imposed can only be lifted
+            return PROPOSED_WORDS.test(text) && !LIFTED_WORDS.test(text)
+                ? `Will ${entityLabel(regulator)} add ${entityLabel(subject)} to its sanctions list by ${deadline}?`
+                : `Will ${entityLabel(regulator)} delist ${entityLabel(subject)} by ${deadline}?`;
+        }
+        return `Will ${entityLabel(regulator)} announce an enforcement action against ${entityLabel(subject)} by ${deadline}?`;
+    }
+
+    if (subject && HACK_WORDS.test(text)) return `Will ${entityLabel(subject)} recover the stolen funds by ${deadline}?`;
+    if (subject && BREACH_WORDS.test(text)) return `Will ${entityLabel(subject)} be fined over the data breach by ${deadline}?`;
+
+    switch (category) {
+        case 'regulation':
+            if (regulator) return `Will ${entityLabel(regulator)} publish new privacy rules or guidance by ${deadline}?`;
+            if (country) return `Will ${entityLabel(country)} pass new privacy legislation by ${deadline}?`;
+            if (subject) return `Will ${entityLabel(subject)} face new regulatory action by ${deadline}?`;
+            return null;
+        case 'technology': {
+            const network = first(['protocol', 'token']);
+            return network && UPGRADE_WORDS.test(text)
+                ? `Will ${entityLabel(network)} ship its announced upgrade on mainnet by ${deadline}?`
+                : null;
+        }
+        case 'adoption':
+            return subject ? `Will ${entityLabel(subject)} announce a new integration or partnership by ${deadline}?` : null;
+        case 'events':
+            return subject ? `Will ${entityLabel(subject)} face new legal action by ${deadline}?` : null;
+        default:
+            return null;
+    }
+}
+
+function headlineQuestion(title, category, durationDays, now) {
+    const topic = title.slice(0, 50);
+
+    switch (category) {
+        case 'regulation':
+            return `Will regulatory action be taken regarding "${topic || 'this development'}" within ${durationDays} days?`;
+        case 'technology':
+            return `Will the technology mentioned in "${topic || 'this news'}" see significant adoption by ${formatFutureDate(durationDays, now)}?`;
+        case 'adoption':
+            return `Will user adoption metrics exceed expectations for "${topic || 'this platform'}" by ${formatFutureDate(durationDays, now)}?`;
+        case 'events':
+            return `Will there be follow-up developments on "${topic || 'this event'}" within ${durationDays} days?`;
+        default:
+            return `Will "${topic || 'this development'}" have significant impact by ${formatFutureDate(durationDays, now)}?`;
+    }
 }
 
-function formatFutureDate(daysFromNow) {
-    const date = new Date();
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+                'July', 'August', 'September', 'October', 'November', 'December'];
+
+function formatFutureDate(daysFromNow, now = Date.now()) {
+    const date = new Date(now);
     date.setDate(date.getDate() + daysFromNow);
 
-    const months = ['January', 'February', 'March', 'April', 'May', 'June',
-                    'July', 'August', 'September', 'October', 'November', 'December'];
+    return `${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+}
+
+// "November 2, 2026": the day the market ends, in UTC
+function formatDeadline(daysFromNow, now = Date.now()) {
+    const date = new Date(now + daysFromNow * 24 * 60 * 60 * 1000);
 
-    return `${months[date.getMonth()]} ${date.getFullYear()}`;
+    return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
 }
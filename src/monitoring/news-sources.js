@@ -0,0 +1,456 @@
+// News source adapters for the news monitor
+// Every adapter has a name, the keywords and weight used to score its items, and
+// fetchItems(), which resolves to items of the shape
+//   { id, title, link, publishedAt, content }
+// The monitor calls poll(validators) instead where an adapter has it; HTTP adapters
+// use it to send conditional GETs with the ETag and Last-Modified of the last fetch.
+// Built in: RSS/Atom feeds, JSON Feed, local directories of headline files, HTTP
+// JSON endpoints with a configurable item mapping, and a mock source for tests.
+
+import Parser from 'rss-parser';
+import { readFile, readdir, stat } from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_TIMEOUT = 10000;
+const USER_AGENT = 'PrivacyOracleAgent/1.0';
+
+// Default privacy news sources
+export const DEFAULT_NEWS_SOURCES = [
+    {
+        type: 'rss',
+        name: 'EFF',
+        url: 'https://www.eff.org/rss/updates.xml',
+        keywords: ['privacy', 'encryption', 'surveillance', 'data protection', 'FISA'],
+        weight: 1.0
+    },
+    {
+        type: 'rss',
+        name: 'Decrypt',
+        url: 'https://decrypt.co/feed',
+        keywords: ['privacy', 'zk', 'zero-knowledge', 'tornado', 'zcash', 'monero', 'mixer'],
+        weight: 0.9
+    },
+    {
+        type: 'rss',
+        name: 'CoinDesk',
+        url: 'https://www.coindesk.com/arc/outboundfeeds/rss/',
+        keywords: ['privacy', 'regulation', 'sanctions', 'compliance', 'OFAC'],
+        weight: 0.7
+    },
+    {
+        type: 'rss',
+        name: 'The Block',
+        url: 'https://www.theblock.co/rss.xml',
+        keywords: ['privacy', 'zk-rollup', 'confidential', 'anonymous'],
+        weight: 0.8
+    }
+];
+
+/**
+ * GET source.url with If-None-Match / If-Modified-Since from validators. Resolves to
+ * { notModified: true } on 304, or the response with its new validators.
+ */
+async function conditionalGet(source, validators = {}, accept) {
+    const headers = { 'User-Agent': USER_AGENT, Accept: accept, ...source.headers };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await source.fetch(source.url, { headers, signal: AbortSignal.timeout(source.timeout) });
+
+    if (response.status === 304) {
+        return { notModified: true, etag: validators.etag || null, lastModified: validators.lastModified || null };
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    return {
+        notModified: false,
+        response,
+        etag: response.headers?.get('etag') || null,
+        lastModified: response.headers?.get('last-modified') || null
+    };
+}
+
+function toTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+function stripHtml(html) {
+    return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Read a dotted path such as "data.items" or "links.0.href"
+export function readPath(object, dotted) {
+    if (!dotted) return object;
+    return dotted.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+export class NewsSource {
+    constructor(options = {}) {
+        if (!options.name) {
+            throw new Error('News source requires a name');
+        }
+
+        this.name = options.name;
+        this.keywords = options.keywords || [];
+        this.weight = options.weight ?? 1.0;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    }
+
+    get type() {
+        return 'custom';
+    }
+
+    // Where the source reads from, for listings
+    get location() {
+        return null;
+    }
+
+    async fetchItems() {
+        throw new Error(`${this.constructor.name} must implement fetchItems()`);
+    }
+
+    /**
+     * Fetch items, skipping unchanged content where the source can tell. Resolves to
+     * { items, notModified, etag, lastModified }.
+     */
+    async poll() {
+        return { items: await this.fetchItems(), notModified: false, etag: null, lastModified: null };
+    }
+
+    describe() {
+        return { name: this.name, type: this.type, location: this.location, weight: this.weight };
+    }
+}
+
+// RSS 2.0 and Atom feeds
+export class RssSource extends NewsSource {
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error(`RSS source ${options.name} requires a url`);
+        }
+
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || globalThis.fetch;
+        this.parser = options.parser || new Parser();
+    }
+
+    get type() {
+        return 'rss';
+    }
+
+    get location() {
+        return this.url;
+    }
+
+    async fetchItems() {
+        return (await this.poll()).items;
+    }
+
+    async poll(validators) {
+        const result = await conditionalGet(this, validators, 'application/rss+xml, application/atom+xml, application/xml, text/xml');
+        if (result.notModified) return { ...result, items: [] };
+
+        const feed = await this.parser.parseString(await result.response.text());
+        const items = (feed.items || []).map(item => ({
+            id: item.guid || item.id || item.link || item.title,
+            title: item.title || '',
+            link: item.link || '',
+            publishedAt: toTime(item.isoDate || item.pubDate),
+            content: item.contentSnippet || item.content || item.summary || ''
+        }));
+
+        return { items, notModified: false, etag: result.etag, lastModified: result.lastModified };
+    }
+}
+
+// Base for adapters that GET a JSON document
+class JsonHttpSource extends NewsSource {
+    constructor(options = {}) {
+        super(options);
+        if (!options.url) {
+            throw new Error(`${this.constructor.name} ${options.name} requires a url`);
+        }
+
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || globalThis.fetch;
+    }
+
+    get location() {
+        return this.url;
+    }
+
+    async fetchItems() {
+        return (await this.poll()).items;
+    }
+
+    async poll(validators) {
+        const result = await conditionalGet(this, validators, 'application/json');
+        if (result.notModified) return { ...result, items: [] };
+
+        const items = this.parseItems(await result.response.json());
+        return { items, notModified: false, etag: result.etag, lastModified: result.lastModified };
+    }
+
+    parseItems() {
+        throw new Error(`${this.constructor.name} must implement parseItems()`);
+    }
+}
+
+// JSON Feed (https://jsonfeed.org) version 1 and 1.1
+export class JsonFeedSource extends JsonHttpSource {
+    get type() {
+        return 'json-feed';
+    }
+
+    parseItems(feed) {
+        if (!String(feed?.version || '').startsWith('https://jsonfeed.org/version/')) {
+            throw new Error(`${this.name} is not a JSON Feed`);
+        }
+
+        return (feed.items || []).map(item => {
+            const content = item.summary || item.content_text || stripHtml(item.content_html);
+            return {
+                id: item.id || item.url || item.title,
+                title: item.title || content.split('\n')[0].slice(0, 200),
+                link: item.url || item.external_url || '',
+                publishedAt: toTime(item.date_published || item.date_modified),
+                content
+            };
+        });
+    }
+}
+
+/**
+ * Any HTTP endpoint returning JSON. itemsPath is the dotted path to the item array
+ * (empty when the response is the array) and mapping gives the dotted path of each
+ * field within an item.
+ */
+export class HttpJsonSource extends JsonHttpSource {
+    constructor(options = {}) {
+        super(options);
+        this.itemsPath = options.itemsPath || '';
+        this.mapping = {
+            id: 'id',
+            title: 'title',
+            link: 'url',
+            publishedAt: 'publishedAt',
+            content: 'summary',
+            ...options.mapping
+        };
+    }
+
+    get type() {
+        return 'http-json';
+    }
+
+    parseItems(body) {
+        const items = readPath(body, this.itemsPath);
+        if (!Array.isArray(items)) {
+            throw new Error(`${this.name}: no item array at "${this.itemsPath || '(root)'}"`);
+        }
+
+        return items
+            .map(item => {
+                const field = name => readPath(item, this.mapping[name]);
+                const title = String(field('title') || '').trim();
+                const link = field('link') || '';
+                return {
+                    id: String(field('id') || link || title),
+                    title,
+                    link,
+                    publishedAt: toTime(field('publishedAt')),
+                    content: String(field('content') || '')
+                };
+            })
+            .filter(item => item.title);
+    }
+}
+
+/**
+ * A local directory of headline files. Each non-empty line of a .txt file is a
+ * headline. A .json file holds one item or an array (or { items: [...] }) of
+ * { id, title, link, publishedAt, content }. Items without a date use the file's
+ * modification time.
+ */
+export class DirectorySource extends NewsSource {
+    constructor(options = {}) {
+        super(options);
+        if (!options.path) {
+            throw new Error(`Directory source ${options.name} requires a path`);
+        }
+
+        this.path = options.path;
+    }
+
+    get type() {
+        return 'directory';
+    }
+
+    get location() {
+        return this.path;
+    }
+
+    async fetchItems() {
+        let files;
+        try {
+            files = (await readdir(this.path)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`News directory not found: ${this.path}`);
+            throw error;
+        }
+
+        const items = [];
+
+        for (const file of files) {
+            const extension = path.extname(file).toLowerCase();
+            if (extension !== '.txt' && extension !== '.json') continue;
+
+            const filePath = path.join(this.path, file);
+            const modified = (await stat(filePath)).mtimeMs;
+            const text = await readFile(filePath, 'utf-8');
+
+            if (extension === '.txt') {
+                text.split('\n').map(line => line.trim()).filter(Boolean).forEach(title => {
+                    items.push({ id: `${file}:${title}`, title, link: '', publishedAt: modified, content: '' });
+                });
+                continue;
+            }
+
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+
+            const entries = Array.isArray(parsed) ? parsed : parsed.items || [parsed];
+            for (const entry of entries) {
+                if (!entry?.title) continue;
+                items.push({
+                    id: String(entry.id || entry.link || `${file}:${entry.title}`),
+                    title: entry.title,
+                    link: entry.link || entry.url || '',
+                    publishedAt: toTime(entry.publishedAt || entry.date) ?? modified,
+                    content: entry.content || entry.summary || ''
+                });
+            }
+        }
+
+        return items;
+    }
+}
+
+// Fixed headlines for tests and demos
+export class MockNewsSource extends NewsSource {
+    constructor(options = {}) {
+        super({ name: 'mock', ...options });
+        this.events = options.events || [
+            {
+                title: 'EU Proposes New Digital Privacy Framework with Strict Encryption Rules',
+                relevanceScore: 85,
+                suggestedCategory: 'regulation',
+                urgency: 'timely'
+            },
+            {
+                title: 'Major ZK Protocol Reaches $1B TVL Milestone',
+                relevanceScore: 90,
+                suggestedCategory: 'technology',
+                urgency: 'breaking'
+            },
+            {
+                title: 'Signal Reports Record User Growth Amid Privacy Concerns',
+                relevanceScore: 75,
+                suggestedCategory: 'adoption',
+                urgency: 'timely'
+            },
+            {
+                title: 'Data Breach Affects 50M Users at Major Tech Company',
+                relevanceScore: 80,
+                suggestedCategory: 'events',
+                urgency: 'breaking'
+            },
+            {
+                title: 'Tornado Cash Developer Case Reaches New Development',
+                relevanceScore: 95,
+                suggestedCategory: 'regulation',
+                urgency: 'breaking'
+            }
+        ];
+        this.clock = options.clock || (() => Date.now());
+    }
+
+    get type() {
+        return 'mock';
+    }
+
+    async fetchItems() {
+        return this.events.map((e, i) => ({
+            id: e.id || `mock-${i}`,
+            title: e.title,
+            link: e.link || 'https://example.com',
+            publishedAt: e.publishedAt ?? this.clock(),
+            content: e.content || ''
+        }));
+    }
+
+    // Pre-scored events, as the monitor would produce them
+    async getEvents(limit = 5) {
+        return this.events.slice(0, limit).map(e => ({
+            ...e,
+            id: `mock-${Math.random().toString(36).slice(2)}`,
+            link: 'https://example.com',
+            source: 'mock',
+            publishedAt: Date.now(),
+            matchedKeywords: ['privacy']
+        }));
+    }
+}
+
+export const SOURCE_TYPES = {
+    rss: RssSource,
+    'json-feed': JsonFeedSource,
+    'http-json': HttpJsonSource,
+    directory: DirectorySource,
+    mock: MockNewsSource
+};
+
+/**
+ * Build an adapter from a spec such as { type: 'json-feed', name, url }. Objects
+ * that already have fetchItems() are used as they are. Specs without a type are
+ * RSS if they have a url and directories if they have a path.
+ */
+export function createNewsSource(spec) {
+    if (spec && typeof spec.fetchItems === 'function') {
+        if (!spec.name) throw new Error('News source requires a name');
+        return spec;
+    }
+
+    const type = spec?.type || (spec?.url ? 'rss' : spec?.path ? 'directory' : null);
+    const Adapter = SOURCE_TYPES[type];
+    if (!Adapter) {
+        throw new Error(`Unknown news source type: ${type} (use ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    }
+
+    return new Adapter(spec);
+}
+
+// Read source specs from a JSON file: an array or { sources: [...] }. Directory paths are relative to the file.
+export async function loadNewsSources(file) {
+    const parsed = JSON.parse(await readFile(file, 'utf-8'));
+    const specs = Array.isArray(parsed) ? parsed : parsed.sources;
+
+    if (!Array.isArray(specs)) {
+        throw new Error(`${file} must hold an array of news sources`);
+    }
+
+    return specs.map(spec => createNewsSource(
+        spec.path ? { ...spec, path: path.resolve(path.dirname(file), spec.path) } : spec
+    ));
+}
@@ -0,0 +1,229 @@
+// Evaluation harness for news relevance scoring
+// Runs a scorer over a labeled headline corpus and reports precision/recall at score
+// thresholds, a category confusion matrix and urgency accuracy. Two reports (say, the
+// built-in keywords against an edited keyword set) can be diffed before deploying.
+// Corpus items: { title, content, relevant, category, urgency }; category is only
+// checked for relevant items, and either label may be left out.
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scoreRelevance, DEFAULT_KEYWORD_SET } from './news-scorer.js';
+import { KEYWORD_CATEGORIES } from './keyword-config.js';
+
+export const BUNDLED_CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'corpus', 'headlines.jsonl');
+
+// 30 is the news monitor's default minScore
+export const DEFAULT_THRESHOLDS = [30, 50, 60, 70];
+
+const URGENCIES = ['breaking', 'timely', 'evergreen'];
+
+// Problems that would make a corpus item unusable; empty when it is fine
+export function validateCorpusItem(item) {
+    const errors = [];
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return ['Item must be an object'];
+    }
+    if (typeof item.title !== 'string' || !item.title.trim()) {
+        errors.push('title must be a non-empty string');
+    }
+    if (typeof item.relevant !== 'boolean') {
+        errors.push('relevant must be true or false');
+    }
+    if (item.category !== undefined && !KEYWORD_CATEGORIES.includes(item.category)) {
+        errors.push(`category must be one of ${KEYWORD_CATEGORIES.join(', ')}`);
+    }
+    if (item.urgency !== undefined && !URGENCIES.includes(item.urgency)) {
+        errors.push(`urgency must be one of ${URGENCIES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Load a labeled corpus from a JSON array (or { items }) or a JSON Lines file.
+ * Throws naming the first invalid item.
+ */
+export async function loadCorpus(file = BUNDLED_CORPUS) {
+    const text = await readFile(file, 'utf8');
+    let items;
+
+    if (text.trimStart().startsWith('[') || text.trimStart().startsWith('{"items"')) {
+        const parsed = JSON.parse(text);
+        items = Array.isArray(parsed) ? parsed : parsed.items;
+    } else {
+        items = text.split('\n')
+            .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+            .filter(({ line }) => line && !line.startsWith('//'))
+            .map(({ line, number }) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`${file}:${number}: ${error.message}`);
+                }
+            });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error(`${file} holds no corpus items`);
+    }
+
+    items.forEach((item, i) => {
+        const errors = validateCorpusItem(item);
+        if (errors.length > 0) {
+            throw new Error(`${file}: item ${i + 1}: ${errors.join('; ')}`);
+        }
+    });
+
+    return items;
+}
+
+// Scorer function for evaluateScorer using scoreRelevance with a keyword set
+export function keywordScorer(keywordSet = DEFAULT_KEYWORD_SET) {
+    return item => {
+        const result = scoreRelevance(`${item.title} ${item.content || ''}`, [], 1.0, keywordSet);
+        return { score: result.score, category: result.suggestedCategory, urgency: result.urgency };
+    };
+}
+
+// Scorer function for evaluateScorer backed by an AIScorer
+export function aiScorer(scorer) {
+    return async item => {
+        const result = await scorer.scoreNews({ title: item.title, summary: item.content });
+        return { score: result.score, category: result.category, urgency: result.urgency };
+    };
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : numerator / denominator;
+}
+
+function thresholdStats(predictions, threshold) {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+
+    for (const p of predictions) {
+        const predicted = p.score >= threshold;
+        if (predicted && p.relevant) counts.tp++;
+        else if (predicted) counts.fp++;
+        else if (p.relevant) counts.fn++;
+        else counts.tn++;
+    }
+
+    const precision = ratio(counts.tp, counts.tp + counts.fp);
+    const recall = ratio(counts.tp, counts.tp + counts.fn);
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return { threshold, ...counts, precision, recall, f1 };
+}
+
+/**
+ * Score every corpus item and summarize. score(item) returns (or resolves to)
+ * { score, category, urgency }. Items the scorer throws on are counted in errors.
+ * Returns { total, errors, thresholds, categories, urgency, predictions }, where
+ * categories.matrix[actual][predicted] counts relevant items by label and guess.
+ */
+export async function evaluateScorer(corpus, score, options = {}) {
+    const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+    const predictions = [];
+    const errors = [];
+
+    for (const item of corpus) {
+        try {
+            const result = await score(item);
+            predictions.push({
+                title: item.title,
+                relevant: item.relevant,
+                expectedCategory: item.category ?? null,
+                expectedUrgency: item.urgency ?? null,
+                score: result.score,
+                category: result.category,
+                urgency: result.urgency
+            });
+        } catch (error) {
+            errors.push({ title: item.title, error: error.message });
+        }
+    }
+
+    const labels = [...KEYWORD_CATEGORIES];
+    const matrix = Object.fromEntries(KEYWORD_CATEGORIES.map(actual => [actual, {}]));
+    let categoryTotal = 0;
+    let categoryCorrect = 0;
+
+    for (const p of predictions.filter(p => p.relevant && p.expectedCategory)) {
+        if (!labels.includes(p.category)) labels.push(p.category);
+        matrix[p.expectedCategory][p.category] = (matrix[p.expectedCategory][p.category] || 0) + 1;
+        categoryTotal++;
+        if (p.category === p.expectedCategory) categoryCorrect++;
+    }
+
+    for (const [actual, row] of Object.entries(matrix)) {
+        matrix[actual] = Object.fromEntries(labels.map(label => [label, row[label] || 0]));
+    }
+
+    const urgencyLabeled = predictions.filter(p => p.expectedUrgency);
+    const urgencyCorrect = urgencyLabeled.filter(p => p.urgency === p.expectedUrgency).length;
+
+    return {
+        total: corpus.length,
+        errors,
+        thresholds: thresholds.map(t => thresholdStats(predictions, t)),
+        categories: { labels, matrix, total: categoryTotal, correct: categoryCorrect, accuracy: ratio(categoryCorrect, categoryTotal) },
+        urgency: { total: urgencyLabeled.length, correct: urgencyCorrect, accuracy: ratio(urgencyCorrect, urgencyLabeled.length) },
+        predictions
+    };
+}
+
+function delta(base, candidate) {
+    return base === null || candidate === null ? null : candidate - base;
+}
+
+/**
+ * Diff two reports over the same corpus. threshold picks the cutoff for the list of
+ * headlines whose relevance call changed. Returns { thresholds, categoryAccuracy,
+ * urgencyAccuracy, changed }, where each metric is { base, candidate, delta }.
+ */
+export function compareReports(base, candidate, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_THRESHOLDS[0];
+    const metric = (a, b) => ({ base: a, candidate: b, delta: delta(a, b) });
+
+    const thresholds = base.thresholds
+        .map(b => [b, candidate.thresholds.find(c => c.threshold === b.threshold)])
+        .filter(([, c]) => c)
+        .map(([b, c]) => ({
+            threshold: b.threshold,
+            precision: metric(b.precision, c.precision),
+            recall: metric(b.recall, c.recall),
+            f1: metric(b.f1, c.f1)
+        }));
+
+    const byTitle = new Map(candidate.predictions.map(p => [p.title, p]));
+    const changed = [];
+
+    for (const before of base.predictions) {
+        const after = byTitle.get(before.title);
+        if (!after) continue;
+
+        const wasRelevant = before.score >= threshold;
+        const isRelevant = after.score >= threshold;
+        if (wasRelevant === isRelevant && before.category === after.category && before.urgency === after.urgency) continue;
+
+        changed.push({
+            title: before.title,
+            relevant: before.relevant,
+            score: metric(before.score, after.score),
+            category: { base: before.category, candidate: after.category, expected: before.expectedCategory },
+            urgency: { base: before.urgency, candidate: after.urgency, expected: before.expectedUrgency },
+            // Whether the relevance call at the threshold moved toward the label
+            fixed: wasRelevant !== isRelevant ? isRelevant === before.relevant : null
+        });
+    }
+
+    return {
+        threshold,
+        thresholds,
+        categoryAccuracy: metric(base.categories.accuracy, candidate.categories.accuracy),
+        urgencyAccuracy: metric(base.urgency.accuracy, candidate.urgency.accuracy),
+        changed
+    };
+}
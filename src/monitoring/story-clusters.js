@@ -0,0 +1,191 @@
+// Cross-source story clustering for news events
+// When several sources cover the same story, their headlines are grouped by
+// normalized title, shared entities and time proximity. A story counts as one event:
+// it is led by its highest-scoring headline, lists every source covering it, and
+// scores its best member plus a bonus for each further source.
+
+import { createHash } from 'crypto';
+import { PRIVACY_KEYWORDS } from './news-scorer.js';
+
+// Headlines further apart than this are never the same story
+export const DEFAULT_STORY_WINDOW = 36 * 60 * 60 * 1000;
+
+// Minimum similarity for a headline to join a story
+export const DEFAULT_STORY_THRESHOLD = 0.45;
+
+// Added to a story's score for each source beyond the first
+const SOURCE_BONUS = 5;
+
+// Share of the similarity that comes from the title; the rest comes from entities
+const TITLE_WEIGHT = 0.6;
+
+// Keyword weight from which a scorer keyword names something specific enough to be an entity
+const ENTITY_KEYWORD_WEIGHT = 2.5;
+
+const URGENCY_RANK = { breaking: 2, timely: 1, evergreen: 0 };
+
+// Words that carry no meaning for comparing headlines
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from',
+    'as', 'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that', 'after', 'over',
+    'amid', 'into', 'new', 'says', 'say', 'report', 'reports', 'news', 'update', 'breaking', 'just'
+]);
+
+/**
+ * Entities named in a headline: specific privacy keywords (protocols, laws, regulators)
+ * and acronyms such as EU or OFAC. Lowercased and sorted.
+ */
+export function headlineEntities(title) {
+    const text = String(title || '');
+    const lower = text.toLowerCase();
+    const entities = new Set();
+
+    for (const [keyword, weight] of Object.entries(PRIVACY_KEYWORDS)) {
+        if (weight >= ENTITY_KEYWORD_WEIGHT && lower.includes(keyword)) {
+            entities.add(keyword);
+        }
+    }
+
+    // An all-caps headline has no acronyms to tell apart
+    if (text !== text.toUpperCase()) {
+        for (const acronym of text.match(/\b[A-Z][A-Z0-9]{1,5}\b/g) || []) {
+            entities.add(acronym.toLowerCase());
+        }
+    }
+
+    return [...entities].sort();
+}
+
+/**
+ * Normalized title words, without stopwords or the words of the given entities, so
+ * two headlines sharing only a name don't look alike twice over
+ */
+export function headlineTokens(title, entities = []) {
+    const entityWords = new Set(entities.flatMap(e => e.split(/[\s-]+/)));
+
+    return new Set(String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOPWORDS.has(word) && !entityWords.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)));
+}
+
+function overlap(a, b) {
+    let shared = 0;
+    for (const item of a) {
+        if (b.has(item)) shared++;
+    }
+    return shared;
+}
+
+// What clustering compares an event by: the ids of the entities recognized in it, or
+// the headline's keywords and acronyms for events stored without any
+function signature(event) {
+    const recognized = event.entities || [];
+    const entities = recognized.length > 0 ? recognized.map(e => e.id) : headlineEntities(event.title);
+    const names = recognized.map(e => e.name.toLowerCase());
+
+    return { entities: new Set(entities), tokens: headlineTokens(event.title, [...entities, ...names]) };
+}
+
+/**
+ * Similarity of two headline signatures in [0, 1]. The title part averages the
+ * Jaccard index and overlap coefficient of the title words; the entity part is the
+ * Jaccard index of the entities, and 0 when either has none.
+ */
+export function storySimilarity(a, b) {
+    let title = 0;
+    if (a.tokens.size > 0 && b.tokens.size > 0) {
+        const shared = overlap(a.tokens, b.tokens);
+        const jaccard = shared / (a.tokens.size + b.tokens.size - shared);
+        title = (jaccard + shared / Math.min(a.tokens.size, b.tokens.size)) / 2;
+    }
+
+    let entities = 0;
+    if (a.entities.size > 0 && b.entities.size > 0) {
+        const shared = overlap(a.entities, b.entities);
+        entities = shared / (a.entities.size + b.entities.size - shared);
+    }
+
+    return TITLE_WEIGHT * title + (1 - TITLE_WEIGHT) * entities;
+}
+
+export function storyId(firstEventId) {
+    return `story-${createHash('sha1').update(String(firstEventId)).digest('hex').slice(0, 10)}`;
+}
+
+// Recognized entities of every member, once each
+function mergeEntities(members) {
+    const merged = new Map();
+    for (const entity of members.flatMap(e => e.entities || [])) {
+        if (!merged.has(entity.id)) merged.set(entity.id, entity);
+    }
+    return [...merged.values()];
+}
+
+// Combine a cluster's members into one event-like story
+function summarizeStory(members) {
+    const lead = members.reduce((best, e) => (e.relevanceScore > best.relevanceScore ? e : best));
+    const sources = [...new Set(members.map(e => e.source))];
+    const urgency = members.reduce((most, e) => (URGENCY_RANK[e.urgency] > URGENCY_RANK[most] ? e.urgency : most), lead.urgency);
+
+    return {
+        id: storyId(members[0].id),
+        title: lead.title,
+        link: lead.link,
+        source: lead.source,
+        sources,
+        events: members.map(e => e.id),
+        size: members.length,
+        publishedAt: members[0].publishedAt,
+        updatedAt: members[members.length - 1].publishedAt,
+        relevanceScore: Math.min(100, lead.relevanceScore + SOURCE_BONUS * (sources.length - 1)),
+        matchedKeywords: [...new Set(members.flatMap(e => e.matchedKeywords || []))],
+        entities: mergeEntities(members),
+        suggestedCategory: lead.suggestedCategory,
+        urgency,
+        snippet: lead.snippet,
+        markets: [...new Set(members.flatMap(e => e.markets || []))]
+    };
+}
+
+/**
+ * Group news events into stories, most recently updated first. Events are taken
+ * oldest first; each joins the story it is most similar to, if that story has a
+ * member within the time window and the similarity reaches the threshold.
+ * Options: window (ms) and threshold.
+ */
+export function clusterEvents(events, options = {}) {
+    const window = options.window ?? DEFAULT_STORY_WINDOW;
+    const threshold = options.threshold ?? DEFAULT_STORY_THRESHOLD;
+
+    const ordered = events
+        .map(event => ({ ...event, signature: signature(event) }))
+        .sort((a, b) => a.publishedAt - b.publishedAt || String(a.id).localeCompare(String(b.id)));
+
+    const clusters = [];
+
+    for (const event of ordered) {
+        let best = null;
+        let bestScore = threshold;
+
+        for (const cluster of clusters) {
+            const near = cluster.filter(member => Math.abs(event.publishedAt - member.publishedAt) <= window);
+            if (near.length === 0) continue;
+
+            const score = Math.max(...near.map(member => storySimilarity(event.signature, member.signature)));
+            if (score >= bestScore) {
+                best = cluster;
+                bestScore = score;
+            }
+        }
+
+        if (best) best.push(event);
+        else clusters.push([event]);
+    }
+
+    return clusters
+        .map(summarizeStory)
+        .sort((a, b) => b.updatedAt - a.updatedAt || b.relevanceScore - a.relevanceScore);
+}
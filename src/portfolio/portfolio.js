@@ -0,0 +1,203 @@
+// Portfolio tracking across every market the agent has traded
+// Keeps a ledger of buys, sells, redemptions and refunds and derives cost basis and PnL from it
+
+import { MarketStore } from '../storage/market-store.js';
+
+const USDC_DECIMALS = 1_000_000;
+
+export const LEDGER_ACTIONS = ['buy', 'sell', 'redeem', 'refund'];
+
+function toUsdc(baseUnits) {
+    return Number(baseUnits || 0) / USDC_DECIMALS;
+}
+
+function round(value) {
+    return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+function emptyPosition(market, side, category) {
+    return {
+        market,
+        side,
+        category,
+        tokens: 0,
+        costBasis: 0,
+        realizedPnl: 0,
+        payoutUnknown: false,
+        trades: 0
+    };
+}
+
+// Replay ledger entries into per-market, per-side positions using average cost
+export function computePositions(entries) {
+    const positions = new Map();
+
+    const get = (market, side, category) => {
+        const key = `${market}:${side}`;
+        if (!positions.has(key)) {
+            positions.set(key, emptyPosition(market, side, category || 'uncategorized'));
+        }
+        const position = positions.get(key);
+        if (category && position.category === 'uncategorized') {
+            position.category = category;
+        }
+        return position;
+    };
+
+    for (const entry of entries) {
+        const tokens = toUsdc(entry.tokens);
+        const usdc = toUsdc(entry.usdc);
+
+        switch (entry.action) {
+            case 'buy': {
+                const position = get(entry.market, entry.side, entry.category);
+                position.tokens += tokens;
+                position.costBasis += usdc;
+                position.trades++;
+                break;
+            }
+
+            case 'sell': {
+                const position = get(entry.market, entry.side, entry.category);
+                const portion = position.tokens > 0 ? Math.min(tokens / position.tokens, 1) : 0;
+                const costRemoved = position.costBasis * portion;
+                position.tokens -= tokens;
+                position.costBasis -= costRemoved;
+                position.realizedPnl += usdc - costRemoved;
+                position.trades++;
+                break;
+            }
+
+            case 'redeem':
+            case 'refund': {
+                // Both close out the whole market: the payout is credited against
+                // the combined cost of every side we still hold
+                const open = [...positions.values()].filter(p => p.market === entry.market);
+                if (open.length === 0) {
+                    open.push(get(entry.market, entry.side || 'yes', entry.category));
+                }
+
+                const totalCost = open.reduce((sum, p) => sum + p.costBasis, 0);
+
+                // Without a reported payout, a refund returns the cost basis and a
+                // redemption books nothing rather than a full loss
+                let payout = usdc;
+                if (entry.usdc === null || entry.usdc === undefined) {
+                    payout = entry.action === 'refund' ? totalCost : null;
+                }
+
+                for (const position of open) {
+                    const share = totalCost > 0 ? position.costBasis / totalCost : 1 / open.length;
+                    if (payout === null) {
+                        position.payoutUnknown = true;
+                    } else {
+                        position.realizedPnl += payout * share - position.costBasis;
+                    }
+                    position.tokens = 0;
+                    position.costBasis = 0;
+                    position.trades++;
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+    }
+
+    return [...positions.values()].map(p => ({
+        ...p,
+        tokens: round(Math.max(p.tokens, 0)),
+        costBasis: round(Math.max(p.costBasis, 0)),
+        realizedPnl: round(p.realizedPnl),
+        averageCost: p.tokens > 0 ? round(p.costBasis / p.tokens) : 0,
+        open: p.tokens > 1e-9
+    }));
+}
+
+export class Portfolio {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Record a ledger entry; amounts are in base units (6 decimals)
+    record(entry) {
+        if (!LEDGER_ACTIONS.includes(entry.action)) {
+            throw new Error(`Unknown ledger action: ${entry.action}`);
+        }
+
+        const category = entry.category || this.store.getMarket(entry.market)?.categoryKey || null;
+
+        return this.store.saveLedgerEntry({ ...entry, category });
+    }
+
+    getLedger(filters = {}) {
+        return this.store.getLedgerEntries(filters);
+    }
+
+    getPositions(filters = {}) {
+        return computePositions(this.getLedger(filters));
+    }
+
+    /**
+     * Value open positions at current prices and summarize PnL and exposure.
+     * getPrices(marketAddress) should resolve to { yesPrice, noPrice }.
+     */
+    async getSummary(getPrices = null) {
+        const positions = this.getPositions();
+        const priceCache = new Map();
+
+        for (const position of positions) {
+            position.price = null;
+            position.marketValue = null;
+            position.unrealizedPnl = 0;
+
+            if (!position.open || !getPrices) continue;
+
+            if (!priceCache.has(position.market)) {
+                try {
+                    priceCache.set(position.market, await getPrices(position.market));
+                } catch {
+                    priceCache.set(position.market, null);
+                }
+            }
+
+            const prices = priceCache.get(position.market);
+            const price = position.side === 'yes' ? prices?.yesPrice : prices?.noPrice;
+
+            if (typeof price === 'number') {
+                position.price = price;
+                position.marketValue = round(position.tokens * price);
+                position.unrealizedPnl = round(position.marketValue - position.costBasis);
+            }
+        }
+
+        const exposureByCategory = {};
+        for (const position of positions.filter(p => p.open)) {
+            const exposure = position.marketValue ?? position.costBasis;
+            exposureByCategory[position.category] = round((exposureByCategory[position.category] || 0) + exposure);
+        }
+
+        const sum = (field) => round(positions.reduce((total, p) => total + (p[field] || 0), 0));
+
+        return {
+            positions,
+            totals: {
+                openPositions: positions.filter(p => p.open).length,
+                costBasis: sum('costBasis'),
+                marketValue: sum('marketValue'),
+                realizedPnl: sum('realizedPnl'),
+                unrealizedPnl: sum('unrealizedPnl'),
+                totalExposure: round(Object.values(exposureByCategory).reduce((a, b) => a + b, 0))
+            },
+            exposureByCategory,
+            lastUpdated: Date.now()
+        };
+    }
+}
+
+// Factory function; accepts a MarketStore or a storage path
+export function createPortfolio(storeOrPath = null) {
+    const store = storeOrPath instanceof MarketStore ? storeOrPath : new MarketStore(storeOrPath);
+    return new Portfolio(store);
+}
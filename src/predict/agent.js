@@ -114,6 +114,11 @@ export class PnpfuciusAgent {
     displayResult(toolName, result) {
         console.log();
 
+        if (result.preview) {
+            this.displayPreview(result);
+            return;
+        }
+
         switch (toolName) {
             case 'discover_all_markets':
                 this.displayMarketDiscovery(result);
@@ -129,6 +134,9 @@ export class PnpfuciusAgent {
             case 'get_balances':
                 this.displayBalances(result);
                 break;
+            case 'get_portfolio':
+                this.displayPortfolio(result);
+                break;
             case 'create_market':
             case 'create_p2p_market_simple':
             case 'create_amm_market_with_odds':
@@ -195,6 +203,18 @@ export class PnpfuciusAgent {
         if (info.endTime) console.log(`  ${chalk.dim('End Time:')} ${new Date(Number(info.endTime) * 1000).toLocaleString()}`);
         if (info.yesTokenMint) console.log(`  ${chalk.dim('YES Mint:')} ${chalk.dim(info.yesTokenMint)}`);
         if (info.noTokenMint) console.log(`  ${chalk.dim('NO Mint:')}  ${chalk.dim(info.noTokenMint)}`);
+
+        const dependency = info.dependency;
+        if (dependency?.parent) {
+            console.log(`  ${chalk.dim('Depends:')}  ${violet(dependency.parent.address)} must resolve YES (${dependency.parent.condition.toUpperCase()})`);
+            if (dependency.parent.question) console.log(`            ${chalk.dim(dependency.parent.question)}`);
+        }
+        if (dependency?.children.length > 0) {
+            console.log(`  ${chalk.dim('Conditionals:')}`);
+            for (const child of dependency.children) {
+                console.log(`    ${purple('◆')} ${violet(child.address)} ${chalk.dim(`[${child.status}] ${child.question}`)}`);
+            }
+        }
     }
 
     displayPrices(result) {
@@ -210,6 +230,38 @@ export class PnpfuciusAgent {
         if (result.usdcBalance) console.log(`  ${chalk.dim('USDC:')}       ${result.usdcBalance}`);
     }
 
+    displayPortfolio(result) {
+        const pnl = (value) => (value >= 0 ? chalk.green(`+${value.toFixed(2)}`) : chalk.red(value.toFixed(2)));
+
+        console.log(purpleBright('  Portfolio\n'));
+
+        const open = result.positions.filter(p => p.open);
+        if (open.length === 0) {
+            console.log(chalk.dim('  No open positions.'));
+        }
+
+        for (const p of open) {
+            const price = p.price !== null ? p.price.toFixed(3) : chalk.dim('n/a');
+            console.log(`  ${purple('◆')} ${violet(p.market.slice(0, 12) + '...')} ${p.side.toUpperCase().padEnd(3)} ` +
+                `${p.tokens.toFixed(2)} @ ${p.averageCost.toFixed(3)} → ${price}  ${pnl(p.unrealizedPnl)}`);
+        }
+        console.log();
+
+        console.log(`  ${chalk.dim('Cost basis:')}     ${result.totals.costBasis.toFixed(2)} USDC`);
+        console.log(`  ${chalk.dim('Market value:')}   ${result.totals.marketValue.toFixed(2)} USDC`);
+        console.log(`  ${chalk.dim('Unrealized PnL:')} ${pnl(result.totals.unrealizedPnl)}`);
+        console.log(`  ${chalk.dim('Realized PnL:')}   ${pnl(result.totals.realizedPnl)}`);
+
+        const categories = Object.entries(result.exposureByCategory);
+        if (categories.length > 0) {
+            console.log();
+            console.log(violet('  Exposure by Category'));
+            for (const [category, exposure] of categories) {
+                console.log(`    ${chalk.dim(category.padEnd(20))} ${exposure.toFixed(2)} USDC`);
+            }
+        }
+    }
+
     displayMarketCreation(result) {
         console.log(purpleBright('  Market Created!\n'));
         console.log(`  ${chalk.dim('Address:')}   ${violet(result.market)}`);
@@ -217,6 +269,18 @@ export class PnpfuciusAgent {
         console.log(`  ${chalk.dim('Network:')}   ${result.network}`);
         console.log();
         console.log(chalk.dim(`  View on Solscan: https://solscan.io/tx/${result.signature}`));
+        this.displayLintIssues(result.warnings || result.lintWarnings);
+    }
+
+    displayLintIssues(issues = []) {
+        if (!issues || issues.length === 0) return;
+
+        console.log();
+        console.log(violet('  Question Lint'));
+        for (const issue of issues) {
+            const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+            console.log(`    ${color('!')} ${chalk.dim(issue.message)}`);
+        }
     }
 
     displayTrade(result) {
@@ -227,6 +291,42 @@ export class PnpfuciusAgent {
         console.log(`  ${chalk.dim('Signature:')} ${chalk.dim(result.signature?.slice(0, 30) + '...')}`);
     }
 
+    displayPreview(result) {
+        console.log(purpleBright('  Transaction Preview') + chalk.dim(result.built ? ' (built, not sent)\n' : ' (not built)\n'));
+        console.log(`  ${chalk.dim('Instruction:')} ${result.instruction.name}`);
+        console.log(`  ${chalk.dim('Network:')}     ${result.network} (${result.backend})`);
+        if (result.transactionNote) console.log(chalk.dim(`  ${result.transactionNote}`));
+        console.log();
+
+        console.log(violet('  Accounts'));
+        for (const account of result.accounts) {
+            const flags = [account.writable ? 'w' : 'r', account.signer ? 's' : ''].join('');
+            console.log(`    ${purple('◆')} ${chalk.dim((account.role || '').padEnd(28))} ${account.address || chalk.dim('(derived on send)')} ${chalk.dim(flags)}`);
+        }
+        console.log();
+
+        const simulation = result.transaction?.simulation;
+        if (simulation) {
+            console.log(`  ${chalk.dim('Compute:')}     ${simulation.computeUnits ?? 'unknown'} units`);
+            if (simulation.error) console.log(chalk.red(`  Would fail: ${simulation.error}`));
+        }
+        console.log(`  ${chalk.dim('Collateral:')}  ${result.collateralRequired} base units`);
+        console.log(`  ${chalk.dim('Est. fee:')}    ${result.fees.totalLamports} lamports ${chalk.dim(`(${result.fees.source})`)}`);
+        if (result.fees.note) console.log(chalk.dim(`  ${result.fees.note}`));
+
+        if (result.expectedOutput) {
+            console.log();
+            console.log(violet('  Expected Output'));
+            for (const [key, value] of Object.entries(result.expectedOutput)) {
+                console.log(`    ${chalk.dim(key + ':')} ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+            }
+        }
+
+        if (result.lint) {
+            this.displayLintIssues([...result.lint.errors, ...result.lint.warnings]);
+        }
+    }
+
     displaySettlementCriteria(result) {
         console.log(purpleBright('  PNP Oracle - Settlement Criteria\n'));
 
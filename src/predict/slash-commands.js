@@ -24,7 +24,12 @@ export async function handleSlashCommand(input, context = {}) {
         return false;
     }
 
-    const [command, ...args] = trimmed.slice(1).split(' ');
+    const [command, ...rawArgs] = trimmed.slice(1).split(' ');
+    // --preview builds the transaction without sending it (/create, /buy, /sell)
+    // --force creates a market even when the question linter reports errors (/create, /p2p)
+    const preview = rawArgs.includes('--preview');
+    const force = rawArgs.includes('--force');
+    const args = rawArgs.filter(a => a !== '--preview' && a !== '--force');
     const argString = args.join(' ');
     const { agent, executeTool: execTool } = context;
 
@@ -67,11 +72,13 @@ export async function handleSlashCommand(input, context = {}) {
                     await execTool('create_market', {
                         question: argString,
                         liquidity_usdc: 1,
-                        duration_days: 30
+                        duration_days: 30,
+                        preview,
+                        force
                     });
                 }
             } else {
-                console.log(purpleDim('\n  Usage: /create <market question>'));
+                console.log(purpleDim('\n  Usage: /create <market question> [--preview] [--force]'));
                 console.log(chalk.dim('  Example: /create Will BTC reach $100k by 2025?'));
             }
             return true;
@@ -82,11 +89,12 @@ export async function handleSlashCommand(input, context = {}) {
                     await execTool('create_p2p_market_simple', {
                         question: argString,
                         side: 'yes',
-                        amount_usdc: 1
+                        amount_usdc: 1,
+                        force
                     });
                 }
             } else {
-                console.log(purpleDim('\n  Usage: /p2p <market question>'));
+                console.log(purpleDim('\n  Usage: /p2p <market question> [--force]'));
                 console.log(chalk.dim('  Example: /p2p Will ETH flip BTC in 2025?'));
             }
             return true;
@@ -126,11 +134,12 @@ export async function handleSlashCommand(input, context = {}) {
                     await execTool('buy_tokens', {
                         market_address: args[0],
                         side: args[1],
-                        amount_usdc: parseFloat(args[2])
+                        amount_usdc: parseFloat(args[2]),
+                        preview
                     });
                 }
             } else {
-                console.log(purpleDim('\n  Usage: /buy <market_address> <yes|no> <usdc_amount>'));
+                console.log(purpleDim('\n  Usage: /buy <market_address> <yes|no> <usdc_amount> [--preview]'));
                 console.log(chalk.dim('  Example: /buy 7xKXw9... yes 10'));
             }
             return true;
@@ -141,11 +150,12 @@ export async function handleSlashCommand(input, context = {}) {
                     await execTool('sell_tokens', {
                         market_address: args[0],
                         side: args[1],
-                        amount: parseFloat(args[2])
+                        amount: parseFloat(args[2]),
+                        preview
                     });
                 }
             } else {
-                console.log(purpleDim('\n  Usage: /sell <market_address> <yes|no> <token_amount>'));
+                console.log(purpleDim('\n  Usage: /sell <market_address> <yes|no> <token_amount> [--preview]'));
             }
             return true;
 
@@ -171,6 +181,13 @@ export async function handleSlashCommand(input, context = {}) {
             }
             return true;
 
+        case 'portfolio':
+        case 'pnl':
+            if (execTool) {
+                await execTool('get_portfolio', {});
+            }
+            return true;
+
         // ========== SETTLEMENT COMMANDS ==========
 
         case 'oracle':
@@ -263,6 +280,7 @@ async function showConfig() {
 
     const items = [
         ['Network', config.isMainnet ? chalk.red('mainnet') : chalk.green('devnet')],
+        ['Backend', config.backend === 'simulated' ? chalk.yellow('simulated') : 'rpc'],
         ['RPC URL', chalk.dim(config.rpcUrl.slice(0, 40) + '...')],
         ['Helius API', config.heliusKey ? chalk.green('Configured') : chalk.yellow('Not set')],
         ['Wallet', config.walletKey ? chalk.green('Configured') : chalk.red('Not set')],
@@ -342,6 +360,7 @@ export function getCommandList() {
         { command: '/sell', description: 'Sell tokens' },
         { command: '/prices <addr>', description: 'Get market prices' },
         { command: '/balance <addr>', description: 'Check balances' },
+        { command: '/portfolio', description: 'Positions and PnL' },
 
         // Settlement
         { command: '/oracle <addr>', description: 'Get settlement criteria' },
@@ -1,7 +1,7 @@
 // Analytics tool definitions and implementations for Claude Predict
 
 import { createAggregator } from '../../analytics/aggregator.js';
-import { PRIVACY_CATEGORIES, listCategories } from '../../privacy-markets.js';
+import { PRIVACY_CATEGORIES, listCategories, getTemplates } from '../../privacy-markets.js';
 
 // Tool definitions for Claude API
 export const analyticsToolDefinitions = [
@@ -70,8 +70,9 @@ export async function executeAnalyticsTool(name, input) {
                     description: cat.description,
                     weight: cat.weight,
                     urgency: cat.urgency,
-                    template_count: cat.templates?.length || 0,
-                    examples: cat.templates?.slice(0, 2) || []
+                    template_count: cat.templateCount,
+                    slot_types: cat.slotTypes,
+                    examples: getTemplates(cat.key).slice(0, 2).map(t => t.text)
                 })),
                 total: categories.length
             };
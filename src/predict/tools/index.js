@@ -47,6 +47,8 @@ const toolExecutors = {
     claim_p2p_refund: executeMarketTool,
     // V3 Trading tools
     buy_v3_tokens: executeMarketTool,
+    // Portfolio
+    get_portfolio: executeMarketTool,
     // Global config
     get_pnp_config: executeMarketTool,
     // Analytics tools
@@ -2,8 +2,27 @@
 
 import { createAgent } from '../../agent.js';
 import { createMarketStore } from '../../storage/market-store.js';
+import { createPortfolio } from '../../portfolio/portfolio.js';
 import { getConfig } from '../../config.js';
 
+// Shared store and ledger so records made across tool calls land in the same database
+let store = null;
+let portfolio = null;
+
+function getStore() {
+    if (!store) {
+        store = createMarketStore(getConfig().daemon.storagePath);
+    }
+    return store;
+}
+
+function getPortfolio() {
+    if (!portfolio) {
+        portfolio = createPortfolio(getStore());
+    }
+    return portfolio;
+}
+
 // Tool definitions for PNPFUCIUS
 export const marketToolDefinitions = [
     {
@@ -28,6 +47,14 @@ export const marketToolDefinitions = [
                     type: 'string',
                     enum: ['amm', 'p2p'],
                     description: 'Market type (default: amm)'
+                },
+                preview: {
+                    type: 'boolean',
+                    description: 'Build and describe the transaction without sending it'
+                },
+                force: {
+                    type: 'boolean',
+                    description: 'Create even if the question linter reports errors (e.g. no deadline)'
                 }
             },
             required: ['question']
@@ -41,8 +68,8 @@ export const marketToolDefinitions = [
             properties: {
                 status: {
                     type: 'string',
-                    enum: ['active', 'resolved', 'all'],
-                    description: 'Filter by market status'
+                    enum: ['draft', 'pending_tx', 'active', 'expired', 'resolvable', 'settled', 'redeemed', 'cancelled', 'failed', 'resolved', 'all'],
+                    description: 'Filter by lifecycle status (resolved = settled or redeemed)'
                 },
                 category: {
                     type: 'string',
@@ -57,7 +84,7 @@ export const marketToolDefinitions = [
     },
     {
         name: 'get_market_info',
-        description: 'Get detailed information about a specific market',
+        description: 'Get detailed information about a specific market, including the parent market it depends on and any conditional markets that depend on it',
         input_schema: {
             type: 'object',
             properties: {
@@ -88,6 +115,10 @@ export const marketToolDefinitions = [
                 amount_usdc: {
                     type: 'number',
                     description: 'Amount of USDC to spend'
+                },
+                preview: {
+                    type: 'boolean',
+                    description: 'Build and describe the transaction without sending it'
                 }
             },
             required: ['market_address', 'side', 'amount_usdc']
@@ -111,6 +142,10 @@ export const marketToolDefinitions = [
                 amount: {
                     type: 'number',
                     description: 'Amount of tokens to sell'
+                },
+                preview: {
+                    type: 'boolean',
+                    description: 'Build and describe the transaction without sending it'
                 }
             },
             required: ['market_address', 'side', 'amount']
@@ -358,6 +393,10 @@ export const marketToolDefinitions = [
                 cap_multiplier: {
                     type: 'number',
                     description: 'How much more the other side can bet (default: 5x)'
+                },
+                force: {
+                    type: 'boolean',
+                    description: 'Create even if the question linter reports errors (e.g. no deadline)'
                 }
             },
             required: ['question']
@@ -522,6 +561,16 @@ export const marketToolDefinitions = [
         }
     },
 
+    // ========== PORTFOLIO ==========
+    {
+        name: 'get_portfolio',
+        description: 'Get positions across all traded markets with cost basis, realized and unrealized PnL, and exposure by category',
+        input_schema: {
+            type: 'object',
+            properties: {}
+        }
+    },
+
     // ========== GLOBAL CONFIG ==========
     {
         name: 'get_pnp_config',
@@ -544,9 +593,15 @@ export async function executeMarketTool(name, input) {
                 question: input.question,
                 durationDays: input.duration_days || 30,
                 liquidity: BigInt(Math.floor((input.liquidity_usdc || 1) * 1_000_000)),
-                marketType: input.type || 'amm'
+                marketType: input.type || 'amm',
+                preview: input.preview,
+                force: input.force
             });
 
+            if (result.preview) {
+                return result;
+            }
+
             return {
                 success: true,
                 market: result.market,
@@ -555,18 +610,17 @@ export async function executeMarketTool(name, input) {
                 duration_days: input.duration_days || 30,
                 liquidity_usdc: input.liquidity_usdc || 1,
                 type: input.type || 'amm',
-                network: config.network
+                network: config.network,
+                warnings: result.lintWarnings
             };
         }
 
         case 'list_markets': {
-            const store = createMarketStore();
-            let markets = store.getAllMarkets();
+            let markets = getStore().getAllMarkets({
+                status: input.status && input.status !== 'all' ? input.status : undefined
+            });
 
             // Apply filters
-            if (input.status && input.status !== 'all') {
-                markets = markets.filter(m => m.status === input.status);
-            }
             if (input.category) {
                 markets = markets.filter(m => m.category === input.category);
             }
@@ -586,29 +640,32 @@ export async function executeMarketTool(name, input) {
         }
 
         case 'get_market_info': {
-            const agent = await createAgent({ verbose: false });
-            const info = await agent.fetchMarketInfo(input.address);
+            // With the store, the info includes conditional parents and children
+            const agent = await createAgent({ verbose: false, store: getStore() });
+            const info = await agent.fetchMarketInfo(input.address || input.market_address);
             return info;
         }
 
         // ========== TRADING TOOLS ==========
 
         case 'buy_tokens': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.buyTokens({
                 marketAddress: input.market_address,
                 side: input.side,
-                amountUsdc: input.amount_usdc
+                amountUsdc: input.amount_usdc,
+                preview: input.preview
             });
             return result;
         }
 
         case 'sell_tokens': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.sellTokens({
                 marketAddress: input.market_address,
                 side: input.side,
-                amount: input.amount
+                amount: input.amount,
+                preview: input.preview
             });
             return result;
         }
@@ -628,13 +685,13 @@ export async function executeMarketTool(name, input) {
         // ========== REDEMPTION TOOLS ==========
 
         case 'redeem_position': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.redeemPosition(input.market_address);
             return result;
         }
 
         case 'claim_refund': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.claimRefund(input.market_address);
             return result;
         }
@@ -744,7 +801,8 @@ export async function executeMarketTool(name, input) {
                 side: input.side || 'yes',
                 amountUsdc: input.amount_usdc || 1,
                 durationDays: input.duration_days || 30,
-                capMultiplier: input.cap_multiplier || 5
+                capMultiplier: input.cap_multiplier || 5,
+                force: input.force
             });
             return {
                 ...result,
@@ -798,6 +856,18 @@ export async function executeMarketTool(name, input) {
                 durationDays: input.duration_days || 30,
                 yesOddsBps
             });
+
+            // Track it so the daemon's settlement pipeline can settle it when it expires
+            getStore().saveMarket({
+                address: result.market,
+                question: input.question,
+                creationTime: Date.now(),
+                creationSignature: result.signature,
+                initialLiquidity: BigInt(Math.floor((input.liquidity_usdc || 1) * 1_000_000)),
+                durationDays: input.duration_days || 30,
+                metadata: { settler: input.settler_address, customOracle: true }
+            });
+
             return {
                 ...result,
                 liquidity_usdc: input.liquidity_usdc || 1,
@@ -808,19 +878,19 @@ export async function executeMarketTool(name, input) {
         // ========== V3/P2P REDEMPTION TOOLS ==========
 
         case 'redeem_v3_position': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.redeemV3Position(input.market_address);
             return result;
         }
 
         case 'redeem_p2p_position': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.redeemP2PPosition(input.market_address);
             return result;
         }
 
         case 'claim_p2p_refund': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.claimP2PRefund(input.market_address);
             return result;
         }
@@ -828,7 +898,7 @@ export async function executeMarketTool(name, input) {
         // ========== BUY V3 TOKENS ==========
 
         case 'buy_v3_tokens': {
-            const agent = await createAgent({ verbose: false });
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
             const result = await agent.buyV3Tokens({
                 marketAddress: input.market_address,
                 side: input.side,
@@ -837,6 +907,13 @@ export async function executeMarketTool(name, input) {
             return result;
         }
 
+        // ========== PORTFOLIO ==========
+
+        case 'get_portfolio': {
+            const agent = await createAgent({ verbose: false, portfolio: getPortfolio() });
+            return agent.getPortfolio();
+        }
+
         // ========== GLOBAL CONFIG ==========
 
         case 'get_pnp_config': {
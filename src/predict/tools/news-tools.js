@@ -1,7 +1,5 @@
 // News tool definitions and implementations for Claude Predict
 
-import { createScorer } from '../../ai/scorer.js';
-import { createMarketGenerator } from '../../ai/market-generator.js';
 import { createNewsMonitor } from '../../monitoring/news-monitor.js';
 
 // Tool definitions for Claude API
@@ -69,6 +67,7 @@ export const newsToolDefinitions = [
 export async function executeNewsTool(name, input) {
     switch (name) {
         case 'score_news': {
+            const { createScorer } = await import('../../ai/scorer.js');
             const scorer = createScorer();
             const result = await scorer.scoreNews({
                 title: input.headline,
@@ -93,6 +92,7 @@ export async function executeNewsTool(name, input) {
             // Score items if filtering by score
             let scoredItems = items;
             if (minScore > 0) {
+                const { createScorer } = await import('../../ai/scorer.js');
                 const scorer = createScorer();
                 scoredItems = [];
                 for (const item of items.slice(0, 20)) {
@@ -115,6 +115,7 @@ export async function executeNewsTool(name, input) {
         }
 
         case 'generate_from_news': {
+            const { createMarketGenerator } = await import('../../ai/market-generator.js');
             const generator = createMarketGenerator();
             const result = await generator.generateFromNews({
                 title: input.headline,
@@ -87,6 +87,7 @@ export function printHelp() {
                 ['/sell', 'Sell tokens'],
                 ['/prices <addr>', 'Get market prices'],
                 ['/balance', 'Check your balances'],
+                ['/portfolio', 'Positions, PnL and exposure'],
             ]
         },
         {
@@ -1,4 +1,8 @@
 // Privacy-themed prediction market templates and AI generation logic
+// Templates use the typed slot language in generation/templates.js
+
+import { lintQuestion } from './generation/linter.js';
+import { compileTemplate, createSlotTypes, fillTemplate, describeSlots } from './generation/templates.js';
 
 const PRIVACY_CATEGORIES = {
     regulation: {
@@ -6,17 +10,18 @@ const PRIVACY_CATEGORIES = {
         weight: 0.25,
         urgency: 'timely',
         sentiment: 'neutral',
+        keywords: ['privacy law', 'gdpr', 'regulation', 'sanctions', 'ofac', 'kyc', 'enforcement', 'fine'],
         templates: [
-            'Will {country} pass comprehensive privacy legislation by {date}?',
-            'Will GDPR fines exceed ${amount}B in {year}?',
-            'Will the US pass a federal privacy law by end of {year}?',
-            'Will {company} face privacy-related regulatory action by {date}?',
-            'Will any G7 nation ban end-to-end encryption by {date}?',
-            'Will the SEC take enforcement action against a privacy protocol by {date}?',
-            'Will OFAC add new privacy protocols to sanctions list by {date}?',
-            'Will {country} implement mandatory KYC for self-custody wallets by {date}?',
-            'Will the Tornado Cash developer case result in acquittal by {date}?',
-            'Will any country legalize privacy-preserving payments by {date}?'
+            { text: 'Will {country} pass comprehensive privacy legislation by {date}?', resolutionSource: 'Official legislative record of the country', defaultDuration: 140 },
+            { text: 'Will a single GDPR fine exceed {amount:€1-5B} by {date}?', resolutionSource: 'European Data Protection Board enforcement decisions', defaultDuration: 120 },
+            { text: 'Will the US pass a federal privacy law by {date}?', resolutionSource: 'Congress.gov', defaultDuration: 140 },
+            { text: 'Will {company} face privacy-related regulatory action by {date}?', resolutionSource: 'Regulator press releases (FTC, EU data protection authorities, ICO)', defaultDuration: 90 },
+            { text: 'Will any G7 nation ban end-to-end encryption by {date}?', resolutionSource: 'Official government announcements', defaultDuration: 140 },
+            { text: 'Will the SEC take enforcement action against a privacy protocol by {date}?', resolutionSource: 'SEC litigation releases', defaultDuration: 120 },
+            { text: 'Will OFAC add new privacy protocols to sanctions list by {date}?', resolutionSource: 'OFAC Specially Designated Nationals list', defaultDuration: 120 },
+            { text: 'Will {country} implement mandatory KYC for self-custody wallets by {date}?', resolutionSource: 'Official regulator publications', defaultDuration: 140 },
+            { text: 'Will the Tornado Cash developer case result in acquittal by {date}?', resolutionSource: 'US federal court records', defaultDuration: 120 },
+            { text: 'Will any country legalize privacy-preserving payments by {date}?', resolutionSource: 'Official government announcements', defaultDuration: 140 }
         ]
     },
     technology: {
@@ -24,22 +29,23 @@ const PRIVACY_CATEGORIES = {
         weight: 0.30,
         urgency: 'evergreen',
         sentiment: 'bullish',
+        keywords: ['zero-knowledge', 'zk', 'encryption', 'confidential transfer', 'mixer', 'homomorphic'],
         templates: [
-            'Will zkSync TVL exceed ${amount}B by {date}?',
-            'Will Tornado Cash sanctions be lifted by {date}?',
-            'Will a major wallet integrate confidential transactions by {date}?',
-            'Will homomorphic encryption see mainstream blockchain adoption by {year}?',
-            'Will Solana native ZK proofs go live on mainnet by {date}?',
-            'Will any privacy coin enter top 10 market cap by {date}?',
-            'Will Light Protocol TVL exceed ${amount}M by {date}?',
-            'Will Solana Token-2022 confidential transfers see significant adoption by {date}?',
-            'Will a ZK-rollup process over 1000 TPS on mainnet by {date}?',
-            'Will Aztec Network launch on mainnet by {date}?',
-            'Will any major DEX implement private swaps by {date}?',
-            'Will RAILGUN protocol TVL exceed ${amount}M by {date}?',
-            'Will Zcash implement a major protocol upgrade by {date}?',
-            'Will any L2 implement native confidential transactions by {date}?',
-            'Will a privacy-focused stablecoin reach ${amount}M market cap by {date}?'
+            { text: 'Will zkSync TVL exceed {amount:$1-10B} by {date}?', resolutionSource: 'DefiLlama', defaultDuration: 90 },
+            { text: 'Will Tornado Cash sanctions be lifted by {date}?', resolutionSource: 'OFAC Specially Designated Nationals list', defaultDuration: 120 },
+            { text: 'Will a top 10 wallet by users integrate confidential transactions by {date}?', resolutionSource: 'Official wallet release notes', defaultDuration: 120 },
+            { text: 'Will a top 20 blockchain deploy homomorphic encryption on mainnet by {date}?', resolutionSource: 'Official protocol announcements', defaultDuration: 140 },
+            { text: 'Will Solana native ZK proofs go live on mainnet by {date}?', resolutionSource: 'Solana release notes and feature gate activations', defaultDuration: 120 },
+            { text: 'Will any privacy coin enter top 10 market cap by {date}?', resolutionSource: 'CoinGecko market cap rankings', defaultDuration: 90 },
+            { text: 'Will Light Protocol TVL exceed {amount:$10-500M} by {date}?', resolutionSource: 'DefiLlama', defaultDuration: 90 },
+            { text: 'Will more than {amount:10-1000} Solana tokens enable Token-2022 confidential transfers by {date}?', resolutionSource: 'Solana Token-2022 program accounts', defaultDuration: 120 },
+            { text: 'Will a ZK-rollup process over 1000 TPS on mainnet by {date}?', resolutionSource: 'L2BEAT', defaultDuration: 120 },
+            { text: 'Will Aztec Network launch on mainnet by {date}?', resolutionSource: 'Aztec official announcements', defaultDuration: 140 },
+            { text: 'Will a top 10 DEX by volume implement private swaps by {date}?', resolutionSource: 'DefiLlama DEX rankings and DEX announcements', defaultDuration: 120 },
+            { text: 'Will RAILGUN protocol TVL exceed {amount:$10-500M} by {date}?', resolutionSource: 'DefiLlama', defaultDuration: 90 },
+            { text: 'Will Zcash activate a network upgrade on mainnet by {date}?', resolutionSource: 'Zcash release notes', defaultDuration: 140 },
+            { text: 'Will any L2 implement native confidential transactions by {date}?', resolutionSource: 'L2BEAT and official L2 announcements', defaultDuration: 140 },
+            { text: 'Will a privacy-focused stablecoin reach {amount:$10-500M} market cap by {date}?', resolutionSource: 'CoinGecko', defaultDuration: 120 }
         ]
     },
     adoption: {
@@ -47,17 +53,18 @@ const PRIVACY_CATEGORIES = {
         weight: 0.25,
         urgency: 'timely',
         sentiment: 'bullish',
+        keywords: ['signal', 'brave', 'protonmail', 'end-to-end', 'privacy coin', 'adoption'],
         templates: [
-            'Will Signal exceed {amount}M monthly active users by {date}?',
-            'Will a major exchange delist all privacy coins by {date}?',
-            'Will privacy-preserving identity solutions see enterprise adoption by {year}?',
-            'Will any Fortune 500 company adopt ZK proofs for supply chain by {date}?',
-            'Will confidential transactions become default on any top 20 chain by {date}?',
-            'Will Brave browser exceed {amount}M monthly active users by {date}?',
-            'Will ProtonMail reach {amount}M paid subscribers by {date}?',
-            'Will any major social platform add E2E encryption for DMs by {date}?',
-            'Will hardware wallets with privacy features exceed {amount}M units sold by {date}?',
-            'Will a privacy-focused search engine enter top 5 globally by {date}?'
+            { text: 'Will Signal exceed {amount:50-500M} monthly active users by {date}?', resolutionSource: 'Signal Foundation public statements', defaultDuration: 140 },
+            { text: 'Will a top 10 exchange by volume delist all privacy coins by {date}?', resolutionSource: 'Exchange announcements', defaultDuration: 90 },
+            { text: 'Will a Fortune 500 company deploy a zero-knowledge identity solution by {date}?', resolutionSource: 'Company press releases', defaultDuration: 140 },
+            { text: 'Will any Fortune 500 company adopt ZK proofs for supply chain by {date}?', resolutionSource: 'Company press releases', defaultDuration: 140 },
+            { text: 'Will confidential transactions become default on any top 20 chain by {date}?', resolutionSource: 'CoinGecko rankings and chain documentation', defaultDuration: 140 },
+            { text: 'Will Brave browser exceed {amount:50-250M} monthly active users by {date}?', resolutionSource: 'Brave public usage statistics', defaultDuration: 120 },
+            { text: 'Will ProtonMail reach {amount:1-25M} paid subscribers by {date}?', resolutionSource: 'Proton AG announcements', defaultDuration: 140 },
+            { text: 'Will Instagram or X make end-to-end encryption the default for DMs by {date}?', resolutionSource: 'Official platform announcements', defaultDuration: 120 },
+            { text: 'Will Ledger report over {amount:10-25M} devices sold by {date}?', resolutionSource: 'Ledger official announcements', defaultDuration: 140 },
+            { text: 'Will a privacy-focused search engine enter top 5 globally by {date}?', resolutionSource: 'StatCounter search engine market share', defaultDuration: 140 }
         ]
     },
     events: {
@@ -65,129 +72,210 @@ const PRIVACY_CATEGORIES = {
         weight: 0.20,
         urgency: 'breaking',
         sentiment: 'neutral',
+        suggestedLiquidity: 500000,
+        keywords: ['breach', 'leak', 'surveillance', 'exploit', 'hack', 'whistleblower', 'hackathon'],
         templates: [
-            'Will there be a major data breach affecting 100M+ users by {date}?',
-            'Will any government agency be caught using unauthorized surveillance by {date}?',
-            'Will a privacy-focused project win a major hackathon prize by {date}?',
-            'Will Vitalik publicly endorse a specific privacy solution by {date}?',
-            'Will the Solana Privacy Hackathon see over {amount} submissions?',
-            'Will a major privacy researcher receive significant recognition by {date}?',
-            'Will any privacy protocol suffer a major exploit by {date}?',
-            'Will a whistleblower reveal new government surveillance programs by {date}?',
-            'Will any major tech CEO publicly advocate for privacy by {date}?',
-            'Will a privacy-themed movie or documentary reach mainstream audiences by {date}?'
+            { text: 'Will there be a data breach affecting 100M+ users by {date}?', resolutionSource: 'Public breach disclosures and Have I Been Pwned', defaultDuration: 60 },
+            { text: 'Will a court or inspector general find a government agency conducted unlawful surveillance by {date}?', resolutionSource: 'Court rulings and inspector general reports', defaultDuration: 90 },
+            { text: 'Will a privacy project win a track prize at the next Solana global hackathon by {date}?', resolutionSource: 'Solana Foundation hackathon results', defaultDuration: 90 },
+            { text: 'Will Vitalik Buterin publicly endorse {protocol} by {date}?', resolutionSource: "Vitalik Buterin's blog or verified X account", defaultDuration: 60 },
+            { text: 'Will the next Solana hackathon receive over {amount:100-1000} privacy-track submissions by {date}?', resolutionSource: 'Solana Foundation hackathon announcements', defaultDuration: 60 },
+            { text: 'Will a zero-knowledge proof paper win a best paper award at IEEE S&P or USENIX Security by {date}?', resolutionSource: 'Conference award announcements', defaultDuration: 90 },
+            { text: 'Will {protocol} suffer an exploit of over {amount:$1-50M} by {date}?', resolutionSource: 'Rekt.news and protocol post-mortems', defaultDuration: 60 },
+            { text: 'Will a whistleblower reveal new government surveillance programs by {date}?', resolutionSource: 'Reuters or AP reporting', defaultDuration: 90 },
+            { text: "Will {company}'s CEO publicly call for a federal privacy law by {date}?", resolutionSource: 'Public statements and congressional testimony', defaultDuration: 60 },
+            { text: 'Will a privacy-themed documentary reach the Netflix global top 10 by {date}?', resolutionSource: 'Netflix Top 10 (top10.netflix.com)', defaultDuration: 90 }
         ]
     }
 };
 
-const FILL_DATA = {
-    countries: ['USA', 'EU', 'UK', 'Japan', 'South Korea', 'Australia', 'Canada', 'Brazil'],
-    companies: ['Meta', 'Google', 'Apple', 'Microsoft', 'Amazon', 'ByteDance', 'OpenAI', 'Coinbase'],
-    amounts: ['1', '5', '10', '50', '100', '500'],
-    smallAmounts: ['10', '25', '50', '100', '250']
-};
+// Compile every template of a category set; an invalid template fails loudly here
+// rather than mid-generation. Categories may carry slotValues for their own slot types.
+function compileCategories(categories) {
+    return Object.fromEntries(
+        Object.entries(categories).map(([key, category]) => {
+            const slotTypes = createSlotTypes(category.slotValues);
+            return [key, category.templates.map((template, index) => ({
+                id: `${key}:${index}`,
+                ...compileTemplate(template, slotTypes)
+            }))];
+        })
+    );
+}
+
+// The categories generation draws from: the privacy set unless packs replace it
+let activeCategories = PRIVACY_CATEGORIES;
+let compiledTemplates = compileCategories(PRIVACY_CATEGORIES);
 
-function getRandomElement(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
-}
-
-function getRandomDate(minDays = 14, maxDays = 180) {
-    const days = minDays + Math.floor(Math.random() * (maxDays - minDays));
-    const date = new Date();
-    date.setDate(date.getDate() + days);
-    
-    const months = ['January', 'February', 'March', 'April', 'May', 'June', 
-                    'July', 'August', 'September', 'October', 'November', 'December'];
-    return `${months[date.getMonth()]} ${date.getFullYear()}`;
-}
-
-function getEndOfYear() {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const nextYear = now.getMonth() > 9 ? currentYear + 1 : currentYear;
-    return nextYear.toString();
-}
-
-function fillTemplate(template) {
-    let filled = template;
-    
-    filled = filled.replace('{country}', getRandomElement(FILL_DATA.countries));
-    filled = filled.replace('{company}', getRandomElement(FILL_DATA.companies));
-    filled = filled.replace('{amount}', getRandomElement(FILL_DATA.amounts));
-    filled = filled.replace('{date}', getRandomDate());
-    filled = filled.replace('{year}', getEndOfYear());
-    
-    if (filled.includes('{amount}')) {
-        filled = filled.replace('{amount}', getRandomElement(FILL_DATA.smallAmounts));
+// Learned weights that override the static ones (see generation/adaptive-weights.js).
+// Category weights are keyed by category, template weights by template id.
+let selectionWeights = { categories: {}, templates: {} };
+
+/**
+ * Replace the categories generation draws from, e.g. with the merged categories
+ * of the enabled packs. Templates are compiled before anything is swapped.
+ */
+export function setCategories(categories) {
+    if (!categories || Object.keys(categories).length === 0) {
+        throw new Error('At least one category is required');
     }
-    
-    return filled;
+
+    compiledTemplates = compileCategories(categories);
+    activeCategories = categories;
+    clearSelectionWeights();
 }
 
-function selectCategory() {
-    const rand = Math.random();
+export function resetCategories() {
+    setCategories(PRIVACY_CATEGORIES);
+}
+
+export function getCategories() {
+    return activeCategories;
+}
+
+export function getCategory(categoryKey) {
+    return activeCategories[categoryKey] || null;
+}
+
+export function setSelectionWeights(weights = {}) {
+    selectionWeights = {
+        categories: { ...weights.categories },
+        templates: { ...weights.templates }
+    };
+}
+
+export function getSelectionWeights() {
+    return selectionWeights;
+}
+
+export function clearSelectionWeights() {
+    setSelectionWeights();
+}
+
+// Weights need not sum to 1; each item is picked in proportion to its share
+function pickWeighted(items, weightOf) {
+    const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+    if (!(total > 0)) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+
+    const rand = Math.random() * total;
     let cumulative = 0;
-    
-    for (const [key, category] of Object.entries(PRIVACY_CATEGORIES)) {
-        cumulative += category.weight;
+
+    for (const item of items) {
+        cumulative += weightOf(item);
         if (rand < cumulative) {
-            return { key, category };
+            return item;
         }
     }
-    
-    return { key: 'technology', category: PRIVACY_CATEGORIES.technology };
+
+    return items[items.length - 1];
 }
 
-export function generatePrivacyMarket() {
-    const { key, category } = selectCategory();
-    const template = getRandomElement(category.templates);
-    const question = fillTemplate(template);
-    
-    const durationDays = 14 + Math.floor(Math.random() * 166);
-    
+function selectCategory() {
+    const [key, category] = pickWeighted(
+        Object.entries(activeCategories),
+        ([key, category]) => selectionWeights.categories[key] ?? category.weight
+    );
+    return { key, category };
+}
+
+// Templates are equally likely unless learned weights say otherwise
+function selectTemplate(key) {
+    const templates = compiledTemplates[key];
+    return pickWeighted(templates, template => selectionWeights.templates[template.id] ?? 1 / templates.length);
+}
+
+function buildIdea(key, category, template) {
+    const filled = fillTemplate(template);
+
     return {
-        question,
+        question: filled.question,
         category: category.name,
         categoryKey: key,
-        durationDays,
-        suggestedLiquidity: key === 'events' ? 500000n : 1000000n
+        durationDays: filled.durationDays,
+        suggestedLiquidity: BigInt(category.suggestedLiquidity ?? 1000000),
+        pack: category.pack ?? 'privacy',
+        templateId: template.id,
+        resolutionSource: template.resolutionSource,
+        slots: filled.slots
     };
 }
 
-export function generateMultipleMarkets(count = 5) {
+export function generatePrivacyMarket() {
+    const { key, category } = selectCategory();
+    return buildIdea(key, category, selectTemplate(key));
+}
+
+// Ideas that fail the question linter are regenerated, as are ideas too close to
+// known questions when options.guard (a DuplicateGuard) is set; each idea then
+// carries its similarity score. Returns fewer than count when maxAttempts runs out.
+export function generateMultipleMarkets(count = 5, options = {}) {
+    const { guard = null, lint = true, maxAttempts = count * 20 } = options;
     const markets = [];
     const usedQuestions = new Set();
-    
-    while (markets.length < count) {
+    let attempts = 0;
+
+    while (markets.length < count && attempts < maxAttempts) {
+        attempts++;
         const market = generatePrivacyMarket();
-        if (!usedQuestions.has(market.question)) {
-            usedQuestions.add(market.question);
-            markets.push(market);
+        if (usedQuestions.has(market.question)) continue;
+        if (lint && !lintQuestion(market.question, { durationDays: market.durationDays }).ok) continue;
+
+        if (guard) {
+            const { score, match, duplicate } = guard.check(market.question);
+            if (duplicate) continue;
+
+            market.similarity = { score, match };
+            guard.add(market.question);
         }
+
+        usedQuestions.add(market.question);
+        markets.push(market);
     }
-    
+
     return markets;
 }
 
 export function getMarketsByCategory(categoryKey) {
-    const category = PRIVACY_CATEGORIES[categoryKey];
+    const category = activeCategories[categoryKey];
     if (!category) {
         throw new Error(`Unknown category: ${categoryKey}`);
     }
-    
-    return category.templates.map(template => ({
-        question: fillTemplate(template),
-        category: category.name,
-        categoryKey
-    }));
+
+    return compiledTemplates[categoryKey].map(template => buildIdea(categoryKey, category, template));
+}
+
+// Compiled templates with slot metadata, for one category or all of them
+export function getTemplates(categoryKey = null) {
+    const keys = categoryKey ? [categoryKey] : Object.keys(compiledTemplates);
+
+    return keys.flatMap(key => {
+        if (!compiledTemplates[key]) {
+            throw new Error(`Unknown category: ${key}`);
+        }
+
+        return compiledTemplates[key].map(template => ({
+            id: template.id,
+            categoryKey: key,
+            text: template.text,
+            resolutionSource: template.resolutionSource,
+            defaultDuration: template.defaultDuration,
+            slots: describeSlots(template),
+            compiled: template
+        }));
+    });
 }
 
 export function listCategories() {
-    return Object.entries(PRIVACY_CATEGORIES).map(([key, cat]) => ({
+    return Object.entries(activeCategories).map(([key, cat]) => ({
         key,
         name: cat.name,
+        pack: cat.pack ?? 'privacy',
         weight: cat.weight,
-        templateCount: cat.templates.length
+        urgency: cat.urgency,
+        templateCount: cat.templates.length,
+        slotTypes: [...new Set(compiledTemplates[key].flatMap(t => t.slots.map(s => s.type)))]
     }));
 }
 
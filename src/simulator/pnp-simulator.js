@@ -0,0 +1,833 @@
+// In-process simulated PNP Exchange backend
+// Mirrors the PNPClient surface used by PrivacyOracleAgent so markets can be
+// created, traded, settled and redeemed offline with deterministic results
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { PublicKey } from '@solana/web3.js';
+
+const DEFAULT_SEED = 'pnpfucius';
+const DEFAULT_BALANCE = 1_000_000_000_000n; // 1M USDC in base units
+const USDC_DECIMALS = 1_000_000;
+
+// Shared instances so every agent in a process sees the same exchange
+const instances = new Map();
+
+function hashBytes(input) {
+    return createHash('sha256').update(input).digest();
+}
+
+function deriveAddress(seed, label) {
+    return new PublicKey(hashBytes(`${seed}:${label}`)).toBase58();
+}
+
+function deriveSignature(seed, nonce) {
+    // Two base58 halves give the length and alphabet of a real signature
+    return deriveAddress(seed, `sig:${nonce}:a`) + deriveAddress(seed, `sig:${nonce}:b`);
+}
+
+function toAddress(market) {
+    if (typeof market === 'string') return market;
+    return market?.toBase58?.() || market?.toString?.() || String(market);
+}
+
+function toSideKey(side) {
+    if (side === 0 || side === 'yes' || side === true) return 'yes';
+    if (side === 1 || side === 'no' || side === false) return 'no';
+    throw new Error(`Invalid side: ${side}`);
+}
+
+function otherSide(side) {
+    return side === 'yes' ? 'no' : 'yes';
+}
+
+function floorBigInt(value) {
+    return BigInt(Math.max(0, Math.floor(value)));
+}
+
+// Constant-product pool: mint complete sets, then swap out the requested side
+function ammBuy(reserves, side, amount) {
+    const other = otherSide(side);
+    const own = Number(reserves[side]);
+    const opp = Number(reserves[other]);
+    const k = own * opp;
+    const newOpp = opp + Number(amount);
+    const newOwn = k / newOpp;
+
+    return {
+        tokensReceived: floorBigInt(own + Number(amount) - newOwn),
+        reserves: { [side]: floorBigInt(newOwn), [other]: floorBigInt(newOpp) }
+    };
+}
+
+// Return tokens to the pool and burn complete sets until the invariant holds
+function ammSell(reserves, side, amount) {
+    const other = otherSide(side);
+    const own = Number(reserves[side]);
+    const opp = Number(reserves[other]);
+    const k = own * opp;
+    const a = own + Number(amount);
+    const sum = a + opp;
+    const usdc = (sum - Math.sqrt(sum * sum - 4 * (a * opp - k))) / 2;
+
+    return {
+        usdcReceived: floorBigInt(usdc),
+        reserves: { [side]: floorBigInt(a - usdc), [other]: floorBigInt(opp - usdc) }
+    };
+}
+
+function serialize(state) {
+    return JSON.stringify(state, (key, value) =>
+        typeof value === 'bigint' ? { $bigint: value.toString() } : value, 2);
+}
+
+function deserialize(json) {
+    return JSON.parse(json, (key, value) =>
+        value && typeof value === 'object' && '$bigint' in value ? BigInt(value.$bigint) : value);
+}
+
+export class SimulatedPNPClient {
+    constructor(options = {}) {
+        this.seed = options.seed || DEFAULT_SEED;
+        this.statePath = options.statePath || null;
+        this.clock = options.clock || (() => Date.now());
+        this.initialBalance = options.initialBalance ?? DEFAULT_BALANCE;
+
+        this.state = this._load() || this._freshState();
+        this.walletAddress = this.state.wallet;
+
+        // Sub-modules matching the PNPClient layout
+        this.market = {
+            createMarket: (params) => this._createAmmMarket(params)
+        };
+
+        this.trading = {
+            buyTokensUsdc: (params) => this._buyAmm(params),
+            sellTokensBase: (params) => this._sellAmm(params),
+            quoteBuy: (params) => this._quoteBuy(params),
+            quoteSell: (params) => this._quoteSell(params),
+            getPrices: async (market) => this._prices(this._getMarket(market)),
+            getBalances: async (market) => this._balances(this._getMarket(market))
+        };
+    }
+
+    // ========== STATE ==========
+
+    _freshState() {
+        return {
+            wallet: deriveAddress(this.seed, 'wallet'),
+            balance: this.initialBalance,
+            nonce: 0,
+            timeOffsetMs: 0,
+            markets: {}
+        };
+    }
+
+    _load() {
+        if (!this.statePath || !existsSync(this.statePath)) return null;
+        return deserialize(readFileSync(this.statePath, 'utf8'));
+    }
+
+    _save() {
+        if (!this.statePath) return;
+
+        const dir = dirname(this.statePath);
+        if (!existsSync(dir)) {
+            mkdirSync(dir, { recursive: true });
+        }
+
+        writeFileSync(this.statePath, serialize(this.state));
+    }
+
+    _nextSignature() {
+        this.state.nonce++;
+        return deriveSignature(this.seed, this.state.nonce);
+    }
+
+    now() {
+        return this.clock() + this.state.timeOffsetMs;
+    }
+
+    _nowSeconds() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    _getMarket(market) {
+        const address = toAddress(market);
+        const record = this.state.markets[address];
+        if (!record) {
+            throw new Error(`Market not found: ${address}`);
+        }
+        return record;
+    }
+
+    _debit(amount) {
+        if (amount <= 0n) {
+            throw new Error('Amount must be positive');
+        }
+        if (this.state.balance < amount) {
+            throw new Error(`Insufficient collateral balance: have ${this.state.balance}, need ${amount}`);
+        }
+        this.state.balance -= amount;
+    }
+
+    _assertTradable(record) {
+        if (record.resolved) throw new Error('Market is already resolved');
+        if (this._nowSeconds() >= record.endTime) throw new Error('Market has ended');
+    }
+
+    // Checked before any collateral moves, so a rejected creation costs nothing
+    _validateMarket(params) {
+        const endTime = Number(params.endTime);
+        if (!params.question) throw new Error('Question is required');
+        if (!Number.isFinite(endTime) || endTime <= this._nowSeconds()) {
+            throw new Error('End time must be in the future');
+        }
+    }
+
+    _newMarket(type, params) {
+        const index = Object.keys(this.state.markets).length;
+        const address = deriveAddress(this.seed, `market:${index}`);
+
+        const record = {
+            address,
+            type,
+            question: params.question,
+            creator: this.walletAddress,
+            settler: params.settler || this.walletAddress,
+            collateralMint: params.collateralMint ? toAddress(params.collateralMint) : null,
+            yesTokenMint: deriveAddress(this.seed, `market:${index}:yes`),
+            noTokenMint: deriveAddress(this.seed, `market:${index}:no`),
+            createdAt: this.now(),
+            endTime: Number(params.endTime),
+            reserves: { yes: 0n, no: 0n },
+            yesOddsBps: params.yesOddsBps ?? 5000,
+            creatorSide: params.creatorSide || null,
+            creatorSideCap: params.creatorSideCap ?? null,
+            volume: 0n,
+            resolvable: true,
+            resolved: false,
+            winningSide: null,
+            oracleAnswer: null,
+            position: { yes: 0n, no: 0n, deposited: 0n, withdrawn: 0n, redeemed: false, refunded: false }
+        };
+
+        this.state.markets[address] = record;
+        return record;
+    }
+
+    // ========== AMM (V2) MARKETS ==========
+
+    async _createAmmMarket(params) {
+        const liquidity = BigInt(params.initialLiquidity);
+        const yesOddsBps = params.yesOddsBps ?? 5000;
+
+        if (yesOddsBps <= 0 || yesOddsBps >= 10000) {
+            throw new Error('yesOddsBps must be between 1 and 9999');
+        }
+
+        this._validateMarket(params);
+        this._debit(liquidity);
+
+        const record = this._newMarket('v2', {
+            ...params,
+            collateralMint: params.baseMint || params.collateralTokenMint || params.collateralMint,
+            yesOddsBps
+        });
+
+        // Pool balances are set so that the YES price equals the starting odds
+        const p = yesOddsBps / 10000;
+        record.reserves.yes = floorBigInt(2 * Number(liquidity) * (1 - p));
+        record.reserves.no = floorBigInt(2 * Number(liquidity) * p);
+        record.position.deposited += liquidity;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return {
+            signature,
+            market: new PublicKey(record.address),
+            yesTokenMint: record.yesTokenMint,
+            noTokenMint: record.noTokenMint
+        };
+    }
+
+    async _buyAmm({ market, usdcAmount, tokenId }) {
+        const record = this._getMarket(market);
+        if (record.type !== 'v2') {
+            return this._buyP2P(record, toSideKey(tokenId), BigInt(usdcAmount));
+        }
+
+        this._assertTradable(record);
+
+        const amount = BigInt(usdcAmount);
+        const side = toSideKey(tokenId);
+        this._debit(amount);
+
+        const { tokensReceived, reserves } = ammBuy(record.reserves, side, amount);
+
+        record.reserves = reserves;
+        record.position[side] += tokensReceived;
+        record.position.deposited += amount;
+        record.volume += amount;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature, tokensReceived };
+    }
+
+    async _sellAmm({ market, tokenAmount, tokenId }) {
+        const record = this._getMarket(market);
+        if (record.type !== 'v2') {
+            throw new Error('Selling is only supported on AMM markets');
+        }
+
+        this._assertTradable(record);
+
+        const amount = BigInt(tokenAmount);
+        const side = toSideKey(tokenId);
+
+        if (amount <= 0n) throw new Error('Amount must be positive');
+        if (record.position[side] < amount) {
+            throw new Error(`Insufficient ${side.toUpperCase()} tokens: have ${record.position[side]}, selling ${amount}`);
+        }
+
+        const { usdcReceived, reserves } = ammSell(record.reserves, side, amount);
+
+        record.reserves = reserves;
+        record.position[side] -= amount;
+        record.position.withdrawn += usdcReceived;
+        record.volume += usdcReceived;
+        this.state.balance += usdcReceived;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature, usdcReceived };
+    }
+
+    // Quotes run the same pricing as trades without changing any state
+    async _quoteBuy({ market, usdcAmount, tokenId }) {
+        const record = this._getMarket(market);
+        const side = toSideKey(tokenId);
+        const amount = BigInt(usdcAmount);
+
+        if (record.type !== 'v2') {
+            const reserves = { ...record.reserves, [side]: record.reserves[side] + amount };
+            return { tokensReceived: amount, pricesAfter: this._prices({ ...record, reserves }) };
+        }
+
+        const { tokensReceived, reserves } = ammBuy(record.reserves, side, amount);
+        return { tokensReceived, pricesAfter: this._prices({ ...record, reserves }) };
+    }
+
+    async _quoteSell({ market, tokenAmount, tokenId }) {
+        const record = this._getMarket(market);
+        if (record.type !== 'v2') {
+            throw new Error('Selling is only supported on AMM markets');
+        }
+
+        const { usdcReceived, reserves } = ammSell(record.reserves, toSideKey(tokenId), BigInt(tokenAmount));
+        return { usdcReceived, pricesAfter: this._prices({ ...record, reserves }) };
+    }
+
+    // ========== P2P (V3) MARKETS ==========
+
+    _createP2P(params) {
+        const side = toSideKey(params.side || 'yes');
+        const amount = BigInt(params.initialAmount);
+        const cap = params.creatorSideCap !== undefined ? BigInt(params.creatorSideCap) : amount * 5n;
+
+        if (cap < amount) {
+            throw new Error('Creator side cap must be at least the initial amount');
+        }
+
+        this._validateMarket(params);
+        this._debit(amount);
+
+        const record = this._newMarket('p2p', {
+            ...params,
+            collateralMint: params.collateralTokenMint,
+            yesOddsBps: params.oddsBps !== undefined
+                ? (side === 'yes' ? params.oddsBps : 10000 - params.oddsBps)
+                : 5000,
+            creatorSide: side,
+            creatorSideCap: cap
+        });
+
+        record.reserves[side] = amount;
+        record.position[side] = amount;
+        record.position.deposited = amount;
+        record.volume = amount;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return {
+            signature,
+            market: record.address,
+            yesTokenMint: record.yesTokenMint,
+            noTokenMint: record.noTokenMint
+        };
+    }
+
+    async createP2PMarketGeneral(params) {
+        return this._createP2P(params);
+    }
+
+    async createP2PMarketSimple(params) {
+        const amount = BigInt(Math.floor(params.amountUsdc * USDC_DECIMALS));
+        const days = params.daysUntilEnd || 30;
+
+        return this._createP2P({
+            question: params.question,
+            side: params.side,
+            initialAmount: amount,
+            creatorSideCap: amount * BigInt(params.creatorSideCapMultiplier || 5),
+            endTime: this._nowSeconds() + days * 24 * 60 * 60,
+            collateralTokenMint: params.collateralTokenMint
+        });
+    }
+
+    async createMarketP2PWithCustomOdds(params) {
+        return this._createP2P(params);
+    }
+
+    async _buyP2P(record, side, amount) {
+        this._assertTradable(record);
+
+        if (record.creatorSide === side && record.creatorSideCap !== null &&
+            record.reserves[side] + amount > record.creatorSideCap) {
+            throw new Error(`Purchase exceeds ${side.toUpperCase()} side cap of ${record.creatorSideCap}`);
+        }
+
+        this._debit(amount);
+
+        // P2P positions are 1:1 claims on the pot, paid out pro rata to the winning side
+        record.reserves[side] += amount;
+        record.position[side] += amount;
+        record.position.deposited += amount;
+        record.volume += amount;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature, tokensReceived: amount };
+    }
+
+    async buyV3TokensUsdc({ market, buyYesToken, amountUsdc }) {
+        const record = this._getMarket(market);
+        const amount = BigInt(Math.floor(amountUsdc * USDC_DECIMALS));
+
+        if (record.type === 'v2') {
+            return this._buyAmm({ market, usdcAmount: amount, tokenId: buyYesToken ? 0 : 1 });
+        }
+
+        return this._buyP2P(record, buyYesToken ? 'yes' : 'no', amount);
+    }
+
+    // ========== CUSTOM ODDS & ORACLE ==========
+
+    async createMarketV2WithCustomOdds(params) {
+        const result = await this._createAmmMarket(params);
+        return { ...result, market: result.market.toBase58() };
+    }
+
+    async createMarketWithCustomOracle(params) {
+        return this._createAmmMarket({
+            ...params,
+            settler: toAddress(params.settlerAddress)
+        });
+    }
+
+    // ========== PRICING ==========
+
+    _prices(record) {
+        const yes = Number(record.reserves.yes);
+        const no = Number(record.reserves.no);
+
+        let yesPrice;
+        if (record.type === 'v2') {
+            yesPrice = yes + no > 0 ? no / (yes + no) : 0.5;
+        } else {
+            // Implied probability from the pot; fall back to creator odds until both sides are filled
+            yesPrice = yes > 0 && no > 0 ? yes / (yes + no) : record.yesOddsBps / 10000;
+        }
+
+        return {
+            yesPrice: Math.round(yesPrice * 10000) / 10000,
+            noPrice: Math.round((1 - yesPrice) * 10000) / 10000
+        };
+    }
+
+    _balances(record) {
+        return {
+            yesBalance: record.position.yes,
+            noBalance: record.position.no
+        };
+    }
+
+    // ========== SETTLEMENT ==========
+
+    async settleMarket({ market, yesWinner }) {
+        const record = this._getMarket(market);
+
+        if (record.settler !== this.walletAddress) {
+            throw new Error(`Signer ${this.walletAddress} is not the settler for this market`);
+        }
+        if (record.resolved) throw new Error('Market is already resolved');
+
+        record.resolved = true;
+        record.winningSide = yesWinner ? 'yes' : 'no';
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature };
+    }
+
+    async setMarketResolvable(market, resolvable = true, forceResolve = false) {
+        const record = this._getMarket(market);
+        record.resolvable = resolvable;
+
+        if (forceResolve && record.oracleAnswer) {
+            record.resolved = true;
+            record.winningSide = record.oracleAnswer.answer;
+        }
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature };
+    }
+
+    async fetchSettlementCriteria(market) {
+        const record = this._getMarket(market);
+
+        return {
+            category: 'simulated',
+            reasoning: 'Generated by the simulated oracle',
+            resolvable: record.resolvable,
+            resolution_sources: [],
+            settlement_criteria: `Resolves YES if the following holds before ${new Date(record.endTime * 1000).toISOString()}: ${record.question}`,
+            suggested_improvements: ''
+        };
+    }
+
+    async getSettlementCriteria(market) {
+        return this.fetchSettlementCriteria(market);
+    }
+
+    // Same shape as the SDK's SettlementData; answer is empty until the oracle has one
+    async fetchSettlementData(market) {
+        const record = this._getMarket(market);
+
+        if (record.resolved) {
+            return {
+                answer: record.winningSide,
+                reasoning: 'Market has been settled on-chain',
+                resolved: true,
+                winning_token_id: record.winningSide
+            };
+        }
+
+        if (record.oracleAnswer) {
+            return { ...record.oracleAnswer, resolved: false };
+        }
+
+        return { answer: '', reasoning: 'No oracle answer available yet', resolved: false };
+    }
+
+    async getSettlementData(market) {
+        return this.fetchSettlementData(market);
+    }
+
+    async waitForSettlementCriteria(market) {
+        const criteria = await this.fetchSettlementCriteria(market);
+        const data = await this.fetchSettlementData(market);
+
+        return {
+            resolvable: criteria.resolvable,
+            answer: data.answer || undefined,
+            criteria
+        };
+    }
+
+    // ========== REDEMPTION & REFUNDS ==========
+
+    _redeem(record) {
+        if (!record.resolved) throw new Error('Market is not resolved');
+        if (record.position.redeemed) throw new Error('Position already redeemed');
+
+        const winner = record.winningSide;
+        const held = record.position[winner];
+
+        let amount;
+        if (record.type === 'v2') {
+            amount = held;
+        } else {
+            const pot = record.reserves.yes + record.reserves.no;
+            amount = record.reserves[winner] > 0n ? (held * pot) / record.reserves[winner] : 0n;
+        }
+
+        if (amount <= 0n) {
+            throw new Error('No winning tokens to redeem');
+        }
+
+        record.position.yes = 0n;
+        record.position.no = 0n;
+        record.position.redeemed = true;
+        record.position.withdrawn += amount;
+        this.state.balance += amount;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        // Like the SDK, only the signature comes back; the payout shows in the balance
+        return { signature };
+    }
+
+    _refund(record) {
+        if (record.resolvable || this._nowSeconds() < record.endTime) {
+            throw new Error('Market is not eligible for refund');
+        }
+        if (record.position.refunded) throw new Error('Refund already claimed');
+
+        const amount = record.position.deposited - record.position.withdrawn;
+        if (amount <= 0n) {
+            throw new Error('Nothing to refund');
+        }
+
+        record.position.yes = 0n;
+        record.position.no = 0n;
+        record.position.refunded = true;
+        record.position.withdrawn += amount;
+        this.state.balance += amount;
+
+        const signature = this._nextSignature();
+        this._save();
+
+        return { signature };
+    }
+
+    async redeemPosition(market) {
+        return this._redeem(this._getMarket(market));
+    }
+
+    async redeemV3Position(market) {
+        return this._redeem(this._getMarket(market));
+    }
+
+    async redeemP2PPosition(market) {
+        return this._redeem(this._getMarket(market));
+    }
+
+    async claimMarketRefund(market) {
+        return this._refund(this._getMarket(market));
+    }
+
+    async claimP2PMarketRefund(market) {
+        return this._refund(this._getMarket(market));
+    }
+
+    // ========== DISCOVERY ==========
+
+    // On-chain account in the SDK's MarketType (AMM) or MarketV3Type (P2P) layout
+    _toAccount(record) {
+        const index = Object.keys(this.state.markets).indexOf(record.address);
+        const common = {
+            id: String(index),
+            resolved: record.resolved,
+            collateral_token: record.collateralMint || deriveAddress(this.seed, 'collateral'),
+            winning_token_id: record.winningSide || 'none',
+            yes_token_mint: record.yesTokenMint,
+            no_token_mint: record.noTokenMint,
+            creator: record.creator,
+            creator_fee_treasury: deriveAddress(this.seed, `treasury:${record.creator}`),
+            question: record.question,
+            end_time: String(record.endTime),
+            creation_time: String(Math.floor(record.createdAt / 1000)),
+            resolvable: record.resolvable,
+            bump: 255
+        };
+
+        if (record.type === 'p2p') {
+            return {
+                ...common,
+                yes_pot_reserve: record.reserves.yes.toString(),
+                no_pot_reserve: record.reserves.no.toString(),
+                creator_side: record.creatorSide,
+                creator_initial_amount: record.position.deposited.toString(),
+                creator_side_cap: record.creatorSideCap?.toString() || '0',
+                yes_tokens_issued: record.reserves.yes.toString(),
+                no_tokens_issued: record.reserves.no.toString(),
+                max_pot_ratio: 100000
+            };
+        }
+
+        return {
+            ...common,
+            market_reserves: (record.reserves.yes + record.reserves.no).toString(),
+            yes_token_supply_minted: record.reserves.yes.toString(),
+            no_token_supply_minted: record.reserves.no.toString(),
+            initial_liquidity: record.position.deposited.toString(),
+            force_resolve: false,
+            version: 2,
+            creator_yes_locked: '0',
+            creator_no_locked: '0',
+            creator_liquidity_claimed: false
+        };
+    }
+
+    async fetchMarket(market) {
+        const record = this._getMarket(market);
+        return { publicKey: new PublicKey(record.address), account: this._toAccount(record) };
+    }
+
+    async fetchMarkets() {
+        const data = Object.values(this.state.markets).map(record => ({
+            publicKey: record.address,
+            account: this._toAccount(record)
+        }));
+        return { count: data.length, data };
+    }
+
+    async fetchMarketAddresses() {
+        return Object.values(this.state.markets)
+            .filter(m => m.type === 'v2')
+            .map(m => m.address);
+    }
+
+    async fetchV3MarketAddresses() {
+        return Object.values(this.state.markets)
+            .filter(m => m.type === 'p2p')
+            .map(m => m.address);
+    }
+
+    async getMarketMeta(market) {
+        const record = this._getMarket(market);
+        return {
+            market: record.address,
+            market_volume: Number(record.volume) / USDC_DECIMALS,
+            image: null,
+            initial_liquidity: Number(record.position.deposited) / USDC_DECIMALS
+        };
+    }
+
+    async getMarketMetaBatch(markets) {
+        return Promise.all(markets.map(m => this.getMarketMeta(m)));
+    }
+
+    async getV2MarketInfo(market) {
+        const record = this._getMarket(market);
+        if (record.type !== 'v2') throw new Error(`Not a V2 market: ${record.address}`);
+
+        const { yesPrice, noPrice } = this._prices(record);
+        return {
+            yesMint: record.yesTokenMint,
+            noMint: record.noTokenMint,
+            question: record.question,
+            creator: record.creator,
+            settlementCriteria: await this.fetchSettlementCriteria(market),
+            yesMultiplier: yesPrice > 0 ? 1 / yesPrice : 0,
+            noMultiplier: noPrice > 0 ? 1 / noPrice : 0,
+            endTime: new Date(record.endTime * 1000)
+        };
+    }
+
+    async getP2PMarketInfo(market) {
+        const record = this._getMarket(market);
+        if (record.type !== 'p2p') throw new Error(`Not a P2P market: ${record.address}`);
+        return {
+            question: record.question,
+            yesMint: record.yesTokenMint,
+            noMint: record.noTokenMint,
+            yesReserve: record.reserves.yes.toString(),
+            noReserve: record.reserves.no.toString(),
+            collateralMint: record.collateralMint || deriveAddress(this.seed, 'collateral'),
+            settlementCriteria: await this.fetchSettlementCriteria(market),
+            endTime: new Date(record.endTime * 1000)
+        };
+    }
+
+    async fetchGlobalConfig() {
+        return {
+            publicKey: deriveAddress(this.seed, 'global-config'),
+            account: {
+                simulated: true,
+                wallet: this.walletAddress,
+                collateralBalance: this.state.balance.toString(),
+                marketCount: Object.keys(this.state.markets).length
+            }
+        };
+    }
+
+    // ========== SIMULATION CONTROLS ==========
+
+    /**
+     * Move the simulated clock forward (e.g. to expire markets)
+     */
+    advanceTime(ms) {
+        this.state.timeOffsetMs += ms;
+        this._save();
+        return this.now();
+    }
+
+    /**
+     * Preset the answer the simulated oracle reports for a market
+     */
+    setOracleAnswer(market, answer, reasoning = 'Simulated oracle answer') {
+        const record = this._getMarket(market);
+        record.oracleAnswer = { answer: toSideKey(answer), reasoning };
+        this._save();
+    }
+
+    /**
+     * Apply a trade from another participant without touching our wallet
+     */
+    simulateExternalTrade(market, side, amount) {
+        const record = this._getMarket(market);
+        const key = toSideKey(side);
+        const value = BigInt(amount);
+
+        this._assertTradable(record);
+
+        if (record.type === 'v2') {
+            const other = otherSide(key);
+            const k = Number(record.reserves.yes) * Number(record.reserves.no);
+            const newOpp = Number(record.reserves[other]) + Number(value);
+            record.reserves[other] = floorBigInt(newOpp);
+            record.reserves[key] = floorBigInt(k / newOpp);
+        } else {
+            record.reserves[key] += value;
+        }
+
+        record.volume += value;
+        this._save();
+    }
+
+    getCollateralBalance() {
+        return this.state.balance;
+    }
+
+    reset() {
+        this.state = this._freshState();
+        this._save();
+    }
+}
+
+// Factory function. In-memory exchanges are shared per seed within a process;
+// file-backed ones reload from disk so separate CLI runs see each other's writes.
+export function createSimulatedClient(options = {}) {
+    if (options.statePath || options.isolated) {
+        return new SimulatedPNPClient(options);
+    }
+
+    const key = options.seed || DEFAULT_SEED;
+    if (!instances.has(key)) {
+        instances.set(key, new SimulatedPNPClient(options));
+    }
+    return instances.get(key);
+}
@@ -0,0 +1,67 @@
+// Market lifecycle state machine
+// draft → pending_tx → active → expired → resolvable → settled → redeemed, plus cancelled and failed
+
+export const MarketStatus = {
+    DRAFT: 'draft',
+    PENDING_TX: 'pending_tx',
+    ACTIVE: 'active',
+    EXPIRED: 'expired',
+    RESOLVABLE: 'resolvable',
+    SETTLED: 'settled',
+    REDEEMED: 'redeemed',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+// Allowed next states for each state. Markets can be settled or marked resolvable
+// before their end time, and anything not yet settled can still be cancelled.
+export const TRANSITIONS = {
+    draft: ['pending_tx', 'cancelled', 'failed'],
+    pending_tx: ['active', 'failed'],
+    active: ['expired', 'resolvable', 'settled', 'cancelled'],
+    expired: ['resolvable', 'settled', 'cancelled'],
+    resolvable: ['settled', 'cancelled'],
+    settled: ['redeemed'],
+    redeemed: [],
+    cancelled: [],
+    failed: ['pending_tx']
+};
+
+// Older records and callers used 'resolved' before the lifecycle existed
+const LEGACY_STATUSES = {
+    resolved: 'settled'
+};
+
+// Status filters that cover more than one state
+export const STATUS_GROUPS = {
+    resolved: ['settled', 'redeemed'],
+    open: ['draft', 'pending_tx', 'active', 'expired', 'resolvable']
+};
+
+export function normalizeStatus(status) {
+    return LEGACY_STATUSES[status] || status;
+}
+
+export function isValidStatus(status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS, normalizeStatus(status));
+}
+
+export function canTransition(from, to) {
+    const next = TRANSITIONS[normalizeStatus(from)];
+    return Boolean(next && next.includes(normalizeStatus(to)));
+}
+
+export function assertTransition(from, to) {
+    if (!isValidStatus(to)) {
+        throw new Error(`Unknown market status: ${to}`);
+    }
+
+    if (!canTransition(from, to)) {
+        throw new Error(`Invalid market transition: ${from} → ${to}`);
+    }
+}
+
+// Expand a status filter (including groups and legacy names) into concrete states
+export function expandStatusFilter(status) {
+    return STATUS_GROUPS[status] || [normalizeStatus(status)];
+}
@@ -5,9 +5,23 @@ import Database from 'better-sqlite3';
 import { mkdirSync, existsSync } from 'fs';
 import { dirname } from 'path';
 import { agentEvents, AgentEvents } from '../events/emitter.js';
+import { MarketStatus, normalizeStatus, isValidStatus, assertTransition, expandStatusFilter } from './market-lifecycle.js';
+import { migrate, getMigrationStatus } from './migrations.js';
+
+// Columns updateMarket may write directly; status goes through transitionMarket
+const UPDATABLE_FIELDS = {
+    outcome: 'outcome',
+    volume: 'volume',
+    resolutionTime: 'resolution_time',
+    resolution_time: 'resolution_time',
+    endTime: 'end_time',
+    end_time: 'end_time',
+    metadata: 'metadata'
+};
 
 export class MarketStore {
-    constructor(dbPath = null) {
+    // Pending migrations are applied on open unless options.migrate is false
+    constructor(dbPath = null, options = {}) {
         this.dbPath = dbPath;
 
         if (dbPath && dbPath !== ':memory:') {
@@ -19,48 +33,19 @@ export class MarketStore {
 
         this.db = new Database(dbPath || ':memory:');
         this.db.pragma('journal_mode = WAL');
-        this._initSchema();
-    }
-
-    _initSchema() {
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS markets (
-                address TEXT PRIMARY KEY,
-                question TEXT NOT NULL,
-                category TEXT,
-                category_key TEXT,
-                creation_time INTEGER,
-                creation_signature TEXT,
-                initial_liquidity TEXT,
-                duration_days INTEGER,
-                end_time INTEGER,
-                status TEXT DEFAULT 'active',
-                outcome TEXT,
-                volume TEXT,
-                resolution_time INTEGER,
-                metadata TEXT
-            );
-
-            CREATE TABLE IF NOT EXISTS daemon_state (
-                key TEXT PRIMARY KEY,
-                value TEXT,
-                updated_at INTEGER
-            );
-
-            CREATE TABLE IF NOT EXISTS webhook_events (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_type TEXT,
-                signature TEXT,
-                data TEXT,
-                processed INTEGER DEFAULT 0,
-                timestamp INTEGER
-            );
-
-            CREATE INDEX IF NOT EXISTS idx_markets_status ON markets(status);
-            CREATE INDEX IF NOT EXISTS idx_markets_category ON markets(category_key);
-            CREATE INDEX IF NOT EXISTS idx_markets_creation ON markets(creation_time);
-            CREATE INDEX IF NOT EXISTS idx_webhook_processed ON webhook_events(processed);
-        `);
+
+        if (options.migrate !== false) {
+            this.migrate();
+        }
+    }
+
+    // Bring the schema up to date; safe to call repeatedly
+    migrate(options = {}) {
+        return migrate(this.db, options);
+    }
+
+    getSchemaStatus() {
+        return getMigrationStatus(this.db);
     }
 
     // Initialize (for API compatibility)
@@ -68,15 +53,25 @@ export class MarketStore {
         return this;
     }
 
-    // Save a market record
+    // Save a market record. A changed status on an existing market must be a valid transition.
     saveMarket(record) {
         const endTime = record.endTime || (record.creationTime + (record.durationDays * 24 * 60 * 60 * 1000));
+        const status = normalizeStatus(record.status || MarketStatus.ACTIVE);
+        const existing = this.getMarket(record.address);
+
+        if (!isValidStatus(status)) {
+            throw new Error(`Unknown market status: ${record.status}`);
+        }
+        if (existing && existing.status !== status) {
+            assertTransition(existing.status, status);
+        }
 
         const stmt = this.db.prepare(`
             INSERT OR REPLACE INTO markets
             (address, question, category, category_key, creation_time, creation_signature,
-             initial_liquidity, duration_days, end_time, status, outcome, volume, resolution_time, metadata)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             initial_liquidity, duration_days, end_time, status, outcome, volume, resolution_time, metadata, series_id,
+             parent_market)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         stmt.run(
@@ -89,13 +84,22 @@ export class MarketStore {
             record.initialLiquidity?.toString() || null,
             record.durationDays || null,
             endTime,
-            record.status || 'active',
+            status,
             record.outcome || null,
             record.volume?.toString() || null,
             record.resolutionTime || null,
-            JSON.stringify(record.metadata || {})
+            JSON.stringify(record.metadata || {}),
+            record.seriesId || null,
+            record.parentMarket || null
         );
 
+        if (!existing || existing.status !== status) {
+            this._recordHistory(record.address, existing?.status || null, status, {
+                reason: record.statusReason || (existing ? 'saved' : 'created'),
+                signature: record.creationSignature
+            });
+        }
+
         agentEvents.emitTyped(AgentEvents.MARKET_UPDATED, { address: record.address });
 
         return this.getMarket(record.address);
@@ -123,11 +127,13 @@ export class MarketStore {
             initialLiquidity: row.initial_liquidity,
             durationDays: row.duration_days,
             endTime: row.end_time,
-            status: row.status,
+            status: normalizeStatus(row.status),
             outcome: row.outcome,
             volume: row.volume,
             resolutionTime: row.resolution_time,
-            metadata: row.metadata ? JSON.parse(row.metadata) : {}
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            seriesId: row.series_id ?? null,
+            parentMarket: row.parent_market ?? null
         };
     }
 
@@ -137,8 +143,10 @@ export class MarketStore {
         const params = [];
 
         if (options.status) {
-            sql += ' AND status = ?';
-            params.push(options.status);
+            const statuses = expandStatusFilter(options.status);
+            if (statuses.includes(MarketStatus.SETTLED)) statuses.push('resolved');
+            sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
         }
 
         if (options.category) {
@@ -174,39 +182,105 @@ export class MarketStore {
         return rows.map(row => this._rowToMarket(row));
     }
 
-    // Update a market
+    // Update a market. A status change is validated and recorded like transitionMarket,
+    // in the same transaction as the field changes so a failed write leaves neither.
     updateMarket(address, updates) {
         const market = this.getMarket(address);
         if (!market) return null;
 
-        const fieldMap = {
-            status: 'status',
-            outcome: 'outcome',
-            volume: 'volume',
-            resolutionTime: 'resolution_time',
-            resolution_time: 'resolution_time'
-        };
+        const { status, statusReason, signature, ...fields } = updates;
 
         const setClauses = [];
         const params = [];
 
-        for (const [key, value] of Object.entries(updates)) {
-            const dbField = fieldMap[key] || key;
+        for (const [key, value] of Object.entries(fields)) {
+            const dbField = UPDATABLE_FIELDS[key];
+            if (!dbField) {
+                throw new Error(`Market field "${key}" cannot be updated`);
+            }
             setClauses.push(`${dbField} = ?`);
-            params.push(value);
+            params.push(key === 'metadata' ? JSON.stringify(value || {}) : value);
         }
 
-        if (setClauses.length > 0) {
-            params.push(address);
-            const stmt = this.db.prepare(`UPDATE markets SET ${setClauses.join(', ')} WHERE address = ?`);
-            stmt.run(...params);
+        const to = status ? normalizeStatus(status) : market.status;
+        if (to !== market.status) {
+            assertTransition(market.status, to);
         }
 
+        const apply = this.db.transaction(() => {
+            if (to !== market.status) {
+                this._writeTransition(address, market.status, to, { reason: statusReason, signature });
+            }
+
+            if (setClauses.length > 0) {
+                params.push(address);
+                const stmt = this.db.prepare(`UPDATE markets SET ${setClauses.join(', ')} WHERE address = ?`);
+                stmt.run(...params);
+            }
+        });
+        apply();
+
+        if (to !== market.status) {
+            agentEvents.emitTyped(AgentEvents.MARKET_UPDATED, { address, updates: { status: to }, from: market.status, to });
+        }
         agentEvents.emitTyped(AgentEvents.MARKET_UPDATED, { address, updates });
 
         return this.getMarket(address);
     }
 
+    /**
+     * Move a market to a new lifecycle state, recording it in the audit trail.
+     * Throws if the transition is not allowed from the current state.
+     */
+    transitionMarket(address, toStatus, details = {}) {
+        const market = this.getMarket(address);
+        if (!market) {
+            throw new Error(`Market not found: ${address}`);
+        }
+
+        const to = normalizeStatus(toStatus);
+        assertTransition(market.status, to);
+
+        this.db.transaction(() => this._writeTransition(address, market.status, to, details))();
+
+        agentEvents.emitTyped(AgentEvents.MARKET_UPDATED, {
+            address,
+            updates: { status: to },
+            from: market.status,
+            to
+        });
+
+        return this.getMarket(address);
+    }
+
+    // Set the status and add the history row; callers validate and wrap it in a transaction
+    _writeTransition(address, from, to, details = {}) {
+        this.db.prepare('UPDATE markets SET status = ? WHERE address = ?').run(to, address);
+        this._recordHistory(address, from, to, { ...details, timestamp: details.timestamp || Date.now() });
+    }
+
+    // Full audit trail of a market's status changes, oldest first
+    getMarketHistory(address) {
+        const stmt = this.db.prepare('SELECT * FROM market_history WHERE address = ? ORDER BY timestamp ASC, id ASC');
+
+        return stmt.all(address).map(row => ({
+            from: row.from_status,
+            to: row.to_status,
+            reason: row.reason,
+            signature: row.signature,
+            timestamp: row.timestamp
+        }));
+    }
+
+    _recordHistory(address, from, to, details = {}) {
+        const stmt = this.db.prepare(`
+            INSERT INTO market_history (address, from_status, to_status, reason, signature, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run(address, from, to, details.reason || null, details.signature || null, details.timestamp || Date.now());
+    }
+
     // Delete a market
     deleteMarket(address) {
         const stmt = this.db.prepare('DELETE FROM markets WHERE address = ?');
@@ -221,7 +295,7 @@ export class MarketStore {
 
         const total = this.db.prepare('SELECT COUNT(*) as count FROM markets').get().count;
         const active = this.db.prepare('SELECT COUNT(*) as count FROM markets WHERE status = ?').get('active').count;
-        const resolved = this.db.prepare('SELECT COUNT(*) as count FROM markets WHERE status = ?').get('resolved').count;
+        const resolved = this.db.prepare("SELECT COUNT(*) as count FROM markets WHERE status IN ('settled', 'redeemed', 'resolved')").get().count;
         const cancelled = this.db.prepare('SELECT COUNT(*) as count FROM markets WHERE status = ?').get('cancelled').count;
         const recentCount = this.db.prepare('SELECT COUNT(*) as count FROM markets WHERE creation_time >= ?').get(weekAgo).count;
 
@@ -231,6 +305,12 @@ export class MarketStore {
             GROUP BY category_key
         `).all();
 
+        const byStatus = {};
+        for (const row of this.db.prepare('SELECT status, COUNT(*) as count FROM markets GROUP BY status').all()) {
+            const status = normalizeStatus(row.status);
+            byStatus[status] = (byStatus[status] || 0) + row.count;
+        }
+
         return {
             total,
             active,
@@ -238,13 +318,14 @@ export class MarketStore {
             cancelled,
             recentCount,
             byCategory,
+            byStatus,
             lastUpdated: Date.now()
         };
     }
 
     // Get performance metrics
     getPerformanceMetrics() {
-        const resolved = this.db.prepare('SELECT * FROM markets WHERE status = ?').all('resolved');
+        const resolved = this.db.prepare("SELECT * FROM markets WHERE status IN ('settled', 'redeemed', 'resolved')").all();
 
         const volumeResult = this.db.prepare('SELECT SUM(CAST(volume AS INTEGER)) as total FROM markets').get();
         const totalVolume = BigInt(volumeResult.total || 0);
@@ -373,6 +454,641 @@ export class MarketStore {
         stmt.run(id);
     }
 
+    // Record a buy, sell, redeem or refund in the portfolio ledger
+    saveLedgerEntry(entry) {
+        const stmt = this.db.prepare(`
+            INSERT INTO portfolio_ledger (market, action, side, tokens, usdc, signature, category, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const result = stmt.run(
+            entry.market,
+            entry.action,
+            entry.side || null,
+            entry.tokens?.toString() || '0',
+            // Null when a redemption or refund didn't report its payout
+            entry.usdc == null ? null : entry.usdc.toString(),
+            entry.signature || null,
+            entry.category || null,
+            entry.timestamp || Date.now()
+        );
+
+        return { id: Number(result.lastInsertRowid), ...entry };
+    }
+
+    // Get ledger entries in the order they happened
+    getLedgerEntries(filters = {}) {
+        let sql = 'SELECT * FROM portfolio_ledger WHERE 1=1';
+        const params = [];
+
+        if (filters.market) {
+            sql += ' AND market = ?';
+            params.push(filters.market);
+        }
+
+        if (filters.since) {
+            sql += ' AND timestamp >= ?';
+            params.push(filters.since);
+        }
+
+        sql += ' ORDER BY timestamp ASC, id ASC';
+
+        const stmt = this.db.prepare(sql);
+        return stmt.all(...params);
+    }
+
+    // Record a redemption or refund attempt made by the sweeper
+    saveRedemption(record) {
+        const stmt = this.db.prepare(`
+            INSERT INTO redemptions (market, action, method, status, amount, signature, error, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        stmt.run(
+            record.market,
+            record.action,
+            record.method || null,
+            record.status,
+            record.amount?.toString() || null,
+            record.signature || null,
+            record.error || null,
+            record.timestamp || Date.now()
+        );
+    }
+
+    // Get redemption attempts, newest first
+    getRedemptions(filters = {}) {
+        let sql = 'SELECT * FROM redemptions WHERE 1=1';
+        const params = [];
+
+        if (filters.market) {
+            sql += ' AND market = ?';
+            params.push(filters.market);
+        }
+
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY timestamp DESC, id DESC';
+
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        const stmt = this.db.prepare(sql);
+        return stmt.all(...params);
+    }
+
+    getLatestRedemption(market) {
+        return this.getRedemptions({ market, limit: 1 })[0] || null;
+    }
+
+    // Persist a settlement decision with its reasoning
+    saveSettlementDecision(decision) {
+        const stmt = this.db.prepare(`
+            INSERT INTO settlement_decisions
+            (market, decision, outcome, confidence, source, reasoning, signature, review_status, reviewed_by, timestamp)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const result = stmt.run(
+            decision.market,
+            decision.decision,
+            decision.outcome || null,
+            decision.confidence ?? null,
+            decision.source || null,
+            decision.reasoning || null,
+            decision.signature || null,
+            decision.decision === 'review' ? 'pending' : null,
+            decision.reviewedBy || null,
+            decision.timestamp || Date.now()
+        );
+
+        return this.getSettlementDecision(Number(result.lastInsertRowid));
+    }
+
+    getSettlementDecision(id) {
+        const row = this.db.prepare('SELECT * FROM settlement_decisions WHERE id = ?').get(id);
+        return row ? this._rowToDecision(row) : null;
+    }
+
+    // Get settlement decisions, newest first
+    getSettlementDecisions(filters = {}) {
+        let sql = 'SELECT * FROM settlement_decisions WHERE 1=1';
+        const params = [];
+
+        if (filters.market) {
+            sql += ' AND market = ?';
+            params.push(filters.market);
+        }
+
+        if (filters.decision) {
+            sql += ' AND decision = ?';
+            params.push(filters.decision);
+        }
+
+        if (filters.reviewStatus) {
+            sql += ' AND review_status = ?';
+            params.push(filters.reviewStatus);
+        }
+
+        sql += ' ORDER BY timestamp DESC, id DESC';
+
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => this._rowToDecision(row));
+    }
+
+    // Markets waiting on a human settlement decision
+    getSettlementReviewQueue() {
+        return this.getSettlementDecisions({ decision: 'review', reviewStatus: 'pending' });
+    }
+
+    // Close a review item ('approved' or 'dismissed')
+    closeSettlementReview(id, reviewStatus, reviewedBy = null) {
+        this.db.prepare('UPDATE settlement_decisions SET review_status = ?, reviewed_by = ? WHERE id = ?')
+            .run(reviewStatus, reviewedBy, id);
+        return this.getSettlementDecision(id);
+    }
+
+    _rowToDecision(row) {
+        return {
+            id: row.id,
+            market: row.market,
+            decision: row.decision,
+            outcome: row.outcome,
+            confidence: row.confidence,
+            source: row.source,
+            reasoning: row.reasoning,
+            signature: row.signature,
+            reviewStatus: row.review_status,
+            reviewedBy: row.reviewed_by,
+            timestamp: row.timestamp
+        };
+    }
+
+    // Add a generated market idea to the approval queue
+    addPendingApproval(proposal) {
+        const stmt = this.db.prepare(`
+            INSERT INTO pending_approval
+            (question, category, category_key, duration_days, liquidity, source, metadata, status, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+        `);
+
+        const createdAt = proposal.createdAt || Date.now();
+        const result = stmt.run(
+            proposal.question,
+            proposal.category || null,
+            proposal.categoryKey || null,
+            proposal.durationDays || null,
+            proposal.liquidity?.toString() || null,
+            proposal.source || null,
+            JSON.stringify(proposal.metadata || {}),
+            createdAt,
+            proposal.expiresAt || null
+        );
+
+        return this.getPendingApproval(Number(result.lastInsertRowid));
+    }
+
+    getPendingApproval(id) {
+        const row = this.db.prepare('SELECT * FROM pending_approval WHERE id = ?').get(id);
+        return row ? this._rowToApproval(row) : null;
+    }
+
+    // Get queue entries, oldest first
+    getPendingApprovals(filters = {}) {
+        let sql = 'SELECT * FROM pending_approval WHERE 1=1';
+        const params = [];
+
+        if (filters.status) {
+            sql += ' AND status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY created_at ASC, id ASC';
+
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => this._rowToApproval(row));
+    }
+
+    updatePendingApproval(id, updates) {
+        const fieldMap = {
+            question: 'question',
+            durationDays: 'duration_days',
+            liquidity: 'liquidity',
+            status: 'status',
+            expiresAt: 'expires_at',
+            reviewedBy: 'reviewed_by',
+            reviewedAt: 'reviewed_at',
+            reviewNote: 'review_note',
+            marketAddress: 'market_address',
+            signature: 'signature',
+            error: 'error',
+            force: 'force'
+        };
+
+        const setClauses = [];
+        const params = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+            const dbField = fieldMap[key];
+            if (!dbField) {
+                throw new Error(`Approval field "${key}" cannot be updated`);
+            }
+            setClauses.push(`${dbField} = ?`);
+            if (key === 'liquidity') {
+                params.push(value?.toString());
+            } else if (key === 'force') {
+                params.push(value ? 1 : 0);
+            } else {
+                params.push(value);
+            }
+        }
+
+        if (setClauses.length > 0) {
+            params.push(id);
+            this.db.prepare(`UPDATE pending_approval SET ${setClauses.join(', ')} WHERE id = ?`).run(...params);
+        }
+
+        return this.getPendingApproval(id);
+    }
+
+    // Mark pending proposals past their expiry as expired; returns how many
+    expirePendingApprovals(now = Date.now()) {
+        const result = this.db.prepare(`
+            UPDATE pending_approval SET status = 'expired'
+            WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at <= ?
+        `).run(now);
+
+        return result.changes;
+    }
+
+    _rowToApproval(row) {
+        return {
+            id: row.id,
+            question: row.question,
+            category: row.category,
+            categoryKey: row.category_key,
+            durationDays: row.duration_days,
+            liquidity: row.liquidity,
+            source: row.source,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            status: row.status,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            reviewedBy: row.reviewed_by,
+            reviewedAt: row.reviewed_at,
+            reviewNote: row.review_note,
+            marketAddress: row.market_address,
+            signature: row.signature,
+            error: row.error,
+            force: Boolean(row.force)
+        };
+    }
+
+    // Create or replace a series that groups linked markets (e.g. a ladder)
+    saveSeries(series) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO series (id, kind, title, template_id, category_key, created_at, metadata, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            series.id,
+            series.kind,
+            series.title || null,
+            series.templateId || null,
+            series.categoryKey || null,
+            series.createdAt || Date.now(),
+            JSON.stringify(series.metadata || {}),
+            series.status || 'active'
+        );
+
+        return this.getSeries(series.id);
+    }
+
+    // Change a series' status or metadata; returns null for unknown ids
+    updateSeries(id, updates) {
+        const series = this.getSeries(id);
+        if (!series) return null;
+
+        this.db.prepare('UPDATE series SET status = ?, metadata = ? WHERE id = ?').run(
+            updates.status ?? series.status,
+            JSON.stringify(updates.metadata ?? series.metadata),
+            id
+        );
+
+        return this.getSeries(id);
+    }
+
+    getSeries(id) {
+        const row = this.db.prepare('SELECT * FROM series WHERE id = ?').get(id);
+        return row ? this._rowToSeries(row) : null;
+    }
+
+    // All series, newest first, with how many markets each has
+    getAllSeries(filters = {}) {
+        let sql = `
+            SELECT s.*, (SELECT COUNT(*) FROM markets m WHERE m.series_id = s.id) AS market_count
+            FROM series s WHERE 1=1
+        `;
+        const params = [];
+
+        if (filters.kind) {
+            sql += ' AND s.kind = ?';
+            params.push(filters.kind);
+        }
+
+        if (filters.status) {
+            sql += ' AND s.status = ?';
+            params.push(filters.status);
+        }
+
+        sql += ' ORDER BY s.created_at DESC';
+
+        return this.db.prepare(sql).all(...params).map(row => this._rowToSeries(row));
+    }
+
+    getSeriesMarkets(id) {
+        return this.db.prepare('SELECT * FROM markets WHERE series_id = ? ORDER BY creation_time, address')
+            .all(id)
+            .map(row => this._rowToMarket(row));
+    }
+
+    // Conditional markets that depend on a parent market
+    getChildMarkets(parentAddress) {
+        return this.db.prepare('SELECT * FROM markets WHERE parent_market = ? ORDER BY creation_time, address')
+            .all(parentAddress)
+            .map(row => this._rowToMarket(row));
+    }
+
+    // Every conditional market, oldest first
+    getConditionalMarkets() {
+        return this.db.prepare('SELECT * FROM markets WHERE parent_market IS NOT NULL ORDER BY creation_time, address')
+            .all()
+            .map(row => this._rowToMarket(row));
+    }
+
+    _rowToSeries(row) {
+        return {
+            id: row.id,
+            kind: row.kind,
+            title: row.title,
+            templateId: row.template_id,
+            categoryKey: row.category_key,
+            createdAt: row.created_at,
+            status: row.status,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {},
+            ...(row.market_count !== undefined && { marketCount: row.market_count })
+        };
+    }
+
+    // Record one computation of adaptive weights; every arm shares the timestamp
+    saveWeightSnapshot(snapshot) {
+        const stmt = this.db.prepare(`
+            INSERT INTO category_weights
+            (computed_at, policy, kind, arm, weight, prior, samples, mean_reward)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const computedAt = snapshot.computedAt || Date.now();
+        const save = this.db.transaction(() => {
+            for (const arm of snapshot.arms) {
+                stmt.run(
+                    computedAt,
+                    snapshot.policy,
+                    arm.kind,
+                    arm.arm,
+                    arm.weight,
+                    arm.prior ?? null,
+                    arm.samples ?? 0,
+                    arm.meanReward ?? null
+                );
+            }
+        });
+        save();
+
+        return computedAt;
+    }
+
+    // Weight rows, newest first; limit counts snapshots, not rows
+    getWeightHistory(filters = {}) {
+        let sql = 'SELECT * FROM category_weights WHERE 1=1';
+        const params = [];
+
+        if (filters.kind) {
+            sql += ' AND kind = ?';
+            params.push(filters.kind);
+        }
+
+        if (filters.arm) {
+            sql += ' AND arm = ?';
+            params.push(filters.arm);
+        }
+
+        if (filters.limit) {
+            sql += ' AND computed_at IN (SELECT DISTINCT computed_at FROM category_weights ORDER BY computed_at DESC LIMIT ?)';
+            params.push(filters.limit);
+        }
+
+        sql += ' ORDER BY computed_at DESC, id ASC';
+
+        return this.db.prepare(sql).all(...params).map(row => ({
+            computedAt: row.computed_at,
+            policy: row.policy,
+            kind: row.kind,
+            arm: row.arm,
+            weight: row.weight,
+            prior: row.prior,
+            samples: row.samples,
+            meanReward: row.mean_reward
+        }));
+    }
+
+    getLatestWeights(kind = null) {
+        return this.getWeightHistory({ kind, limit: 1 });
+    }
+
+    // Store a scored news item; saving it again updates its score but keeps when it was first seen.
+    // Entities, when given, replace the ones stored for the item.
+    saveNewsEvent(event) {
+        const save = this.db.transaction(() => {
+            this._saveNewsEventRow(event);
+            if (event.entities) this._saveNewsEntities(event.id, event.entities);
+        });
+        save();
+
+        return this.getNewsEvent(event.id);
+    }
+
+    _saveNewsEventRow(event) {
+        this.db.prepare(`
+            INSERT INTO news_events
+            (id, title, link, source, published_at, seen_at, relevance_score, matched_keywords, suggested_category, urgency, snippet)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                title = excluded.title,
+                link = excluded.link,
+                relevance_score = excluded.relevance_score,
+                matched_keywords = excluded.matched_keywords,
+                suggested_category = excluded.suggested_category,
+                urgency = excluded.urgency,
+                snippet = excluded.snippet
+        `).run(
+            event.id,
+            event.title,
+            event.link || null,
+            event.source || null,
+            event.publishedAt || null,
+            event.seenAt || Date.now(),
+            event.relevanceScore ?? null,
+            JSON.stringify(event.matchedKeywords || []),
+            event.suggestedCategory || null,
+            event.urgency || null,
+            event.snippet || null
+        );
+    }
+
+    _saveNewsEntities(newsId, entities) {
+        this.db.prepare('DELETE FROM news_entities WHERE news_id = ?').run(newsId);
+        const stmt = this.db.prepare('INSERT OR IGNORE INTO news_entities (news_id, entity_id, name, type) VALUES (?, ?, ?, ?)');
+        for (const entity of entities) {
+            stmt.run(newsId, entity.id, entity.name, entity.type);
+        }
+    }
+
+    // A news event with the addresses of markets generated from it
+    getNewsEvent(id) {
+        const row = this.db.prepare('SELECT * FROM news_events WHERE id = ?').get(id);
+        return row ? this._rowToNewsEvent(row) : null;
+    }
+
+    /**
+     * News events, newest published first. Filters: since and until (published time),
+     * category, source, urgency, minScore, entity (id or name), entityType and limit.
+     */
+    getNewsEvents(filters = {}) {
+        let sql = 'SELECT * FROM news_events WHERE 1=1';
+        const params = [];
+
+        if (filters.since) {
+            sql += ' AND published_at >= ?';
+            params.push(filters.since);
+        }
+
+        if (filters.until) {
+            sql += ' AND published_at < ?';
+            params.push(filters.until);
+        }
+
+        if (filters.category) {
+            sql += ' AND suggested_category = ?';
+            params.push(filters.category);
+        }
+
+        if (filters.source) {
+            sql += ' AND source = ?';
+            params.push(filters.source);
+        }
+
+        if (filters.urgency) {
+            const urgencies = [].concat(filters.urgency);
+            sql += ` AND urgency IN (${urgencies.map(() => '?').join(', ')})`;
+            params.push(...urgencies);
+        }
+
+        if (filters.minScore !== undefined) {
+            sql += ' AND relevance_score >= ?';
+            params.push(filters.minScore);
+        }
+
+        if (filters.entity) {
+            sql += ' AND id IN (SELECT news_id FROM news_entities WHERE entity_id = lower(?) OR name = ? COLLATE NOCASE)';
+            params.push(filters.entity, filters.entity);
+        }
+
+        if (filters.entityType) {
+            sql += ' AND id IN (SELECT news_id FROM news_entities WHERE type = ?)';
+            params.push(filters.entityType);
+        }
+
+        sql += ' ORDER BY published_at DESC, seen_at DESC';
+
+        if (filters.limit) {
+            sql += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => this._rowToNewsEvent(row));
+    }
+
+    // Record that a market was generated from a news event
+    linkNewsMarket(newsId, marketAddress, createdAt = Date.now()) {
+        this.db.prepare('INSERT OR IGNORE INTO news_markets (news_id, market_address, created_at) VALUES (?, ?, ?)')
+            .run(newsId, marketAddress, createdAt);
+    }
+
+    // Move news links to another address, e.g. from a queued proposal to the market created for it
+    relinkNewsMarket(fromAddress, toAddress) {
+        this.db.prepare('UPDATE OR IGNORE news_markets SET market_address = ? WHERE market_address = ?').run(toAddress, fromAddress);
+        this.db.prepare('DELETE FROM news_markets WHERE market_address = ?').run(fromAddress);
+    }
+
+    // News events a market was generated from
+    getNewsForMarket(marketAddress) {
+        return this.db.prepare(`
+            SELECT n.* FROM news_events n JOIN news_markets l ON l.news_id = n.id
+            WHERE l.market_address = ? ORDER BY n.published_at DESC
+        `).all(marketAddress).map(row => this._rowToNewsEvent(row));
+    }
+
+    // Remember news item ids so they are not ingested again, relevant or not
+    markNewsSeen(ids, source = null, seenAt = Date.now()) {
+        const stmt = this.db.prepare('INSERT OR IGNORE INTO news_seen (id, source, seen_at) VALUES (?, ?, ?)');
+        const insert = this.db.transaction(list => {
+            for (const id of list) stmt.run(id, source, seenAt);
+        });
+        insert([].concat(ids));
+    }
+
+    // Most recently seen news item ids, newest first
+    getSeenNewsIds(limit = 5000) {
+        return this.db.prepare('SELECT id FROM news_seen ORDER BY seen_at DESC, rowid DESC LIMIT ?')
+            .all(limit)
+            .map(row => row.id);
+    }
+
+    _rowToNewsEvent(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            link: row.link,
+            source: row.source,
+            publishedAt: row.published_at,
+            seenAt: row.seen_at,
+            relevanceScore: row.relevance_score,
+            matchedKeywords: row.matched_keywords ? JSON.parse(row.matched_keywords) : [],
+            suggestedCategory: row.suggested_category,
+            urgency: row.urgency,
+            snippet: row.snippet,
+            markets: this.db.prepare('SELECT market_address FROM news_markets WHERE news_id = ? ORDER BY created_at')
+                .all(row.id)
+                .map(link => link.market_address),
+            entities: this.db.prepare('SELECT entity_id, name, type FROM news_entities WHERE news_id = ? ORDER BY rowid')
+                .all(row.id)
+                .map(entity => ({ id: entity.entity_id, name: entity.name, type: entity.type }))
+        };
+    }
+
     // Close database
     close() {
         this.db.close();
@@ -383,6 +1099,17 @@ export class MarketStore {
         this.db.exec('DELETE FROM markets');
         this.db.exec('DELETE FROM daemon_state');
         this.db.exec('DELETE FROM webhook_events');
+        this.db.exec('DELETE FROM portfolio_ledger');
+        this.db.exec('DELETE FROM redemptions');
+        this.db.exec('DELETE FROM market_history');
+        this.db.exec('DELETE FROM settlement_decisions');
+        this.db.exec('DELETE FROM pending_approval');
+        this.db.exec('DELETE FROM category_weights');
+        this.db.exec('DELETE FROM series');
+        this.db.exec('DELETE FROM news_events');
+        this.db.exec('DELETE FROM news_markets');
+        this.db.exec('DELETE FROM news_seen');
+        this.db.exec('DELETE FROM news_entities');
     }
 
     // Export data as JSON string
@@ -413,6 +1140,6 @@ export class MarketStore {
 }
 
 // Factory function
-export function createMarketStore(dbPath = null) {
-    return new MarketStore(dbPath);
+export function createMarketStore(dbPath = null, options = {}) {
+    return new MarketStore(dbPath, options);
 }
@@ -0,0 +1,369 @@
+// Versioned schema migrations for the SQLite market store
+// The applied version is tracked in PRAGMA user_version; migrations only ever move forward
+
+// Add a column unless it is already there (SQLite has no ADD COLUMN IF NOT EXISTS)
+export function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Ordered list of migrations. Never edit one that has shipped; append a new one instead.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS markets (
+                    address TEXT PRIMARY KEY,
+                    question TEXT NOT NULL,
+                    category TEXT,
+                    category_key TEXT,
+                    creation_time INTEGER,
+                    creation_signature TEXT,
+                    initial_liquidity TEXT,
+                    duration_days INTEGER,
+                    end_time INTEGER,
+                    status TEXT DEFAULT 'active',
+                    outcome TEXT,
+                    volume TEXT,
+                    resolution_time INTEGER,
+                    metadata TEXT
+                );
+
+                CREATE TABLE IF NOT EXISTS daemon_state (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    updated_at INTEGER
+                );
+
+                CREATE TABLE IF NOT EXISTS webhook_events (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event_type TEXT,
+                    signature TEXT,
+                    data TEXT,
+                    processed INTEGER DEFAULT 0,
+                    timestamp INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_markets_status ON markets(status);
+                CREATE INDEX IF NOT EXISTS idx_markets_category ON markets(category_key);
+                CREATE INDEX IF NOT EXISTS idx_markets_creation ON markets(creation_time);
+                CREATE INDEX IF NOT EXISTS idx_webhook_processed ON webhook_events(processed);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'portfolio ledger',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS portfolio_ledger (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    market TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    side TEXT,
+                    tokens TEXT,
+                    usdc TEXT,
+                    signature TEXT,
+                    category TEXT,
+                    timestamp INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_ledger_market ON portfolio_ledger(market);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'redemption sweeper log',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS redemptions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    market TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    method TEXT,
+                    status TEXT NOT NULL,
+                    amount TEXT,
+                    signature TEXT,
+                    error TEXT,
+                    timestamp INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_redemptions_market ON redemptions(market);
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'market lifecycle history',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS market_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    address TEXT NOT NULL,
+                    from_status TEXT,
+                    to_status TEXT NOT NULL,
+                    reason TEXT,
+                    signature TEXT,
+                    timestamp INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_history_address ON market_history(address);
+
+                UPDATE markets SET status = 'settled' WHERE status = 'resolved';
+
+                INSERT INTO market_history (address, from_status, to_status, reason, signature, timestamp)
+                SELECT address, NULL, status, 'migrated', creation_signature, COALESCE(creation_time, 0)
+                FROM markets
+                WHERE address NOT IN (SELECT DISTINCT address FROM market_history);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'backfill market end times',
+        up(db) {
+            db.exec(`
+                UPDATE markets
+                SET end_time = creation_time + duration_days * 86400000
+                WHERE end_time IS NULL AND creation_time IS NOT NULL AND duration_days IS NOT NULL;
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'settlement decisions',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS settlement_decisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    market TEXT NOT NULL,
+                    decision TEXT NOT NULL,
+                    outcome TEXT,
+                    confidence REAL,
+                    source TEXT,
+                    reasoning TEXT,
+                    signature TEXT,
+                    review_status TEXT,
+                    reviewed_by TEXT,
+                    timestamp INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_settlement_market ON settlement_decisions(market);
+                CREATE INDEX IF NOT EXISTS idx_settlement_review ON settlement_decisions(review_status);
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'market approval queue',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS pending_approval (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    question TEXT NOT NULL,
+                    category TEXT,
+                    category_key TEXT,
+                    duration_days INTEGER,
+                    liquidity TEXT,
+                    source TEXT,
+                    metadata TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    created_at INTEGER,
+                    expires_at INTEGER,
+                    reviewed_by TEXT,
+                    reviewed_at INTEGER,
+                    review_note TEXT,
+                    market_address TEXT,
+                    signature TEXT,
+                    error TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_approval_status ON pending_approval(status);
+            `);
+        }
+    },
+    {
+        version: 8,
+        name: 'adaptive weight history',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS category_weights (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    computed_at INTEGER NOT NULL,
+                    policy TEXT NOT NULL,
+                    kind TEXT NOT NULL,
+                    arm TEXT NOT NULL,
+                    weight REAL NOT NULL,
+                    prior REAL,
+                    samples INTEGER,
+                    mean_reward REAL
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_weights_computed ON category_weights(computed_at);
+                CREATE INDEX IF NOT EXISTS idx_weights_arm ON category_weights(kind, arm);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'market series',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS series (
+                    id TEXT PRIMARY KEY,
+                    kind TEXT NOT NULL,
+                    title TEXT,
+                    template_id TEXT,
+                    category_key TEXT,
+                    created_at INTEGER,
+                    metadata TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_series_kind ON series(kind);
+            `);
+            addColumnIfMissing(db, 'markets', 'series_id', 'TEXT');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_markets_series ON markets(series_id)');
+        }
+    },
+    {
+        version: 10,
+        name: 'series status',
+        up(db) {
+            addColumnIfMissing(db, 'series', 'status', "TEXT NOT NULL DEFAULT 'active'");
+        }
+    },
+    {
+        version: 11,
+        name: 'conditional markets',
+        up(db) {
+            addColumnIfMissing(db, 'markets', 'parent_market', 'TEXT');
+            db.exec('CREATE INDEX IF NOT EXISTS idx_markets_parent ON markets(parent_market)');
+        }
+    },
+    {
+        version: 12,
+        name: 'news events',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS news_events (
+                    id TEXT PRIMARY KEY,
+                    title TEXT NOT NULL,
+                    link TEXT,
+                    source TEXT,
+                    published_at INTEGER,
+                    seen_at INTEGER,
+                    relevance_score REAL,
+                    matched_keywords TEXT,
+                    suggested_category TEXT,
+                    urgency TEXT,
+                    snippet TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_news_published ON news_events(published_at);
+                CREATE INDEX IF NOT EXISTS idx_news_category ON news_events(suggested_category);
+                CREATE INDEX IF NOT EXISTS idx_news_score ON news_events(relevance_score);
+
+                CREATE TABLE IF NOT EXISTS news_markets (
+                    news_id TEXT NOT NULL,
+                    market_address TEXT NOT NULL,
+                    created_at INTEGER,
+                    PRIMARY KEY (news_id, market_address)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_news_markets_market ON news_markets(market_address);
+
+                CREATE TABLE IF NOT EXISTS news_seen (
+                    id TEXT PRIMARY KEY,
+                    source TEXT,
+                    seen_at INTEGER
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_news_seen_at ON news_seen(seen_at);
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'news entities',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS news_entities (
+                    news_id TEXT NOT NULL,
+                    entity_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL,
+                    PRIMARY KEY (news_id, entity_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_news_entities_entity ON news_entities(entity_id);
+            `);
+        }
+    },
+    {
+        version: 14,
+        name: 'approval lint override',
+        up(db) {
+            // Set when a reviewer accepts a proposal despite question lint errors
+            addColumnIfMissing(db, 'pending_approval', 'force', 'INTEGER NOT NULL DEFAULT 0');
+        }
+    }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getSchemaVersion(db) {
+    return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction.
+ * Returns the migrations that were applied.
+ */
+export function migrate(db, options = {}) {
+    const target = options.target ?? LATEST_VERSION;
+    const current = getSchemaVersion(db);
+
+    if (current > LATEST_VERSION) {
+        throw new Error(`Database schema version ${current} is newer than this build supports (${LATEST_VERSION})`);
+    }
+
+    if (target < current) {
+        throw new Error(`Cannot migrate down from version ${current} to ${target}`);
+    }
+
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= current || migration.version > target) continue;
+
+        const run = db.transaction(() => {
+            migration.up(db);
+            db.pragma(`user_version = ${migration.version}`);
+        });
+        run();
+
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+}
+
+export function getMigrationStatus(db) {
+    const current = getSchemaVersion(db);
+
+    return {
+        currentVersion: current,
+        latestVersion: LATEST_VERSION,
+        upToDate: current === LATEST_VERSION,
+        migrations: MIGRATIONS.map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: m.version <= current
+        }))
+    };
+}
@@ -0,0 +1,210 @@
+// Dry-run transaction previews for agent write methods
+// Builds the transaction a write would send (through the SDK, against a connection that
+// captures it instead of sending), simulates it for compute units, and reports the
+// accounts it touches, fees, collateral and expected output.
+
+import { VersionedTransaction } from '@solana/web3.js';
+import { createHeliusClient } from '../helius/client.js';
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Rough compute budgets per PNP instruction, used to price the priority fee when the
+// transaction could not be simulated
+export const COMPUTE_UNIT_ESTIMATES = {
+    createMarket: 400000,
+    createP2PMarket: 400000,
+    buyTokens: 200000,
+    sellTokens: 200000,
+    settleMarket: 100000
+};
+
+/**
+ * Estimate the network fee for a transaction touching the given accounts.
+ * Uses Helius priority fee estimates when an API key is configured, and the
+ * simulated compute units (options.computeUnits) when there are any.
+ */
+export async function estimateFees(config, action, accountKeys, options = {}) {
+    const computeUnits = options.computeUnits || COMPUTE_UNIT_ESTIMATES[action] || 200000;
+    const baseFeeLamports = LAMPORTS_PER_SIGNATURE * (options.signatures || 1);
+
+    const fees = {
+        baseFeeLamports,
+        computeUnits,
+        computeUnitsSource: options.computeUnits ? 'simulation' : 'estimate',
+        priorityFeeMicroLamports: 0,
+        priorityFeeLamports: 0,
+        totalLamports: baseFeeLamports,
+        source: 'base'
+    };
+
+    if (config.backend === 'simulated') {
+        fees.source = 'simulated';
+        return fees;
+    }
+
+    const heliusClient = options.heliusClient ||
+        (config.heliusKey ? createHeliusClient(config.heliusKey, config.network) : null);
+
+    if (!heliusClient) {
+        fees.note = 'HELIUS_API_KEY not set - priority fee not estimated';
+        return fees;
+    }
+
+    try {
+        const estimate = await heliusClient.getPriorityFeeEstimate({
+            accountKeys,
+            priorityLevel: options.priorityLevel || 'Medium'
+        });
+
+        const microLamports = Math.ceil(estimate?.priorityFeeEstimate ?? estimate?.result?.priorityFeeEstimate ?? 0);
+        fees.priorityFeeMicroLamports = microLamports;
+        fees.priorityFeeLamports = Math.ceil((microLamports * computeUnits) / 1_000_000);
+        fees.totalLamports = baseFeeLamports + fees.priorityFeeLamports;
+        fees.source = 'helius';
+    } catch (error) {
+        fees.note = `Priority fee estimate failed: ${error.message}`;
+    }
+
+    return fees;
+}
+
+/**
+ * Run an SDK write with `connection.sendRawTransaction` swapped for a stub that keeps
+ * the signed bytes and throws, so nothing reaches the network. Returns the captured
+ * transaction's accounts and the result of simulating it.
+ *
+ * The SDK builds, signs and sends in one call, so this is the only way to get at the
+ * transaction it would send. Only use it on a connection nothing else is sending on.
+ */
+export async function captureTransaction(connection, send) {
+    const sendRawTransaction = connection.sendRawTransaction;
+    let raw = null;
+
+    connection.sendRawTransaction = async (bytes) => {
+        raw = bytes;
+        throw new Error('Transaction captured for preview, not sent');
+    };
+
+    try {
+        await send();
+    } catch (error) {
+        // The SDK may wrap the stub's error; what matters is whether it got that far
+        if (!raw) throw error;
+    } finally {
+        connection.sendRawTransaction = sendRawTransaction;
+    }
+
+    if (!raw) {
+        throw new Error('The SDK call returned without sending a transaction');
+    }
+
+    const transaction = VersionedTransaction.deserialize(raw);
+    const message = transaction.message;
+    const keys = message.staticAccountKeys;
+
+    return {
+        version: transaction.version,
+        signatures: message.header.numRequiredSignatures,
+        accounts: keys.map((key, index) => ({
+            address: key.toBase58(),
+            signer: message.isAccountSigner(index),
+            writable: message.isAccountWritable(index)
+        })),
+        programs: [...new Set(message.compiledInstructions.map(ix => keys[ix.programIdIndex].toBase58()))],
+        lookupTables: (message.addressTableLookups || []).map(lookup => lookup.accountKey.toBase58()),
+        simulation: await simulate(connection, transaction)
+    };
+}
+
+async function simulate(connection, transaction) {
+    try {
+        const { value } = await connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true
+        });
+        return {
+            computeUnits: value.unitsConsumed ?? null,
+            error: value.err ? JSON.stringify(value.err) : null,
+            logs: value.logs || []
+        };
+    } catch (error) {
+        return { computeUnits: null, error: error.message, logs: [] };
+    }
+}
+
+/**
+ * Assemble a preview result. Mirrors the shape of the real method's result
+ * with `preview: true` so callers can branch on it.
+ *
+ * `transaction` is what captureTransaction returned, or null when nothing could be
+ * built (simulated backend, no wallet, or the SDK failed before sending); then
+ * `accounts` is the agent's own description and `transactionNote` says why.
+ */
+export async function buildTransactionPreview(config, details, options = {}) {
+    const {
+        action,
+        instruction,
+        params,
+        transaction = null,
+        transactionNote = null,
+        collateralRequired = 0n,
+        expectedOutput = null,
+        summary = {}
+    } = details;
+
+    const accounts = transaction ? labelAccounts(transaction.accounts, details.accounts) : details.accounts;
+    const accountKeys = accounts.map(a => a.address).filter(Boolean);
+    const fees = await estimateFees(config, action, accountKeys, {
+        ...options,
+        computeUnits: transaction?.simulation.computeUnits || undefined,
+        signatures: transaction?.signatures
+    });
+
+    return {
+        ...summary,
+        success: true,
+        preview: true,
+        action,
+        network: config.network,
+        backend: config.backend || 'rpc',
+        instruction: {
+            name: instruction,
+            params
+        },
+        built: Boolean(transaction),
+        ...(transaction ? {
+            transaction: {
+                version: transaction.version,
+                programs: transaction.programs,
+                lookupTables: transaction.lookupTables,
+                simulation: transaction.simulation
+            }
+        } : { transactionNote }),
+        accounts,
+        fees,
+        collateralRequired: collateralRequired.toString(),
+        expectedOutput
+    };
+}
+
+// Carry the agent's role labels over to the matching keys of a built transaction
+function labelAccounts(accounts, described = []) {
+    const roles = new Map(described.filter(a => a.address).map(a => [a.address, a.role]));
+    return accounts.map(account => ({ ...account, role: roles.get(account.address) || null }));
+}
+
+// Serialize instruction params for display (BigInt and PublicKey safe)
+export function describeParams(params) {
+    const out = {};
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined) continue;
+        if (typeof value === 'bigint') {
+            out[key] = value.toString();
+        } else if (value?.toBase58) {
+            out[key] = value.toBase58();
+        } else {
+            out[key] = value;
+        }
+    }
+    return out;
+}
@@ -0,0 +1,173 @@
+// Tests for adaptive category and template weighting
+// Run with: node --test test/adaptive-weights.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import {
+    AdaptiveWeighting,
+    scoreMarket,
+    collectArmStats,
+    policyWeights
+} from '../src/generation/adaptive-weights.js';
+import { generateMultipleMarkets, getSelectionWeights, clearSelectionWeights, PRIVACY_CATEGORIES } from '../src/privacy-markets.js';
+
+// Deterministic random source (mulberry32)
+function seeded(seed = 42) {
+    return () => {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+const SCALE = { maxVolume: 1000000, maxTraders: 100 };
+
+describe('scoreMarket', () => {
+    it('should combine volume, traders and resolution', () => {
+        const best = scoreMarket({ volume: '1000000', status: 'settled', metadata: { traders: 100 } }, SCALE);
+        const worst = scoreMarket({ volume: '0', status: 'cancelled', metadata: { traders: 0 } }, SCALE);
+
+        assert.strictEqual(best, 1);
+        assert.strictEqual(worst, 0);
+    });
+
+    it('should leave out missing signals', () => {
+        assert.strictEqual(scoreMarket({ status: 'settled', metadata: {} }, SCALE), 1);
+        assert.strictEqual(scoreMarket({ volume: null, status: 'active', metadata: {} }, SCALE), null);
+    });
+});
+
+describe('policyWeights', () => {
+    const arms = [
+        { arm: 'good', prior: 0.5, samples: 10, rewardSum: 9 },
+        { arm: 'bad', prior: 0.5, samples: 10, rewardSum: 1 }
+    ];
+
+    it('should keep the prior until there are enough samples', () => {
+        const weights = policyWeights(arms, { minSamples: 50 });
+        assert.deepStrictEqual(weights, { good: 0.5, bad: 0.5 });
+    });
+
+    it('should split epsilon-greedy weight between the prior and the leader', () => {
+        const weights = policyWeights(arms, { policy: 'epsilon-greedy', epsilon: 0.2 });
+
+        assert.ok(Math.abs(weights.good - 0.9) < 1e-9);
+        assert.ok(Math.abs(weights.bad - 0.1) < 1e-9);
+    });
+
+    it('should favour the better arm under Thompson sampling but keep exploring', () => {
+        const weights = policyWeights(
+            [...arms, { arm: 'new', prior: 0.5, samples: 0, rewardSum: 0 }],
+            { policy: 'thompson', random: seeded() }
+        );
+
+        assert.ok(weights.good > 0.7, `good got ${weights.good}`);
+        assert.ok(weights.bad < 0.05, `bad got ${weights.bad}`);
+        assert.ok(weights.new > 0.05, `new got ${weights.new}`);
+        assert.ok(Math.abs(weights.good + weights.bad + weights.new - 1) < 1e-9);
+    });
+
+    it('should reject unknown policies', () => {
+        assert.throws(() => policyWeights(arms, { policy: 'greedy' }), /Unknown weighting policy/);
+    });
+});
+
+describe('AdaptiveWeighting', () => {
+    let store;
+    let count;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        count = 0;
+    });
+
+    afterEach(() => {
+        store.close();
+        clearSelectionWeights();
+    });
+
+    function addMarket(categoryKey, templateId, outcome) {
+        count++;
+        store.saveMarket({
+            address: `Market${count}`,
+            question: `Will market ${count} resolve by March 2027?`,
+            categoryKey,
+            creationTime: Date.UTC(2026, 0, 1),
+            durationDays: 30,
+            status: 'active',
+            volume: outcome.volume,
+            metadata: { templateId, traders: outcome.traders }
+        });
+        if (outcome.status) store.transitionMarket(`Market${count}`, outcome.status);
+    }
+
+    it('should group rewards by category and template', () => {
+        addMarket('events', 'events:0', { volume: '5000', traders: 10 });
+        addMarket('events', 'events:1', { volume: '0', traders: 0 });
+        addMarket('regulation', 'regulation:0', {});
+
+        const stats = collectArmStats(store.getAllMarkets());
+
+        assert.strictEqual(stats.categories.events.samples, 2);
+        assert.strictEqual(stats.categories.regulation, undefined);
+        assert.strictEqual(stats.templates['events:0'].rewardSum, 1);
+        assert.strictEqual(stats.templates['events:1'].rewardSum, 0);
+    });
+
+    it('should shift weight to the category that performs', () => {
+        for (let i = 0; i < 8; i++) {
+            addMarket('events', 'events:3', { volume: '900000', traders: 80, status: 'settled' });
+            addMarket('regulation', 'regulation:1', { volume: '10', traders: 1, status: 'cancelled' });
+        }
+
+        const weighting = new AdaptiveWeighting({ store, policy: 'epsilon-greedy', epsilon: 0.1, clock: () => 1000 });
+        const snapshot = weighting.update();
+
+        assert.ok(snapshot.categories.events > 0.9);
+        assert.ok(Math.abs(snapshot.categories.regulation - 0.1 * PRIVACY_CATEGORIES.regulation.weight) < 1e-9);
+        assert.strictEqual(getSelectionWeights().categories.events, snapshot.categories.events);
+
+        // Templates in a category with too little data keep equal weights
+        const technology = snapshot.arms.filter(a => a.kind === 'template' && a.arm.startsWith('technology:'));
+        assert.ok(technology.every(a => Math.abs(a.weight - 1 / technology.length) < 1e-9));
+
+        const ideas = generateMultipleMarkets(20, { lint: false });
+        assert.ok(ideas.filter(i => i.categoryKey === 'events').length >= 10);
+    });
+
+    it('should record weight history', () => {
+        const weighting = new AdaptiveWeighting({ store, policy: 'static', clock: () => 1000 });
+        weighting.update();
+        weighting.clock = () => 2000;
+        weighting.update();
+
+        const latest = store.getLatestWeights('category');
+        assert.strictEqual(latest.length, 4);
+        assert.ok(latest.every(row => row.computedAt === 2000 && row.policy === 'static'));
+        assert.strictEqual(latest.find(r => r.arm === 'technology').weight, 0.3);
+
+        const history = store.getWeightHistory({ kind: 'category', arm: 'events' });
+        assert.deepStrictEqual(history.map(r => r.computedAt), [2000, 1000]);
+    });
+
+    it('should refresh volume and traders from market metadata', async () => {
+        addMarket('events', 'events:0', {});
+        addMarket('events', 'events:1', { status: 'cancelled' });
+
+        const agent = {
+            async getMarketMetadata(address) {
+                return { success: true, market: address, metadata: { volume: '1234', traders: 7 } };
+            }
+        };
+
+        const refreshed = await new AdaptiveWeighting({ store }).refreshMetrics(agent);
+
+        assert.strictEqual(refreshed, 1);
+        assert.strictEqual(store.getMarket('Market1').volume, '1234');
+        assert.strictEqual(store.getMarket('Market1').metadata.traders, 7);
+        assert.strictEqual(store.getMarket('Market1').metadata.templateId, 'events:0');
+    });
+});
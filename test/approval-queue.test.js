@@ -0,0 +1,199 @@
+// Tests for the approval queue for daemon-generated markets
+// Run with: node --test test/approval-queue.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { ApprovalQueue, parseDuration } from '../src/daemon/approval-queue.js';
+import { createSimulatedAgent, onChainAccount, SIMULATED_NOW } from './helpers/simulated-agent.js';
+
+const NOW = SIMULATED_NOW;
+const HOUR = 60 * 60 * 1000;
+
+const IDEA = {
+    question: 'Will a major exchange delist privacy coins by 2027?',
+    category: 'Privacy Regulation',
+    categoryKey: 'regulation',
+    durationDays: 90,
+    suggestedLiquidity: 1000000n
+};
+
+describe('parseDuration', () => {
+    it('should parse interval strings and milliseconds', () => {
+        assert.strictEqual(parseDuration('48h'), 48 * HOUR);
+        assert.strictEqual(parseDuration('30m'), 30 * 60 * 1000);
+        assert.strictEqual(parseDuration('7d'), 7 * 24 * HOUR);
+        assert.strictEqual(parseDuration(5000), 5000);
+        assert.strictEqual(parseDuration('5000'), 5000);
+    });
+
+    it('should reject invalid durations', () => {
+        assert.throws(() => parseDuration('soon'), /Invalid duration/);
+    });
+});
+
+describe('ApprovalQueue', () => {
+    let store;
+    let now;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        now = NOW;
+        ({ agent, client } = createSimulatedAgent());
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function queue(options = {}) {
+        return new ApprovalQueue({ store, agent, ttl: '48h', clock: () => now, ...options });
+    }
+
+    it('should queue ideas as pending with an expiry', () => {
+        const proposal = queue().propose(IDEA);
+
+        assert.strictEqual(proposal.status, 'pending');
+        assert.strictEqual(proposal.question, IDEA.question);
+        assert.strictEqual(proposal.liquidity, '1000000');
+        assert.strictEqual(proposal.source, 'daemon');
+        assert.strictEqual(proposal.expiresAt, NOW + 48 * HOUR);
+        assert.strictEqual(store.getAllMarkets().length, 0);
+    });
+
+    it('should create the market only on approval', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        const result = await q.approve(proposal.id, 'alice');
+
+        assert.strictEqual(result.status, 'created');
+        assert.strictEqual(result.reviewedBy, 'alice');
+
+        const account = await onChainAccount(client, result.marketAddress);
+        assert.strictEqual(account.question, IDEA.question);
+        assert.strictEqual(account.initial_liquidity, '1000000');
+
+        const market = store.getMarket(result.marketAddress);
+        assert.strictEqual(market.status, 'active');
+        assert.strictEqual(market.metadata.approvalId, proposal.id);
+        assert.match(store.getMarketHistory(result.marketAddress)[0].reason, /approved by alice/);
+    });
+
+    it('should apply edits before creating', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        const edited = q.edit(proposal.id, { question: 'Will Tornado Cash be delisted by March 2027?', durationDays: '30' }, 'bob');
+        assert.strictEqual(edited.question, 'Will Tornado Cash be delisted by March 2027?');
+        assert.strictEqual(edited.durationDays, 30);
+
+        const result = await q.approve(proposal.id, 'bob');
+        const account = await onChainAccount(client, result.marketAddress);
+        assert.strictEqual(account.question, 'Will Tornado Cash be delisted by March 2027?');
+        assert.strictEqual(Number(account.end_time) - Number(account.creation_time), 30 * 24 * 60 * 60);
+    });
+
+    it('should reject invalid edits', () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        assert.throws(() => q.edit(proposal.id, { question: '  ' }), /cannot be empty/);
+        assert.throws(() => q.edit(proposal.id, { durationDays: 0 }), /positive/);
+        assert.throws(() => q.edit(proposal.id, {}), /Nothing to edit/);
+        assert.throws(() => q.edit(proposal.id, { question: 'Will {company} be fined by March 2027?' }), /failed lint/);
+    });
+
+    it('should keep a forced edit for the approval', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        const edited = q.edit(proposal.id, { question: 'Will {company} be fined by March 2027?', force: true }, 'bob');
+        assert.strictEqual(edited.force, true);
+
+        const result = await q.approve(proposal.id, 'bob');
+        assert.strictEqual(result.status, 'created');
+        assert.strictEqual((await onChainAccount(client, result.marketAddress)).question, 'Will {company} be fined by March 2027?');
+    });
+
+    it('should create over lint errors only when approved with force', async () => {
+        const q = queue();
+        const proposal = q.propose({ ...IDEA, question: 'Will {company} be fined by March 2027?' });
+
+        const failed = await q.approve(proposal.id, 'alice');
+        assert.strictEqual(failed.status, 'failed');
+        assert.match(failed.error, /lint/);
+
+        const created = await q.approve(proposal.id, 'alice', { force: true });
+        assert.strictEqual(created.status, 'created');
+    });
+
+    it('should not create rejected proposals', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        const rejected = q.reject(proposal.id, 'carol', 'Too vague');
+        assert.strictEqual(rejected.status, 'rejected');
+        assert.strictEqual(rejected.reviewNote, 'Too vague');
+
+        await assert.rejects(() => q.approve(proposal.id), /is rejected/);
+        assert.strictEqual((await client.fetchMarkets()).count, 0);
+    });
+
+    it('should expire stale proposals', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+
+        now = NOW + 49 * HOUR;
+
+        assert.strictEqual(q.list().length, 0);
+        assert.strictEqual(q.get(proposal.id).status, 'expired');
+        await assert.rejects(() => q.approve(proposal.id), /is expired/);
+    });
+
+    it('should record failures and allow a retry', async () => {
+        const q = queue({ agent: createSimulatedAgent({ initialBalance: 500000n }).agent });
+        const proposal = q.propose(IDEA);
+
+        const failed = await q.approve(proposal.id);
+        assert.strictEqual(failed.status, 'failed');
+        assert.match(failed.error, /Insufficient collateral/);
+
+        q.agent = agent;
+        const created = await q.approve(proposal.id);
+        assert.strictEqual(created.status, 'created');
+    });
+
+    it('should keep a created market created when recording it fails', async () => {
+        const q = queue();
+        const proposal = q.propose(IDEA);
+        store.saveMarket = () => {
+            throw new Error('database is locked');
+        };
+
+        const created = await q.approve(proposal.id);
+
+        assert.strictEqual(created.status, 'created');
+        assert.ok(created.marketAddress);
+        assert.match(created.error, /was created but not recorded: database is locked/);
+        assert.strictEqual((await client.fetchMarkets()).count, 1);
+        await assert.rejects(() => q.approve(proposal.id), /is created, not pending/);
+    });
+
+    it('should list by status', () => {
+        const q = queue();
+        const first = q.propose(IDEA);
+        q.propose({ ...IDEA, question: 'Will GDPR fines exceed 5B EUR in 2026?' });
+        q.reject(first.id);
+
+        assert.strictEqual(q.list().length, 1);
+        assert.strictEqual(q.list('rejected').length, 1);
+        assert.strictEqual(q.list('all').length, 2);
+    });
+
+    it('should throw for unknown ids', () => {
+        assert.throws(() => queue().reject(42), /No proposal with id 42/);
+    });
+});
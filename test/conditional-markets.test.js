@@ -0,0 +1,173 @@
+// Tests for conditional (if-then) markets
+// Run with: node --test test/conditional-markets.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import {
+    ConditionalMarkets,
+    createConditionalMarket,
+    marketDependency,
+    parentCondition
+} from '../src/daemon/conditional-markets.js';
+import { SettlementPipeline } from '../src/daemon/settlement-pipeline.js';
+import { RedemptionSweeper } from '../src/daemon/redemption-sweeper.js';
+import { createSimulatedAgent, onChainAccount } from './helpers/simulated-agent.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19);
+
+const PARENT_QUESTION = 'Will the US pass a federal privacy law by June 2027?';
+const QUESTION = 'If the US passes a federal privacy law by June 2027, will Tornado Cash sanctions be lifted by December 2027?';
+
+describe('conditional markets', () => {
+    let store;
+    let agent;
+    let client;
+    let parent;
+
+    beforeEach(async () => {
+        store = new MarketStore(':memory:');
+        ({ agent, client } = createSimulatedAgent({ store, clock: () => NOW }));
+
+        ({ market: parent } = await agent.createMarketWithCustomOracle({
+            question: PARENT_QUESTION,
+            durationDays: 200,
+            liquidity: 1000000n,
+            settlerAddress: agent.getWalletAddress()
+        }));
+        store.saveMarket({ address: parent, question: PARENT_QUESTION, creationTime: NOW, endTime: NOW + 200 * DAY });
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function create(overrides = {}) {
+        return createConditionalMarket({
+            agent,
+            store,
+            parentMarket: parent,
+            question: QUESTION,
+            durationDays: 440,
+            liquidity: 1000000n,
+            clock: () => client.now(),
+            ...overrides
+        });
+    }
+
+    it('should link the conditional to its parent', async () => {
+        const { market, parentMarket } = await create();
+
+        assert.strictEqual(parentMarket, parent);
+
+        const record = store.getMarket(market);
+        assert.strictEqual(record.parentMarket, parent);
+        assert.strictEqual(record.metadata.settler, agent.getWalletAddress());
+        assert.strictEqual(record.metadata.conditional.parentQuestion, PARENT_QUESTION);
+        assert.deepStrictEqual(store.getChildMarkets(parent).map(m => m.address), [market]);
+    });
+
+    it('should reject conditionals that cannot work', async () => {
+        await assert.rejects(() => create({ parentMarket: 'Missing' }), /not in the market database/);
+        await assert.rejects(() => create({ durationDays: 30 }), /no earlier than its parent/);
+
+        const { market } = await create();
+        await assert.rejects(() => create({ parentMarket: market }), /can't be nested/);
+
+        store.updateMarket(parent, { status: 'settled', outcome: 'no' });
+        await assert.rejects(() => create(), /already resolved NO/);
+    });
+
+    it('should describe the dependency from both sides', async () => {
+        const { market } = await create();
+
+        const child = marketDependency(store, market);
+        assert.deepStrictEqual(child.parent, { address: parent, question: PARENT_QUESTION, condition: 'pending' });
+        assert.match(child.hold, new RegExp(`Waiting on parent market ${parent}`));
+
+        const top = marketDependency(store, parent);
+        assert.strictEqual(top.parent, null);
+        assert.deepStrictEqual(top.children.map(c => c.address), [market]);
+    });
+
+    it('should read the parent outcome from its status', () => {
+        assert.strictEqual(parentCondition(null), 'missing');
+        assert.strictEqual(parentCondition({ status: 'active' }), 'pending');
+        assert.strictEqual(parentCondition({ status: 'settled', outcome: 'YES' }), 'yes');
+        assert.strictEqual(parentCondition({ status: 'redeemed', outcome: 'no' }), 'no');
+        assert.strictEqual(parentCondition({ status: 'cancelled' }), 'cancelled');
+    });
+
+    it('should void the conditional and refund it when the parent resolves NO', async () => {
+        const { market } = await create();
+        await agent.buyTokens({ marketAddress: market, side: 'no', amountUsdc: 0.5 });
+        const conditionals = new ConditionalMarkets({ store, agent, clock: () => client.now() });
+
+        assert.strictEqual((await conditionals.run()).voided, 0);
+
+        store.updateMarket(parent, { status: 'settled', outcome: 'no' });
+        const summary = await conditionals.run();
+
+        assert.strictEqual(summary.voided, 1);
+        const account = await onChainAccount(client, market);
+        assert.strictEqual(account.resolvable, false);
+        assert.strictEqual(account.resolved, false);
+        assert.strictEqual(store.getMarket(market).status, 'cancelled');
+        assert.match(store.getMarketHistory(market).at(-1).reason, /^voided: parent .* resolved NO/);
+        assert.strictEqual(store.getSettlementDecisions({ market })[0].decision, 'voided');
+        assert.strictEqual(store.getSettlementDecisions({ market })[0].source, 'conditional');
+        assert.strictEqual((await conditionals.run()).checked, 0);
+
+        // Neither side wins; once the market ends the sweeper refunds it
+        const sweeper = new RedemptionSweeper({ agent, store, clock: () => client.now() });
+        assert.ok(!(await sweeper.sweep()).results.some(r => r.market === market));
+
+        client.advanceTime(441 * DAY);
+        const sweep = await sweeper.sweep();
+        const refund = sweep.results.find(r => r.market === market);
+        assert.strictEqual(refund.status, 'refunded');
+        assert.strictEqual(refund.method, 'claimRefund');
+        assert.strictEqual(store.getMarket(market).status, 'cancelled');
+        assert.strictEqual(store.getMarketHistory(market).at(-1).to, 'cancelled');
+    });
+
+    it('should report conditionals another oracle settles instead of voiding them', async () => {
+        store.saveMarket({
+            address: 'ForeignConditional',
+            question: QUESTION,
+            creationTime: NOW,
+            parentMarket: parent,
+            metadata: { settler: 'SomeoneElse' }
+        });
+        store.updateMarket(parent, { status: 'cancelled' });
+
+        const summary = await new ConditionalMarkets({ store, agent }).run();
+
+        assert.strictEqual(summary.voided, 0);
+        assert.strictEqual(summary.refused, 1);
+        assert.strictEqual(summary.failed, 0);
+        assert.match(summary.results[0].error, /settled by SomeoneElse/);
+        assert.strictEqual(store.getMarket('ForeignConditional').status, 'active');
+    });
+
+    it('should hold settlement until the parent resolves YES', async () => {
+        const { market } = await create();
+        client.setOracleAnswer(market, 'yes', 'Sanctions lifted');
+        client.advanceTime(441 * DAY);
+
+        const pipeline = new SettlementPipeline({ agent, store, clock: () => client.now() });
+
+        const held = await pipeline.run();
+        assert.strictEqual(held.held, 1);
+        assert.strictEqual((await onChainAccount(client, market)).resolved, false);
+        assert.match(store.getSettlementDecisions({ market })[0].reasoning, /Waiting on parent/);
+
+        store.updateMarket(parent, { status: 'settled', outcome: 'yes' });
+        const settled = await pipeline.run();
+
+        assert.strictEqual(settled.settled, 1);
+        assert.strictEqual((await onChainAccount(client, market)).winning_token_id, 'yes');
+        assert.strictEqual((await new ConditionalMarkets({ store, agent }).run()).voided, 0);
+    });
+});
@@ -0,0 +1,122 @@
+// Tests for question deduplication
+// Run with: node --test test/dedup.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { generateMultipleMarkets } from '../src/privacy-markets.js';
+import {
+    DuplicateGuard,
+    createDuplicateGuard,
+    questionSimilarity,
+    normalizeQuestion,
+    matchTemplate
+} from '../src/generation/dedup.js';
+
+describe('normalizeQuestion', () => {
+    it('should ignore case, punctuation and currency symbols', () => {
+        assert.strictEqual(
+            normalizeQuestion('Will GDPR fines exceed $1.5B in 2026?'),
+            'will gdpr fines exceed 1.5b in 2026'
+        );
+    });
+});
+
+describe('matchTemplate', () => {
+    it('should recover the template and slot values of a generated question', () => {
+        const match = matchTemplate('Will Meta face privacy-related regulatory action by March 2027?');
+
+        assert.strictEqual(match.templateId, 'regulation:3');
+        assert.strictEqual(match.slots.company, 'meta');
+        assert.strictEqual(match.slots.date, 'march 2027');
+    });
+
+    it('should return null for free-form questions', () => {
+        assert.strictEqual(matchTemplate('Will it rain in Lisbon tomorrow?'), null);
+    });
+});
+
+describe('questionSimilarity', () => {
+    it('should score identical questions as 1', () => {
+        assert.strictEqual(questionSimilarity('Will X happen?', 'will x happen'), 1);
+    });
+
+    it('should treat the same template with a different deadline as a duplicate', () => {
+        const score = questionSimilarity(
+            'Will Aztec Network launch on mainnet by March 2027?',
+            'Will Aztec Network launch on mainnet by June 2027?'
+        );
+        assert.ok(score >= 0.8, `score ${score}`);
+    });
+
+    it('should score the same template with different subjects below the default threshold', () => {
+        const score = questionSimilarity(
+            'Will Meta face privacy-related regulatory action by March 2027?',
+            'Will Apple face privacy-related regulatory action by March 2027?'
+        );
+        assert.ok(score < 0.8, `score ${score}`);
+        assert.ok(score >= 0.5, `score ${score}`);
+    });
+
+    it('should score unrelated questions low', () => {
+        const score = questionSimilarity(
+            'Will Signal exceed 100M monthly active users by March 2027?',
+            'Will any privacy protocol suffer a major exploit by March 2027?'
+        );
+        assert.ok(score < 0.3, `score ${score}`);
+    });
+});
+
+describe('DuplicateGuard', () => {
+    it('should report the closest match and whether it is a duplicate', () => {
+        const guard = new DuplicateGuard({
+            questions: [
+                'Will Tornado Cash sanctions be lifted by March 2027?',
+                'Will Brave browser exceed 100M monthly active users by June 2027?'
+            ]
+        });
+
+        const result = guard.check('Will Tornado Cash sanctions be lifted by December 2027?');
+        assert.strictEqual(result.duplicate, true);
+        assert.strictEqual(result.match, 'Will Tornado Cash sanctions be lifted by March 2027?');
+
+        assert.strictEqual(guard.check('Will Zcash implement a major protocol upgrade by May 2027?').duplicate, false);
+    });
+
+    it('should respect a custom threshold', () => {
+        const guard = new DuplicateGuard({ threshold: 0.5, questions: ['Will Meta face privacy-related regulatory action by March 2027?'] });
+        assert.strictEqual(guard.isDuplicate('Will Apple face privacy-related regulatory action by March 2027?'), true);
+    });
+
+    it('should make batch generation skip questions similar to known ones', () => {
+        const guard = new DuplicateGuard();
+        const ideas = generateMultipleMarkets(10, { guard });
+
+        for (let i = 0; i < ideas.length; i++) {
+            assert.ok(typeof ideas[i].similarity.score === 'number');
+            for (let j = i + 1; j < ideas.length; j++) {
+                assert.ok(questionSimilarity(ideas[i].question, ideas[j].question) < guard.threshold);
+            }
+        }
+        assert.strictEqual(guard.size, ideas.length);
+    });
+
+    it('should seed from the market store, pending approvals and discovered markets', async () => {
+        const store = new MarketStore(':memory:');
+        store.saveMarket({ address: 'M1', question: 'Will Aztec Network launch on mainnet by March 2027?' });
+        store.addPendingApproval({ question: 'Will Zcash implement a major protocol upgrade by May 2027?' });
+
+        const agent = {
+            async discoverMarkets() {
+                return { success: true, markets: [{ publicKey: 'P1', account: { question: 'Will Light Protocol TVL exceed 50M by April 2027?' } }] };
+            }
+        };
+
+        const guard = await createDuplicateGuard({ store, agent, includeDiscovered: true });
+        store.close();
+
+        assert.strictEqual(guard.size, 3);
+        assert.strictEqual(guard.check('Will Zcash implement a major protocol upgrade by June 2027?').source, 'approval-queue');
+        assert.strictEqual(guard.check('Will Light Protocol TVL exceed 50M by May 2027?').source, 'pnp');
+    });
+});
@@ -0,0 +1,56 @@
+// Tests for dictionary-backed entity recognition
+// Run with: node --test test/entities.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EntityRecognizer, recognizeEntities, findEntity, entityLabel } from '../src/monitoring/entities.js';
+
+const names = text => recognizeEntities(text).map(e => e.name);
+
+describe('recognizeEntities', () => {
+    it('should find entities of every type in order of mention', () => {
+        const entities = recognizeEntities('OFAC delists Tornado Cash as ETH mixers return to the US and Coinbase');
+
+        assert.deepStrictEqual(entities.map(e => [e.name, e.type]), [
+            ['OFAC', 'regulator'],
+            ['Tornado Cash', 'protocol'],
+            ['Ethereum', 'token'],
+            ['United States', 'country'],
+            ['Coinbase', 'company']
+        ]);
+    });
+
+    it('should match aliases to one entity', () => {
+        assert.deepStrictEqual(names('Office of Foreign Assets Control and OFAC staff'), ['OFAC']);
+        assert.deepStrictEqual(names('Securities and Exchange Commission sues exchange'), ['SEC']);
+        assert.deepStrictEqual(names("UK's Information Commissioner's Office fines TikTok"), ['United Kingdom', 'UK ICO', 'TikTok']);
+    });
+
+    it('should prefer the longest alias and not match inside words', () => {
+        assert.deepStrictEqual(names('North Korea hackers target US Treasury'), ['North Korea', 'US Treasury']);
+        assert.deepStrictEqual(names('Museum seconds the Secretariat'), []);
+    });
+
+    it('should match acronyms and common-word names only as written', () => {
+        assert.deepStrictEqual(names('us regulators signal concern over meta data'), []);
+        assert.deepStrictEqual(names('Signal and Meta push back on EU scanning'), ['Signal', 'Meta', 'European Union']);
+    });
+});
+
+describe('EntityRecognizer', () => {
+    it('should accept a custom dictionary', () => {
+        const recognizer = new EntityRecognizer({
+            regulator: [{ name: 'BaFin', aliases: ['Federal Financial Supervisory Authority'] }]
+        });
+
+        assert.deepStrictEqual(recognizer.recognize('bafin warns on mixers'), [{ id: 'bafin', name: 'BaFin', type: 'regulator' }]);
+        assert.strictEqual(recognizer.get('ofac'), null);
+    });
+
+    it('should look up dictionary entries and question labels by id', () => {
+        assert.strictEqual(findEntity('ofac').sanctions, true);
+        assert.strictEqual(entityLabel(findEntity('sec')), 'the SEC');
+        assert.strictEqual(entityLabel({ id: 'x', name: 'Somewhere' }), 'Somewhere');
+        assert.strictEqual(findEntity('unknown'), null);
+    });
+});
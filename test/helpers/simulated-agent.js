@@ -0,0 +1,36 @@
+// Shared test backend: a PrivacyOracleAgent trading on an isolated simulated exchange
+// Tests drive the exchange through the returned client (advanceTime, setOracleAnswer,
+// simulateExternalTrade) and read on-chain state back with fetchMarket.
+
+import { PrivacyOracleAgent } from '../../src/agent.js';
+import { SimulatedPNPClient } from '../../src/simulator/pnp-simulator.js';
+import { getConfig } from '../../src/config.js';
+
+export const SIMULATED_NOW = Date.UTC(2026, 0, 1);
+
+/**
+ * Agent and simulator sharing one clock, so end times and question lint don't
+ * depend on the day the tests run. Options: seed, clock, initialBalance, store, portfolio.
+ */
+export function createSimulatedAgent(options = {}) {
+    const client = new SimulatedPNPClient({
+        seed: options.seed || 'test',
+        clock: options.clock || (() => SIMULATED_NOW),
+        initialBalance: options.initialBalance
+    });
+
+    const agent = new PrivacyOracleAgent({
+        config: { ...getConfig(), backend: 'simulated' },
+        client,
+        clock: () => client.now(),
+        store: options.store || null,
+        portfolio: options.portfolio || null
+    });
+
+    return { agent, client };
+}
+
+// The on-chain account for a market, as the SDK reports it
+export async function onChainAccount(client, address) {
+    return (await client.fetchMarket(address)).account;
+}
@@ -0,0 +1,177 @@
+// Tests for externalized, hot-reloadable keyword configuration
+// Run with: node --test test/keyword-config.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { scoreRelevance, DEFAULT_KEYWORD_SET } from '../src/monitoring/news-scorer.js';
+import { KeywordConfigWatcher, parseKeywordSet, validateKeywordSet } from '../src/monitoring/keyword-config.js';
+import { NewsMonitor } from '../src/monitoring/news-monitor.js';
+
+describe('keyword matching', () => {
+    const set = parseKeywordSet(JSON.stringify({
+        privacy: {
+            zcash: { weight: 3, synonyms: ['zec'] },
+            tee: { weight: 2, phrase: true },
+            mixer: { weight: 2, regex: '\\bmix(er|ing)s?\\b' }
+        },
+        negative: { 'private equity': 2 },
+        categories: { regulation: ['ban', { keyword: 'act', phrase: true }], events: [{ regex: 'hack(ed|s)?' }] },
+        urgency: { breaking: [{ regex: '^breaking:' }] }
+    }));
+
+    it('should count synonyms under their keyword', () => {
+        assert.deepStrictEqual(scoreRelevance('ZEC rallies', [], 1, set).matchedKeywords, ['zcash']);
+    });
+
+    it('should match phrases on word boundaries and regexes case-insensitively', () => {
+        assert.deepStrictEqual(scoreRelevance('Guarantee of TEE attestation', [], 1, set).matchedKeywords, ['tee']);
+        assert.deepStrictEqual(scoreRelevance('A guarantee', [], 1, set).matchedKeywords, []);
+        assert.deepStrictEqual(scoreRelevance('Mixing services', [], 1, set).matchedKeywords, ['mixer']);
+    });
+
+    it('should subtract negative keywords and not go below zero', () => {
+        const result = scoreRelevance('Private equity buys a Zcash mixer', [], 1, set);
+        assert.strictEqual(result.score, 30);
+        assert.deepStrictEqual(result.negativeKeywords, ['private equity']);
+        assert.strictEqual(scoreRelevance('Private equity fund closes', [], 1, set).score, 0);
+    });
+
+    it('should use configured category and urgency matchers', () => {
+        const result = scoreRelevance('Breaking: exchange hacked', [], 1, set);
+        assert.strictEqual(result.suggestedCategory, 'events');
+        assert.strictEqual(result.urgency, 'breaking');
+        assert.strictEqual(scoreRelevance('The react team ships', [], 1, set).suggestedCategory, 'technology');
+    });
+});
+
+describe('validateKeywordSet', () => {
+    it('should accept the built-in set', () => {
+        assert.deepStrictEqual(validateKeywordSet(DEFAULT_KEYWORD_SET), []);
+    });
+
+    it('should list every problem', () => {
+        assert.deepStrictEqual(validateKeywordSet({
+            privacy: { zk: 'high', tee: { weight: 2, synonym: ['enclave'] } },
+            negative: { spam: { regex: 'spam' } },
+            urgency: { breaking: [{ phrase: true }], soon: [] },
+            sources: { EFF: 'privacy' },
+            keyword: {}
+        }), [
+            'Unknown section "keyword" (expected privacy, negative, categories, urgency, sources)',
+            'privacy.zk must be a number or an object',
+            'privacy.tee has unknown option "synonym"',
+            'negative.spam.weight must be a number',
+            'urgency.breaking[0] needs a keyword or regex',
+            'urgency.soon is not one of breaking, timely',
+            'sources.EFF must be an array of strings'
+        ]);
+    });
+
+    it('should reject regexes that do not compile', () => {
+        const [error] = validateKeywordSet({ privacy: { mixer: { weight: 2, regex: '(' } } });
+        assert.match(error, /^privacy\.mixer\.regex is invalid: /);
+    });
+
+    it('should report malformed JSON', () => {
+        assert.throws(() => parseKeywordSet('{"privacy": ', 'keywords.json'), /Invalid keyword set keywords\.json:/);
+    });
+});
+
+describe('KeywordConfigWatcher', () => {
+    let dir;
+    let file;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'keywords-'));
+        file = path.join(dir, 'keywords.json');
+        await writeFile(file, JSON.stringify({ privacy: { privacy: 2 } }));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    // fs.watch stand-in that records the listener
+    function fakeWatch() {
+        const fake = (target, listener) => {
+            fake.target = target;
+            fake.listener = listener;
+            return { close: () => { fake.closed = true; } };
+        };
+        return fake;
+    }
+
+    it('should apply valid edits and keep the previous set on invalid ones', async () => {
+        const changes = [];
+        const errors = [];
+        const watcher = new KeywordConfigWatcher({ file, watch: fakeWatch(), onChange: set => changes.push(set), onError: e => errors.push(e.message) });
+
+        const initial = await watcher.start();
+        assert.deepStrictEqual(initial.privacy, { privacy: 2 });
+        assert.strictEqual(initial.categories, DEFAULT_KEYWORD_SET.categories);
+
+        await writeFile(file, '{"privacy": {"privacy": "lots"}}');
+        assert.strictEqual(await watcher.reload(), null);
+        assert.match(errors[0], /privacy\.privacy must be a number or an object/);
+        assert.strictEqual(watcher.keywordSet, initial);
+        assert.ok(watcher.lastError);
+
+        await writeFile(file, '{"privacy": {"privacy": 4}}');
+        await watcher.reload();
+        assert.deepStrictEqual(changes.map(set => set.privacy), [{ privacy: 4 }]);
+        assert.strictEqual(watcher.lastError, null);
+
+        // Unchanged content is not applied again
+        assert.strictEqual(await watcher.reload(), null);
+        assert.strictEqual(changes.length, 1);
+
+        watcher.stop();
+    });
+
+    it('should reload after changes to the watched file settle', async () => {
+        const watch = fakeWatch();
+        const changes = [];
+        const watcher = new KeywordConfigWatcher({ file, watch, debounce: 5, onChange: set => changes.push(set) });
+        await watcher.start();
+        assert.strictEqual(watch.target, dir);
+
+        await writeFile(file, '{"negative": {"airdrop": 1}}');
+        watch.listener('change', 'other.json');
+        watch.listener('change', 'keywords.json');
+        watch.listener('rename', 'keywords.json');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.strictEqual(changes.length, 1);
+        assert.deepStrictEqual(changes[0].negative, { airdrop: 1 });
+
+        watcher.stop();
+        assert.ok(watch.closed);
+    });
+
+    it('should refuse an invalid file at start', async () => {
+        await writeFile(file, '{"urgency": {"later": []}}');
+
+        await assert.rejects(new KeywordConfigWatcher({ file, watch: fakeWatch() }).start(), /urgency\.later is not one of breaking, timely/);
+    });
+});
+
+describe('NewsMonitor keywords', () => {
+    const SOURCE = { name: 'EFF', url: 'https://eff.org/rss', keywords: ['privacy'], weight: 1 };
+
+    it('should score new items with the keyword set in use', () => {
+        const monitor = new NewsMonitor({ sources: [SOURCE] });
+        const item = { id: 'a', title: 'Airdrop farming guide', content: '' };
+        const [source] = monitor.sources;
+
+        assert.strictEqual(monitor.processItem(item, source).relevanceScore, 0);
+
+        monitor.setKeywords(parseKeywordSet(JSON.stringify({ privacy: { airdrop: 4 }, sources: { EFF: ['farming'] } })));
+        const event = monitor.processItem(item, source);
+        assert.strictEqual(event.relevanceScore, 45);
+        assert.deepStrictEqual(event.matchedKeywords, ['airdrop', 'farming']);
+        assert.strictEqual(monitor.getStatus().keywordsCount, 1);
+    });
+});
@@ -0,0 +1,165 @@
+// Tests for ladder markets and their implied distribution
+// Run with: node --test test/ladder.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import {
+    buildLadder,
+    createLadderMarkets,
+    getLadderTemplates,
+    impliedDistribution,
+    loadLadderView
+} from '../src/generation/ladder.js';
+import { createSimulatedAgent } from './helpers/simulated-agent.js';
+
+const NOW = Date.UTC(2026, 9, 19);
+
+// technology:11 is 'Will RAILGUN protocol TVL exceed {amount:$10-500M} by {date}?'
+const TVL = 'technology:11';
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+describe('buildLadder', () => {
+    it('should only offer templates with an amount slot', () => {
+        const templates = getLadderTemplates();
+        assert.ok(templates.length > 0);
+        assert.ok(templates.every(t => t.slots.some(s => s.type === 'amount')));
+    });
+
+    it('should spread thresholds over the slot range', () => {
+        const ladder = buildLadder(TVL, { steps: 3, now: NOW });
+
+        assert.deepStrictEqual(ladder.members.map(m => m.threshold), ['$10M', '$100M', '$500M']);
+        assert.strictEqual(ladder.title, 'Will RAILGUN protocol TVL exceed {amount} by {date}?');
+        assert.match(ladder.seriesId, /^ladder-[0-9a-f]{8}$/);
+        assert.strictEqual(ladder.categoryKey, 'technology');
+    });
+
+    it('should build one rung per threshold and date', () => {
+        const ladder = buildLadder(TVL, { thresholds: ['50', '25'], durations: [30, 120], now: NOW });
+
+        assert.deepStrictEqual(ladder.members.map(m => m.question), [
+            'Will RAILGUN protocol TVL exceed $25M by November 2026?',
+            'Will RAILGUN protocol TVL exceed $50M by November 2026?',
+            'Will RAILGUN protocol TVL exceed $25M by February 2027?',
+            'Will RAILGUN protocol TVL exceed $50M by February 2027?'
+        ]);
+    });
+
+    it('should share the other slots across rungs and allow pinning them', () => {
+        // events:6 is 'Will {protocol} suffer an exploit of over {amount:$1-50M} by {date}?'
+        const ladder = buildLadder('events:6', { values: { protocol: 'Aztec' }, now: NOW });
+
+        assert.ok(ladder.members.every(m => m.slots.protocol === 'Aztec'));
+        assert.match(ladder.title, /^Will Aztec suffer an exploit of over \{amount\}/);
+    });
+
+    it('should reject templates without an amount slot', () => {
+        assert.throws(() => buildLadder('regulation:2'), /no \{amount\} slot/);
+        assert.throws(() => buildLadder('nope:0'), /Unknown template/);
+        assert.throws(() => buildLadder(TVL, { thresholds: ['-5'] }), /positive/);
+    });
+
+    it('should flag thresholds outside the template range', () => {
+        const ladder = buildLadder(TVL, { thresholds: [5, 50], now: NOW });
+        assert.deepStrictEqual(ladder.outOfRange, ['$5M']);
+    });
+});
+
+describe('impliedDistribution', () => {
+    const deadline = Date.UTC(2026, 11, 31);
+
+    it('should turn threshold prices into buckets', () => {
+        const { byDeadline, byThreshold } = impliedDistribution([
+            { threshold: '$10M', thresholdValue: 10, deadline, yesPrice: 0.8 },
+            { threshold: '$50M', thresholdValue: 50, deadline, yesPrice: 0.3 },
+            { threshold: '$100M', thresholdValue: 100, deadline, yesPrice: 0.1 }
+        ]);
+
+        assert.strictEqual(byThreshold.length, 0);
+        assert.deepStrictEqual(byDeadline[0].buckets.map(b => b.label), ['< $10M', '$10M – $50M', '$50M – $100M', '≥ $100M']);
+        [0.2, 0.5, 0.2, 0.1].forEach((p, i) => close(byDeadline[0].buckets[i].probability, p));
+        assert.strictEqual(byDeadline[0].adjusted, false);
+    });
+
+    it('should clip prices that rise with the threshold', () => {
+        const { byDeadline } = impliedDistribution([
+            { threshold: '$10M', thresholdValue: 10, deadline, yesPrice: 0.4 },
+            { threshold: '$50M', thresholdValue: 50, deadline, yesPrice: 0.6 }
+        ]);
+
+        assert.strictEqual(byDeadline[0].adjusted, true);
+        close(byDeadline[0].buckets[1].probability, 0);
+        close(byDeadline[0].buckets[2].probability, 0.4);
+    });
+
+    it('should spread a threshold over deadlines', () => {
+        const later = Date.UTC(2027, 2, 31);
+        const { byThreshold } = impliedDistribution([
+            { threshold: '$50M', thresholdValue: 50, deadline, yesPrice: 0.3 },
+            { threshold: '$50M', thresholdValue: 50, deadline: later, yesPrice: 0.5 }
+        ]);
+
+        assert.deepStrictEqual(byThreshold[0].buckets.map(b => b.label), ['by 2026-12-31', 'by 2027-03-31', 'not by the last deadline']);
+        [0.3, 0.2, 0.5].forEach((p, i) => close(byThreshold[0].buckets[i].probability, p));
+    });
+});
+
+describe('ladder series', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    it('should group created rungs under the series id', async () => {
+        // Funds for two of the three rungs
+        const { agent } = createSimulatedAgent({ clock: () => NOW, initialBalance: 2000n });
+        const ladder = buildLadder(TVL, { thresholds: [10, 100, 500], now: NOW });
+        const { series, results } = await createLadderMarkets({ agent, store, ladder, liquidity: 1000n, clock: () => NOW });
+
+        assert.strictEqual(series.kind, 'ladder');
+        assert.strictEqual(series.createdAt, NOW);
+        assert.deepStrictEqual(results.map(r => r.success), [true, true, false]);
+        assert.match(results[2].error, /Insufficient collateral/);
+
+        const markets = store.getSeriesMarkets(ladder.seriesId)
+            .sort((a, b) => a.metadata.ladder.thresholdValue - b.metadata.ladder.thresholdValue);
+        assert.deepStrictEqual(markets.map(m => m.address), results.slice(0, 2).map(r => r.market));
+        assert.ok(markets.every(m => m.seriesId === ladder.seriesId));
+        assert.strictEqual(markets[1].metadata.ladder.thresholdValue, 100);
+        assert.ok(markets.every(m => m.creationTime === NOW));
+        assert.strictEqual(store.getAllSeries({ kind: 'ladder' })[0].marketCount, 2);
+    });
+
+    it('should price rungs and compute the combined view', async () => {
+        const { agent, client } = createSimulatedAgent({ clock: () => NOW });
+        const ladder = buildLadder(TVL, { thresholds: [10, 100], now: NOW });
+        const { results: [low, high] } = await createLadderMarkets({ agent, store, ladder, liquidity: 1000n });
+
+        // Other traders push the $10M rung to 0.8 YES and the $100M rung to 0.2
+        client.simulateExternalTrade(low.market, 'yes', 1000n);
+        client.simulateExternalTrade(high.market, 'no', 1000n);
+
+        const view = await loadLadderView({ store, agent, seriesId: ladder.seriesId });
+
+        const prices = Object.fromEntries(view.rungs.map(r => [r.address, r.yesPrice]));
+        assert.deepStrictEqual(prices, { [low.market]: 0.8, [high.market]: 0.2 });
+        [0.2, 0.6, 0.2].forEach((p, i) => close(view.distribution.byDeadline[0].buckets[i].probability, p));
+
+        // An exchange that doesn't know the rungs leaves them unpriced
+        const { agent: elsewhere } = createSimulatedAgent({ seed: 'elsewhere', clock: () => NOW });
+        const unpriced = await loadLadderView({ store, agent: elsewhere, seriesId: ladder.seriesId });
+        assert.deepStrictEqual(unpriced.rungs.map(r => r.yesPrice), [null, null]);
+        assert.deepStrictEqual(unpriced.distribution.byDeadline, []);
+
+        await assert.rejects(() => loadLadderView({ store, agent, seriesId: 'ladder-missing' }), /No series/);
+    });
+});
@@ -0,0 +1,104 @@
+// Tests for the question quality linter
+// Run with: node --test test/linter.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { lintQuestion, assertQuestionLint, extractDeadlines } from '../src/generation/linter.js';
+import { generateMultipleMarkets } from '../src/privacy-markets.js';
+
+const NOW = Date.UTC(2026, 9, 19);
+
+function rules(result) {
+    return [...result.errors, ...result.warnings].map(i => i.rule);
+}
+
+describe('extractDeadlines', () => {
+    it('should read month-year, full dates, ISO dates, quarters and years', () => {
+        const dates = extractDeadlines('Will X happen between March 2027, June 5th, 2027, 2027-08-01, Q3 2027 and 2028?');
+
+        assert.deepStrictEqual(dates.map(d => d.text), ['march 2027', 'june 5th, 2027', '2027-08-01', 'q3 2027', '2028']);
+        assert.strictEqual(dates[0].time, Date.UTC(2027, 3, 1) - 1);
+        assert.strictEqual(dates[3].time, Date.UTC(2027, 9, 1) - 1);
+        assert.strictEqual(dates[4].time, Date.UTC(2029, 0, 1) - 1);
+    });
+});
+
+describe('lintQuestion', () => {
+    it('should pass a well-formed question', () => {
+        const result = lintQuestion('Will Aztec Network launch on mainnet by March 2027?', { now: NOW });
+
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(rules(result), []);
+        assert.strictEqual(result.deadline.getTime(), Date.UTC(2027, 3, 1) - 1);
+    });
+
+    it('should error on a missing deadline', () => {
+        const result = lintQuestion('Will Aztec Network launch on mainnet?', { now: NOW });
+
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(rules(result), ['deadline']);
+    });
+
+    it('should accept relative deadlines', () => {
+        assert.strictEqual(lintQuestion('Will BTC close above 100k by end of the year?', { now: NOW }).ok, true);
+        assert.strictEqual(lintQuestion('Will SOL flip ETH within 30 days?', { now: NOW }).ok, true);
+    });
+
+    it('should error on unfilled placeholders', () => {
+        const result = lintQuestion('Will {country} pass privacy legislation by {date}?', { now: NOW });
+
+        assert.strictEqual(result.ok, false);
+        assert.ok(result.errors[0].message.includes('{country}, {date}'));
+    });
+
+    it('should error when the deadline has passed', () => {
+        const result = lintQuestion('Will GDPR fines exceed 5B in 2025?', { now: NOW });
+
+        assert.strictEqual(result.ok, false);
+        assert.deepStrictEqual(result.errors.map(e => e.rule), ['past-date']);
+    });
+
+    it('should only treat the last date as the deadline', () => {
+        const result = lintQuestion('Will BTC beat its 2021 high by June 2027?', { now: NOW });
+        assert.strictEqual(result.ok, true);
+    });
+
+    it('should warn about subjective terms and framing', () => {
+        const result = lintQuestion('Is homomorphic encryption seeing mainstream adoption by 2027', { now: NOW });
+
+        assert.strictEqual(result.ok, true);
+        assert.deepStrictEqual(rules(result), ['framing', 'subjective']);
+        assert.ok(result.warnings[1].message.includes('mainstream'));
+    });
+
+    it('should accept conditional framing', () => {
+        const result = lintQuestion('If the US passes a federal privacy law by June 2027, will Tornado Cash sanctions be lifted by December 2027?', { now: NOW });
+        assert.deepStrictEqual(rules(result), []);
+    });
+
+    it('should warn when the market ends well before the deadline', () => {
+        const result = lintQuestion('Will Aztec Network launch on mainnet by December 2027?', { now: NOW, durationDays: 30 });
+        assert.deepStrictEqual(rules(result), ['deadline-after-end']);
+    });
+
+    it('should error on empty questions', () => {
+        assert.deepStrictEqual(rules(lintQuestion('  ')), ['empty']);
+    });
+});
+
+describe('assertQuestionLint', () => {
+    it('should throw on errors unless forced', () => {
+        assert.throws(() => assertQuestionLint('Will it happen?', { now: NOW }), /failed lint: No deadline/);
+
+        const result = assertQuestionLint('Will it happen?', { now: NOW, force: true });
+        assert.strictEqual(result.ok, false);
+    });
+});
+
+describe('generateMultipleMarkets', () => {
+    it('should only return ideas that pass the linter', () => {
+        for (const idea of generateMultipleMarkets(20)) {
+            assert.strictEqual(lintQuestion(idea.question).ok, true, idea.question);
+        }
+    });
+});
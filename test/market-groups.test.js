@@ -0,0 +1,233 @@
+// Tests for multi-outcome market groups
+// Run with: node --test test/market-groups.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import {
+    buildMarketGroup,
+    createGroupMarkets,
+    loadGroupPrices,
+    normalizeGroupPrices,
+    settleMarketGroup
+} from '../src/generation/market-groups.js';
+import { createSimulatedAgent, onChainAccount } from './helpers/simulated-agent.js';
+
+const QUESTION = 'Will {outcome} win the 2026 privacy hackathon by December 2026?';
+const OUTCOMES = ['Aztec', 'RAILGUN', 'Zcash'];
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+describe('buildMarketGroup', () => {
+    it('should fill the outcome slot once per outcome', () => {
+        const group = buildMarketGroup({ question: QUESTION, outcomes: OUTCOMES });
+
+        assert.match(group.groupId, /^group-[0-9a-f]{8}$/);
+        assert.strictEqual(group.oracle, 'custom');
+        assert.deepStrictEqual(group.members.map(m => m.question), [
+            'Will Aztec win the 2026 privacy hackathon by December 2026?',
+            'Will RAILGUN win the 2026 privacy hackathon by December 2026?',
+            'Will Zcash win the 2026 privacy hackathon by December 2026?'
+        ]);
+    });
+
+    it('should reject bad groups', () => {
+        assert.throws(() => buildMarketGroup({ question: 'Will Aztec win by December 2026?', outcomes: OUTCOMES }), /\{outcome\} slot/);
+        assert.throws(() => buildMarketGroup({ question: QUESTION, outcomes: ['Aztec'] }), /at least two/);
+        assert.throws(() => buildMarketGroup({ question: QUESTION, outcomes: ['Aztec', 'aztec'] }), /Duplicate outcome/);
+        assert.throws(() => buildMarketGroup({ question: QUESTION, outcomes: OUTCOMES, oracle: 'ai' }), /Unknown group oracle/);
+    });
+});
+
+describe('normalizeGroupPrices', () => {
+    it('should scale YES prices to sum to 1 and report the overround', () => {
+        const { outcomes, total, overround, complete } = normalizeGroupPrices([
+            { outcome: 'A', yesPrice: 0.6 },
+            { outcome: 'B', yesPrice: 0.4 },
+            { outcome: 'C', yesPrice: 0.2 }
+        ]);
+
+        [0.5, 1 / 3, 1 / 6].forEach((p, i) => close(outcomes[i].probability, p));
+        close(total, 1.2);
+        close(overround, 0.2);
+        assert.strictEqual(complete, true);
+    });
+
+    it('should leave unpriced outcomes out', () => {
+        const { outcomes, complete } = normalizeGroupPrices([
+            { outcome: 'A', yesPrice: 0.3 },
+            { outcome: 'B', yesPrice: null }
+        ]);
+
+        close(outcomes[0].probability, 1);
+        assert.strictEqual(outcomes[1].probability, null);
+        assert.strictEqual(complete, false);
+    });
+});
+
+describe('market groups', () => {
+    let store;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        ({ agent, client } = createSimulatedAgent({ store }));
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    async function create(options = {}) {
+        const group = buildMarketGroup({ question: QUESTION, outcomes: OUTCOMES, groupId: 'group-test', ...options });
+        return createGroupMarkets({ agent, store, group, liquidity: 1000000n, clock: agent.clock });
+    }
+
+    // Group markets in outcome order
+    function groupMarkets(groupId = 'group-test') {
+        return store.getSeriesMarkets(groupId).sort((a, b) => a.metadata.group.index - b.metadata.group.index);
+    }
+
+    function addresses(groupId = 'group-test') {
+        return groupMarkets(groupId).map(m => m.address);
+    }
+
+    async function winners(groupId = 'group-test') {
+        const accounts = await Promise.all(addresses(groupId).map(a => onChainAccount(client, a)));
+        return accounts.map(a => a.winning_token_id);
+    }
+
+    it('should record one market per outcome under the group', async () => {
+        const { series, results } = await create();
+        const wallet = agent.getWalletAddress();
+
+        assert.strictEqual(series.kind, 'group');
+        assert.deepStrictEqual(series.metadata.outcomes, OUTCOMES);
+        assert.strictEqual(series.metadata.settlerAddress, wallet);
+        assert.ok(results.every(r => r.success && r.settlerAddress === wallet));
+
+        const markets = groupMarkets();
+        assert.deepStrictEqual(markets.map(m => m.metadata.group.outcome), OUTCOMES);
+        assert.ok(markets.every(m => m.seriesId === 'group-test' && m.metadata.settler === wallet));
+        assert.ok(markets.every(m => m.creationTime === client.now()));
+        assert.strictEqual(series.createdAt, client.now());
+
+        // Custom-oracle outcomes open at 1/n
+        for (const market of markets) {
+            assert.strictEqual((await client.trading.getPrices(market.address)).yesPrice, 0.3333);
+        }
+    });
+
+    it('should create PNP-oracle groups with plain markets', async () => {
+        const { series } = await create({ oracle: 'pnp' });
+
+        assert.strictEqual(series.metadata.settlerAddress, null);
+        const markets = store.getSeriesMarkets('group-test');
+        assert.strictEqual(markets.length, 3);
+        assert.ok(markets.every(m => m.metadata.settler === undefined));
+        assert.strictEqual((await client.trading.getPrices(markets[0].address)).yesPrice, 0.5);
+    });
+
+    it('should lint every outcome before creating any', async () => {
+        const group = buildMarketGroup({ question: 'Will {outcome} win the hackathon?', outcomes: OUTCOMES });
+
+        await assert.rejects(() => createGroupMarkets({ agent, store, group }), /deadline/i);
+        assert.strictEqual((await client.fetchMarkets()).count, 0);
+        assert.strictEqual(store.getSeries(group.groupId), null);
+    });
+
+    it('should price outcomes and normalize them', async () => {
+        await create();
+        client.simulateExternalTrade(addresses()[1], 'yes', 2000000n);
+
+        const prices = await loadGroupPrices({ store, agent, groupId: 'group-test' });
+
+        assert.deepStrictEqual(prices.outcomes.map(o => o.outcome), OUTCOMES);
+        assert.strictEqual(prices.complete, true);
+        close(prices.outcomes.reduce((sum, o) => sum + o.probability, 0), 1);
+        close(prices.outcomes[0].probability, prices.outcomes[2].probability);
+        assert.ok(prices.outcomes[1].probability > prices.outcomes[0].probability);
+
+        await assert.rejects(() => loadGroupPrices({ store, agent, groupId: 'group-missing' }), /No group/);
+    });
+
+    it('should settle the winner YES and the rest NO', async () => {
+        await create();
+
+        const result = await settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'railgun' });
+
+        assert.strictEqual(result.winner, 'RAILGUN');
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(await winners(), ['no', 'yes', 'no']);
+
+        assert.deepStrictEqual(groupMarkets().map(m => [m.status, m.outcome]),
+            [['settled', 'no'], ['settled', 'yes'], ['settled', 'no']]);
+        assert.strictEqual(store.getSeries('group-test').status, 'settled');
+    });
+
+    it('should retry the markets that failed to settle', async () => {
+        await create();
+        const failing = addresses()[2];
+        const settle = client.settleMarket.bind(client);
+        client.settleMarket = async (params) => {
+            if (params.market.toBase58() === failing) throw new Error('RPC timeout');
+            return settle(params);
+        };
+
+        const first = await settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'Aztec' });
+        assert.strictEqual(first.complete, false);
+        assert.strictEqual(store.getSeries('group-test').status, 'active');
+
+        await assert.rejects(
+            () => settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'Zcash' }),
+            /already settled with winner Aztec/
+        );
+
+        delete client.settleMarket;
+        const retry = await settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'Aztec' });
+        assert.strictEqual(retry.complete, true);
+        assert.deepStrictEqual(await winners(), ['yes', 'no', 'no']);
+    });
+
+    it('should skip markets already redeemed or resolved', async () => {
+        await create();
+        const [aztec, railgun, zcash] = groupMarkets();
+        await client.settleMarket({ market: railgun.address, yesWinner: false });
+        await client.settleMarket({ market: zcash.address, yesWinner: false });
+        store.updateMarket(railgun.address, { status: 'settled', outcome: 'no' });
+        store.updateMarket(railgun.address, { status: 'redeemed' });
+        store.updateMarket(zcash.address, { status: 'resolved', outcome: 'no' });
+
+        const result = await settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'Aztec' });
+
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.results.map(r => [r.market, Boolean(r.skipped)]),
+            [[aztec.address, false], [railgun.address, true], [zcash.address, true]]);
+        assert.strictEqual(store.getSeries('group-test').status, 'settled');
+    });
+
+    it('should only settle custom-oracle groups we are the settler for', async () => {
+        await create();
+        const other = createSimulatedAgent({ seed: 'elsewhere', store }).agent;
+        await other.initialize();
+
+        await assert.rejects(
+            () => settleMarketGroup({ agent: other, store, groupId: 'group-test', winner: 'Aztec' }),
+            new RegExp(`Only the group's settler \\(${agent.getWalletAddress()}\\)`)
+        );
+        await assert.rejects(
+            () => settleMarketGroup({ agent, store, groupId: 'group-test', winner: 'Monero' }),
+            /Unknown outcome "Monero"/
+        );
+
+        const pnp = buildMarketGroup({ question: QUESTION, outcomes: OUTCOMES, oracle: 'pnp', groupId: 'group-pnp' });
+        await createGroupMarkets({ agent, store, group: pnp });
+        await assert.rejects(
+            () => settleMarketGroup({ agent, store, groupId: 'group-pnp', winner: 'Aztec' }),
+            /uses the PNP oracle/
+        );
+    });
+});
@@ -142,7 +142,7 @@ describe('MarketStore (SQLite)', () => {
             });
 
             const market = store.getMarket('test123');
-            assert.strictEqual(market.status, 'resolved');
+            assert.strictEqual(market.status, 'settled');
             assert.strictEqual(market.outcome, 'yes');
         });
 
@@ -152,6 +152,82 @@ describe('MarketStore (SQLite)', () => {
         });
     });
 
+    describe('lifecycle', () => {
+        beforeEach(() => {
+            store.saveMarket({
+                address: 'life1',
+                question: 'Lifecycle market',
+                status: 'draft',
+                creationTime: Date.now(),
+                durationDays: 30
+            });
+        });
+
+        it('should walk the full lifecycle and record each step', () => {
+            store.transitionMarket('life1', 'pending_tx', { reason: 'submitted' });
+            store.transitionMarket('life1', 'active', { reason: 'confirmed', signature: 'sig123' });
+            store.transitionMarket('life1', 'expired');
+            store.transitionMarket('life1', 'resolvable');
+            store.transitionMarket('life1', 'settled');
+            store.transitionMarket('life1', 'redeemed');
+
+            const history = store.getMarketHistory('life1');
+            assert.deepStrictEqual(
+                history.map(h => h.to),
+                ['draft', 'pending_tx', 'active', 'expired', 'resolvable', 'settled', 'redeemed']
+            );
+            assert.strictEqual(history[0].from, null);
+            assert.strictEqual(history[2].signature, 'sig123');
+            assert.strictEqual(history[2].reason, 'confirmed');
+            assert.ok(history.every(h => h.timestamp > 0));
+        });
+
+        it('should reject invalid transitions', () => {
+            assert.throws(() => store.transitionMarket('life1', 'settled'), /Invalid market transition: draft → settled/);
+            assert.strictEqual(store.getMarket('life1').status, 'draft');
+            assert.strictEqual(store.getMarketHistory('life1').length, 1);
+        });
+
+        it('should reject unknown statuses', () => {
+            assert.throws(() => store.transitionMarket('life1', 'bogus'), /Unknown market status/);
+        });
+
+        it('should treat cancelled and redeemed as terminal', () => {
+            store.transitionMarket('life1', 'cancelled');
+            assert.throws(() => store.transitionMarket('life1', 'pending_tx'), /Invalid market transition/);
+        });
+
+        it('should validate status changes made through updateMarket', () => {
+            assert.throws(() => store.updateMarket('life1', { status: 'redeemed' }), /Invalid market transition/);
+
+            store.updateMarket('life1', { status: 'pending_tx', statusReason: 'sent', signature: 'sig9' });
+            const last = store.getMarketHistory('life1').at(-1);
+            assert.deepStrictEqual([last.from, last.to, last.reason, last.signature], ['draft', 'pending_tx', 'sent', 'sig9']);
+        });
+
+        it('should roll back the status change when the field update fails', () => {
+            // better-sqlite3 cannot bind an object, so the field UPDATE throws
+            assert.throws(() => store.updateMarket('life1', { status: 'pending_tx', outcome: { yes: {} } }));
+
+            assert.strictEqual(store.getMarket('life1').status, 'draft');
+            assert.strictEqual(store.getMarketHistory('life1').length, 1);
+        });
+
+        it('should refuse to write unknown fields', () => {
+            assert.throws(() => store.updateMarket('life1', { question: 'Changed?' }), /cannot be updated/);
+        });
+
+        it('should include settled and redeemed markets in the resolved filter', () => {
+            store.transitionMarket('life1', 'cancelled');
+            store.saveMarket({ address: 'life2', question: 'Settled', status: 'settled', creationTime: Date.now() });
+            store.saveMarket({ address: 'life3', question: 'Redeemed', status: 'redeemed', creationTime: Date.now() });
+
+            const resolved = store.getAllMarkets({ status: 'resolved' });
+            assert.deepStrictEqual(resolved.map(m => m.address).sort(), ['life2', 'life3']);
+            assert.strictEqual(store.getStats().byStatus.cancelled, 1);
+        });
+    });
+
     describe('deleteMarket', () => {
         it('should delete existing market', () => {
             store.saveMarket({
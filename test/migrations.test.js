@@ -0,0 +1,126 @@
+// Tests for SQLite schema migrations
+// Run with: node --test test/migrations.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import Database from 'better-sqlite3';
+import { MarketStore } from '../src/storage/market-store.js';
+import { migrate, getSchemaVersion, getMigrationStatus, addColumnIfMissing, LATEST_VERSION } from '../src/storage/migrations.js';
+
+// The schema as written by builds before migrations existed
+function createLegacyDatabase(path) {
+    const db = new Database(path);
+    db.exec(`
+        CREATE TABLE markets (
+            address TEXT PRIMARY KEY,
+            question TEXT NOT NULL,
+            category TEXT,
+            category_key TEXT,
+            creation_time INTEGER,
+            creation_signature TEXT,
+            initial_liquidity TEXT,
+            duration_days INTEGER,
+            end_time INTEGER,
+            status TEXT DEFAULT 'active',
+            outcome TEXT,
+            volume TEXT,
+            resolution_time INTEGER,
+            metadata TEXT
+        );
+        CREATE TABLE daemon_state (key TEXT PRIMARY KEY, value TEXT, updated_at INTEGER);
+    `);
+    db.prepare('INSERT INTO markets (address, question, creation_time, duration_days, status) VALUES (?, ?, ?, ?, ?)')
+        .run('old1', 'Old market?', 1000, 2, 'resolved');
+    db.prepare('INSERT INTO markets (address, question, creation_time, duration_days, status) VALUES (?, ?, ?, ?, ?)')
+        .run('old2', 'Live market?', 2000, 1, 'active');
+    db.close();
+}
+
+describe('Migrations', () => {
+    let dir;
+    let dbPath;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'pnp-migrations-'));
+        dbPath = join(dir, 'markets.db');
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should bring a fresh database to the latest version', () => {
+        const store = new MarketStore(dbPath);
+
+        assert.strictEqual(getSchemaVersion(store.db), LATEST_VERSION);
+        assert.strictEqual(store.getSchemaStatus().upToDate, true);
+        store.close();
+    });
+
+    it('should upgrade a legacy database on open', () => {
+        createLegacyDatabase(dbPath);
+
+        const store = new MarketStore(dbPath);
+        const old = store.getMarket('old1');
+
+        assert.strictEqual(old.status, 'settled');
+        assert.strictEqual(old.endTime, 1000 + 2 * 86400000);
+        assert.deepStrictEqual(store.getMarketHistory('old1').map(h => [h.from, h.to, h.reason]), [[null, 'settled', 'migrated']]);
+
+        // New tables are usable on the upgraded database
+        store.transitionMarket('old2', 'expired');
+        store.saveLedgerEntry({ market: 'old2', action: 'buy', side: 'yes', tokens: 1n, usdc: 1n });
+        assert.strictEqual(store.getLedgerEntries().length, 1);
+        store.close();
+    });
+
+    it('should leave the database alone when migrate is disabled', () => {
+        createLegacyDatabase(dbPath);
+
+        const store = new MarketStore(dbPath, { migrate: false });
+        const status = store.getSchemaStatus();
+
+        assert.strictEqual(status.currentVersion, 0);
+        assert.strictEqual(status.migrations.filter(m => !m.applied).length, LATEST_VERSION);
+
+        const applied = store.migrate();
+        assert.strictEqual(applied.length, LATEST_VERSION);
+        assert.deepStrictEqual(store.migrate(), []);
+        store.close();
+    });
+
+    it('should stop at a target version', () => {
+        const db = new Database(':memory:');
+
+        const applied = migrate(db, { target: 2 });
+
+        assert.deepStrictEqual(applied.map(m => m.version), [1, 2]);
+        assert.strictEqual(getSchemaVersion(db), 2);
+        assert.throws(() => migrate(db, { target: 1 }), /Cannot migrate down/);
+        db.close();
+    });
+
+    it('should refuse databases from a newer build', () => {
+        const db = new Database(':memory:');
+        db.pragma(`user_version = ${LATEST_VERSION + 1}`);
+
+        assert.throws(() => migrate(db), /newer than this build supports/);
+        assert.strictEqual(getMigrationStatus(db).upToDate, false);
+        db.close();
+    });
+
+    it('should add columns only once', () => {
+        const db = new Database(':memory:');
+        migrate(db);
+
+        addColumnIfMissing(db, 'markets', 'series_id', 'TEXT');
+        addColumnIfMissing(db, 'markets', 'series_id', 'TEXT');
+
+        const columns = db.prepare('PRAGMA table_info(markets)').all().map(c => c.name);
+        assert.strictEqual(columns.filter(c => c === 'series_id').length, 1);
+        db.close();
+    });
+});
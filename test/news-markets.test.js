@@ -0,0 +1,189 @@
+// Tests for news-driven market generation
+// Run with: node --test test/news-markets.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { NewsMonitor } from '../src/monitoring/news-monitor.js';
+import { NewsMarketPipeline } from '../src/daemon/news-markets.js';
+import { ApprovalQueue } from '../src/daemon/approval-queue.js';
+import { DuplicateGuard } from '../src/generation/dedup.js';
+import { createSimulatedAgent, onChainAccount } from './helpers/simulated-agent.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.now();
+
+function event(id, source, title, hours, overrides = {}) {
+    return {
+        id,
+        source,
+        title,
+        link: `https://example.com/${id}`,
+        publishedAt: NOW - hours * HOUR,
+        relevanceScore: 70,
+        matchedKeywords: ['tornado cash'],
+        suggestedCategory: 'regulation',
+        urgency: 'breaking',
+        ...overrides
+    };
+}
+
+const STORM = [
+    event('decrypt-1', 'Decrypt', 'Tornado Cash developer Roman Storm found guilty on money laundering charge', 3),
+    event('coindesk-1', 'CoinDesk', 'Tornado Cash Developer Roman Storm Convicted of Money Laundering', 2)
+];
+
+const SIGNAL = event('eff-1', 'EFF', 'Signal launches encrypted usernames for all users', 1, {
+    relevanceScore: 65,
+    suggestedCategory: 'adoption',
+    urgency: 'timely'
+});
+
+const LOW_SCORE = event('block-1', 'The Block', 'Monero wallet update ships bug fixes', 1, { relevanceScore: 40 });
+
+const EVERGREEN = event('eff-2', 'EFF', 'A history of encryption export controls', 1, { relevanceScore: 90, urgency: 'evergreen' });
+
+describe('NewsMarketPipeline', () => {
+    let store;
+    let monitor;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        monitor = new NewsMonitor({ store, sources: [] });
+        for (const e of [...STORM, SIGNAL, LOW_SCORE, EVERGREEN].sort((a, b) => a.publishedAt - b.publishedAt)) {
+            store.saveNewsEvent(e);
+            monitor.addEvent({ ...e });
+        }
+        ({ agent, client } = createSimulatedAgent({ clock: () => NOW }));
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function createPipeline(options = {}) {
+        return new NewsMarketPipeline({ newsMonitor: monitor, agent, store, clock: () => client.now(), ...options });
+    }
+
+    // The market created for a news event, or undefined
+    function marketFor(eventId) {
+        return store.getNewsEvent(eventId).markets[0];
+    }
+
+    async function created() {
+        return (await client.fetchMarkets()).count;
+    }
+
+    it('should pick high-urgency, high-score stories, best first', () => {
+        const candidates = createPipeline().candidates();
+
+        assert.deepStrictEqual(candidates.map(s => s.events), [['decrypt-1', 'coindesk-1'], ['eff-1']]);
+    });
+
+    it('should create markets with urgency durations and link every event in the story', async () => {
+        const summary = await createPipeline().run(2);
+
+        assert.strictEqual(summary.checked, 2);
+        const storm = marketFor('decrypt-1');
+        assert.strictEqual(store.getMarket(storm).durationDays, 14);
+        assert.strictEqual(store.getMarket(marketFor('eff-1')).durationDays, 30);
+        assert.match((await onChainAccount(client, storm)).question, /^Will Tornado Cash face new regulatory action by /);
+
+        const market = store.getMarket(storm);
+        assert.strictEqual(market.category, 'regulation');
+        assert.strictEqual(market.categoryKey, 'regulation');
+        assert.deepStrictEqual(market.metadata.news.events, ['decrypt-1', 'coindesk-1']);
+        assert.deepStrictEqual(market.metadata.news.sources, ['Decrypt', 'CoinDesk']);
+
+        assert.deepStrictEqual(store.getNewsForMarket(storm).map(e => e.id).sort(), ['coindesk-1', 'decrypt-1']);
+        assert.strictEqual(await created(), 2);
+
+        // A story with a market is not used again
+        assert.strictEqual(createPipeline().candidates().length, 0);
+    });
+
+    it('should stop at the limit', async () => {
+        const summary = await createPipeline().run(1);
+
+        assert.strictEqual(summary.results.length, 1);
+        assert.strictEqual(await created(), 1);
+    });
+
+    it('should skip questions that fail lint or duplicate existing ones', async () => {
+        const guard = new DuplicateGuard();
+        const pipeline = createPipeline({ guard });
+        const [storm] = pipeline.candidates();
+        guard.add((await pipeline.draft(storm)).question);
+
+        // The Storm story is a duplicate now, and this question has no deadline
+        const generator = { generateFromNews: async () => ({ question: 'Will Signal keep growing?', category: 'adoption' }) };
+        const retried = createPipeline({ guard });
+        retried.generator = generator;
+
+        const summary = await retried.run(2);
+        assert.strictEqual(summary.skipped, 2);
+        assert.strictEqual(await created(), 0);
+
+        // Skipped stories are not drafted again
+        assert.strictEqual((await retried.run(2)).checked, 0);
+    });
+
+    it('should use the AI generator when given one, keeping the urgency duration', async () => {
+        const drafts = [];
+        const generator = {
+            async generateFromNews(item) {
+                drafts.push(item);
+                return { question: `Will Roman Storm's conviction be overturned on appeal by ${new Date(NOW + 10 * 24 * HOUR).getUTCFullYear() + 1}?`, category: 'events', suggestedDurationDays: 365 };
+            }
+        };
+
+        await createPipeline({ generator }).run(1);
+
+        assert.strictEqual(drafts[0].source, 'Decrypt, CoinDesk');
+        const market = store.getMarket(marketFor('decrypt-1'));
+        assert.strictEqual(market.durationDays, 14);
+        assert.strictEqual(market.category, 'events');
+    });
+
+    it('should queue markets in approval mode and link them once approved', async () => {
+        const approvalQueue = new ApprovalQueue({ store, agent });
+        const summary = await createPipeline({ approvalQueue }).run(1);
+
+        const [result] = summary.results;
+        assert.strictEqual(result.queued, true);
+        assert.strictEqual(await created(), 0);
+        assert.strictEqual(store.getPendingApproval(result.approvalId).source, 'news');
+
+        // A restarted daemon doesn't propose the queued story again
+        const restarted = new NewsMarketPipeline({ newsMonitor: new NewsMonitor({ store, sources: [] }).restore(), agent, store, approvalQueue });
+        assert.deepStrictEqual(restarted.candidates().map(s => s.events), [['eff-1']]);
+
+        const { marketAddress } = await approvalQueue.approve(result.approvalId, 'alice');
+        assert.strictEqual(store.getMarket(marketAddress).categoryKey, 'regulation');
+        assert.deepStrictEqual(store.getNewsForMarket(marketAddress).map(e => e.id).sort(), ['coindesk-1', 'decrypt-1']);
+        assert.deepStrictEqual(store.getNewsEvent('decrypt-1').markets, [marketAddress]);
+    });
+
+    it('should report a market it created but could not record', async () => {
+        store.saveMarket = () => {
+            throw new Error('database is locked');
+        };
+
+        const { results: [result] } = await createPipeline().run(1);
+
+        assert.strictEqual(result.success, true);
+        assert.match(result.recordError, /was created but not recorded: database is locked/);
+        assert.strictEqual(marketFor('decrypt-1'), result.market);
+        assert.strictEqual(createPipeline().candidates().some(s => s.events.includes('decrypt-1')), false);
+    });
+
+    it('should only log in a dry run', async () => {
+        const summary = await createPipeline({ dryRun: true }).run(2);
+
+        assert.ok(summary.results.every(r => r.dryRun));
+        assert.strictEqual(await created(), 0);
+        assert.deepStrictEqual(store.getNewsEvent('decrypt-1').markets, []);
+    });
+});
@@ -0,0 +1,297 @@
+// Tests for news monitoring with persisted events and dedupe state
+// Run with: node --test test/news-monitor.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { NewsMonitor } from '../src/monitoring/news-monitor.js';
+import { RssSource } from '../src/monitoring/news-sources.js';
+import { HealthMonitor } from '../src/daemon/lifecycle.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const SOURCE = { name: 'Decrypt', url: 'https://decrypt.co/feed', keywords: ['privacy', 'zk', 'tornado', 'mixer'], weight: 0.9 };
+
+const RELEVANT = {
+    guid: 'decrypt-1',
+    title: 'Tornado Cash privacy mixer sanctions challenged as zk encryption surveillance fight grows',
+    link: 'https://decrypt.co/1',
+    pubDate: new Date(NOW - HOUR).toUTCString(),
+    contentSnippet: 'Privacy advocates and encryption researchers react to the ruling on the mixer.'
+};
+
+const IRRELEVANT = {
+    guid: 'decrypt-2',
+    title: 'Memecoin rallies after exchange listing',
+    link: 'https://decrypt.co/2',
+    pubDate: new Date(NOW - 2 * HOUR).toUTCString()
+};
+
+// Monitor whose feeds return fixed items instead of fetching
+function createMonitor(store, items) {
+    const fetch = async () => {
+        monitor.fetches++;
+        return { ok: true, status: 200, text: async () => '<rss/>' };
+    };
+    const parser = { parseString: async () => ({ items }) };
+    const monitor = new NewsMonitor({ store, sources: [new RssSource({ ...SOURCE, fetch, parser })] });
+    monitor.fetches = 0;
+    monitor.isRunning = true;
+    return monitor;
+}
+
+describe('news event storage', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function saveEvent(id, overrides = {}) {
+        return store.saveNewsEvent({
+            id,
+            title: `Headline ${id}`,
+            source: 'EFF',
+            publishedAt: NOW,
+            relevanceScore: 50,
+            matchedKeywords: ['privacy'],
+            suggestedCategory: 'regulation',
+            urgency: 'timely',
+            ...overrides
+        });
+    }
+
+    it('should query by time range, category and score', () => {
+        saveEvent('old', { publishedAt: NOW - 48 * HOUR });
+        saveEvent('tech', { publishedAt: NOW - HOUR, suggestedCategory: 'technology', relevanceScore: 90 });
+        saveEvent('reg', { publishedAt: NOW - 2 * HOUR, relevanceScore: 40 });
+
+        assert.deepStrictEqual(store.getNewsEvents().map(e => e.id), ['tech', 'reg', 'old']);
+        assert.deepStrictEqual(store.getNewsEvents({ since: NOW - 24 * HOUR }).map(e => e.id), ['tech', 'reg']);
+        assert.deepStrictEqual(store.getNewsEvents({ until: NOW - 24 * HOUR }).map(e => e.id), ['old']);
+        assert.deepStrictEqual(store.getNewsEvents({ category: 'regulation' }).map(e => e.id), ['reg', 'old']);
+        assert.deepStrictEqual(store.getNewsEvents({ minScore: 60 }).map(e => e.id), ['tech']);
+        assert.deepStrictEqual(store.getNewsEvents({ limit: 1 }).map(e => e.id), ['tech']);
+    });
+
+    it('should update scores without losing when an event was first seen', () => {
+        saveEvent('a', { seenAt: 1000 });
+        const updated = saveEvent('a', { relevanceScore: 80, seenAt: 2000 });
+
+        assert.strictEqual(updated.relevanceScore, 80);
+        assert.strictEqual(updated.seenAt, 1000);
+        assert.deepStrictEqual(updated.matchedKeywords, ['privacy']);
+    });
+
+    it('should link events to the markets generated from them', () => {
+        saveEvent('a');
+        store.linkNewsMarket('a', 'Market1');
+        store.linkNewsMarket('a', 'Market1');
+
+        assert.deepStrictEqual(store.getNewsEvent('a').markets, ['Market1']);
+        assert.deepStrictEqual(store.getNewsForMarket('Market1').map(e => e.id), ['a']);
+    });
+
+    it('should store entities and filter by entity or entity type', () => {
+        saveEvent('ofac', { entities: [{ id: 'ofac', name: 'OFAC', type: 'regulator' }, { id: 'tornado-cash', name: 'Tornado Cash', type: 'protocol' }] });
+        saveEvent('eu', { publishedAt: NOW - HOUR, entities: [{ id: 'european-union', name: 'European Union', type: 'country' }] });
+        saveEvent('none');
+
+        assert.deepStrictEqual(store.getNewsEvent('ofac').entities.map(e => e.name), ['OFAC', 'Tornado Cash']);
+        assert.deepStrictEqual(store.getNewsEvents({ entity: 'tornado cash' }).map(e => e.id), ['ofac']);
+        assert.deepStrictEqual(store.getNewsEvents({ entity: 'European-Union' }).map(e => e.id), ['eu']);
+        assert.deepStrictEqual(store.getNewsEvents({ entityType: 'country' }).map(e => e.id), ['eu']);
+
+        // Saving without entities keeps them; saving with entities replaces them
+        saveEvent('ofac');
+        assert.strictEqual(store.getNewsEvent('ofac').entities.length, 2);
+        saveEvent('ofac', { entities: [] });
+        assert.deepStrictEqual(store.getNewsEvent('ofac').entities, []);
+    });
+
+    it('should return seen ids newest first', () => {
+        store.markNewsSeen(['x', 'y'], 'EFF', 1000);
+        store.markNewsSeen('z', 'EFF', 2000);
+
+        assert.deepStrictEqual(store.getSeenNewsIds(), ['z', 'y', 'x']);
+        assert.deepStrictEqual(store.getSeenNewsIds(1), ['z']);
+    });
+});
+
+describe('NewsMonitor persistence', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    it('should store relevant events and remember every item it has seen', async () => {
+        const monitor = createMonitor(store, [RELEVANT, IRRELEVANT]);
+        const events = await monitor.checkFeeds();
+
+        assert.deepStrictEqual(events.map(e => e.id), ['decrypt-1']);
+        assert.strictEqual(store.getNewsEvent('decrypt-1').source, 'Decrypt');
+        assert.ok(store.getNewsEvent('decrypt-1').relevanceScore >= 30);
+        assert.strictEqual(store.getNewsEvent('decrypt-2'), null);
+        assert.deepStrictEqual(store.getSeenNewsIds().sort(), ['decrypt-1', 'decrypt-2']);
+    });
+
+    it('should not re-ingest headlines after a restart', async () => {
+        await createMonitor(store, [RELEVANT, IRRELEVANT]).checkFeeds();
+
+        const restarted = createMonitor(store, [RELEVANT, IRRELEVANT]).restore();
+        assert.strictEqual(restarted.getStatus().seenIdsCount, 2);
+        assert.deepStrictEqual(restarted.getRecentEvents().map(e => e.id), ['decrypt-1']);
+
+        const events = await restarted.checkFeeds();
+        assert.strictEqual(events.length, 0);
+        assert.strictEqual(restarted.fetches, 1);
+    });
+
+    it('should query stored events and record generated markets', async () => {
+        const monitor = createMonitor(store, [RELEVANT]);
+        const [event] = await monitor.checkFeeds();
+
+        monitor.recordMarket(event.id, 'Market1');
+
+        assert.deepStrictEqual(monitor.getRecentEvents()[0].markets, ['Market1']);
+        assert.deepStrictEqual(monitor.queryEvents({ source: 'Decrypt', since: NOW - 2 * HOUR }).map(e => e.markets), [['Market1']]);
+        assert.strictEqual(monitor.queryEvents({ minScore: 101 }).length, 0);
+    });
+
+    it('should filter recent events in memory without a store', async () => {
+        const monitor = createMonitor(null, [RELEVANT]);
+        await monitor.checkFeeds();
+
+        assert.strictEqual(monitor.queryEvents({ source: 'Decrypt' }).length, 1);
+        assert.strictEqual(monitor.queryEvents({ source: 'EFF' }).length, 0);
+        assert.strictEqual(monitor.queryEvents({ entity: 'Tornado Cash' }).length, 1);
+        assert.strictEqual(monitor.queryEvents({ entityType: 'regulator' }).length, 0);
+    });
+
+    it('should record the entities each event names', async () => {
+        const monitor = createMonitor(store, [RELEVANT]);
+        const [event] = await monitor.checkFeeds();
+
+        assert.deepStrictEqual(event.entities.map(e => e.id), ['tornado-cash']);
+        assert.deepStrictEqual(monitor.queryEvents({ entityType: 'protocol' }).map(e => e.id), ['decrypt-1']);
+    });
+});
+
+describe('NewsMonitor source health', () => {
+    const MINUTE = 60 * 1000;
+
+    // Source whose fetches fail while `failing` is set, and answer 304 when the ETag matches
+    function createSource() {
+        return {
+            name: 'Flaky',
+            keywords: SOURCE.keywords,
+            weight: 1,
+            failing: true,
+            polls: [],
+            async fetchItems() {
+                return (await this.poll()).items;
+            },
+            async poll(validators = {}) {
+                this.polls.push(validators);
+                if (this.failing) throw new Error('HTTP 503');
+                if (validators.etag === 'v1') return { items: [], notModified: true, etag: 'v1' };
+                return { items: [{ id: 'f1', title: RELEVANT.title, content: RELEVANT.contentSnippet, publishedAt: NOW }], notModified: false, etag: 'v1' };
+            }
+        };
+    }
+
+    function createHealthMonitor(source, clock, options = {}) {
+        const monitor = new NewsMonitor({ sources: [source], checkInterval: 5 * MINUTE, clock: () => clock.now, log: () => {}, ...options });
+        monitor.isRunning = true;
+        return monitor;
+    }
+
+    it('should back off a failing source exponentially', async () => {
+        const source = createSource();
+        const clock = { now: NOW };
+        const monitor = createHealthMonitor(source, clock);
+
+        await monitor.checkFeeds();
+        await monitor.checkFeeds();
+        assert.strictEqual(source.polls.length, 1);
+
+        let [health] = monitor.getStatus().sources;
+        assert.strictEqual(health.status, 'degraded');
+        assert.strictEqual(health.consecutiveFailures, 1);
+        assert.strictEqual(health.lastError, 'HTTP 503');
+        assert.strictEqual(health.nextAttemptAt, NOW + 5 * MINUTE);
+
+        clock.now += 5 * MINUTE;
+        await monitor.checkFeeds();
+        assert.strictEqual(monitor.getSourceHealth()[0].nextAttemptAt, clock.now + 10 * MINUTE);
+        assert.match(monitor.getHealthWarnings()[0], /Flaky degraded after 2 consecutive failures: HTTP 503/);
+
+        source.failing = false;
+        clock.now += 10 * MINUTE;
+        const events = await monitor.checkFeeds();
+
+        [health] = monitor.getSourceHealth();
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(health.status, 'ok');
+        assert.strictEqual(health.consecutiveFailures, 0);
+        assert.strictEqual(health.lastSuccess, clock.now);
+        assert.strictEqual(monitor.errorCount, 2);
+        assert.deepStrictEqual(monitor.getHealthWarnings(), []);
+    });
+
+    it('should send the stored validators on the next fetch', async () => {
+        const source = createSource();
+        source.failing = false;
+        const clock = { now: NOW };
+        const monitor = createHealthMonitor(source, clock);
+
+        await monitor.checkFeeds();
+        clock.now += 5 * MINUTE;
+        await monitor.checkFeeds();
+
+        assert.deepStrictEqual(source.polls[1], { etag: 'v1', lastModified: null });
+        const [health] = monitor.getSourceHealth();
+        assert.strictEqual(health.etag, 'v1');
+        assert.strictEqual(health.lastNotModified, clock.now);
+        assert.strictEqual(health.lastItemCount, 1);
+    });
+
+    it('should disable a source after repeated failures until re-enabled', async () => {
+        const source = createSource();
+        const clock = { now: NOW };
+        const monitor = createHealthMonitor(source, clock, { maxFailures: 3 });
+
+        for (let i = 0; i < 3; i++) {
+            await monitor.checkFeeds();
+            clock.now += 60 * MINUTE;
+        }
+        await monitor.checkFeeds();
+
+        assert.strictEqual(source.polls.length, 3);
+        assert.strictEqual(monitor.getSourceHealth()[0].status, 'disabled');
+        assert.match(monitor.getHealthWarnings()[0], /Flaky disabled after 3 consecutive failures/);
+
+        source.failing = false;
+        monitor.enableSource('Flaky');
+        await monitor.checkFeeds();
+        assert.strictEqual(monitor.getSourceHealth()[0].status, 'ok');
+    });
+
+    it('should report degraded sources in the health check', () => {
+        const health = new HealthMonitor({ checks: { news: () => ['News source Flaky degraded'] } }).getHealth();
+
+        assert.strictEqual(health.healthy, true);
+        assert.strictEqual(health.degraded, true);
+        assert.deepStrictEqual(health.warnings, ['News source Flaky degraded']);
+    });
+});
@@ -151,5 +151,35 @@ describe('News Scorer', () => {
             assert.ok(market.sourceEvent, 'should include source event');
             assert.strictEqual(market.sourceEvent.title, newsEvent.title);
         });
+
+        it('should name recognized entities with a dated deadline', () => {
+            const now = Date.UTC(2026, 9, 19, 12);
+            const question = title => generateMarketFromNews({ title, suggestedCategory: 'regulation', urgency: 'breaking' }, { now }).question;
+
+            assert.strictEqual(question('Treasury lifts sanctions on Tornado Cash'), 'Will the US Treasury delist Tornado Cash by November 2, 2026?');
+            assert.strictEqual(question('OFAC sanctions Samourai Wallet developers'), 'Will OFAC delist Samourai Wallet by November 2, 2026?');
+            assert.strictEqual(question('OFAC weighs sanctions on Samourai Wallet'), 'Will OFAC add Samourai Wallet to its sanctions list by November 2, 2026?');
+            assert.strictEqual(question('SEC probes Coinbase privacy practices'), 'Will the SEC announce an enforcement action against Coinbase by November 2, 2026?');
+            assert.strictEqual(question('EU drafts new privacy law'), 'Will the European Union pass new privacy legislation by November 2, 2026?');
+        });
+
+        it('should use entities stored on the event and the dictionary labels', () => {
+            const market = generateMarketFromNews({
+                title: 'Exchange data breach exposes customer records',
+                suggestedCategory: 'events',
+                urgency: 'timely',
+                entities: [{ id: 'coinbase', name: 'Coinbase', type: 'company' }]
+            }, { now: Date.UTC(2026, 9, 19, 12) });
+
+            assert.strictEqual(market.question, 'Will Coinbase be fined over the data breach by November 18, 2026?');
+            assert.strictEqual(market.entities[0].type, 'company');
+        });
+
+        it('should quote the headline when no entity is recognized', () => {
+            const market = generateMarketFromNews({ title: 'Privacy bill advances', suggestedCategory: 'regulation', urgency: 'timely' });
+
+            assert.match(market.question, /^Will regulatory action be taken regarding "Privacy bill advances" within 30 days\?$/);
+            assert.deepStrictEqual(market.entities, []);
+        });
     });
 });
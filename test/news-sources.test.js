@@ -0,0 +1,251 @@
+// Tests for news source adapters
+// Run with: node --test test/news-sources.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    DirectorySource,
+    HttpJsonSource,
+    JsonFeedSource,
+    MockNewsSource,
+    RssSource,
+    createNewsSource,
+    loadNewsSources,
+    readPath
+} from '../src/monitoring/news-sources.js';
+import { NewsMonitor } from '../src/monitoring/news-monitor.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+// fetch stand-in that answers every request with the given JSON body
+function fakeFetch(body, status = 200) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init });
+        return { ok: status < 400, status, json: async () => body };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+describe('RssSource', () => {
+    it('should normalize feed items', async () => {
+        const fetch = async (url) => {
+            assert.strictEqual(url, 'https://example.com/feed');
+            return { ok: true, status: 200, text: async () => '<rss/>' };
+        };
+        const parser = {
+            async parseString(xml) {
+                assert.strictEqual(xml, '<rss/>');
+                return {
+                    items: [{
+                        guid: 'g1',
+                        title: 'Privacy bill passes',
+                        link: 'https://example.com/1',
+                        isoDate: new Date(NOW).toISOString(),
+                        contentSnippet: 'Encryption wins'
+                    }]
+                };
+            }
+        };
+        const source = new RssSource({ name: 'Feed', url: 'https://example.com/feed', fetch, parser });
+
+        assert.deepStrictEqual(await source.fetchItems(), [
+            { id: 'g1', title: 'Privacy bill passes', link: 'https://example.com/1', publishedAt: NOW, content: 'Encryption wins' }
+        ]);
+    });
+});
+
+describe('JsonFeedSource', () => {
+    it('should read JSON Feed items', async () => {
+        const fetch = fakeFetch({
+            version: 'https://jsonfeed.org/version/1.1',
+            items: [
+                { id: '1', url: 'https://example.com/1', title: 'ZK rollup launches', content_text: 'Zero-knowledge', date_published: new Date(NOW).toISOString() },
+                { id: '2', content_html: '<p>Monero delisted from exchange</p>' }
+            ]
+        });
+        const source = new JsonFeedSource({ name: 'Feed', url: 'https://example.com/feed.json', fetch });
+        const items = await source.fetchItems();
+
+        assert.deepStrictEqual(items[0], { id: '1', title: 'ZK rollup launches', link: 'https://example.com/1', publishedAt: NOW, content: 'Zero-knowledge' });
+        assert.strictEqual(items[1].title, 'Monero delisted from exchange');
+        assert.strictEqual(items[1].publishedAt, null);
+        assert.strictEqual(fetch.calls[0].url, 'https://example.com/feed.json');
+    });
+
+    it('should send the last validators and skip unchanged feeds', async () => {
+        const requests = [];
+        const fetch = async (url, init) => {
+            requests.push(init.headers);
+            if (init.headers['If-None-Match'] === '"v1"') return { ok: false, status: 304 };
+            return {
+                ok: true,
+                status: 200,
+                headers: new Headers({ ETag: '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 12:00:00 GMT' }),
+                json: async () => ({ version: 'https://jsonfeed.org/version/1', items: [{ id: '1', title: 'ZK rollup launches' }] })
+            };
+        };
+        const source = new JsonFeedSource({ name: 'Feed', url: 'u', fetch });
+
+        const first = await source.poll();
+        assert.strictEqual(first.items.length, 1);
+        assert.strictEqual(first.etag, '"v1"');
+        assert.strictEqual(first.lastModified, 'Mon, 19 Oct 2026 12:00:00 GMT');
+
+        const second = await source.poll(first);
+        assert.deepStrictEqual(second, { notModified: true, etag: '"v1"', lastModified: 'Mon, 19 Oct 2026 12:00:00 GMT', items: [] });
+        assert.strictEqual(requests[1]['If-Modified-Since'], 'Mon, 19 Oct 2026 12:00:00 GMT');
+    });
+
+    it('should reject documents that are not JSON Feeds or fail', async () => {
+        await assert.rejects(() => new JsonFeedSource({ name: 'Feed', url: 'u', fetch: fakeFetch({ items: [] }) }).fetchItems(), /not a JSON Feed/);
+        await assert.rejects(() => new JsonFeedSource({ name: 'Feed', url: 'u', fetch: fakeFetch({}, 503) }).fetchItems(), /HTTP 503/);
+    });
+});
+
+describe('HttpJsonSource', () => {
+    it('should map items with dotted paths', async () => {
+        const fetch = fakeFetch({
+            data: {
+                articles: [
+                    { uuid: 'a1', headline: 'Tornado Cash appeal heard', web: { url: 'https://example.com/a1' }, time: NOW, teaser: 'Court hears mixer case' },
+                    { uuid: 'a2', headline: '' }
+                ]
+            }
+        });
+        const source = new HttpJsonSource({
+            name: 'Wire',
+            url: 'https://example.com/api',
+            headers: { Authorization: 'Bearer key' },
+            itemsPath: 'data.articles',
+            mapping: { id: 'uuid', title: 'headline', link: 'web.url', publishedAt: 'time', content: 'teaser' },
+            fetch
+        });
+
+        assert.deepStrictEqual(await source.fetchItems(), [
+            { id: 'a1', title: 'Tornado Cash appeal heard', link: 'https://example.com/a1', publishedAt: NOW, content: 'Court hears mixer case' }
+        ]);
+        assert.strictEqual(fetch.calls[0].init.headers.Authorization, 'Bearer key');
+    });
+
+    it('should fail when the items path holds no array', async () => {
+        const source = new HttpJsonSource({ name: 'Wire', url: 'u', itemsPath: 'data', fetch: fakeFetch({ data: {} }) });
+        await assert.rejects(() => source.fetchItems(), /no item array at "data"/);
+    });
+
+    it('should read dotted paths through arrays', () => {
+        assert.strictEqual(readPath({ links: [{ href: 'x' }] }, 'links.0.href'), 'x');
+        assert.strictEqual(readPath({ a: null }, 'a.b'), undefined);
+    });
+});
+
+describe('DirectorySource', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'news-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read headline files', async () => {
+        writeFileSync(path.join(dir, 'a.txt'), 'Signal adds usernames\n\n  EU debates chat control  \n');
+        utimesSync(path.join(dir, 'a.txt'), NOW / 1000, NOW / 1000);
+        writeFileSync(path.join(dir, 'b.json'), JSON.stringify({
+            items: [{ id: 'b1', title: 'Zcash halving', url: 'https://example.com/b1', publishedAt: '2026-10-01T00:00:00Z' }, { summary: 'untitled' }]
+        }));
+        writeFileSync(path.join(dir, 'notes.md'), 'ignored');
+
+        const items = await new DirectorySource({ name: 'Local', path: dir }).fetchItems();
+
+        assert.deepStrictEqual(items.map(i => i.id), ['a.txt:Signal adds usernames', 'a.txt:EU debates chat control', 'b1']);
+        assert.strictEqual(items[0].publishedAt, NOW);
+        assert.strictEqual(items[2].link, 'https://example.com/b1');
+        assert.strictEqual(items[2].publishedAt, Date.UTC(2026, 9, 1));
+    });
+
+    it('should report missing directories and bad JSON', async () => {
+        await assert.rejects(() => new DirectorySource({ name: 'Local', path: path.join(dir, 'missing') }).fetchItems(), /not found/);
+
+        writeFileSync(path.join(dir, 'bad.json'), '{');
+        await assert.rejects(() => new DirectorySource({ name: 'Local', path: dir }).fetchItems(), /bad\.json/);
+    });
+});
+
+describe('createNewsSource', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'news-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should pick an adapter from the spec', () => {
+        assert.ok(createNewsSource({ name: 'A', url: 'https://example.com/feed' }) instanceof RssSource);
+        assert.ok(createNewsSource({ name: 'B', path: dir }) instanceof DirectorySource);
+        assert.ok(createNewsSource({ type: 'json-feed', name: 'C', url: 'u' }) instanceof JsonFeedSource);
+
+        const mock = new MockNewsSource();
+        assert.strictEqual(createNewsSource(mock), mock);
+
+        assert.throws(() => createNewsSource({ type: 'gopher', name: 'D' }), /Unknown news source type: gopher/);
+        assert.throws(() => createNewsSource({ type: 'rss', name: 'E' }), /requires a url/);
+    });
+
+    it('should load sources from a file relative to it', async () => {
+        mkdirSync(path.join(dir, 'headlines'));
+        const file = path.join(dir, 'sources.json');
+        writeFileSync(file, JSON.stringify({
+            sources: [
+                { type: 'directory', name: 'Local', path: 'headlines' },
+                { type: 'http-json', name: 'Wire', url: 'https://example.com/api', itemsPath: 'data' }
+            ]
+        }));
+
+        const sources = await loadNewsSources(file);
+        assert.deepStrictEqual(sources.map(s => s.describe()), [
+            { name: 'Local', type: 'directory', location: path.join(dir, 'headlines'), weight: 1 },
+            { name: 'Wire', type: 'http-json', location: 'https://example.com/api', weight: 1 }
+        ]);
+    });
+});
+
+describe('NewsMonitor sources', () => {
+    it('should score items from any adapter', async () => {
+        const monitor = new NewsMonitor({
+            sources: [new MockNewsSource({ keywords: ['privacy', 'zk', 'tornado', 'encryption'], clock: () => NOW })]
+        });
+        monitor.isRunning = true;
+
+        const events = await monitor.checkFeeds();
+
+        assert.ok(events.length > 0);
+        assert.ok(events.every(e => e.source === 'mock' && e.publishedAt === NOW));
+        assert.ok(events.some(e => e.id === 'mock-4'));
+        assert.strictEqual((await monitor.checkFeeds()).length, 0);
+    });
+
+    it('should add and remove sources of any type', () => {
+        const monitor = new NewsMonitor({ sources: [] });
+
+        monitor
+            .addSource({ type: 'json-feed', name: 'Feed', url: 'https://example.com/feed.json' })
+            .addSource(new MockNewsSource());
+
+        assert.deepStrictEqual(monitor.listSources().map(s => [s.name, s.type]), [['Feed', 'json-feed'], ['mock', 'mock']]);
+        assert.deepStrictEqual(monitor.sources[0].keywords, []);
+        assert.throws(() => monitor.addSource(new MockNewsSource()), /already exists/);
+
+        monitor.removeSource('Feed');
+        assert.deepStrictEqual(monitor.listSources().map(s => s.name), ['mock']);
+    });
+});
@@ -0,0 +1,171 @@
+// Tests for loadable category packs
+// Run with: node --test test/packs.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { PackRegistry, validatePack, loadPackFile } from '../src/generation/packs.js';
+import { generatePrivacyMarket, getCategories, listCategories, resetCategories } from '../src/privacy-markets.js';
+import { matchTemplate } from '../src/generation/dedup.js';
+
+const NFT_PACK = {
+    name: 'nft',
+    description: 'NFT markets',
+    weight: 1,
+    slotValues: { collection: ['Mad Lads', 'Tensorians'] },
+    categories: {
+        floors: {
+            name: 'NFT Floors',
+            weight: 1,
+            urgency: 'timely',
+            keywords: ['nft', 'floor price'],
+            templates: [
+                { text: 'Will the {collection} floor exceed {amount:10-100} SOL by {date}?', resolutionSource: 'Tensor', defaultDuration: 60 }
+            ]
+        }
+    }
+};
+
+describe('validatePack', () => {
+    it('should accept a well-formed pack', () => {
+        assert.deepStrictEqual(validatePack(NFT_PACK), []);
+    });
+
+    it('should report pack, category and template problems', () => {
+        const errors = validatePack({
+            name: 'Bad Name',
+            categories: {
+                broken: {
+                    name: 'Broken',
+                    weight: 0,
+                    urgency: 'someday',
+                    keywords: 'nft',
+                    templates: [{ text: 'Will {collection} moon?', resolutionSource: 'Tensor', defaultDuration: 30 }]
+                }
+            }
+        });
+
+        assert.ok(errors.some(e => /lowercase name/.test(e)));
+        assert.ok(errors.some(e => /weight must be positive/.test(e)));
+        assert.ok(errors.some(e => /urgency must be one of/.test(e)));
+        assert.ok(errors.some(e => /keywords must be a list/.test(e)));
+        assert.ok(errors.some(e => /template 0: Unknown slot type "collection"/.test(e)));
+    });
+
+    it('should not let value lists replace computed slot types', () => {
+        const errors = validatePack({ ...NFT_PACK, slotValues: { date: ['soon'] } });
+        assert.match(errors[0], /cannot be defined by a value list/);
+    });
+
+    it('should validate the bundled packs', async () => {
+        const registry = await new PackRegistry().load();
+        for (const pack of registry.list()) {
+            assert.deepStrictEqual(pack.errors, [], pack.name);
+        }
+        assert.deepStrictEqual(registry.list().map(p => p.name), ['privacy', 'defi', 'governance', 'solana']);
+    });
+});
+
+describe('PackRegistry', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'packs-'));
+        writeFileSync(path.join(dir, 'nft.json'), JSON.stringify(NFT_PACK));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+        resetCategories();
+    });
+
+    it('should enable only the privacy pack by default', async () => {
+        const registry = await new PackRegistry({ dir }).load();
+
+        assert.deepStrictEqual(registry.enabled, ['privacy']);
+        assert.strictEqual(registry.list().find(p => p.name === 'nft').source, 'user');
+        assert.deepStrictEqual(Object.keys(registry.buildCategories()), ['regulation', 'technology', 'adoption', 'events']);
+    });
+
+    it('should persist enabled packs', async () => {
+        await (await new PackRegistry({ dir }).load()).enable('nft');
+
+        assert.deepStrictEqual(JSON.parse(readFileSync(path.join(dir, 'enabled.json'), 'utf8')).enabled, ['privacy', 'nft']);
+
+        const reloaded = await new PackRegistry({ dir }).load();
+        assert.deepStrictEqual(reloaded.enabled, ['privacy', 'nft']);
+
+        await reloaded.disable('privacy');
+        assert.deepStrictEqual(reloaded.enabled, ['nft']);
+        await assert.rejects(() => reloaded.disable('nft'), /At least one pack must stay enabled/);
+    });
+
+    it('should refuse unknown and invalid packs', async () => {
+        writeFileSync(path.join(dir, 'broken.json'), '{ "name": ');
+        const registry = await new PackRegistry({ dir }).load();
+
+        await assert.rejects(() => registry.enable('nope'), /Unknown pack: nope/);
+        await assert.rejects(() => registry.enable('broken'), /Pack broken is invalid: Could not read pack/);
+    });
+
+    it('should need a directory to save the enabled list', async () => {
+        const registry = await new PackRegistry().load();
+        await assert.rejects(() => registry.enable('defi'), /No packs directory configured/);
+    });
+
+    it('should split weight between packs and prefix clashing keys', async () => {
+        writeFileSync(path.join(dir, 'enabled.json'), JSON.stringify({ enabled: ['privacy', 'nft', 'clash'] }));
+        writeFileSync(path.join(dir, 'clash.json'), JSON.stringify({
+            ...NFT_PACK,
+            name: 'clash',
+            weight: 2,
+            categories: { events: { ...NFT_PACK.categories.floors, name: 'NFT Events' } }
+        }));
+
+        const categories = (await new PackRegistry({ dir }).load()).buildCategories();
+
+        assert.strictEqual(categories.floors.weight, 0.25);
+        assert.strictEqual(categories.floors.pack, 'nft');
+        assert.strictEqual(categories['clash.events'].weight, 0.5);
+        assert.ok(Math.abs(categories.regulation.weight - 0.25 * 0.25) < 1e-9);
+
+        const total = Object.values(categories).reduce((sum, c) => sum + c.weight, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9);
+    });
+
+    it('should make generation draw from the enabled packs', async () => {
+        writeFileSync(path.join(dir, 'enabled.json'), JSON.stringify({ enabled: ['nft'] }));
+        (await new PackRegistry({ dir }).load()).apply();
+
+        assert.deepStrictEqual(Object.keys(getCategories()), ['floors']);
+        assert.strictEqual(listCategories()[0].pack, 'nft');
+
+        const idea = generatePrivacyMarket();
+        assert.match(idea.question, /^Will the (Mad Lads|Tensorians) floor exceed \d+ SOL by \w+ \d{4}\?$/);
+        assert.strictEqual(idea.pack, 'nft');
+        assert.strictEqual(idea.templateId, 'floors:0');
+        assert.strictEqual(matchTemplate(idea.question).templateId, 'floors:0');
+    });
+});
+
+describe('loadPackFile', () => {
+    it('should explain what YAML packs need when the parser is missing', async (t) => {
+        let hasYaml = true;
+        try {
+            await import('yaml');
+        } catch {
+            hasYaml = false;
+        }
+        if (hasYaml) return t.skip('yaml is installed');
+
+        const dir = mkdtempSync(path.join(tmpdir(), 'packs-'));
+        try {
+            writeFileSync(path.join(dir, 'nft.yaml'), 'name: nft\n');
+            await assert.rejects(() => loadPackFile(path.join(dir, 'nft.yaml')), /npm install yaml/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,210 @@
+// Tests for portfolio ledger, cost basis and PnL
+// Run with: node --test test/portfolio.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { Portfolio, computePositions } from '../src/portfolio/portfolio.js';
+import { Keypair } from '@solana/web3.js';
+import { PrivacyOracleAgent } from '../src/agent.js';
+import { getConfig } from '../src/config.js';
+import { createSimulatedAgent } from './helpers/simulated-agent.js';
+
+const MARKET_A = 'MarketA1111111111111111111111111111111111111';
+const MARKET_B = 'MarketB1111111111111111111111111111111111111';
+
+describe('Portfolio', () => {
+    let store;
+    let portfolio;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        portfolio = new Portfolio(store);
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    describe('ledger', () => {
+        it('should record entries in order', () => {
+            portfolio.record({ market: MARKET_A, action: 'buy', side: 'yes', tokens: 2000000n, usdc: 1000000n, timestamp: 1 });
+            portfolio.record({ market: MARKET_A, action: 'sell', side: 'yes', tokens: 1000000n, usdc: 600000n, timestamp: 2 });
+
+            const ledger = portfolio.getLedger();
+            assert.strictEqual(ledger.length, 2);
+            assert.strictEqual(ledger[0].action, 'buy');
+            assert.strictEqual(ledger[0].tokens, '2000000');
+        });
+
+        it('should reject unknown actions', () => {
+            assert.throws(() => portfolio.record({ market: MARKET_A, action: 'mint' }), /Unknown ledger action/);
+        });
+
+        it('should tag entries with the category of markets we created', () => {
+            store.saveMarket({ address: MARKET_A, question: 'Will it?', categoryKey: 'regulation', creationTime: Date.now(), durationDays: 30 });
+            portfolio.record({ market: MARKET_A, action: 'buy', side: 'no', tokens: 1000000n, usdc: 500000n });
+
+            assert.strictEqual(portfolio.getLedger()[0].category, 'regulation');
+        });
+    });
+
+    describe('computePositions', () => {
+        it('should track average cost and realized PnL on partial sells', () => {
+            const [position] = computePositions([
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1000000' },
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1400000' },
+                { market: MARKET_A, action: 'sell', side: 'yes', tokens: '1000000', usdc: '800000' }
+            ]);
+
+            assert.strictEqual(position.tokens, 3);
+            assert.strictEqual(position.averageCost, 0.6);
+            assert.strictEqual(position.costBasis, 1.8);
+            assert.strictEqual(position.realizedPnl, 0.2);
+            assert.strictEqual(position.open, true);
+        });
+
+        it('should close every side of a market on redemption', () => {
+            const positions = computePositions([
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1000000' },
+                { market: MARKET_A, action: 'buy', side: 'no', tokens: '1000000', usdc: '500000' },
+                { market: MARKET_A, action: 'redeem', usdc: '2000000' }
+            ]);
+
+            assert.ok(positions.every(p => !p.open));
+            const realized = positions.reduce((sum, p) => sum + p.realizedPnl, 0);
+            assert.strictEqual(Math.round(realized * 1e6) / 1e6, 0.5);
+        });
+
+        it('should book a refund against cost basis', () => {
+            const [position] = computePositions([
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1000000' },
+                { market: MARKET_A, action: 'refund', usdc: '1000000' }
+            ]);
+
+            assert.strictEqual(position.realizedPnl, 0);
+            assert.strictEqual(position.open, false);
+        });
+
+        it('should return the cost basis on a refund with no reported amount', () => {
+            const [position] = computePositions([
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1000000' },
+                { market: MARKET_A, action: 'refund', usdc: null }
+            ]);
+
+            assert.strictEqual(position.realizedPnl, 0);
+            assert.strictEqual(position.open, false);
+        });
+
+        it('should not book a loss for a redemption with an unknown payout', () => {
+            const [position] = computePositions([
+                { market: MARKET_A, action: 'buy', side: 'yes', tokens: '2000000', usdc: '1000000' },
+                { market: MARKET_A, action: 'redeem', usdc: null }
+            ]);
+
+            assert.strictEqual(position.realizedPnl, 0);
+            assert.strictEqual(position.payoutUnknown, true);
+            assert.strictEqual(position.open, false);
+        });
+    });
+
+    describe('agent trades', () => {
+        it('should record SDK trade results, which are in UI units, as base units', async () => {
+            // pnp-sdk works out what a trade returned from UI-unit balance deltas
+            const client = {
+                trading: {
+                    async buyTokensUsdc() {
+                        return { signature: 'buy-sig', usdcSpent: 0.5, tokensReceived: 0.93 };
+                    },
+                    async sellTokensBase() {
+                        return { signature: 'sell-sig', tokensSold: 0.5, usdcReceived: 0.31 };
+                    }
+                }
+            };
+            const agent = new PrivacyOracleAgent({ config: { ...getConfig(), backend: 'rpc' }, client, portfolio });
+            const market = Keypair.generate().publicKey.toBase58();
+
+            await agent.buyTokens({ marketAddress: market, side: 'yes', amountUsdc: 0.5 });
+            await agent.sellTokens({ marketAddress: market, side: 'yes', amount: 0.5 });
+
+            const [buy, sell] = portfolio.getLedger({ market });
+            assert.strictEqual(buy.tokens, '930000');
+            assert.strictEqual(buy.usdc, '500000');
+            assert.strictEqual(sell.tokens, '500000');
+            assert.strictEqual(sell.usdc, '310000');
+
+            const [position] = portfolio.getPositions({ market });
+            assert.strictEqual(Math.round(position.tokens * 1e6) / 1e6, 0.43);
+            assert.ok(Math.abs(position.realizedPnl - (0.31 - 0.5 * 0.5 / 0.93)) < 1e-6);
+        });
+    });
+
+    describe('agent redemptions', () => {
+        it('should book the winning tokens as the payout of an AMM redemption', async () => {
+            const { agent, client } = createSimulatedAgent({ store, portfolio });
+            const { market } = await agent.createMarket({ question: 'Will the EU pass a privacy law by June 2026?', durationDays: 30, liquidity: 1000000n });
+
+            await agent.buyTokens({ marketAddress: market, side: 'yes', amountUsdc: 0.5 });
+            await agent.buyTokens({ marketAddress: market, side: 'no', amountUsdc: 0.25 });
+            const held = portfolio.getPositions({ market }).find(p => p.side === 'yes').tokens;
+            await client.settleMarket({ market, yesWinner: true });
+
+            const before = client.getCollateralBalance();
+            const result = await agent.redeemPosition(market);
+            const paid = Number(client.getCollateralBalance() - before) / 1_000_000;
+
+            assert.strictEqual(Number(result.amountRedeemed) / 1_000_000, paid);
+            assert.strictEqual(portfolio.getLedger({ market }).at(-1).usdc, result.amountRedeemed);
+
+            const realized = portfolio.getPositions({ market }).reduce((sum, p) => sum + p.realizedPnl, 0);
+            assert.strictEqual(Math.round(realized * 1e6) / 1e6, Math.round((held - 0.75) * 1e6) / 1e6);
+        });
+
+        it('should record refunds without an amount as cost returned', async () => {
+            const { agent, client } = createSimulatedAgent({ store, portfolio });
+            const { market } = await agent.createMarket({ question: 'Will the EU pass a privacy law by June 2026?', durationDays: 30, liquidity: 1000000n });
+
+            await agent.buyTokens({ marketAddress: market, side: 'yes', amountUsdc: 0.5 });
+            await client.setMarketResolvable(market, false);
+            client.advanceTime(31 * 24 * 60 * 60 * 1000);
+            await agent.claimRefund(market);
+
+            assert.strictEqual(portfolio.getLedger({ market }).at(-1).usdc, null);
+            const [position] = portfolio.getPositions({ market });
+            assert.strictEqual(position.realizedPnl, 0);
+            assert.strictEqual(position.open, false);
+        });
+    });
+
+    describe('getSummary', () => {
+        beforeEach(() => {
+            store.saveMarket({ address: MARKET_A, question: 'A?', categoryKey: 'regulation', creationTime: Date.now(), durationDays: 30 });
+            portfolio.record({ market: MARKET_A, action: 'buy', side: 'yes', tokens: 2000000n, usdc: 1000000n });
+            portfolio.record({ market: MARKET_B, action: 'buy', side: 'no', tokens: 4000000n, usdc: 2000000n });
+        });
+
+        it('should value open positions at current prices', async () => {
+            const prices = {
+                [MARKET_A]: { yesPrice: 0.75, noPrice: 0.25 },
+                [MARKET_B]: { yesPrice: 0.6, noPrice: 0.4 }
+            };
+
+            const summary = await portfolio.getSummary(async (market) => prices[market]);
+
+            assert.strictEqual(summary.totals.openPositions, 2);
+            assert.strictEqual(summary.totals.costBasis, 3);
+            assert.strictEqual(summary.totals.marketValue, 3.1);
+            assert.strictEqual(summary.totals.unrealizedPnl, 0.1);
+            assert.deepStrictEqual(summary.exposureByCategory, { regulation: 1.5, uncategorized: 1.6 });
+        });
+
+        it('should fall back to cost basis when prices are unavailable', async () => {
+            const summary = await portfolio.getSummary(async () => {
+                throw new Error('RPC down');
+            });
+
+            assert.strictEqual(summary.totals.unrealizedPnl, 0);
+            assert.strictEqual(summary.totals.totalExposure, 3);
+        });
+    });
+});
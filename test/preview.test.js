@@ -0,0 +1,213 @@
+// Tests for dry-run transaction previews
+// Run with: node --test test/preview.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Connection, Keypair, PublicKey, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { estimateFees, buildTransactionPreview, captureTransaction, describeParams, COMPUTE_UNIT_ESTIMATES } from '../src/transactions/preview.js';
+import { createSimulatedAgent } from './helpers/simulated-agent.js';
+
+const ACCOUNTS = [
+    { address: '11111111111111111111111111111111', role: 'wallet (signer)', writable: true, signer: true },
+    { address: null, role: 'new market (derived on send)', writable: true }
+];
+
+describe('Transaction previews', () => {
+    describe('estimateFees', () => {
+        it('should return the base fee for the simulated backend', async () => {
+            const fees = await estimateFees({ backend: 'simulated' }, 'buyTokens', []);
+
+            assert.strictEqual(fees.source, 'simulated');
+            assert.strictEqual(fees.totalLamports, 5000);
+            assert.strictEqual(fees.computeUnits, COMPUTE_UNIT_ESTIMATES.buyTokens);
+        });
+
+        it('should note when no Helius key is configured', async () => {
+            const fees = await estimateFees({ backend: 'rpc' }, 'createMarket', []);
+
+            assert.strictEqual(fees.source, 'base');
+            assert.match(fees.note, /HELIUS_API_KEY/);
+        });
+
+        it('should price the priority fee from a Helius estimate', async () => {
+            let request;
+            const heliusClient = {
+                async getPriorityFeeEstimate(params) {
+                    request = params;
+                    return { priorityFeeEstimate: 10000 };
+                }
+            };
+
+            const fees = await estimateFees({ backend: 'rpc' }, 'createMarket', ['abc'], { heliusClient });
+
+            assert.deepStrictEqual(request.accountKeys, ['abc']);
+            assert.strictEqual(fees.source, 'helius');
+            assert.strictEqual(fees.priorityFeeLamports, 4000);
+            assert.strictEqual(fees.totalLamports, 9000);
+        });
+
+        it('should price the priority fee at simulated compute units when given', async () => {
+            const heliusClient = { async getPriorityFeeEstimate() { return { priorityFeeEstimate: 10000 }; } };
+
+            const fees = await estimateFees({ backend: 'rpc' }, 'createMarket', [], { heliusClient, computeUnits: 50000 });
+
+            assert.strictEqual(fees.computeUnitsSource, 'simulation');
+            assert.strictEqual(fees.priorityFeeLamports, 500);
+        });
+
+        it('should fall back to the base fee when Helius fails', async () => {
+            const heliusClient = {
+                async getPriorityFeeEstimate() {
+                    throw new Error('rate limited');
+                }
+            };
+
+            const fees = await estimateFees({ backend: 'rpc' }, 'sellTokens', [], { heliusClient });
+
+            assert.strictEqual(fees.totalLamports, 5000);
+            assert.match(fees.note, /rate limited/);
+        });
+    });
+
+    describe('captureTransaction', () => {
+        const payer = Keypair.generate();
+        const recipient = Keypair.generate().publicKey;
+
+        // Stands in for an SDK write: builds, signs and sends through the connection
+        async function sendTransfer(connection) {
+            const message = new TransactionMessage({
+                payerKey: payer.publicKey,
+                recentBlockhash: PublicKey.default.toBase58(),
+                instructions: [SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: recipient, lamports: 1000 })]
+            }).compileToV0Message();
+            const transaction = new VersionedTransaction(message);
+            transaction.sign([payer]);
+            return connection.sendTransaction(transaction);
+        }
+
+        function fakeConnection(simulation) {
+            const connection = new Connection('http://127.0.0.1:1');
+            connection.sent = 0;
+            connection.sendRawTransaction = async () => { connection.sent++; return 'sig'; };
+            connection.simulateTransaction = async () => simulation();
+            return connection;
+        }
+
+        it('should report the built transaction\'s accounts without sending it', async () => {
+            const connection = fakeConnection(() => ({ value: { unitsConsumed: 150, err: null, logs: ['ok'] } }));
+            const original = connection.sendRawTransaction;
+
+            const captured = await captureTransaction(connection, () => sendTransfer(connection));
+
+            assert.strictEqual(connection.sent, 0);
+            assert.strictEqual(connection.sendRawTransaction, original);
+            assert.strictEqual(captured.version, 0);
+            assert.deepStrictEqual(captured.accounts, [
+                { address: payer.publicKey.toBase58(), signer: true, writable: true },
+                { address: recipient.toBase58(), signer: false, writable: true },
+                { address: SystemProgram.programId.toBase58(), signer: false, writable: false }
+            ]);
+            assert.deepStrictEqual(captured.programs, [SystemProgram.programId.toBase58()]);
+            assert.deepStrictEqual(captured.simulation, { computeUnits: 150, error: null, logs: ['ok'] });
+        });
+
+        it('should keep the transaction when the simulation fails', async () => {
+            const connection = fakeConnection(() => { throw new Error('rpc down'); });
+
+            const captured = await captureTransaction(connection, () => sendTransfer(connection));
+
+            assert.strictEqual(captured.accounts.length, 3);
+            assert.deepStrictEqual(captured.simulation, { computeUnits: null, error: 'rpc down', logs: [] });
+        });
+
+        it('should rethrow errors raised before anything was sent', async () => {
+            const connection = fakeConnection(() => ({ value: {} }));
+
+            await assert.rejects(
+                captureTransaction(connection, async () => { throw new Error('market not found'); }),
+                /market not found/
+            );
+            assert.strictEqual(await connection.sendRawTransaction(), 'sig');
+        });
+    });
+
+    describe('buildTransactionPreview', () => {
+        it('should report a built transaction\'s accounts, labelled with the agent\'s roles', async () => {
+            const wallet = ACCOUNTS[0].address;
+            const preview = await buildTransactionPreview(
+                { backend: 'rpc', network: 'devnet' },
+                {
+                    action: 'createMarket',
+                    instruction: 'market.createMarket',
+                    params: {},
+                    accounts: ACCOUNTS,
+                    transaction: {
+                        version: 0,
+                        signatures: 1,
+                        accounts: [
+                            { address: wallet, signer: true, writable: true },
+                            { address: 'MarketPda1111111111111111111111111111111111', signer: false, writable: true }
+                        ],
+                        programs: [],
+                        lookupTables: [],
+                        simulation: { computeUnits: 90000, error: null, logs: [] }
+                    }
+                }
+            );
+
+            assert.strictEqual(preview.built, true);
+            assert.strictEqual(preview.accounts[0].role, 'wallet (signer)');
+            assert.strictEqual(preview.accounts[1].role, null);
+            assert.strictEqual(preview.fees.computeUnits, 90000);
+            assert.strictEqual(preview.transaction.simulation.computeUnits, 90000);
+        });
+
+        it('should mark the result as a preview and keep the summary fields', async () => {
+            const preview = await buildTransactionPreview(
+                { backend: 'simulated', network: 'devnet' },
+                {
+                    action: 'createMarket',
+                    instruction: 'market.createMarket',
+                    params: { question: 'Will it?' },
+                    accounts: ACCOUNTS,
+                    collateralRequired: 1000000n,
+                    summary: { question: 'Will it?' }
+                }
+            );
+
+            assert.strictEqual(preview.preview, true);
+            assert.strictEqual(preview.success, true);
+            assert.strictEqual(preview.question, 'Will it?');
+            assert.strictEqual(preview.network, 'devnet');
+            assert.strictEqual(preview.collateralRequired, '1000000');
+            assert.strictEqual(preview.instruction.name, 'market.createMarket');
+            assert.strictEqual(preview.accounts.length, 2);
+            assert.strictEqual(preview.built, false);
+        });
+    });
+
+    describe('agent previews', () => {
+        it('should preview a market creation without creating anything', async () => {
+            const { agent, client } = createSimulatedAgent();
+
+            const estimate = await agent.createMarket({ question: 'Will Zcash ship a new upgrade by March 2026?', durationDays: 30, liquidity: 1000000n, preview: true });
+
+            assert.strictEqual(estimate.preview, true);
+            assert.strictEqual(estimate.built, false);
+            assert.match(estimate.transactionNote, /simulated backend/);
+            assert.strictEqual(estimate.instruction.name, 'market.createMarket');
+            assert.strictEqual(estimate.collateralRequired, '1000000');
+            assert.strictEqual((await client.fetchMarkets()).count, 0);
+            assert.strictEqual(client.getCollateralBalance(), createSimulatedAgent().client.getCollateralBalance());
+        });
+    });
+
+    describe('describeParams', () => {
+        it('should stringify bigints and public keys and drop undefined values', () => {
+            const key = new PublicKey('11111111111111111111111111111111');
+            const out = describeParams({ amount: 5n, market: key, side: 'yes', skip: undefined });
+
+            assert.deepStrictEqual(out, { amount: '5', market: key.toBase58(), side: 'yes' });
+        });
+    });
+});
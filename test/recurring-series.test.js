@@ -0,0 +1,210 @@
+// Tests for recurring market series and rollover
+// Run with: node --test test/recurring-series.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { RecurringSeries, CADENCES, seriesQuestion } from '../src/daemon/recurring-series.js';
+import { createSimulatedAgent, onChainAccount } from './helpers/simulated-agent.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Monday, October 19 2026
+const NOW = Date.UTC(2026, 9, 19);
+
+const TEMPLATE = 'Will SOL close above $200 by {date}?';
+
+describe('cadences', () => {
+    it('should end periods on Sunday, month end and quarter end', () => {
+        assert.strictEqual(new Date(CADENCES.weekly.periodEnd(NOW)).toISOString(), '2026-10-25T23:59:59.999Z');
+        assert.strictEqual(new Date(CADENCES.monthly.periodEnd(NOW)).toISOString(), '2026-10-31T23:59:59.999Z');
+        assert.strictEqual(new Date(CADENCES.quarterly.periodEnd(NOW)).toISOString(), '2026-12-31T23:59:59.999Z');
+    });
+
+    it('should label deadlines so the linter reads them', () => {
+        assert.strictEqual(seriesQuestion(TEMPLATE, 'weekly', CADENCES.weekly.periodEnd(NOW)), 'Will SOL close above $200 by October 25, 2026?');
+        assert.strictEqual(seriesQuestion(TEMPLATE, 'monthly', CADENCES.monthly.periodEnd(NOW)), 'Will SOL close above $200 by October 2026?');
+        assert.strictEqual(seriesQuestion(TEMPLATE, 'quarterly', CADENCES.quarterly.periodEnd(NOW)), 'Will SOL close above $200 by Q4 2026?');
+    });
+});
+
+describe('RecurringSeries', () => {
+    let store;
+    let now;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        now = NOW;
+        ({ agent, client } = createSimulatedAgent({ clock: () => now }));
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function recurring() {
+        return new RecurringSeries({ store, agent, clock: () => now });
+    }
+
+    // Series instances in order, as the exchange reports them
+    async function instances() {
+        const markets = store.getSeriesMarkets('sol-200')
+            .sort((a, b) => a.metadata.recurring.instance - b.metadata.recurring.instance);
+        return Promise.all(markets.map(m => onChainAccount(client, m.address)));
+    }
+
+    async function questions() {
+        return (await instances()).map(a => a.question);
+    }
+
+    function define(manager, overrides = {}) {
+        return manager.define({ id: 'sol-200', template: TEMPLATE, cadence: 'monthly', liquidity: '5000', ...overrides });
+    }
+
+    it('should validate definitions', () => {
+        const manager = recurring();
+
+        assert.throws(() => define(manager, { id: 'SOL 200' }), /lowercase/);
+        assert.throws(() => define(manager, { cadence: 'daily' }), /Unknown cadence/);
+        assert.throws(() => define(manager, { template: 'Will SOL close above $200?' }), /needs a \{date\} slot/);
+        assert.throws(() => define(manager, { template: 'Will {protocol} launch by {date}?' }), /only take \{date\}/);
+        assert.throws(() => define(manager, { liquidity: '5.5' }), /whole number/);
+
+        define(manager);
+        assert.throws(() => define(manager), /already exists/);
+    });
+
+    it('should create the first instance for the current period', async () => {
+        const manager = recurring();
+        define(manager);
+
+        const summary = await manager.run();
+
+        assert.strictEqual(summary.created, 1);
+        const [account] = await instances();
+        assert.strictEqual(account.question, 'Will SOL close above $200 by October 2026?');
+        assert.strictEqual(account.end_time, String(Math.floor((NOW + 13 * DAY) / 1000)));
+        assert.strictEqual(account.initial_liquidity, '5000');
+
+        const [market] = store.getSeriesMarkets('sol-200');
+        assert.strictEqual(market.seriesId, 'sol-200');
+        assert.strictEqual(market.durationDays, 13);
+        assert.deepStrictEqual(market.metadata.recurring, {
+            instance: 1,
+            periodEnd: CADENCES.monthly.periodEnd(NOW),
+            label: 'October 2026'
+        });
+    });
+
+    it('should skip a period that ends within the lead time', async () => {
+        now = Date.UTC(2026, 9, 30);
+        const manager = recurring();
+        define(manager);
+
+        await manager.run();
+        assert.deepStrictEqual(await questions(), ['Will SOL close above $200 by November 2026?']);
+    });
+
+    it('should roll over only when the current instance nears expiry', async () => {
+        const manager = recurring();
+        define(manager);
+        await manager.run();
+
+        now = Date.UTC(2026, 9, 25);
+        assert.strictEqual((await manager.run()).created, 0);
+
+        now = Date.UTC(2026, 9, 29);
+        await manager.run();
+        assert.strictEqual((await questions())[1], 'Will SOL close above $200 by November 2026?');
+
+        const { instances } = manager.history('sol-200');
+        assert.deepStrictEqual(instances.map(i => [i.instance, i.period]), [[1, 'October 2026'], [2, 'November 2026']]);
+    });
+
+    it('should not create instances of paused series', async () => {
+        const manager = recurring();
+        define(manager);
+
+        assert.strictEqual(manager.pause('sol-200').status, 'paused');
+        assert.strictEqual((await manager.run()).checked, 0);
+        assert.strictEqual(manager.list()[0].next, null);
+
+        manager.resume('sol-200');
+        assert.strictEqual((await manager.run()).created, 1);
+    });
+
+    it('should retry after a failed rollover', async () => {
+        const funded = agent;
+        ({ agent } = createSimulatedAgent({ clock: () => now, initialBalance: 1000n }));
+        const manager = recurring();
+        define(manager);
+
+        const failed = await manager.run();
+        assert.strictEqual(failed.failed, 1);
+        assert.match(failed.results[0].error, /Insufficient collateral/);
+
+        manager.agent = funded;
+        assert.strictEqual((await manager.run()).created, 1);
+    });
+
+    it('should record an instance whose bookkeeping failed instead of creating it again', async () => {
+        const manager = recurring();
+        define(manager);
+        const saveMarket = store.saveMarket.bind(store);
+        store.saveMarket = () => {
+            throw new Error('disk full');
+        };
+
+        const first = await manager.run();
+        assert.strictEqual(first.created, 1);
+        assert.strictEqual(first.failed, 0);
+        assert.match(first.results[0].recordError, /was created but not recorded: disk full/);
+        assert.strictEqual(store.getSeries('sol-200').metadata.unrecorded.market, first.results[0].market);
+
+        store.saveMarket = saveMarket;
+        const second = await manager.run();
+        assert.strictEqual(second.created, 0);
+        assert.strictEqual(second.results[0].market, first.results[0].market);
+        assert.strictEqual((await client.fetchMarkets()).count, 1);
+        assert.strictEqual(store.getMarket(first.results[0].market).seriesId, 'sol-200');
+        assert.strictEqual(store.getSeries('sol-200').metadata.unrecorded, undefined);
+
+        // Also after a restart, from what was kept on the series
+        store.saveMarket = () => {
+            throw new Error('disk full');
+        };
+        now += 40 * DAY;
+        const third = await recurring().run();
+        store.saveMarket = saveMarket;
+        const restarted = await recurring().run();
+        assert.strictEqual(restarted.created, 0);
+        assert.strictEqual(restarted.results[0].market, third.results[0].market);
+        assert.deepStrictEqual((await instances()).length, 2);
+    });
+
+    it('should catch up to the current period after downtime', async () => {
+        const manager = recurring();
+        define(manager);
+        await manager.run();
+
+        now = NOW + 90 * DAY;
+        await manager.run();
+        assert.strictEqual((await questions())[1], 'Will SOL close above $200 by January 2027?');
+    });
+
+    it('should report outcomes in the history', async () => {
+        const manager = recurring();
+        define(manager);
+        await manager.run();
+        const [market] = store.getSeriesMarkets('sol-200');
+        store.updateMarket(market.address, { status: 'settled', outcome: 'yes' });
+
+        const { series, instances } = manager.history('sol-200');
+        assert.strictEqual(series.title, TEMPLATE);
+        assert.strictEqual(instances[0].outcome, 'yes');
+        assert.strictEqual(instances[0].status, 'settled');
+
+        assert.throws(() => manager.history('missing'), /No series with id missing/);
+    });
+});
@@ -0,0 +1,198 @@
+// Tests for the daemon redemption sweeper
+// Run with: node --test test/redemption-sweeper.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { Portfolio } from '../src/portfolio/portfolio.js';
+import { RedemptionSweeper } from '../src/daemon/redemption-sweeper.js';
+import { agentEvents, AgentEvents } from '../src/events/emitter.js';
+import { createSimulatedAgent } from './helpers/simulated-agent.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('RedemptionSweeper', () => {
+    let store;
+    let portfolio;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        portfolio = new Portfolio(store);
+        ({ agent, client } = createSimulatedAgent({ store, portfolio }));
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    function sweeper(options = {}) {
+        return new RedemptionSweeper({ agent, store, portfolio, clock: () => client.now(), ...options });
+    }
+
+    // An AMM market we created and track; buys a position on `side` when given
+    async function createMarket(name, side = null, track = true) {
+        const question = `Will ${name} happen by January 2026?`;
+        const { market } = await agent.createMarket({ question, durationDays: 10, liquidity: 1000000n });
+        if (track) store.saveMarket({ address: market, question, creationTime: client.now(), durationDays: 10 });
+        if (side) await agent.buyTokens({ marketAddress: market, side, amountUsdc: 0.5 });
+        return market;
+    }
+
+    async function createP2PMarket(name) {
+        const question = `Will ${name} happen by January 2026?`;
+        const { market } = await agent.createP2PMarket({ question, durationDays: 10, amount: 1000000n });
+        store.saveMarket({ address: market, question, creationTime: client.now(), durationDays: 10 });
+        return market;
+    }
+
+    // The real SDK decodes winning_token_id as an Anchor enum rather than a string
+    function decodeOutcomesAsEnums() {
+        const fetchMarket = client.fetchMarket.bind(client);
+        client.fetchMarket = async (market) => {
+            const info = await fetchMarket(market);
+            const side = info.account.winning_token_id;
+            return side === 'yes' || side === 'no'
+                ? { ...info, account: { ...info.account, winning_token_id: { [side]: {} } } }
+                : info;
+        };
+    }
+
+    function methods() {
+        return store.getRedemptions().map(r => `${r.market}:${r.method}`).sort();
+    }
+
+    it('should pick the redeem method by market type', async () => {
+        const amm = await createMarket('amm', 'yes');
+        const p2p = await createP2PMarket('p2p');
+        await client.settleMarket({ market: amm, yesWinner: true });
+        await client.settleMarket({ market: p2p, yesWinner: true });
+
+        const summary = await sweeper().sweep();
+
+        assert.strictEqual(summary.redeemed, 2);
+        assert.deepStrictEqual(methods(), [`${amm}:redeemPosition`, `${p2p}:redeemV3Position`].sort());
+    });
+
+    it('should claim refunds on expired unresolvable markets', async () => {
+        const expired = await createMarket('expired', 'yes');
+        const p2p = await createP2PMarket('p2p');
+        const resolvable = await createMarket('resolvable', 'yes');
+        await client.setMarketResolvable(expired, false);
+        await client.setMarketResolvable(p2p, false);
+
+        assert.strictEqual((await sweeper().sweep()).checked, 0);
+
+        client.advanceTime(11 * DAY);
+        const summary = await sweeper().sweep();
+
+        assert.strictEqual(summary.refunded, 2);
+        assert.deepStrictEqual(methods(), [`${expired}:claimRefund`, `${p2p}:claimP2PRefund`].sort());
+        assert.strictEqual(store.getMarket(expired).status, 'cancelled');
+        assert.strictEqual(store.getMarket(resolvable).status, 'active');
+    });
+
+    it('should include markets we only hold a position in', async () => {
+        const traded = await createMarket('traded', 'yes', false);
+        await client.settleMarket({ market: traded, yesWinner: true });
+
+        await sweeper().sweep();
+
+        assert.deepStrictEqual(methods(), [`${traded}:redeemPosition`]);
+    });
+
+    it('should record results and not retry finished markets', async () => {
+        const won = await createMarket('won', 'yes');
+        const lost = await createMarket('lost', 'no');
+        await client.settleMarket({ market: won, yesWinner: true });
+        await client.settleMarket({ market: lost, yesWinner: true });
+        const held = portfolio.getPositions({ market: won })[0].tokens;
+
+        await sweeper().sweep();
+        assert.strictEqual(store.getLatestRedemption(won).status, 'redeemed');
+        assert.strictEqual(Number(store.getLatestRedemption(won).amount) / 1_000_000, held);
+        assert.strictEqual(store.getLatestRedemption(lost).status, 'skipped');
+        assert.strictEqual(store.getMarket(won).status, 'redeemed');
+        assert.strictEqual(store.getMarket(lost).status, 'settled');
+        assert.strictEqual(store.getMarket(won).outcome, 'yes');
+
+        await sweeper().sweep();
+        assert.strictEqual(store.getRedemptions().length, 2);
+    });
+
+    it('should store an enum outcome as yes or no', async () => {
+        const won = await createMarket('won', 'yes');
+        await client.settleMarket({ market: won, yesWinner: true });
+        decodeOutcomesAsEnums();
+
+        const summary = await sweeper().sweep();
+
+        assert.strictEqual(summary.redeemed, 1);
+        assert.strictEqual(store.getMarket(won).outcome, 'yes');
+        assert.strictEqual(store.getMarket(won).status, 'redeemed');
+    });
+
+    it('should keep sweeping when a market status update fails', async () => {
+        const first = await createMarket('first', 'yes');
+        const second = await createMarket('second', 'yes');
+        await client.settleMarket({ market: first, yesWinner: true });
+        await client.settleMarket({ market: second, yesWinner: true });
+        const updateMarket = store.updateMarket.bind(store);
+        store.updateMarket = (address, updates) => {
+            if (address === first) throw new Error('disk full');
+            return updateMarket(address, updates);
+        };
+
+        const summary = await sweeper().sweep();
+
+        assert.strictEqual(summary.redeemed, 2);
+        assert.strictEqual(store.getMarket(first).status, 'active');
+        assert.strictEqual(store.getMarket(second).status, 'redeemed');
+    });
+
+    it('should retry markets whose claim failed', async () => {
+        const flaky = await createMarket('flaky', 'yes');
+        await client.settleMarket({ market: flaky, yesWinner: true });
+        client.redeemPosition = async () => {
+            throw new Error('RPC timeout');
+        };
+
+        let summary = await sweeper().sweep();
+        assert.strictEqual(summary.failed, 1);
+
+        delete client.redeemPosition;
+        summary = await sweeper().sweep();
+        assert.strictEqual(summary.redeemed, 1);
+    });
+
+    it('should emit redeemed and resolved events', async () => {
+        const won = await createMarket('won', 'yes');
+        await client.settleMarket({ market: won, yesWinner: true });
+        const events = [];
+        const onRedeemed = (e) => events.push(e.type);
+        const onResolved = (e) => events.push(e.type);
+        agentEvents.on(AgentEvents.MARKET_REDEEMED, onRedeemed);
+        agentEvents.on(AgentEvents.MARKET_RESOLVED, onResolved);
+
+        try {
+            await sweeper().sweep();
+        } finally {
+            agentEvents.off(AgentEvents.MARKET_REDEEMED, onRedeemed);
+            agentEvents.off(AgentEvents.MARKET_RESOLVED, onResolved);
+        }
+
+        assert.deepStrictEqual(events.sort(), [AgentEvents.MARKET_REDEEMED, AgentEvents.MARKET_RESOLVED].sort());
+    });
+
+    it('should only report what it would do in dry run', async () => {
+        const won = await createMarket('won', 'yes');
+        await client.settleMarket({ market: won, yesWinner: true });
+
+        const summary = await sweeper({ dryRun: true }).sweep();
+
+        assert.strictEqual(summary.results[0].status, 'dry-run');
+        assert.strictEqual(store.getRedemptions().length, 0);
+        assert.ok((await client.trading.getBalances(won)).yesBalance > 0n);
+    });
+});
@@ -0,0 +1,125 @@
+// Tests for the relevance scorer evaluation harness
+// Run with: node --test test/scorer-eval.test.js
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadCorpus, evaluateScorer, compareReports, keywordScorer } from '../src/monitoring/scorer-eval.js';
+import { loadKeywordSet, validateKeywordSet } from '../src/monitoring/keyword-config.js';
+import { DEFAULT_KEYWORD_SET } from '../src/monitoring/news-scorer.js';
+
+const CORPUS = [
+    { title: 'OFAC sanctions crypto mixer', relevant: true, category: 'regulation', urgency: 'timely' },
+    { title: 'Zero-knowledge rollup launches', relevant: true, category: 'technology', urgency: 'timely' },
+    { title: 'Data breach exposes records', relevant: true, category: 'events', urgency: 'breaking' },
+    { title: 'Bitcoin price rallies', relevant: false, urgency: 'evergreen' }
+];
+
+// Fixed predictions keyed by title
+function fixedScorer(results) {
+    return item => {
+        if (!results[item.title]) throw new Error('no result');
+        return results[item.title];
+    };
+}
+
+describe('evaluateScorer', () => {
+    it('should report precision and recall at each threshold', async () => {
+        const report = await evaluateScorer(CORPUS, fixedScorer({
+            'OFAC sanctions crypto mixer': { score: 80, category: 'regulation', urgency: 'timely' },
+            'Zero-knowledge rollup launches': { score: 40, category: 'technology', urgency: 'evergreen' },
+            'Data breach exposes records': { score: 20, category: 'regulation', urgency: 'breaking' },
+            'Bitcoin price rallies': { score: 50, category: 'technology', urgency: 'evergreen' }
+        }), { thresholds: [30, 60] });
+
+        const [low, high] = report.thresholds;
+        assert.deepStrictEqual([low.tp, low.fp, low.fn, low.tn], [2, 1, 1, 0]);
+        assert.strictEqual(low.precision, 2 / 3);
+        assert.strictEqual(low.recall, 2 / 3);
+        assert.deepStrictEqual([high.tp, high.fp, high.fn, high.tn], [1, 0, 2, 1]);
+        assert.strictEqual(high.precision, 1);
+
+        assert.strictEqual(report.categories.matrix.events.regulation, 1);
+        assert.strictEqual(report.categories.matrix.regulation.regulation, 1);
+        assert.strictEqual(report.categories.accuracy, 2 / 3);
+        assert.deepStrictEqual([report.urgency.correct, report.urgency.total], [3, 4]);
+    });
+
+    it('should count scorer failures without stopping', async () => {
+        const report = await evaluateScorer(CORPUS, fixedScorer({
+            'Bitcoin price rallies': { score: 0, category: 'technology', urgency: 'evergreen' }
+        }));
+
+        assert.strictEqual(report.errors.length, 3);
+        assert.strictEqual(report.predictions.length, 1);
+        assert.strictEqual(report.thresholds[0].precision, null);
+    });
+
+    it('should score with scoreRelevance and a keyword set', async () => {
+        const report = await evaluateScorer(CORPUS, keywordScorer(), { thresholds: [30] });
+        const [stats] = report.thresholds;
+
+        assert.strictEqual(stats.tp + stats.fn, 3);
+        assert.strictEqual(stats.fp, 0);
+    });
+});
+
+describe('compareReports', () => {
+    it('should diff metrics and list headlines whose results changed', async () => {
+        const base = await evaluateScorer(CORPUS, keywordScorer(), { thresholds: [30] });
+        const boosted = { ...DEFAULT_KEYWORD_SET, privacy: { ...DEFAULT_KEYWORD_SET.privacy, 'rollup': 3, 'data breach': 5 } };
+        const candidate = await evaluateScorer(CORPUS, keywordScorer(boosted), { thresholds: [30] });
+
+        const diff = compareReports(base, candidate, { threshold: 30 });
+
+        assert.ok(diff.thresholds[0].recall.delta > 0);
+        const fixed = diff.changed.filter(c => c.fixed);
+        assert.ok(fixed.some(c => c.title === 'Zero-knowledge rollup launches' || c.title === 'Data breach exposes records'));
+        assert.ok(diff.changed.every(c => c.title !== 'Bitcoin price rallies'));
+    });
+});
+
+describe('corpus and keyword set files', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'scorer-eval-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should load the bundled corpus', async () => {
+        const corpus = await loadCorpus();
+
+        assert.ok(corpus.length >= 30);
+        assert.ok(corpus.some(item => !item.relevant));
+    });
+
+    it('should load JSON Lines and JSON arrays and name bad items', async () => {
+        const lines = path.join(dir, 'corpus.jsonl');
+        await writeFile(lines, CORPUS.map(item => JSON.stringify(item)).join('\n'));
+        assert.strictEqual((await loadCorpus(lines)).length, 4);
+
+        const array = path.join(dir, 'corpus.json');
+        await writeFile(array, JSON.stringify([{ title: 'x', relevant: 'yes' }]));
+        await assert.rejects(loadCorpus(array), /item 1: relevant must be true or false/);
+    });
+
+    it('should fill parts a keyword set leaves out and reject bad ones', async () => {
+        const file = path.join(dir, 'keywords.json');
+        await writeFile(file, JSON.stringify({ privacy: { privacy: 4 } }));
+
+        const set = await loadKeywordSet(file);
+        assert.deepStrictEqual(set.privacy, { privacy: 4 });
+        assert.strictEqual(set.categories, DEFAULT_KEYWORD_SET.categories);
+
+        assert.deepStrictEqual(validateKeywordSet({ privacy: { zk: 'high' }, categories: { sports: [] } }), [
+            'privacy.zk must be a number or an object',
+            'categories.sports is not one of regulation, technology, adoption, events'
+        ]);
+    });
+});
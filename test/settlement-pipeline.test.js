@@ -0,0 +1,239 @@
+// Tests for the automated settlement pipeline
+// Run with: node --test test/settlement-pipeline.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MarketStore } from '../src/storage/market-store.js';
+import { SettlementPipeline } from '../src/daemon/settlement-pipeline.js';
+import { createSimulatedAgent, onChainAccount } from './helpers/simulated-agent.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createFakeResolver(verdicts) {
+    return {
+        async findResolvableMarkets(markets) {
+            return markets
+                .filter(m => verdicts[m.address])
+                .map(m => ({ market: m, ...verdicts[m.address] }));
+        }
+    };
+}
+
+describe('SettlementPipeline', () => {
+    let store;
+    let agent;
+    let client;
+
+    beforeEach(() => {
+        store = new MarketStore(':memory:');
+        ({ agent, client } = createSimulatedAgent({ store }));
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    // A custom-oracle market on the exchange, tracked with the settler we recorded for it
+    async function createMarket(name, options = {}) {
+        const question = `Will ${name} happen by January 2026?`;
+        const durationDays = options.durationDays || 1;
+        const settlerAddress = options.chainSettler || agent.getWalletAddress();
+        const result = await agent.createMarketWithCustomOracle({ question, durationDays, liquidity: 1000000n, settlerAddress });
+
+        store.saveMarket({
+            address: result.market,
+            question,
+            creationTime: client.now(),
+            endTime: client.now() + durationDays * DAY,
+            metadata: { settler: options.settler || settlerAddress }
+        });
+        return result.market;
+    }
+
+    // Move past the one-day markets' end time
+    function expire() {
+        client.advanceTime(2 * DAY);
+    }
+
+    function pipeline(resolver = null, options = {}) {
+        return new SettlementPipeline({ agent, store, resolver, clock: () => client.now(), minConfidence: 0.9, ...options });
+    }
+
+    it('should settle when the oracle and AI agree with high confidence', async () => {
+        const m1 = await createMarket('m1');
+        client.setOracleAnswer(m1, 'yes', 'It happened');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'yes', confidence: 0.97, reasoning: 'Confirmed by news' } });
+        expire();
+
+        const summary = await pipeline(resolver).run();
+
+        assert.strictEqual(summary.settled, 1);
+        assert.strictEqual((await onChainAccount(client, m1)).winning_token_id, 'yes');
+
+        const [decision] = store.getSettlementDecisions({ market: m1 });
+        assert.strictEqual(decision.decision, 'settled');
+        assert.strictEqual(decision.source, 'oracle+ai');
+        assert.match(decision.reasoning, /It happened/);
+        assert.match(decision.reasoning, /Confirmed by news/);
+        assert.strictEqual(store.getMarket(m1).status, 'settled');
+        assert.strictEqual(store.getMarket(m1).outcome, 'yes');
+    });
+
+    it('should settle on the oracle answer alone', async () => {
+        const m1 = await createMarket('m1');
+        client.setOracleAnswer(m1, 'no', 'Did not happen');
+        expire();
+
+        const summary = await pipeline().run();
+
+        assert.strictEqual(summary.settled, 1);
+        assert.strictEqual((await onChainAccount(client, m1)).winning_token_id, 'no');
+    });
+
+    it('should queue low-confidence verdicts for review', async () => {
+        const m1 = await createMarket('m1');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'no', confidence: 0.6, reasoning: 'Probably not' } });
+        expire();
+
+        const summary = await pipeline(resolver).run();
+
+        assert.strictEqual(summary.review, 1);
+        assert.strictEqual((await onChainAccount(client, m1)).resolved, false);
+        assert.strictEqual(store.getSettlementReviewQueue()[0].outcome, 'no');
+        assert.strictEqual(store.getMarket(m1).status, 'expired');
+    });
+
+    it('should queue disagreeing verdicts for review', async () => {
+        const m1 = await createMarket('m1');
+        client.setOracleAnswer(m1, 'yes', 'Oracle says yes');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'no', confidence: 0.99, reasoning: 'AI says no' } });
+        expire();
+
+        await pipeline(resolver).run();
+
+        const [item] = store.getSettlementReviewQueue();
+        assert.strictEqual(item.outcome, null);
+        assert.match(item.reasoning, /disagree/);
+    });
+
+    it('should not re-queue markets already waiting on review', async () => {
+        const m1 = await createMarket('m1');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'no', confidence: 0.5, reasoning: 'Unsure' } });
+        expire();
+
+        await pipeline(resolver).run();
+        await pipeline(resolver).run();
+
+        assert.strictEqual(store.getSettlementReviewQueue().length, 1);
+    });
+
+    it('should skip markets we are not the oracle for and markets still running', async () => {
+        const other = createSimulatedAgent({ seed: 'elsewhere' }).client.walletAddress;
+        const theirs = await createMarket('theirs', { chainSettler: other });
+        const running = await createMarket('running', { durationDays: 30 });
+        client.setOracleAnswer(theirs, 'yes');
+        client.setOracleAnswer(running, 'yes');
+        expire();
+
+        const summary = await pipeline().run();
+
+        assert.strictEqual(summary.checked, 0);
+        assert.strictEqual((await onChainAccount(client, theirs)).resolved, false);
+        assert.strictEqual((await onChainAccount(client, running)).resolved, false);
+    });
+
+    it('should record settlements made elsewhere', async () => {
+        const m1 = await createMarket('m1');
+        await client.settleMarket({ market: m1, yesWinner: false });
+        expire();
+
+        const summary = await pipeline().run();
+
+        assert.strictEqual(summary.checked, 0);
+        assert.strictEqual(store.getMarket(m1).status, 'settled');
+        assert.strictEqual(store.getMarket(m1).outcome, 'no');
+    });
+
+    it('should record settlements made elsewhere as yes or no when the SDK reports an enum', async () => {
+        const m1 = await createMarket('m1');
+        await client.settleMarket({ market: m1, yesWinner: true });
+        const fetchMarket = client.fetchMarket.bind(client);
+        client.fetchMarket = async (market) => {
+            const info = await fetchMarket(market);
+            return { ...info, account: { ...info.account, winning_token_id: { yes: {} } } };
+        };
+        expire();
+
+        await pipeline().run();
+
+        assert.strictEqual(store.getMarket(m1).status, 'settled');
+        assert.strictEqual(store.getMarket(m1).outcome, 'yes');
+    });
+
+    it('should accept AI outcomes in any case', async () => {
+        const m1 = await createMarket('m1');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'YES', confidence: 0.97, reasoning: 'Confirmed by news' } });
+        expire();
+
+        const summary = await pipeline(resolver, { useOracle: false }).run();
+
+        assert.strictEqual(summary.settled, 1);
+        assert.strictEqual((await onChainAccount(client, m1)).winning_token_id, 'yes');
+        assert.strictEqual(store.getMarket(m1).outcome, 'yes');
+    });
+
+    it('should record a wait only when the reason changes', async () => {
+        const m1 = await createMarket('m1');
+        expire();
+
+        await pipeline().run();
+        await pipeline().run();
+
+        const decisions = store.getSettlementDecisions({ market: m1 });
+        assert.strictEqual(decisions.length, 1);
+        assert.strictEqual(decisions[0].decision, 'wait');
+        assert.match(decisions[0].reasoning, /No oracle answer/);
+    });
+
+    it('should record failed settlements with the error', async () => {
+        // Our records name us as settler, but the chain disagrees
+        const other = createSimulatedAgent({ seed: 'elsewhere' }).client.walletAddress;
+        const m1 = await createMarket('m1', { chainSettler: other, settler: agent.getWalletAddress() });
+        client.setOracleAnswer(m1, 'no', 'Did not happen');
+        expire();
+
+        const summary = await pipeline().run();
+
+        assert.strictEqual(summary.failed, 1);
+        assert.match(store.getSettlementDecisions({ market: m1 })[0].reasoning, /not the settler/);
+    });
+
+    it('should settle approved review items and close them', async () => {
+        const m1 = await createMarket('m1');
+        const resolver = createFakeResolver({ [m1]: { outcome: 'yes', confidence: 0.5, reasoning: 'Unsure' } });
+        expire();
+        const p = pipeline(resolver);
+        await p.run();
+
+        const [item] = store.getSettlementReviewQueue();
+        const result = await p.approve(item.id, 'no', 'alice');
+
+        assert.strictEqual(result.decision, 'settled');
+        assert.strictEqual(result.source, 'human');
+        assert.strictEqual((await onChainAccount(client, m1)).winning_token_id, 'no');
+        assert.strictEqual(store.getSettlementReviewQueue().length, 0);
+        assert.strictEqual(store.getSettlementDecision(item.id).reviewStatus, 'approved');
+        assert.throws(() => p.dismiss(item.id), /No pending review/);
+    });
+
+    it('should not settle anything in dry run', async () => {
+        const m1 = await createMarket('m1');
+        client.setOracleAnswer(m1, 'yes', 'Yes');
+        expire();
+
+        const summary = await pipeline(null, { dryRun: true }).run();
+
+        assert.strictEqual(summary.decisions[0].decision, 'dry-run');
+        assert.strictEqual((await onChainAccount(client, m1)).resolved, false);
+    });
+});
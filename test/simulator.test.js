@@ -0,0 +1,332 @@
+// Tests for the simulated PNP backend
+// Run with: node --test test/simulator.test.js
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SimulatedPNPClient, createSimulatedClient } from '../src/simulator/pnp-simulator.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const DAY = 24 * 60 * 60;
+
+function endTimeIn(days) {
+    return BigInt(Math.floor(NOW / 1000) + days * DAY);
+}
+
+describe('SimulatedPNPClient', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new SimulatedPNPClient({ seed: 'test', clock: () => NOW });
+    });
+
+    describe('determinism', () => {
+        it('should derive the same addresses and signatures for the same seed', async () => {
+            const other = new SimulatedPNPClient({ seed: 'test', clock: () => NOW });
+
+            const a = await client.market.createMarket({ question: 'Will A?', initialLiquidity: 1000000n, endTime: endTimeIn(30) });
+            const b = await other.market.createMarket({ question: 'Will A?', initialLiquidity: 1000000n, endTime: endTimeIn(30) });
+
+            assert.strictEqual(a.market.toBase58(), b.market.toBase58());
+            assert.strictEqual(a.signature, b.signature);
+        });
+
+        it('should derive different addresses for different seeds', async () => {
+            const other = new SimulatedPNPClient({ seed: 'other', clock: () => NOW });
+
+            const a = await client.market.createMarket({ question: 'Will A?', initialLiquidity: 1000000n, endTime: endTimeIn(30) });
+            const b = await other.market.createMarket({ question: 'Will A?', initialLiquidity: 1000000n, endTime: endTimeIn(30) });
+
+            assert.notStrictEqual(a.market.toBase58(), b.market.toBase58());
+        });
+    });
+
+    describe('AMM markets', () => {
+        let market;
+
+        beforeEach(async () => {
+            const result = await client.market.createMarket({
+                question: 'Will privacy win?',
+                initialLiquidity: 1000000n,
+                endTime: endTimeIn(30)
+            });
+            market = result.market;
+        });
+
+        it('should start at 50/50 and debit liquidity', async () => {
+            const prices = await client.trading.getPrices(market);
+            assert.strictEqual(prices.yesPrice, 0.5);
+            assert.strictEqual(prices.noPrice, 0.5);
+            assert.strictEqual(client.getCollateralBalance(), 1_000_000_000_000n - 1000000n);
+        });
+
+        it('should honour custom starting odds', async () => {
+            const result = await client.createMarketV2WithCustomOdds({
+                question: 'Will odds hold?',
+                initialLiquidity: 1000000n,
+                endTime: endTimeIn(30),
+                yesOddsBps: 7000
+            });
+
+            const prices = await client.trading.getPrices(result.market);
+            assert.strictEqual(prices.yesPrice, 0.7);
+        });
+
+        it('should move the price up when buying YES', async () => {
+            const trade = await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 0 });
+            const prices = await client.trading.getPrices(market);
+            const balances = await client.trading.getBalances(market);
+
+            assert.ok(prices.yesPrice > 0.5);
+            assert.ok(trade.tokensReceived > 500000n, 'should receive more tokens than USDC spent below $1');
+            assert.strictEqual(balances.yesBalance, trade.tokensReceived);
+        });
+
+        it('should return less USDC than spent on an immediate round trip', async () => {
+            const buy = await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 1 });
+            const sell = await client.trading.sellTokensBase({ market, tokenAmount: buy.tokensReceived, tokenId: 1 });
+
+            assert.ok(sell.usdcReceived <= 500000n);
+            assert.ok(sell.usdcReceived > 499000n);
+        });
+
+        it('should quote trades without changing state', async () => {
+            const quote = await client.trading.quoteBuy({ market, usdcAmount: 500000n, tokenId: 0 });
+            const before = await client.trading.getPrices(market);
+            assert.strictEqual(before.yesPrice, 0.5);
+
+            const trade = await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 0 });
+            const after = await client.trading.getPrices(market);
+
+            assert.strictEqual(quote.tokensReceived, trade.tokensReceived);
+            assert.strictEqual(quote.pricesAfter.yesPrice, after.yesPrice);
+
+            const sellQuote = await client.trading.quoteSell({ market, tokenAmount: trade.tokensReceived, tokenId: 0 });
+            assert.ok(sellQuote.usdcReceived > 0n);
+            assert.strictEqual((await client.trading.getBalances(market)).yesBalance, trade.tokensReceived);
+        });
+
+        it('should reject selling more tokens than held', async () => {
+            await assert.rejects(
+                client.trading.sellTokensBase({ market, tokenAmount: 1n, tokenId: 0 }),
+                /Insufficient YES tokens/
+            );
+        });
+
+        it('should reject trades after the market ends', async () => {
+            client.advanceTime(31 * DAY * 1000);
+            await assert.rejects(
+                client.trading.buyTokensUsdc({ market, usdcAmount: 1000n, tokenId: 0 }),
+                /Market has ended/
+            );
+        });
+
+        it('should settle and redeem winning tokens 1:1', async () => {
+            const buy = await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 0 });
+            await client.settleMarket({ market, yesWinner: true });
+
+            const before = client.getCollateralBalance();
+            const redeemed = await client.redeemPosition(market);
+            assert.deepStrictEqual(Object.keys(redeemed), ['signature']);
+            assert.strictEqual(client.getCollateralBalance() - before, buy.tokensReceived);
+
+            const info = await client.fetchMarket(market);
+            assert.strictEqual(info.account.resolved, true);
+            assert.strictEqual(info.account.winning_token_id, 'yes');
+        });
+
+        it('should not redeem twice', async () => {
+            await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 0 });
+            await client.settleMarket({ market, yesWinner: true });
+            await client.redeemPosition(market);
+
+            await assert.rejects(client.redeemPosition(market), /already redeemed/);
+        });
+
+        it('should refuse settlement from a non-settler', async () => {
+            const result = await client.createMarketWithCustomOracle({
+                question: 'Will someone else settle?',
+                initialLiquidity: 1000000n,
+                endTime: endTimeIn(30),
+                settlerAddress: new SimulatedPNPClient({ seed: 'elsewhere' }).walletAddress
+            });
+
+            await assert.rejects(
+                client.settleMarket({ market: result.market, yesWinner: true }),
+                /not the settler/
+            );
+        });
+
+        it('should refund net deposits once an unresolvable market ends', async () => {
+            await client.trading.buyTokensUsdc({ market, usdcAmount: 500000n, tokenId: 0 });
+            await client.setMarketResolvable(market, false);
+            client.advanceTime(31 * DAY * 1000);
+
+            await client.claimMarketRefund(market);
+            assert.strictEqual(client.getCollateralBalance(), 1_000_000_000_000n);
+        });
+
+        it('should refuse refunds on live markets', async () => {
+            await assert.rejects(client.claimMarketRefund(market), /not eligible for refund/);
+        });
+
+        it('should report accounts in the SDK market layout', async () => {
+            const { account } = await client.fetchMarket(market);
+
+            assert.strictEqual(account.question, 'Will privacy win?');
+            assert.strictEqual(account.resolvable, true);
+            assert.strictEqual(account.winning_token_id, 'none');
+            assert.strictEqual(account.version, 2);
+            for (const field of ['settler', 'cancelled', 'market_type']) {
+                assert.ok(!(field in account), `${field} is not an SDK field`);
+            }
+
+            const listed = await client.fetchMarkets();
+            assert.strictEqual(listed.count, 1);
+            assert.strictEqual(listed.data[0].publicKey, market.toBase58());
+        });
+    });
+
+    describe('market creation', () => {
+        it('should not debit collateral for rejected creations', async () => {
+            await assert.rejects(
+                client.market.createMarket({ question: '', initialLiquidity: 1000000n, endTime: endTimeIn(30) }),
+                /Question is required/
+            );
+            await assert.rejects(
+                client.createP2PMarketGeneral({ question: 'Will it end?', initialAmount: 1000000n, endTime: endTimeIn(-1) }),
+                /End time must be in the future/
+            );
+
+            assert.strictEqual(client.getCollateralBalance(), 1_000_000_000_000n);
+            assert.strictEqual((await client.fetchMarkets()).count, 0);
+        });
+    });
+
+    describe('P2P markets', () => {
+        let market;
+
+        beforeEach(async () => {
+            const result = await client.createP2PMarketGeneral({
+                question: 'Will P2P work?',
+                initialAmount: 1000000n,
+                side: 'yes',
+                creatorSideCap: 2000000n,
+                endTime: endTimeIn(30)
+            });
+            market = result.market;
+        });
+
+        it('should list P2P markets as V3 addresses', async () => {
+            assert.deepStrictEqual(await client.fetchV3MarketAddresses(), [market]);
+            assert.deepStrictEqual(await client.fetchMarketAddresses(), []);
+        });
+
+        it('should enforce the creator side cap', async () => {
+            await assert.rejects(
+                client.buyV3TokensUsdc({ market, buyYesToken: true, amountUsdc: 1.5 }),
+                /exceeds YES side cap/
+            );
+        });
+
+        it('should pay the whole pot to the winning side', async () => {
+            client.simulateExternalTrade(market, 'no', 3000000n);
+            await client.settleMarket({ market, yesWinner: true });
+
+            const before = client.getCollateralBalance();
+            await client.redeemP2PPosition(market);
+            assert.strictEqual(client.getCollateralBalance() - before, 4000000n);
+        });
+
+        it('should report implied odds from the pot', async () => {
+            client.simulateExternalTrade(market, 'no', 3000000n);
+            const prices = await client.trading.getPrices(market);
+            assert.strictEqual(prices.yesPrice, 0.25);
+        });
+
+        it('should fail to redeem when on the losing side', async () => {
+            client.simulateExternalTrade(market, 'no', 3000000n);
+            await client.settleMarket({ market, yesWinner: false });
+
+            await assert.rejects(client.redeemV3Position(market), /No winning tokens/);
+        });
+
+        it('should refund after expiry when the market is unresolvable', async () => {
+            await client.setMarketResolvable(market, false);
+            client.advanceTime(31 * DAY * 1000);
+
+            const before = client.getCollateralBalance();
+            await client.claimP2PMarketRefund(market);
+            assert.strictEqual(client.getCollateralBalance() - before, 1000000n);
+        });
+    });
+
+    describe('settlement oracle', () => {
+        it('should report preset oracle answers', async () => {
+            const { market } = await client.market.createMarket({
+                question: 'Will the oracle answer?',
+                initialLiquidity: 1000000n,
+                endTime: endTimeIn(30)
+            });
+
+            let data = await client.getSettlementData(market);
+            assert.strictEqual(data.answer, '');
+            assert.strictEqual(data.resolved, false);
+            assert.ok(!('resolvable' in data));
+
+            client.setOracleAnswer(market, 'no', 'It did not happen');
+            data = await client.getSettlementData(market);
+            assert.strictEqual(data.answer, 'no');
+            assert.strictEqual(data.reasoning, 'It did not happen');
+
+            await client.settleMarket({ market, yesWinner: false });
+            data = await client.getSettlementData(market);
+            assert.strictEqual(data.resolved, true);
+            assert.strictEqual(data.winning_token_id, 'no');
+        });
+    });
+
+    describe('persistence', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = mkdtempSync(join(tmpdir(), 'pnp-sim-'));
+        });
+
+        afterEach(() => {
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should reload markets and balances from the state file', async () => {
+            const statePath = join(dir, 'state.json');
+            const first = createSimulatedClient({ seed: 'persist', statePath, clock: () => NOW });
+            const { market } = await first.market.createMarket({
+                question: 'Will state persist?',
+                initialLiquidity: 1000000n,
+                endTime: endTimeIn(30)
+            });
+            await first.trading.buyTokensUsdc({ market, usdcAmount: 250000n, tokenId: 0 });
+
+            const second = createSimulatedClient({ seed: 'persist', statePath, clock: () => NOW });
+            const balances = await second.trading.getBalances(market);
+
+            assert.ok(balances.yesBalance > 0n);
+            assert.strictEqual(second.getCollateralBalance(), first.getCollateralBalance());
+        });
+    });
+
+    describe('createSimulatedClient', () => {
+        it('should share in-memory instances per seed', () => {
+            assert.strictEqual(createSimulatedClient({ seed: 'shared' }), createSimulatedClient({ seed: 'shared' }));
+        });
+
+        it('should return a fresh instance when isolated', () => {
+            assert.notStrictEqual(
+                createSimulatedClient({ seed: 'shared' }),
+                createSimulatedClient({ seed: 'shared', isolated: true })
+            );
+        });
+    });
+});
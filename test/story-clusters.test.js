@@ -0,0 +1,134 @@
+// Tests for cross-source story clustering
+// Run with: node --test test/story-clusters.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { clusterEvents, headlineEntities, headlineTokens, storyId } from '../src/monitoring/story-clusters.js';
+import { NewsMonitor } from '../src/monitoring/news-monitor.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+function event(id, source, title, hours, overrides = {}) {
+    return {
+        id,
+        source,
+        title,
+        link: `https://example.com/${id}`,
+        publishedAt: NOW + hours * HOUR,
+        relevanceScore: 60,
+        matchedKeywords: ['privacy'],
+        suggestedCategory: 'regulation',
+        urgency: 'evergreen',
+        ...overrides
+    };
+}
+
+const STORM = [
+    event('decrypt-1', 'Decrypt', 'Tornado Cash developer Roman Storm found guilty on money laundering charge', 0, { relevanceScore: 70, urgency: 'timely' }),
+    event('coindesk-1', 'CoinDesk', 'Tornado Cash Developer Roman Storm Convicted of Money Laundering', 1, { urgency: 'breaking' }),
+    event('block-1', 'The Block', 'Jury finds Tornado Cash co-founder Storm guilty', 2, { relevanceScore: 65 })
+];
+
+const CHAT_CONTROL = [
+    event('eff-1', 'EFF', 'EU Parliament votes down chat control proposal', 1, { relevanceScore: 80 }),
+    event('coindesk-2', 'CoinDesk', 'European Parliament rejects EU chat control scanning plan', 5)
+];
+
+describe('headline signatures', () => {
+    it('should find specific keywords and acronyms as entities', () => {
+        assert.deepStrictEqual(headlineEntities('OFAC lifts Tornado Cash sanctions'), ['ofac', 'tornado cash']);
+        assert.deepStrictEqual(headlineEntities('PRIVACY COINS RALLY'), []);
+    });
+
+    it('should compare titles without stopwords, plurals or entity words', () => {
+        assert.deepStrictEqual(
+            [...headlineTokens('The EU proposes new chat controls', ['eu'])],
+            ['propose', 'chat', 'control']
+        );
+    });
+});
+
+describe('clusterEvents', () => {
+    it('should group one story across sources', () => {
+        const stories = clusterEvents([...STORM, ...CHAT_CONTROL]);
+
+        assert.strictEqual(stories.length, 2);
+
+        const storm = stories.find(s => s.events.includes('decrypt-1'));
+        assert.deepStrictEqual(storm.events, ['decrypt-1', 'coindesk-1', 'block-1']);
+        assert.deepStrictEqual(storm.sources, ['Decrypt', 'CoinDesk', 'The Block']);
+        assert.strictEqual(storm.id, storyId('decrypt-1'));
+        assert.strictEqual(storm.title, STORM[0].title);
+        assert.strictEqual(storm.relevanceScore, 80);
+        assert.strictEqual(storm.urgency, 'breaking');
+        assert.strictEqual(storm.publishedAt, NOW);
+        assert.strictEqual(storm.updatedAt, NOW + 2 * HOUR);
+    });
+
+    it('should match entities by id when headlines name them differently', () => {
+        const entities = [
+            { id: 'doj', name: 'DOJ', type: 'regulator' },
+            { id: 'samourai-wallet', name: 'Samourai Wallet', type: 'protocol' }
+        ];
+        const headlines = [
+            event('decrypt-4', 'Decrypt', 'Justice Department charges Samourai Wallet founders', 0),
+            event('coindesk-4', 'CoinDesk', 'DOJ charges Samourai founders with laundering', 1)
+        ];
+
+        assert.strictEqual(clusterEvents(headlines).length, 2);
+        assert.strictEqual(clusterEvents(headlines.map(e => ({ ...e, entities }))).length, 1);
+    });
+
+    it('should keep different stories about the same entity apart', () => {
+        const stories = clusterEvents([
+            STORM[0],
+            event('decrypt-2', 'Decrypt', 'Tornado Cash relaunches website after sanctions lifted', 3)
+        ]);
+
+        assert.strictEqual(stories.length, 2);
+    });
+
+    it('should not join headlines outside the time window', () => {
+        const repeat = event('decrypt-3', 'Decrypt', STORM[0].title, 100);
+
+        assert.strictEqual(clusterEvents([STORM[0], repeat]).length, 2);
+        assert.strictEqual(clusterEvents([STORM[0], repeat], { window: 200 * HOUR }).length, 1);
+    });
+
+    it('should list the newest story first and carry markets from every member', () => {
+        const stories = clusterEvents([
+            { ...CHAT_CONTROL[0], markets: ['Market1'] },
+            { ...CHAT_CONTROL[1], markets: ['Market2'] },
+            ...STORM
+        ]);
+
+        assert.deepStrictEqual(stories.map(s => s.title), [CHAT_CONTROL[0].title, STORM[0].title]);
+        assert.deepStrictEqual(stories[0].markets, ['Market1', 'Market2']);
+        assert.strictEqual(stories[0].relevanceScore, 85);
+    });
+});
+
+describe('NewsMonitor stories', () => {
+    function createMonitor(events) {
+        const monitor = new NewsMonitor({ sources: [] });
+        [...events].sort((a, b) => a.publishedAt - b.publishedAt).forEach(e => monitor.addEvent(e));
+        return monitor;
+    }
+
+    it('should count a story once among high-urgency events', () => {
+        const monitor = createMonitor([...STORM, ...CHAT_CONTROL]);
+
+        assert.deepStrictEqual(monitor.getHighUrgencyEvents().map(s => s.size), [3]);
+        assert.strictEqual(monitor.getStories().length, 2);
+        assert.strictEqual(monitor.getStatus().storiesCount, 2);
+    });
+
+    it('should filter stories by source and combined score', () => {
+        const monitor = createMonitor([...STORM, ...CHAT_CONTROL]);
+
+        assert.deepStrictEqual(monitor.queryStories({ source: 'The Block' }).map(s => s.size), [3]);
+        assert.deepStrictEqual(monitor.queryStories({ minScore: 81 }).map(s => s.size), [2]);
+        assert.strictEqual(monitor.queryStories({ limit: 1 }).length, 1);
+    });
+});
@@ -0,0 +1,129 @@
+// Tests for the typed template language
+// Run with: node --test test/templates.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    parseTemplate,
+    validateTemplate,
+    compileTemplate,
+    fillTemplate,
+    describeSlots,
+    templatePattern,
+    SLOT_VALUES
+} from '../src/generation/templates.js';
+import { getTemplates, generatePrivacyMarket, PRIVACY_CATEGORIES } from '../src/privacy-markets.js';
+
+const NOW = Date.UTC(2026, 9, 19);
+
+const TVL = {
+    text: 'Will {protocol} TVL exceed {amount:$10-100M} by {date}?',
+    resolutionSource: 'DefiLlama',
+    defaultDuration: 60
+};
+
+describe('parseTemplate', () => {
+    it('should split text into literals and typed slots', () => {
+        const { parts, slots } = parseTemplate(TVL.text);
+
+        assert.deepStrictEqual(slots.map(s => s.type), ['protocol', 'amount', 'date']);
+        assert.deepStrictEqual(slots[1].options, { currency: '$', min: 10, max: 100, unit: 'M' });
+        assert.strictEqual(parts[0], 'Will ');
+        assert.strictEqual(parts[parts.length - 1], '?');
+    });
+
+    it('should number repeated slot types', () => {
+        const { slots } = parseTemplate('Will {country} or {country} act by {date}?');
+        assert.deepStrictEqual(slots.map(s => s.name), ['country', 'country2', 'date']);
+    });
+
+    it('should reject unknown types, bad ranges and stray braces', () => {
+        assert.throws(() => parseTemplate('Will {planet} explode by {date}?'), /Unknown slot type "planet"/);
+        assert.throws(() => parseTemplate('Will X exceed {amount} by {date}?'), /needs a range/);
+        assert.throws(() => parseTemplate('Will X exceed {amount:50-10} by {date}?'), /reversed/);
+        assert.throws(() => parseTemplate('Will {country pass a law by {date}?'), /Unbalanced/);
+    });
+});
+
+describe('validateTemplate', () => {
+    it('should accept a complete template', () => {
+        assert.deepStrictEqual(validateTemplate(TVL), []);
+    });
+
+    it('should reject templates whose slots cannot be filled', () => {
+        const errors = validateTemplate({ ...TVL, text: 'Will X exceed {amount:3-4B} by {date}?' });
+        assert.match(errors[0], /no values/);
+    });
+
+    it('should require a deadline, resolution source and duration', () => {
+        const errors = validateTemplate({ text: 'Will {country} ban encryption?' });
+
+        assert.strictEqual(errors.length, 3);
+        assert.match(errors.join(' '), /\{date\}/);
+        assert.match(errors.join(' '), /resolutionSource/);
+        assert.match(errors.join(' '), /defaultDuration/);
+    });
+
+    it('should make compileTemplate throw with the problems', () => {
+        assert.throws(() => compileTemplate({ ...TVL, resolutionSource: '' }), /Invalid template .*resolutionSource/);
+    });
+});
+
+describe('fillTemplate', () => {
+    it('should fill slots from curated values and derive the deadline from the duration', () => {
+        const filled = fillTemplate(compileTemplate(TVL), { now: NOW });
+
+        assert.ok(SLOT_VALUES.protocol.includes(filled.slots.protocol));
+        assert.ok(['$10M', '$25M', '$50M', '$100M'].includes(filled.slots.amount));
+        assert.strictEqual(filled.slots.date, 'December 2026');
+        assert.strictEqual(filled.deadline.getTime(), Date.UTC(2027, 0, 1) - 1);
+        assert.strictEqual(filled.durationDays, 74);
+        assert.ok(!filled.question.includes('{'));
+    });
+
+    it('should let the caller override the duration', () => {
+        const filled = fillTemplate(compileTemplate(TVL), { now: NOW, durationDays: 120 });
+        assert.strictEqual(filled.slots.date, 'February 2027');
+    });
+
+    it('should produce questions its own pattern matches', () => {
+        const compiled = compileTemplate(TVL);
+        const filled = fillTemplate(compiled, { now: NOW });
+        assert.ok(templatePattern(compiled).test(filled.question));
+    });
+});
+
+describe('describeSlots', () => {
+    it('should report slot types and how many values each can take', () => {
+        const slots = describeSlots(compileTemplate(TVL));
+
+        assert.deepStrictEqual(slots.map(s => s.choices), [SLOT_VALUES.protocol.length, 4, null]);
+        assert.strictEqual(slots[1].args, '$10-100M');
+    });
+});
+
+describe('PRIVACY_CATEGORIES templates', () => {
+    it('should all be valid', () => {
+        for (const category of Object.values(PRIVACY_CATEGORIES)) {
+            for (const template of category.templates) {
+                assert.deepStrictEqual(validateTemplate(template), [], template.text);
+            }
+        }
+    });
+
+    it('should expose ids and slot metadata', () => {
+        const templates = getTemplates('regulation');
+
+        assert.strictEqual(templates[0].id, 'regulation:0');
+        assert.deepStrictEqual(templates[0].slots.map(s => s.type), ['country', 'date']);
+        assert.throws(() => getTemplates('unknown'), /Unknown category/);
+    });
+
+    it('should carry template metadata on generated ideas', () => {
+        const idea = generatePrivacyMarket();
+
+        assert.match(idea.templateId, /^\w+:\d+$/);
+        assert.ok(idea.resolutionSource);
+        assert.ok(idea.slots.date);
+    });
+});